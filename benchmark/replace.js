@@ -0,0 +1,161 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+// Compares the replacement engine with the sequential replace it superseded, on a generated template.
+//
+// Usage: node benchmark/replace.js [files] [runs]
+// e.g. npm run benchmark -- 5000 5
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const files = require('../src/lib/files')
+const replace = require('../src/lib/replace')
+const { escapeRegExp } = require('../src/lib/tokens')
+
+const FILE_COUNT = Number(process.argv[2]) || 5000
+const RUNS = Number(process.argv[3]) || 3
+// a few large files, streamed by the engine
+const LARGE_FILE_COUNT = 2
+const LARGE_FILE_SIZE = 4 * 1024 * 1024
+
+const mapping = {
+  '{{REPO}}': 'myorg/aio-lib-my-lib',
+  '{{LIB_NAME}}': 'MyLib',
+  '{{LIB_CLASS}}': 'MyLib',
+  '{{ENDPOINT}}': 'https://example.com/api',
+  '{{DESCRIPTION}}': 'A library for the Example API'
+}
+const tokens = Object.keys(mapping)
+
+/**
+ * Writes a template of source files, half of them using all the tokens, and a few large files.
+ *
+ * @param {string} folder the template folder
+ * @returns {Promise<Map<string, Array<string>>>} the tokens of each file
+ */
+async function writeTemplate (folder) {
+  const fileTokens = new Map()
+  const line = `// ${tokens.join(' ')} and some code around them\nconst x = require('{{REPO}}').{{LIB_CLASS}}\n`
+  for (let i = 0; i < FILE_COUNT; i++) {
+    const file = `src/module${i % 50}/file${i}.js`
+    // as with scanAllFiles, half the files have no token
+    const tokenLines = i % 2 === 0 ? line.repeat(20) : ''
+    await fs.outputFile(path.join(folder, file), `${tokenLines}${'// no token on this line\n'.repeat(40)}`)
+    fileTokens.set(file, tokens)
+  }
+  for (let i = 0; i < LARGE_FILE_COUNT; i++) {
+    const file = `data/large${i}.txt`
+    await fs.outputFile(path.join(folder, file), line.repeat(Math.ceil(LARGE_FILE_SIZE / line.length)))
+    fileTokens.set(file, tokens)
+  }
+  return fileTokens
+}
+
+/**
+ * The replace of the generator before the engine: one file at a time, one regular expression per token,
+ * and every file written back.
+ *
+ * @param {string} folder the template folder
+ * @param {Map<string, Array<string>>} fileTokens the tokens of each file
+ * @returns {Promise<object>} the substitution counts, keyed by file
+ */
+async function sequentialReplace (folder, fileTokens) {
+  const report = {}
+  for (const [file, fileTokenList] of fileTokens) {
+    const filePath = path.join(folder, file)
+    let contents = await fs.readFile(filePath, 'utf8')
+    if (files.isBinary(contents)) {
+      continue
+    }
+    const counts = {}
+    for (const token of fileTokenList) {
+      const regex = new RegExp(escapeRegExp(token), 'g')
+      const count = (contents.match(regex) || []).length
+      if (count > 0) {
+        counts[token] = count
+        contents = contents.replace(regex, () => mapping[token])
+      }
+    }
+    report[file] = counts
+    await fs.writeFile(filePath, contents)
+  }
+  return report
+}
+
+const implementations = {
+  sequential: sequentialReplace,
+  engine: async (folder, fileTokens) => (await replace.replaceFiles(folder, fileTokens, mapping)).files
+}
+
+/**
+ * Times an implementation on a fresh copy of the template.
+ *
+ * @param {string} name the name of the implementation
+ * @param {string} template the template folder
+ * @param {Map<string, Array<string>>} fileTokens the tokens of each file
+ * @param {string} work the folder to copy the template into
+ * @returns {Promise<{ms: number, report: object}>} the duration and the substitution counts
+ */
+async function time (name, template, fileTokens, work) {
+  await fs.remove(work)
+  await fs.copy(template, work)
+  const start = process.hrtime.bigint()
+  const report = await implementations[name](work, fileTokens)
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6, report }
+}
+
+const median = values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)]
+
+/**
+ * Runs the benchmark, and prints the median durations.
+ */
+async function main () {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-benchmark-'))
+  try {
+    const template = path.join(root, 'template')
+    const fileTokens = await writeTemplate(template)
+    console.log(`${FILE_COUNT} files and ${LARGE_FILE_COUNT} files of ${LARGE_FILE_SIZE / 1024 / 1024}MB, ${tokens.length} tokens, ${RUNS} run(s), node ${process.version}, ${os.cpus().length} cpu(s)`)
+
+    const durations = { sequential: [], engine: [] }
+    for (let run = 0; run < RUNS; run++) {
+      // the order alternates, so neither implementation always runs on a warmer cache
+      const names = run % 2 === 0 ? ['sequential', 'engine'] : ['engine', 'sequential']
+      const results = {}
+      for (const name of names) {
+        results[name] = await time(name, template, fileTokens, path.join(root, name))
+        durations[name].push(results[name].ms)
+      }
+      // both must replace the same tokens, and generate the same files
+      if (JSON.stringify(results.sequential.report) !== JSON.stringify(results.engine.report)) {
+        throw new Error('The implementations report different substitutions')
+      }
+      for (const file of fileTokens.keys()) {
+        const [before, after] = await Promise.all(['sequential', 'engine'].map(name => fs.readFile(path.join(root, name, file))))
+        if (!before.equals(after)) {
+          throw new Error(`The implementations generate different contents for ${file}`)
+        }
+      }
+    }
+
+    for (const name of Object.keys(durations)) {
+      console.log(`${name.padEnd(10)} median ${median(durations[name]).toFixed(0).padStart(6)}ms  runs ${durations[name].map(ms => ms.toFixed(0)).join(', ')}`)
+    }
+    console.log(`speedup    ${(median(durations.sequential) / median(durations.engine)).toFixed(2)}x`)
+  } finally {
+    await fs.remove(root)
+  }
+}
+
+main().catch(error => {
+  console.error(error)
+  process.exitCode = 1
+})
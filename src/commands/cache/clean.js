@@ -0,0 +1,25 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command } = require('@oclif/core')
+const cache = require('../../lib/cache')
+
+class CacheCleanCommand extends Command {
+  async run () {
+    await this.parse(CacheCleanCommand)
+    const count = await cache.cleanCache(this.config.cacheDir)
+    this.log(`Removed ${count} cached template(s).`)
+  }
+}
+
+CacheCleanCommand.description = 'Removes all the cached templates'
+
+module.exports = CacheCleanCommand
@@ -0,0 +1,33 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command } = require('@oclif/core')
+const cache = require('../../lib/cache')
+
+class CacheListCommand extends Command {
+  async run () {
+    await this.parse(CacheListCommand)
+    const entries = await cache.listCache(this.config.cacheDir)
+    if (entries.length === 0) {
+      this.log('No cached templates.')
+      return
+    }
+    this.log(`Cached templates (${entries.length}):`)
+    entries.forEach(({ source, fetchedAt }) => this.log(`  ${source}, fetched at ${fetchedAt}`))
+  }
+}
+
+CacheListCommand.description = `Lists the cached remote templates
+
+Remote templates (git repositories, tarball urls and npm packages) are cached by source, ref and subfolder.
+`
+
+module.exports = CacheListCommand
@@ -11,254 +11,333 @@ governing permissions and limitations under the License.
 
 const { Command, Flags, Args } = require('@oclif/core')
 const { Listr } = require('listr2')
-const fs = require('fs-extra')
-const debug = require('debug')('create-aio-lib')
-const path = require('path')
-const git = require('isomorphic-git')
+const { createPatch } = require('diff')
+const prompts = require('../lib/prompts')
+const manifest = require('../lib/manifest')
+const hooks = require('../lib/hooks')
+const record = require('../lib/record')
+const packageJson = require('../lib/package-json')
+const { LibGenerator } = require('../lib/generator')
+const { GenerateError, exitCode } = require('../lib/errors')
+const { loadAnswers, mergeAnswers } = require('../lib/answers')
 
 class CreateAioLibCommand extends Command {
   async run () {
     const { args, flags } = await this.parse(CreateAioLibCommand)
-    // capitalize first letter of the lib name
-    const libName = args.libName[0].toUpperCase() + args.libName.slice(1)
-    debug(`Capitalize '${args.libName}' --> '${libName}'`)
 
-    const templateUrl = flags.templateUrl
-    const outputFolder = flags.outputDir || process.cwd()
-    const templateFolder = path.join(outputFolder, args.libName)
-
-    let repoName = args.repoName
-    if (repoName.startsWith('@')) { // strip leading @
-      repoName = repoName.slice(1)
-    }
-
-    if (await fs.pathExists(templateFolder) && !flags.overwrite) {
-      this.error(`Destination ${templateFolder} exists, use the '--overwrite' flag to overwrite.`)
+    let answers = { batch: false, libs: [{}] }
+    let variables
+    try {
+      if (flags.answers) {
+        answers = await loadAnswers(flags.answers)
+      }
+      variables = manifest.parseVariableArgs(flags.var)
+    } catch (error) {
+      this.fail(new GenerateError(error.message, 'usage'), flags)
     }
+    // the arguments and flags win over the answers file
+    const given = this.givenOptions(args, flags, variables)
 
-    const cloneTemplateStep = {
-      task: (ctx, task) => {
-        task.title = `Cloning template from ${ctx.templateUrl}`
-        this.cloneRepo(ctx.templateUrl, ctx.templateFolder)
+    if (answers.batch) {
+      if (args.libName || args.repoName) {
+        this.fail(new GenerateError('LIBNAME and REPONAME can\'t be given with an answers file listing several libs.', 'usage'), flags)
       }
+      return this.generateBatch(answers.libs.map(lib => mergeAnswers(lib, given)), flags)
     }
 
-    const steps = [{
-      title: 'Copy template',
-      task: async ctx => this.copyTemplate(ctx.templateFolder, ctx.overwrite)
-    }, {
-      title: 'Remove .git folder',
-      task: async ctx => this.removeDotGitFolder(ctx.templateFolder)
-    }, {
-      title: 'Read parameters file',
-      task: async ctx => {
-        // false positive for eslint rule
-
-        ctx.paramsJson = await this.readParametersFile(ctx.templateFolder)
-      }
-    }, {
-      title: 'Update package.json',
-      task: async ctx => {
-        await this.updatePackageJson(ctx.templateFolder, ctx.repoName)
+    let options = mergeAnswers(answers.libs[0], given)
+    // the json report is the only output, so nothing is prompted for
+    const interactive = !flags.yes && !flags.json && Boolean(process.stdin.isTTY)
+    if (!options.libName || !options.repoName) {
+      if (!interactive) {
+        this.fail(new GenerateError('Missing required arguments LIBNAME and REPONAME (run in a terminal without --yes to be prompted for them).', 'usage'), flags)
       }
-    }, {
-      title: 'Replace text',
-      task: ctx => this.replaceText(ctx.templateFolder, ctx.paramsJson, ctx.libName, ctx.repoName)
-    }, {
-      title: 'Cleanup',
-      task: ctx => this.cleanup(ctx.templateFolder)
-    }, {
-      title: 'Lib Location',
-      task: (ctx, task) => {
-        task.title = `Lib created at ${ctx.templateFolder}`
+      options = await this.promptForOptions(options)
+      if (!options) {
+        return
       }
-    }]
-
-    if (templateUrl) {
-      steps[0] = cloneTemplateStep
     }
 
-    const tasks = new Listr(steps)
-    tasks
-      .run({
-        templateUrl: flags.templateUrl,
-        templateFolder,
-        libName,
-        repoName,
-        overwrite: flags.overwrite
-      })
-      .catch(error => {
-        this.error(error.message)
-      })
-  }
-
-  async copyTemplate (toFolder, overwrite) {
-    // will only work if the module is CommonJs (unless for ESM package.json is exported) - finds the module root path
-    const from = path.dirname(require.resolve('@adobe/aio-lib-template/package.json'))
-    return fs.copy(from, toFolder, { overwrite, errorOnExist: !overwrite })
-  }
-
-  async cloneRepo (url, toFolder) {
-    const cloneOptions = {
-      fs,
-      dir: toFolder,
-      url,
-      singleBranch: true,
-      depth: 1
+    const generator = this.createGenerator(flags)
+    let result
+    try {
+      result = await generator.generate(Object.assign(options, {
+        prompts: interactive
+          ? { variables: prompts.promptForVariables, features: prompts.promptForFeatures, hook: prompts.confirmHook }
+          : undefined
+      }))
+    } catch (error) {
+      this.fail(error, flags, generator.warnings)
+    }
+    if (flags.json) {
+      this.log(JSON.stringify(this.successReport(result), null, 2))
+    } else {
+      this.logResult(result, flags)
     }
-    debug('Clone options', cloneOptions)
-    this.log(`Cloning ${url}...`)
-    await git.clone(cloneOptions)
   }
 
-  async removeDotGitFolder (repoFolder) {
-    // remove .git folder
-    const dotGitFolder = path.join(repoFolder, '.git')
-    return fs.remove(dotGitFolder)
+  givenOptions (args, flags, variables) {
+    // the generation options of the arguments and flags, undefined when they are not given
+    const features = {}
+    for (const name of flags.with || []) {
+      features[name] = true
+    }
+    for (const name of flags.without || []) {
+      features[name] = false
+    }
+    let git
+    if (flags.git === false) {
+      git = false
+    } else if (flags.defaultBranch || flags.gitAuthorName || flags.gitAuthorEmail) {
+      git = mergeAnswers({
+        defaultBranch: flags.defaultBranch,
+        author: (flags.gitAuthorName || flags.gitAuthorEmail) ? mergeAnswers({ name: flags.gitAuthorName, email: flags.gitAuthorEmail }) : undefined
+      })
+    }
+    return {
+      libName: args.libName,
+      repoName: args.repoName,
+      description: flags.description,
+      outputDir: flags.outputDir,
+      templateUrl: flags.templateUrl,
+      template: flags.template,
+      templateRef: flags.templateRef,
+      templateSubdir: flags.templateSubdir,
+      variables,
+      features,
+      author: flags.author,
+      license: flags.license,
+      keywords: flags.keywords,
+      packageVersion: flags.packageVersion,
+      access: flags.access,
+      engines: flags.engine && flags.engine.join(','),
+      gitHost: flags.gitHost,
+      overwrite: flags.overwrite,
+      dryRun: flags['dry-run'],
+      offline: flags.offline,
+      refresh: flags.refresh,
+      record: flags.record,
+      git,
+      skipHooks: flags['skip-hooks'],
+      trustHooks: flags['trust-hooks'],
+      strict: flags.strict,
+      workspace: flags.workspace
+    }
   }
 
-  async readParametersFile (repoFolder) {
-    // read the template.parameters.json file
-    const paramsFileName = 'template.parameters.json'
-    const paramsFile = path.join(repoFolder, paramsFileName)
-
-    if (!(await fs.pathExists(paramsFile))) {
-      throw new Error(`${paramsFileName} does not exist in ${repoFolder}`)
+  createGenerator (flags) {
+    // the generation steps are rendered by listr, and the other messages of the generator logged
+    const quiet = flags.quiet || flags.json
+    const renderer = quiet ? 'silent' : (flags.verbose ? 'verbose' : 'default')
+    const generator = new LibGenerator({
+      configDir: this.config.configDir,
+      cacheDir: this.config.cacheDir,
+      runSteps: (steps, ctx) => new Listr(steps, { renderer }).run(ctx)
+    })
+    if (!quiet) {
+      generator.on('log', message => this.log(message))
     }
-
-    debug(`Read parameters file at ${paramsFile}`)
-    return require(paramsFile)
+    if (!flags.json) {
+      generator.on('warning', message => this.warn(message))
+    }
+    return generator
   }
 
-  async updatePackageJson (repoFolder, repoName) {
-    console.log(`Updating package.json in ${repoFolder} with ${repoName}`)
-    const packageJsonFile = path.join(repoFolder, 'package.json')
-
-    if (!(await fs.pathExists(packageJsonFile))) {
-      throw new Error(`${packageJsonFile} does not exist in ${repoFolder}`)
+  async generateBatch (libs, flags) {
+    // each lib is generated in turn, without prompts, whether the previous ones failed or not
+    const reports = []
+    for (const [index, options] of libs.entries()) {
+      if (!flags.quiet && !flags.json) {
+        this.log(`Generating ${options.libName || `lib ${index + 1}`} (${index + 1}/${libs.length})`)
+      }
+      const generator = this.createGenerator(flags)
+      let report
+      try {
+        if (!options.libName || !options.repoName) {
+          throw new GenerateError(`Lib ${index + 1} of the answers file has no libName or repoName.`, 'usage')
+        }
+        const result = await generator.generate(options)
+        if (!flags.json) {
+          this.logResult(result, flags)
+        }
+        report = this.successReport(result)
+      } catch (error) {
+        report = this.errorReport(error, generator.warnings)
+      }
+      reports.push(Object.assign({ libName: options.libName, repoName: options.repoName }, report))
     }
 
-    const json = await fs.readJson(packageJsonFile)
-    json.bugs = json.bugs || {}
-
-    // replace name and repository fields
-    // deal with scoped packages specially
-    if (repoName.indexOf('/') > 0) {
-      json.name = `@${repoName}`
-      json.repository = `https://github.com/${repoName}`
-      json.homepage = `https://github.com/${repoName}`
-      json.bugs.url = `https://github.com/${repoName}/issues`
+    const failures = reports.filter(report => report.status === 'error')
+    if (flags.json) {
+      this.log(JSON.stringify({ status: failures.length > 0 ? 'error' : 'success', libs: reports }, null, 2))
     } else {
-      json.name = repoName
-      delete json.repository
-      delete json.homepage
-      delete json.bugs
+      this.log(`Generated ${reports.length - failures.length} of ${reports.length} libs:`)
+      reports.forEach((report, index) => this.log(report.status === 'success'
+        ? `  ✔ ${report.libName}: ${report.destination}`
+        : `  ✖ ${report.libName || `lib ${index + 1}`}: ${report.errors[0].message}`))
     }
-
-    json.version = '0.0.1'
-
-    // get all underscored keys, and remove them
-    for (const key of Object.keys(json)) {
-      if (key.startsWith('_')) {
-        delete json[key]
+    if (failures.length > 0) {
+      // the exit code is the one of the first failure
+      const exit = exitCode(failures[0].errors[0])
+      if (flags.json) {
+        this.exit(exit)
       }
+      this.error(`${failures.length} of ${reports.length} libs failed.`, { exit })
     }
+  }
 
-    return fs.writeJson(packageJsonFile, json, { spaces: 2 })
+  logResult (result, flags) {
+    if (result.dryRun) {
+      this.logDryRun(result)
+    } else if (result.substitutions && !flags.quiet) {
+      this.logReplaceReport(result.substitutions)
+    }
+    if (result.workspace && !flags.quiet) {
+      this.logWorkspace(result.workspace)
+    }
   }
 
-  async cleanup (repoFolder) {
-    const filesToRemove = ['types.d.ts', 'template.parameters.json']
+  logWorkspace (workspace) {
+    if (workspace.skipped.length > 0) {
+      this.log(`Skipped the files the workspace root provides: ${workspace.skipped.join(', ')}`)
+    }
+    workspace.aligned.forEach(({ name, from, to }) => this.log(`Aligned devDependency ${name} on the workspace root: ${from} -> ${to}`))
+    if (workspace.registered) {
+      this.log(`Added the lib to the workspaces of the package.json in ${workspace.root}`)
+    }
+  }
 
-    for (const filePath of filesToRemove
-      .map(file => path.join(repoFolder, file))) fs.remove(filePath)
+  successReport (result) {
+    return Object.assign({ status: 'success' }, result, { errors: [] })
+  }
 
-    const filesToRename = {
-      'gitignore.template': '.gitignore',
-      'npmrc.template': '.npmrc'
-    }
+  errorReport (error, warnings) {
+    return { status: 'error', warnings, errors: [{ category: error.category || 'failed', message: error.message }] }
+  }
 
-    for (const key of Object.keys(filesToRename)) {
-      const value = filesToRename[key]
-      fs.move(path.join(repoFolder, key), path.join(repoFolder, value), { overwrite: true })
+  fail (error, flags, warnings = []) {
+    // exits with the code of the category of the error, after printing the json report
+    const exit = exitCode(error)
+    if (flags.json) {
+      this.log(JSON.stringify(this.errorReport(error, warnings), null, 2))
+      this.exit(exit)
     }
+    this.error(error.message, { exit })
   }
 
-  async replaceText (repoFolder, paramsJson, libName, repoName) {
-    const toFrom = {
-      '{{REPO}}': repoName,
-      '{{LIB_NAME}}': libName,
-      LibNameCoreAPI: libName
+  logDryRun (result) {
+    this.log(`Dry run, nothing was written to ${result.destination}.`)
+    if (result.destinationExists) {
+      this.warn(`Destination ${result.destination} exists, use the '--overwrite' flag to overwrite.`)
     }
-    debug(`Replacement mapping: ${toFrom}`)
 
-    // Get all file paths into a set
-    const pathItemSet = Object.keys(paramsJson)
-      .reduce((set, key) => {
-        const values = paramsJson[key]
-        return new Set([...set, ...values])
-      }, new Set())
+    this.log(`Files that would be created (${result.files.length}):`)
+    result.files.forEach(file => this.log(`  ${file}`))
 
-    pathItemSet.forEach(async pathItem => {
-      // find the tokens for the file path
-      const tokens = []
-      for (const token of Object.keys(paramsJson)) {
-        if (paramsJson[token].includes(pathItem)) {
-          tokens.push(token)
-        }
-      }
+    this.log('package.json changes:')
+    this.log(createPatch('package.json', result.packageJson.before, result.packageJson.after))
 
-      // read the file once
-      const filePath = path.join(repoFolder, pathItem)
-      let fileContents = await fs.readFile(filePath, 'utf8')
+    this.logReplaceReport(result.substitutions)
 
-      // replace the tokens in the file
-      console.log('tokens', tokens)
-      tokens.forEach(async from => {
-        const to = toFrom[from]
-        if (!to) {
-          console.error(`No mapping found, skipping replace of ${from}`)
-          return
-        }
+    if (result.renamed.length > 0) {
+      this.log('Renames:')
+      result.renamed.forEach(({ from, to }) => this.log(`  ${from} -> ${to}`))
+    }
+    if (result.removed.length > 0) {
+      this.log('Removals:')
+      result.removed.forEach(file => this.log(`  ${file}`))
+    }
+    if (result.hooks.length > 0) {
+      this.log('Hooks that would run:')
+      result.hooks.forEach(hook => this.log(`  ${hooks.describeHook(hook)}${hook.title ? ` (${hook.run || hook.script})` : ''}`))
+    }
+    this.log(`The generation record would be written to ${result.record.location === 'package.json' ? `the '${record.RECORD_FIELD}' field of package.json` : record.RECORD_FILE}.`)
+    if (result.git) {
+      this.log(`A git repository would be initialized on branch ${result.git.defaultBranch}${result.git.remoteUrl ? `, with origin ${result.git.remoteUrl}` : ''}.`)
+    }
+  }
 
-        // escape curly braces
-        from = from.replace(/{/g, '\\{').replace(/}/g, '\\}')
-        debug(`Escaped token to ${from}`)
+  async promptForOptions (given) {
+    const options = await prompts.promptForOptions(given)
+    this.log(prompts.formatSummary(options))
 
-        fileContents = fileContents.replace(new RegExp(from, 'g'), to)
-      })
+    if (!(await prompts.confirmOptions())) {
+      this.log('Cancelled, nothing was created.')
+      return null
+    }
+    return options
+  }
 
-      // write the altered file back
-      /* istanbul ignore else */
-      if (tokens.length > 0) {
-        await fs.writeFile(filePath, fileContents)
-      }
-    })
+  logReplaceReport (report) {
+    const replaced = Object.keys(report.files).filter(file => Object.keys(report.files[file]).length > 0)
+    this.log('Substitutions:')
+    for (const file of replaced) {
+      const counts = report.files[file]
+      this.log(`  ${file}: ${Object.keys(counts).map(token => `${token} x${counts[token]}`).join(', ')}`)
+    }
+    const unchanged = Object.keys(report.files).length - replaced.length
+    if (unchanged > 0) {
+      this.log(`  ${unchanged} other file(s) without substitutions`)
+    }
+    for (const file of report.binary) {
+      this.log(`  skipped binary file ${file}`)
+    }
+    for (const file of report.missing) {
+      this.warn(`File ${file} is listed in the parameters file but does not exist, skipped`)
+    }
   }
 }
 
 CreateAioLibCommand.description = `Creates an Adobe I/O Lib
 
 Example:
-    create-aio-lib MyLibClass myOrg/myRepo
+    create-aio-lib MyLibClass myorg/myrepo
+
+Run without arguments to be prompted for the library options.
 `
 
 CreateAioLibCommand.flags = {
   version: Flags.version({ char: 'v' }), // add --version flag to show CLI version
   help: Flags.help({ char: 'h' }), // add --help flag to show CLI help
   outputDir: Flags.string({ char: 'o', description: 'folder to output the library in (defaults to the current working folder)' }),
-  templateUrl: Flags.string({ char: 't', description: 'the template to use' }),
-  overwrite: Flags.boolean({ char: 'w', default: false, description: 'overwrite any existing output folder' })
+  templateUrl: Flags.string({ char: 't', description: 'the template to use: a git url or shorthand like github:org/repo#ref, a local folder, a tarball or an npm package' }),
+  template: Flags.string({ exclusive: ['templateUrl'], description: 'the name of a registered template to use (see templates list), defaults to the default registered template' }),
+  templateRef: Flags.string({ dependsOn: ['templateUrl'], description: 'the branch, tag or commit of a git template to use' }),
+  templateSubdir: Flags.string({ dependsOn: ['templateUrl'], description: 'the subfolder of the template source holding the template' }),
+  offline: Flags.boolean({ exclusive: ['refresh'], description: 'only use cached copies of remote templates, never fetch them' }),
+  refresh: Flags.boolean({ description: 'fetch remote templates even if they are cached, and update the cache' }),
+  overwrite: Flags.boolean({ char: 'w', description: 'overwrite any existing output folder' }),
+  description: Flags.string({ char: 'd', description: 'the description of the library' }),
+  author: Flags.string({ description: 'the author of the library, e.g. "Jane Doe <jane@example.com>"' }),
+  license: Flags.string({ description: 'the SPDX license identifier of the library, e.g. Apache-2.0' }),
+  keywords: Flags.string({ description: 'the package keywords, comma separated' }),
+  packageVersion: Flags.string({ description: `the initial version of the package (defaults to ${packageJson.DEFAULT_VERSION})` }),
+  access: Flags.string({ options: packageJson.ACCESS_LEVELS, description: 'the npm access of the published package, set in publishConfig' }),
+  engine: Flags.string({ multiple: true, description: 'an engine version range, in the form name=range, e.g. node=>=18 (can be repeated)' }),
+  gitHost: Flags.string({ description: 'the git host of the repo: github (default), gitlab, bitbucket, or the url of a self-hosted server, e.g. gitlab+https://git.example.com' }),
+  var: Flags.string({ multiple: true, description: 'set a template variable, in the form key=value (can be repeated)' }),
+  with: Flags.string({ multiple: true, description: 'enable an optional feature of the template (can be repeated)' }),
+  without: Flags.string({ multiple: true, description: 'disable an optional feature of the template (can be repeated)' }),
+  git: Flags.boolean({ allowNo: true, description: 'initialize a git repository with an initial commit (use --no-git to skip)' }),
+  defaultBranch: Flags.string({ description: 'the default branch of the git repository (defaults to main)' }),
+  gitAuthorName: Flags.string({ description: 'the author name of the initial commit (defaults to the user.name git config)' }),
+  gitAuthorEmail: Flags.string({ description: 'the author email of the initial commit (defaults to the user.email git config)' }),
+  record: Flags.string({ options: record.LOCATIONS, description: 'where to record how the lib was generated, for the update command: a .create-aio-lib.json file (default), or a create-aio-lib field of package.json' }),
+  'skip-hooks': Flags.boolean({ description: 'do not run the post-generate hooks of the template' }),
+  'trust-hooks': Flags.boolean({ description: 'run the hooks of a template given by url without confirmation' }),
+  strict: Flags.boolean({ description: 'fail if template tokens are left in the generated files, or declared but never used' }),
+  workspace: Flags.boolean({ description: 'generate the library in the packages folder of the npm workspaces holding the output folder, and register it in the root package.json' }),
+  answers: Flags.string({ char: 'a', description: 'a json or yaml file of answers supplying the options, or listing several libs to generate (the arguments and flags win over it)' }),
+  yes: Flags.boolean({ char: 'y', default: false, description: 'never prompt for missing arguments (non-interactive mode)' }),
+  'dry-run': Flags.boolean({ description: 'print what would be generated, without writing to the output folder' }),
+  json: Flags.boolean({ default: false, description: 'print a json report of the generation instead of its progress, and never prompt' }),
+  quiet: Flags.boolean({ char: 'q', default: false, exclusive: ['verbose', 'json'], description: 'only print warnings and errors (and the dry run report)' }),
+  verbose: Flags.boolean({ default: false, exclusive: ['json'], description: 'print each generation step on its own line, e.g. for logs' })
 }
 
-CreateAioLibCommand.args = [
-  { name: 'libName', required: true, description: 'the name of the library' },
-  { name: 'repoName', required: true, description: 'the repo of the library' }
-]
-
 CreateAioLibCommand.args = {
-  libName: Args.string({ required: true, description: 'the name of the library' }),
-  repoName: Args.string({ required: true, description: 'the repo of the library' })
+  libName: Args.string({ required: false, description: 'the name of the library (prompted for if omitted)' }),
+  repoName: Args.string({ required: false, description: 'the repo of the library (prompted for if omitted)' })
 }
 
 module.exports = CreateAioLibCommand
@@ -0,0 +1,50 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, Flags, Args } = require('@oclif/core')
+const registry = require('../../lib/registry')
+
+class TemplatesAddCommand extends Command {
+  async run () {
+    const { args, flags } = await this.parse(TemplatesAddCommand)
+    try {
+      const replaced = await registry.addTemplate(registry.registryFile(this.config.configDir), args.name, {
+        source: args.source,
+        description: flags.description,
+        ref: flags.ref,
+        subdir: flags.subdir
+      }, flags.default)
+      this.log(`${replaced ? 'Updated' : 'Added'} template '${args.name}'${flags.default ? ', it is now the default template' : ''}.`)
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
+
+TemplatesAddCommand.description = `Registers a template under a name, to use it with --template <name>
+
+Example:
+    create-aio-lib templates add myorg github:myorg/templates/aio-lib#v2 -d "My org's libs" --default
+`
+
+TemplatesAddCommand.flags = {
+  description: Flags.string({ char: 'd', description: 'the description of the template' }),
+  ref: Flags.string({ description: 'the branch, tag or commit of a git template' }),
+  subdir: Flags.string({ description: 'the subfolder of the template source holding the template' }),
+  default: Flags.boolean({ default: false, description: 'make the template the default one' })
+}
+
+TemplatesAddCommand.args = {
+  name: Args.string({ required: true, description: 'the name of the template' }),
+  source: Args.string({ required: true, description: 'the template source: a git url or shorthand, a local folder, a tarball or an npm package' })
+}
+
+module.exports = TemplatesAddCommand
@@ -0,0 +1,42 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, Args } = require('@oclif/core')
+const starter = require('../../lib/starter')
+
+class TemplatesInitCommand extends Command {
+  async run () {
+    const { args } = await this.parse(TemplatesInitCommand)
+    try {
+      const created = await starter.initTemplate(args.dir)
+      this.log(`Created a starter template in ${args.dir}:\n  ${created.join('\n  ')}`)
+      this.log(`Edit its template.parameters.json, then check it with: create-aio-lib template validate ${args.dir}`)
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
+
+TemplatesInitCommand.description = `Scaffolds a starter template, with a sample manifest
+
+The starter template declares a variable, tokens, a feature and a rename, to author a new template from.
+
+Example:
+    create-aio-lib template init ./my-template
+`
+
+TemplatesInitCommand.aliases = ['template:init']
+
+TemplatesInitCommand.args = {
+  dir: Args.string({ required: true, description: 'the folder of the new template, which must not exist or be empty' })
+}
+
+module.exports = TemplatesInitCommand
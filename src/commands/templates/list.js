@@ -0,0 +1,36 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command } = require('@oclif/core')
+const registry = require('../../lib/registry')
+
+class TemplatesListCommand extends Command {
+  async run () {
+    await this.parse(TemplatesListCommand)
+    const { default: defaultName, templates } = await registry.loadRegistry(registry.registryFile(this.config.configDir))
+
+    const names = Object.keys(templates).sort()
+    const width = Math.max(...names.map(name => name.length))
+    this.log('Templates (* is the default):')
+    for (const name of names) {
+      const { source, ref, subdir, description } = templates[name]
+      const location = [ref ? `${source}#${ref}` : source, subdir && `(subfolder ${subdir})`].filter(Boolean).join(' ')
+      this.log(`${name === defaultName ? '*' : ' '} ${name.padEnd(width)}  ${description ? `${description} - ` : ''}${location}`)
+    }
+  }
+}
+
+TemplatesListCommand.description = `Lists the registered templates
+
+The bundled @adobe/aio-lib-template is always registered, as 'aio-lib'.
+`
+
+module.exports = TemplatesListCommand
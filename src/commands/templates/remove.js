@@ -0,0 +1,33 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, Args } = require('@oclif/core')
+const registry = require('../../lib/registry')
+
+class TemplatesRemoveCommand extends Command {
+  async run () {
+    const { args } = await this.parse(TemplatesRemoveCommand)
+    try {
+      await registry.removeTemplate(registry.registryFile(this.config.configDir), args.name)
+      this.log(`Removed template '${args.name}'.`)
+    } catch (error) {
+      this.error(error.message)
+    }
+  }
+}
+
+TemplatesRemoveCommand.description = 'Unregisters a template'
+
+TemplatesRemoveCommand.args = {
+  name: Args.string({ required: true, description: 'the name of the template' })
+}
+
+module.exports = TemplatesRemoveCommand
@@ -0,0 +1,86 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, Flags, Args } = require('@oclif/core')
+const path = require('path')
+const { LibGenerator } = require('../../lib/generator')
+const snapshot = require('../../lib/snapshot')
+
+class TemplatesTestCommand extends Command {
+  async run () {
+    const { args, flags } = await this.parse(TemplatesTestCommand)
+    const fixtures = flags.fixture || [undefined]
+    if (flags.snapshot && fixtures.length > 1) {
+      this.error('--snapshot can\'t be given with several fixtures.')
+    }
+
+    let failures = 0
+    for (const fixture of fixtures) {
+      const name = fixture ? path.basename(fixture, path.extname(fixture)) : 'default'
+      const generator = new LibGenerator({ configDir: this.config.configDir, cacheDir: this.config.cacheDir })
+      generator.on('warning', message => this.warn(message))
+      let result
+      try {
+        result = await snapshot.testTemplate({
+          template: args.dir,
+          fixture,
+          // the snapshots are next to the fixtures, by default
+          snapshot: flags.snapshot || path.join(fixture ? path.dirname(fixture) : '.', '__snapshots__', name),
+          updateSnapshot: flags['update-snapshots'],
+          generator
+        })
+      } catch (error) {
+        this.error(`${name}: ${error.message}`)
+      }
+      const count = result.differences.length
+      if (result.status === 'written') {
+        this.log(`✔ ${name}: wrote snapshot ${result.snapshot}`)
+      } else if (result.status === 'updated') {
+        this.log(`✔ ${name}: updated snapshot ${result.snapshot}${count > 0 ? ` (${count} file(s) changed)` : ''}`)
+      } else if (result.status === 'passed') {
+        this.log(`✔ ${name}: matches snapshot ${result.snapshot}`)
+      } else {
+        failures++
+        this.log(`✖ ${name}: ${count} file(s) differ from snapshot ${result.snapshot}`)
+        result.differences.forEach(({ diff }) => this.log(diff))
+      }
+    }
+    if (failures > 0) {
+      this.error(`${failures} of ${fixtures.length} snapshot(s) do not match, run with --update-snapshots if the changes are expected.`)
+    }
+  }
+}
+
+TemplatesTestCommand.description = `Renders a template with fixtures, and compares the output with golden snapshots
+
+Each fixture is an answers file holding the generation options (see --answers), and its snapshot is
+a folder holding the lib generated from it, __snapshots__/<fixture name> next to the fixture by
+default. The libs are generated without git repository nor hooks, unless the fixtures set them.
+Without fixture, the template is rendered with a lib named MyLib, in the myorg/my-lib repo.
+
+Example:
+    create-aio-lib template test ./my-template -f test/fixtures/basic.json -f test/fixtures/no-e2e.yaml
+    create-aio-lib template test ./my-template -f test/fixtures/basic.json --update-snapshots
+`
+
+TemplatesTestCommand.aliases = ['template:test']
+
+TemplatesTestCommand.flags = {
+  fixture: Flags.string({ char: 'f', multiple: true, description: 'an answers file to render the template with (can be repeated)' }),
+  snapshot: Flags.string({ description: 'the snapshot folder, defaults to __snapshots__/<fixture name> next to the fixture' }),
+  'update-snapshots': Flags.boolean({ char: 'u', default: false, description: 'write the snapshots, instead of comparing the output with them' })
+}
+
+TemplatesTestCommand.args = {
+  dir: Args.string({ required: true, description: 'the template to render: a local folder, or any template source (see --templateUrl)' })
+}
+
+module.exports = TemplatesTestCommand
@@ -0,0 +1,48 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, Args } = require('@oclif/core')
+const validation = require('../../lib/template-validation')
+
+class TemplatesValidateCommand extends Command {
+  async run () {
+    const { args } = await this.parse(TemplatesValidateCommand)
+    let problems
+    try {
+      problems = await validation.validateTemplate(args.dir)
+    } catch (error) {
+      this.error(error.message)
+    }
+    problems.warnings.forEach(warning => this.warn(warning))
+    if (problems.errors.length > 0) {
+      this.error(`Found ${problems.errors.length} problem(s) in the template ${args.dir}:\n  ${problems.errors.join('\n  ')}`)
+    }
+    this.log(`Template ${args.dir} is valid${problems.warnings.length > 0 ? `, with ${problems.warnings.length} warning(s)` : ''}.`)
+  }
+}
+
+TemplatesValidateCommand.description = `Validates a template folder, before publishing it
+
+Checks the template manifest (template.parameters.json) and package.json, that the files listed by
+the tokens exist and contain them, and that the renamed and removed files, feature files and hook
+scripts are valid.
+
+Example:
+    create-aio-lib template validate ./my-template
+`
+
+TemplatesValidateCommand.aliases = ['template:validate']
+
+TemplatesValidateCommand.args = {
+  dir: Args.string({ required: true, description: 'the template folder' })
+}
+
+module.exports = TemplatesValidateCommand
@@ -0,0 +1,114 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, Flags, Args } = require('@oclif/core')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const debug = require('debug')('create-aio-lib:update')
+const { LibGenerator } = require('../lib/generator')
+const manifest = require('../lib/manifest')
+const merge = require('../lib/merge')
+const record = require('../lib/record')
+
+class UpdateAioLibCommand extends Command {
+  async run () {
+    const { args, flags } = await this.parse(UpdateAioLibCommand)
+    const libFolder = path.resolve(args.libFolder || process.cwd())
+    const dryRun = flags['dry-run']
+
+    let generation
+    let location
+    let suppliedVariables
+    try {
+      ({ record: generation, location } = await record.readRecord(libFolder))
+      suppliedVariables = manifest.parseVariableArgs(flags.var)
+    } catch (error) {
+      this.error(error.message)
+    }
+    debug('Generation record', generation)
+
+    // the template is generated with the steps of the create command
+    const generator = new LibGenerator({ configDir: this.config.configDir, cacheDir: this.config.cacheDir })
+    const workFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-update-'))
+    try {
+      // the latest template is always fetched again, unless offline
+      const latest = await generator.renderTemplate(path.join(workFolder, 'latest'), record.latestTemplate(generation, flags.templateRef),
+        generation, suppliedVariables, { offline: flags.offline, refresh: !flags.offline })
+
+      // the lib changes are the differences with the template version it was generated from
+      let baseFolder
+      const pinned = record.pinnedTemplate(generation, this.bundledTemplateVersion())
+      if (pinned) {
+        baseFolder = path.join(workFolder, 'base')
+        await generator.renderTemplate(baseFolder, pinned, generation, {}, { offline: flags.offline })
+      } else {
+        this.warn('The template version the lib was generated from is unknown, so every template file that differs in the lib is a conflict.')
+      }
+
+      const report = await merge.mergeFolders(baseFolder, latest.templateFolder, libFolder, { dryRun })
+      if (!dryRun) {
+        const updated = record.createRecord(latest.template, latest.resolvedTemplate, latest.variables, latest.features)
+        await record.writeRecord(libFolder, Object.assign(updated, { generatedAt: generation.generatedAt, updatedAt: updated.generatedAt }), location)
+      }
+      this.logMergeReport(report, libFolder, dryRun)
+    } catch (error) {
+      this.error(error.message)
+    } finally {
+      await fs.remove(workFolder)
+    }
+  }
+
+  bundledTemplateVersion () {
+    return require('@adobe/aio-lib-template/package.json').version
+  }
+
+  logMergeReport (report, libFolder, dryRun) {
+    const changes = [
+      ...report.added.map(file => `  added    ${file}`),
+      ...report.updated.map(file => `  updated  ${file}`),
+      ...report.merged.map(file => `  merged   ${file}`),
+      ...report.removed.map(file => `  removed  ${file}`)
+    ]
+    if (changes.length === 0 && report.conflicts.length === 0) {
+      this.log(`${libFolder} is up to date with its template.`)
+      return
+    }
+
+    this.log(dryRun ? `Dry run, nothing was written to ${libFolder}. Changes that would be made:` : `Updated ${libFolder}:`)
+    changes.forEach(change => this.log(change))
+    for (const { file, reason } of report.conflicts) {
+      this.warn(`Conflict in ${file}: ${reason}`)
+    }
+    if (report.conflicts.length > 0) {
+      this.log(`${report.conflicts.length} conflict(s) to resolve: the overlapping changes are marked in text files, and the other files were left as they are in the lib.`)
+    }
+  }
+}
+
+UpdateAioLibCommand.description = `Updates a generated lib from the latest version of its template
+
+The template is generated again with the values the lib was generated with, and merged into the lib: files changed by the template only are updated, and changes made to the same lines in the lib and in the template are reported as conflicts.
+`
+
+UpdateAioLibCommand.flags = {
+  help: Flags.help({ char: 'h' }),
+  templateRef: Flags.string({ description: 'the branch, tag or commit of a git template to update to (defaults to the one the lib was generated from)' }),
+  var: Flags.string({ multiple: true, description: 'set a template variable, in the form key=value (can be repeated)' }),
+  offline: Flags.boolean({ default: false, description: 'only use cached copies of remote templates, never fetch them' }),
+  'dry-run': Flags.boolean({ default: false, description: 'print what would be changed, without writing to the lib' })
+}
+
+UpdateAioLibCommand.args = {
+  libFolder: Args.string({ required: false, description: 'the folder of the lib to update (defaults to the current working folder)' })
+}
+
+module.exports = UpdateAioLibCommand
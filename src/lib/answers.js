@@ -0,0 +1,133 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const yaml = require('js-yaml')
+const debug = require('debug')('create-aio-lib:answers')
+
+// the generation options an answers file can set, see generator.GenerateOptions
+const ANSWER_KEYS = [
+  'libName', 'repoName', 'description', 'outputDir',
+  'templateUrl', 'template', 'templateRef', 'templateSubdir',
+  'variables', 'features',
+  'author', 'license', 'keywords', 'packageVersion', 'access', 'engines', 'gitHost',
+  'overwrite', 'dryRun', 'offline', 'refresh', 'record', 'git', 'skipHooks', 'trustHooks', 'strict', 'workspace'
+]
+
+// the options holding values keyed by name, which are merged rather than replaced
+const MERGED_KEYS = ['variables', 'features']
+
+/**
+ * @typedef {object} Answers
+ * @property {boolean} batch true if the file lists several libs
+ * @property {Array<object>} libs the generation options of each lib, see generator.GenerateOptions
+ */
+
+/**
+ * Checks whether a value is a plain object.
+ *
+ * @param {*} value the value
+ * @returns {boolean} true if the value is an object, but not an array
+ */
+function isObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Merges generation options, the later ones winning over the earlier ones.
+ *
+ * Undefined values are skipped, variables and features are merged by name, and git options
+ * are merged unless one of them is false.
+ *
+ * @param {...object} sets the generation options
+ * @returns {object} the merged options
+ */
+function mergeAnswers (...sets) {
+  const merged = {}
+  for (const set of sets) {
+    for (const key of Object.keys(set).filter(key => set[key] !== undefined)) {
+      if (MERGED_KEYS.includes(key) || (key === 'git' && isObject(set.git) && isObject(merged.git))) {
+        merged[key] = Object.assign({}, merged[key], set[key])
+      } else {
+        merged[key] = set[key]
+      }
+    }
+  }
+  return merged
+}
+
+/**
+ * Validates the generation options of an answers file.
+ *
+ * @param {object} answers the options
+ * @param {string} where where the options are, e.g. 'the answers file answers.json', for error messages
+ */
+function validateAnswers (answers, where) {
+  if (!isObject(answers)) {
+    throw new Error(`The options of ${where} must be an object`)
+  }
+  const unknown = Object.keys(answers).filter(key => !ANSWER_KEYS.includes(key))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option(s) ${unknown.join(', ')} in ${where}, use ${ANSWER_KEYS.join(', ')}`)
+  }
+  const invalid = MERGED_KEYS.find(key => answers[key] !== undefined && !isObject(answers[key]))
+  if (invalid) {
+    throw new Error(`The '${invalid}' option of ${where} must be an object, keyed by name`)
+  }
+}
+
+/**
+ * Loads an answers file, in json or yaml (.yaml or .yml files), supplying the generation options.
+ *
+ * The file holds the options of a lib, or lists several libs to generate them in one run: either as
+ * an array, or in a `libs` array next to the options the libs share.
+ *
+ * @param {string} file the answers file
+ * @returns {Promise<Answers>} the options of each lib
+ */
+async function loadAnswers (file) {
+  let parsed
+  try {
+    const contents = await fs.readFile(file, 'utf8')
+    parsed = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase()) ? yaml.load(contents) : JSON.parse(contents)
+  } catch (error) {
+    throw new Error(`Invalid answers file ${file}: ${error.message}`)
+  }
+
+  let shared = {}
+  let libs = parsed
+  if (isObject(parsed) && parsed.libs !== undefined) {
+    ({ libs, ...shared } = parsed)
+    validateAnswers(shared, `the answers file ${file}`)
+    if (!Array.isArray(libs)) {
+      throw new Error(`The 'libs' option of the answers file ${file} must be an array`)
+    }
+  }
+  if (!Array.isArray(libs)) {
+    validateAnswers(parsed, `the answers file ${file}`)
+    debug('Answers', parsed)
+    return { batch: false, libs: [parsed] }
+  }
+  if (libs.length === 0) {
+    throw new Error(`The answers file ${file} lists no lib`)
+  }
+  libs.forEach((lib, index) => validateAnswers(lib, `lib ${index + 1} of the answers file ${file}`))
+  debug('Batch answers', shared, libs)
+  return { batch: true, libs: libs.map(lib => mergeAnswers(shared, lib)) }
+}
+
+module.exports = {
+  ANSWER_KEYS,
+  mergeAnswers,
+  validateAnswers,
+  loadAnswers
+}
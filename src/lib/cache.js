@@ -0,0 +1,136 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+const debug = require('debug')('create-aio-lib:cache')
+const templateSource = require('./template-source')
+
+// the folder of the cached templates, in the cache folder of the CLI
+const TEMPLATES_FOLDER = 'templates'
+const META_FILE = 'meta.json'
+const CONTENTS_FOLDER = 'template'
+
+/**
+ * Checks whether a template source is worth caching, i.e. is remote. Local folders and tarballs are always read as is.
+ *
+ * @param {object} source the parsed template source
+ * @returns {boolean} true if the source is cached
+ */
+function isCacheable (source) {
+  return source.type !== 'directory' && !(source.type === 'tarball' && source.path)
+}
+
+/**
+ * Computes the cache key of a template source, from its location, ref and subfolder.
+ *
+ * @param {object} source the parsed template source
+ * @returns {string} the cache key
+ */
+function cacheKey (source) {
+  const { type, url, spec, ref, subdir } = source
+  return crypto.createHash('sha256').update(JSON.stringify([type, url || spec, ref, subdir])).digest('hex').slice(0, 16)
+}
+
+/**
+ * Fetches a template into a folder, through the cache.
+ *
+ * A cached copy is used when there is one, unless refresh is set. Otherwise the template is fetched and cached.
+ *
+ * @param {string} cacheDir the cache folder of the CLI
+ * @param {object} source the parsed template source, see template-source
+ * @param {string} toFolder the folder to fetch the template into
+ * @param {object} [options] the cache options
+ * @param {boolean} [options.offline] only use the cache, fail if the template isn't cached
+ * @param {boolean} [options.refresh] fetch the template even if it is cached, and update the cache
+ * @param {string} [options.token] the token to authenticate with, for git sources
+ * @returns {Promise<{cached: boolean, fetchedAt: string, resolved: object}>} whether a cached copy was used, when it
+ * was fetched, and its resolved version, see template-source
+ */
+async function fetchTemplate (cacheDir, source, toFolder, options = {}) {
+  if (!isCacheable(source)) {
+    const resolved = await templateSource.fetchTemplate(source, toFolder, options.token)
+    return { cached: false, fetchedAt: new Date().toISOString(), resolved }
+  }
+
+  const entryFolder = path.join(cacheDir, TEMPLATES_FOLDER, cacheKey(source))
+  const metaFile = path.join(entryFolder, META_FILE)
+  if (!options.refresh && await fs.pathExists(metaFile)) {
+    const meta = await fs.readJson(metaFile)
+    debug(`Using cached ${meta.source} from ${entryFolder}`)
+    await fs.copy(path.join(entryFolder, CONTENTS_FOLDER), toFolder)
+    return { cached: true, fetchedAt: meta.fetchedAt, resolved: meta.resolved || {} }
+  }
+  if (options.offline) {
+    throw new Error(`${templateSource.describeSource(source)} is not cached, run once without --offline to cache it`)
+  }
+
+  // fetched next to the cache entry, and swapped in once complete, so a failed fetch keeps the previous copy
+  await fs.ensureDir(path.dirname(entryFolder))
+  const fetchFolder = await fs.mkdtemp(`${entryFolder}-fetch-`)
+  try {
+    const resolved = await templateSource.fetchTemplate(source, path.join(fetchFolder, CONTENTS_FOLDER), options.token)
+    await fs.remove(path.join(fetchFolder, CONTENTS_FOLDER, '.git'))
+    const meta = { source: templateSource.describeSource(source), fetchedAt: new Date().toISOString(), resolved }
+    await fs.writeJson(path.join(fetchFolder, META_FILE), meta, { spaces: 2 })
+    await fs.remove(entryFolder)
+    await fs.move(fetchFolder, entryFolder)
+    debug(`Cached ${meta.source} in ${entryFolder}`)
+    await fs.copy(path.join(entryFolder, CONTENTS_FOLDER), toFolder)
+    return { cached: false, fetchedAt: meta.fetchedAt, resolved }
+  } finally {
+    await fs.remove(fetchFolder)
+  }
+}
+
+/**
+ * Lists the cached templates.
+ *
+ * @param {string} cacheDir the cache folder of the CLI
+ * @returns {Promise<Array<{key: string, source: string, fetchedAt: string}>>} the cached templates, oldest first
+ */
+async function listCache (cacheDir) {
+  const templatesFolder = path.join(cacheDir, TEMPLATES_FOLDER)
+  if (!(await fs.pathExists(templatesFolder))) {
+    return []
+  }
+  const entries = []
+  for (const key of await fs.readdir(templatesFolder)) {
+    const metaFile = path.join(templatesFolder, key, META_FILE)
+    // leftovers of interrupted fetches have no meta file
+    if (await fs.pathExists(metaFile)) {
+      const { source, fetchedAt } = await fs.readJson(metaFile)
+      entries.push({ key, source, fetchedAt })
+    }
+  }
+  return entries.sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt))
+}
+
+/**
+ * Removes all the cached templates.
+ *
+ * @param {string} cacheDir the cache folder of the CLI
+ * @returns {Promise<number>} the number of removed templates
+ */
+async function cleanCache (cacheDir) {
+  const count = (await listCache(cacheDir)).length
+  await fs.remove(path.join(cacheDir, TEMPLATES_FOLDER))
+  return count
+}
+
+module.exports = {
+  isCacheable,
+  cacheKey,
+  fetchTemplate,
+  listCache,
+  cleanCache
+}
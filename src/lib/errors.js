@@ -0,0 +1,71 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+// the categories of failures, with the exit code of the CLI for each
+const EXIT_CODES = {
+  failed: 1, // unexpected failures
+  usage: 2, // missing or invalid arguments and flags
+  invalid: 3, // invalid names, variables, features or package.json fields
+  template: 4, // the template can't be resolved, fetched or generated
+  destination: 5, // the output folder exists, or the lib can't be moved into it
+  hook: 6, // a post-generate hook failed
+  git: 7 // the git repository can't be initialized
+}
+
+/**
+ * A failure of the generation, with its category.
+ */
+class GenerateError extends Error {
+  /**
+   * @param {string} message the error message
+   * @param {string} [category] the category of the failure, one of the EXIT_CODES keys
+   * @param {Error} [cause] the error causing the failure
+   */
+  constructor (message, category = 'failed', cause) {
+    super(message, cause && { cause })
+    this.name = 'GenerateError'
+    this.category = category
+  }
+}
+
+/**
+ * Runs a function, giving a category to the errors it throws.
+ *
+ * Errors that already have a category keep it.
+ *
+ * @param {string} category the category of the errors, one of the EXIT_CODES keys
+ * @param {Function} fn the function to run
+ * @returns {Promise<*>} the result of the function
+ */
+async function categorize (category, fn) {
+  try {
+    return await fn()
+  } catch (error) {
+    throw error instanceof GenerateError ? error : new GenerateError(error.message, category, error)
+  }
+}
+
+/**
+ * Gets the exit code of an error.
+ *
+ * @param {Error} error the error
+ * @returns {number} the exit code of its category, 1 for errors without category
+ */
+function exitCode (error) {
+  return EXIT_CODES[error.category] || EXIT_CODES.failed
+}
+
+module.exports = {
+  EXIT_CODES,
+  GenerateError,
+  categorize,
+  exitCode
+}
@@ -0,0 +1,168 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const debug = require('debug')('create-aio-lib:features')
+const files = require('./files')
+
+// a block marker alone on its line, optionally inside a line comment or a block comment, e.g. `// {{#if e2e}}`
+const MARKER_LINE = /^[ \t]*(?:\/\/|#|<!--|\/\*)?[ \t]*({{(?:#if|#unless|else|\/if|\/unless)\b[^}]*}})[ \t]*(?:-->|\*\/)?[ \t]*(?:\r?\n|$)/gm
+const MARKER = /{{(#if|#unless) +([\w$-]+) *}}|{{(else)}}|{{\/(if|unless)}}/g
+
+/**
+ * Resolves which features of a manifest are enabled.
+ *
+ * Explicitly enabled or disabled features win, then answers to the prompt (if a prompt function is passed),
+ * then the feature defaults.
+ *
+ * @param {object} features the feature definitions of the manifest, keyed by feature name
+ * @param {Array<string>} [enabled] the names of the features to enable
+ * @param {Array<string>} [disabled] the names of the features to disable
+ * @param {Function} [ask] prompts for the passed feature definitions, returns the names of the selected features
+ * @returns {Promise<object>} true for each enabled feature, false for the others, keyed by feature name
+ */
+async function resolveFeatures (features, enabled = [], disabled = [], ask) {
+  const names = Object.keys(features)
+  for (const name of [...enabled, ...disabled]) {
+    if (!names.includes(name)) {
+      throw new Error(`Unknown feature '${name}', the template has ${names.length ? names.join(', ') : 'no features'}`)
+    }
+  }
+
+  const selection = {}
+  const toAsk = {}
+  for (const name of names) {
+    if (enabled.includes(name) || disabled.includes(name)) {
+      selection[name] = enabled.includes(name)
+    } else if (ask) {
+      toAsk[name] = features[name]
+    } else {
+      selection[name] = Boolean(features[name].default)
+    }
+  }
+
+  if (Object.keys(toAsk).length > 0) {
+    const selected = await ask(toAsk)
+    for (const name of Object.keys(toAsk)) {
+      selection[name] = selected.includes(name)
+    }
+  }
+
+  debug('Resolved features', selection)
+  return selection
+}
+
+/**
+ * Renders the conditional blocks of a text.
+ *
+ * `{{#if name}}...{{/if}}` keeps its content when the condition is truthy, `{{#unless name}}...{{/unless}}`
+ * when it is falsy, and both can have an `{{else}}` branch. Blocks can be nested. A marker alone on its line
+ * (also inside a comment, e.g. `// {{#if e2e}}`) is removed together with its line.
+ *
+ * @param {string} text the text
+ * @param {object} conditions the condition values, keyed by name
+ * @param {string} [fileName] the name of the file, for error messages
+ * @returns {string} the rendered text
+ */
+function renderConditionals (text, conditions, fileName = 'text') {
+  const source = text.replace(MARKER_LINE, '$1')
+  const stack = []
+  const isOutput = () => stack.every(block => block.output)
+  let result = ''
+  let lastIndex = 0
+
+  for (const match of source.matchAll(MARKER)) {
+    if (isOutput()) {
+      result += source.slice(lastIndex, match.index)
+    }
+    lastIndex = match.index + match[0].length
+
+    const [, open, name, isElse, close] = match
+    if (open) {
+      if (!Object.prototype.hasOwnProperty.call(conditions, name)) {
+        throw new Error(`Unknown condition '${name}' in ${fileName}`)
+      }
+      const value = Boolean(conditions[name])
+      stack.push({ type: open.slice(1), output: open === '#if' ? value : !value })
+    } else if (isElse) {
+      if (stack.length === 0) {
+        throw new Error(`Unexpected {{else}} in ${fileName}`)
+      }
+      const block = stack[stack.length - 1]
+      block.output = !block.output
+    } else {
+      const block = stack.pop()
+      if (!block || block.type !== close) {
+        throw new Error(`Unexpected {{/${close}}} in ${fileName}`)
+      }
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in ${fileName}`)
+  }
+  return result + source.slice(lastIndex)
+}
+
+/**
+ * Applies the feature selection to a generated template: drops the files of the disabled features,
+ * and renders the conditional blocks of the conditional files.
+ *
+ * @param {string} root the folder of the generated template
+ * @param {object} manifest the template manifest
+ * @param {object} conditions the feature selection and variable values, keyed by name
+ * @returns {Promise<{removed: Array<string>, rendered: Array<string>}>} the removed and rendered files
+ */
+async function applyFeatures (root, manifest, conditions) {
+  const removed = []
+  for (const name of Object.keys(manifest.features)) {
+    const patterns = manifest.features[name].files || []
+    if (conditions[name] || patterns.length === 0) {
+      continue
+    }
+    for (const file of await files.expandPatterns(root, patterns)) {
+      const filePath = files.resolveInside(root, file)
+      if (await fs.pathExists(filePath)) {
+        await fs.remove(filePath)
+        await files.removeEmptyParents(root, file)
+        removed.push(file)
+      }
+    }
+  }
+
+  const rendered = []
+  const conditionalFiles = manifest.conditionalFiles.length > 0
+    ? await files.expandPatterns(root, manifest.conditionalFiles)
+    : []
+  for (const file of conditionalFiles) {
+    const filePath = path.join(root, file)
+    if (!(await fs.pathExists(filePath))) {
+      continue
+    }
+    const contents = await fs.readFile(filePath, 'utf8')
+    const output = renderConditionals(contents, conditions, file)
+    if (output !== contents) {
+      await fs.writeFile(filePath, output)
+      rendered.push(file)
+    }
+  }
+
+  debug('Removed files', removed)
+  debug('Rendered files', rendered)
+  return { removed, rendered }
+}
+
+module.exports = {
+  resolveFeatures,
+  renderConditionals,
+  applyFeatures
+}
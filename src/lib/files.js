@@ -0,0 +1,203 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const { minimatch } = require('minimatch')
+
+// paths that are never scanned, relative to the template root
+const DEFAULT_IGNORE = ['**/.git/**', '**/node_modules/**']
+
+const MATCH_OPTIONS = { dot: true }
+
+/**
+ * Checks whether a file path pattern is a glob, as opposed to a plain file path.
+ *
+ * @param {string} pattern the pattern
+ * @returns {boolean} true if the pattern is a glob or a negation
+ */
+function isGlob (pattern) {
+  return pattern.startsWith('!') || /[*?[\]{}]/.test(pattern)
+}
+
+/**
+ * Checks whether a path is relative, and does not leave the folder it is relative to.
+ *
+ * @param {string} file the path
+ * @returns {boolean} true if the path is inside its folder
+ */
+function isInside (file) {
+  return typeof file === 'string' && !path.isAbsolute(file) && !file.split(/[\\/]/).includes('..')
+}
+
+/**
+ * Resolves a path relative to a root folder, checking that it is inside the folder.
+ *
+ * @param {string} root the root folder
+ * @param {string} file the path, relative to the root
+ * @returns {string} the resolved path
+ */
+function resolveInside (root, file) {
+  const resolved = path.resolve(root, file)
+  if (!resolved.startsWith(`${path.resolve(root)}${path.sep}`)) {
+    throw new Error(`Path '${file}' is not inside ${root}`)
+  }
+  return resolved
+}
+
+/**
+ * Checks whether file contents look binary, i.e. contain a NUL character.
+ *
+ * @param {string|Buffer} contents the file contents
+ * @returns {boolean} true if the contents are binary
+ */
+function isBinary (contents) {
+  return contents.includes(typeof contents === 'string' ? '\u0000' : 0)
+}
+
+/**
+ * Checks whether a file path matches any of the glob patterns.
+ *
+ * @param {string} file the file path, using '/' separators
+ * @param {Array<string>} patterns the glob patterns
+ * @returns {boolean} true if a pattern matches
+ */
+function matchesAny (file, patterns) {
+  return patterns.some(pattern => minimatch(file, pattern, MATCH_OPTIONS))
+}
+
+/**
+ * Lists all the files in a folder, recursively.
+ *
+ * @param {string} root the folder to list
+ * @param {Array<string>} [ignore] glob patterns of paths to skip, in addition to .git and node_modules
+ * @returns {Promise<Array<string>>} the file paths, relative to the root and using '/' separators
+ */
+async function listFiles (root, ignore = []) {
+  const patterns = [...DEFAULT_IGNORE, ...ignore]
+  const isIgnored = file => matchesAny(file, patterns)
+  const files = []
+
+  const walk = async (relativeDir) => {
+    const entries = await fs.readdir(path.join(root, relativeDir), { withFileTypes: true })
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+      if (entry.isDirectory()) {
+        if (!isIgnored(`${relativePath}/`)) {
+          await walk(relativePath)
+        }
+      } else if (!isIgnored(relativePath)) {
+        files.push(relativePath)
+      }
+    }
+  }
+
+  await walk('')
+  return files.sort()
+}
+
+/**
+ * Expands file paths and glob patterns into a list of file paths.
+ *
+ * Plain file paths are kept as is, whether the files exist or not, but must be inside the root folder.
+ * Glob patterns are matched against the files of the root folder, and patterns starting with '!' exclude
+ * the files they match.
+ *
+ * @param {string} root the folder the patterns are relative to
+ * @param {Array<string>} patterns the file paths and glob patterns
+ * @param {Function} [list] returns the files of the root folder, only called if there are globs
+ * @returns {Promise<Array<string>>} the file paths
+ */
+async function expandPatterns (root, patterns, list = () => listFiles(root)) {
+  const includes = patterns.filter(pattern => !pattern.startsWith('!'))
+  const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1))
+
+  const allFiles = includes.some(isGlob) ? await list() : []
+  const files = new Set()
+  for (const pattern of includes) {
+    if (isGlob(pattern)) {
+      allFiles.filter(file => minimatch(file, pattern, MATCH_OPTIONS)).forEach(file => files.add(file))
+    } else {
+      resolveInside(root, pattern)
+      files.add(pattern)
+    }
+  }
+
+  return [...files].filter(file => !matchesAny(file, excludes))
+}
+
+/**
+ * Renames the files and folders of a folder, recursively, when the rename function changes their name.
+ *
+ * Folders are renamed before their contents are visited. .git and node_modules folders are skipped.
+ *
+ * @param {string} root the folder
+ * @param {Function} rename returns the new name of a file or folder, given its current name
+ * @returns {Promise<Array<{from: string, to: string}>>} the renamed paths, relative to the root
+ */
+async function renamePaths (root, rename) {
+  const renamed = []
+
+  const walk = async (relativeDir) => {
+    const entries = await fs.readdir(path.join(root, relativeDir), { withFileTypes: true })
+    for (const entry of entries) {
+      const from = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+      if (matchesAny(entry.isDirectory() ? `${from}/` : from, DEFAULT_IGNORE)) {
+        continue
+      }
+
+      let to = from
+      const name = rename(entry.name)
+      if (name !== entry.name) {
+        to = relativeDir ? `${relativeDir}/${name}` : name
+        await fs.move(path.join(root, from), path.join(root, to))
+        renamed.push({ from, to })
+      }
+      if (entry.isDirectory()) {
+        await walk(to)
+      }
+    }
+  }
+
+  await walk('')
+  return renamed
+}
+
+/**
+ * Removes the folders of a path that are left empty, up to the root folder.
+ *
+ * @param {string} root the root folder
+ * @param {string} file the removed file, relative to the root
+ */
+async function removeEmptyParents (root, file) {
+  let dir = path.dirname(file)
+  while (dir !== '.') {
+    const dirPath = path.join(root, dir)
+    if (!(await fs.pathExists(dirPath)) || (await fs.readdir(dirPath)).length > 0) {
+      return
+    }
+    await fs.remove(dirPath)
+    dir = path.dirname(dir)
+  }
+}
+
+module.exports = {
+  DEFAULT_IGNORE,
+  isGlob,
+  isInside,
+  resolveInside,
+  isBinary,
+  matchesAny,
+  listFiles,
+  expandPatterns,
+  renamePaths,
+  removeEmptyParents
+}
@@ -0,0 +1,728 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const EventEmitter = require('events')
+const { Config } = require('@oclif/core')
+const fs = require('fs-extra')
+const debug = require('debug')('create-aio-lib:generator')
+const path = require('path')
+const os = require('os')
+const manifest = require('./manifest')
+const files = require('./files')
+const features = require('./features')
+const staging = require('./staging')
+const gitSource = require('./git-source')
+const templateSource = require('./template-source')
+const registry = require('./registry')
+const cache = require('./cache')
+const repository = require('./repository')
+const hooks = require('./hooks')
+const record = require('./record')
+const packageJson = require('./package-json')
+const names = require('./names')
+const lint = require('./lint')
+const workspace = require('./workspace')
+const replace = require('./replace')
+const { GenerateError, categorize } = require('./errors')
+const { replaceTokens } = require('./tokens')
+
+/**
+ * @typedef {object} GenerateOptions
+ * @property {string} libName the name of the library, its class name
+ * @property {string} repoName the repo of the library, e.g. myorg/myrepo
+ * @property {string} [description] the description of the library
+ * @property {string} [outputDir] the folder to output the library in, defaults to the current working folder
+ * @property {string} [templateUrl] the template to use: a git url or shorthand, a local folder, a tarball or an npm package
+ * @property {string} [template] the name of a registered template to use, defaults to the default registered template
+ * @property {string} [templateRef] the branch, tag or commit of a git template
+ * @property {string} [templateSubdir] the subfolder of the template source holding the template
+ * @property {object} [variables] the template variable values, keyed by variable name
+ * @property {object} [features] the optional features to enable (true) or disable (false), keyed by feature name
+ * @property {string} [author] the package author
+ * @property {string} [license] the package license
+ * @property {string|Array<string>} [keywords] the package keywords, as an array or comma separated
+ * @property {string} [packageVersion] the initial package version
+ * @property {string} [access] the publishConfig access, 'public' or 'restricted'
+ * @property {string|object} [engines] the engine version ranges, as an object or like 'node=>=18,npm=>=9'
+ * @property {string} [gitHost] the git host of the repo, see package-json.parseHost
+ * @property {boolean} [overwrite] true to replace an existing output folder
+ * @property {boolean} [dryRun] true to generate in a temporary folder, writing nothing to the output folder
+ * @property {boolean} [offline] true to only use cached copies of remote templates
+ * @property {boolean} [refresh] true to fetch remote templates even if they are cached
+ * @property {string} [record] where to record how the lib was generated, 'file' (default) or 'package.json'
+ * @property {object|boolean} [git] the git repository options, false to not initialize a repository
+ * @property {string} [git.defaultBranch] the default branch, defaults to main
+ * @property {{name: string, email: string}} [git.author] the author of the initial commit, defaults to the git configuration
+ * @property {boolean} [skipHooks] true to never run the post-generate hooks of the template
+ * @property {boolean} [trustHooks] true to run the hooks of a template given by url without confirmation
+ * @property {boolean} [strict] true to fail on tokens left in the generated files, or declared but never used
+ * @property {boolean} [workspace] true to generate the lib in the packages folder of the npm workspaces holding
+ * the output folder, without the files the root provides nor git repository, see workspace.findWorkspace
+ * @property {object} [prompts] functions asking for the missing values, nothing is asked without them
+ * @property {Function} [prompts.variables] asks for variable values, see prompts.promptForVariables
+ * @property {Function} [prompts.features] asks for the feature selection, see prompts.promptForFeatures
+ * @property {Function} [prompts.hook] confirms a hook of an untrusted template, see prompts.confirmHook
+ */
+
+/**
+ * @typedef {object} GenerateResult
+ * @property {string} destination the folder of the lib
+ * @property {boolean} destinationExists true if the destination existed before the generation
+ * @property {boolean} dryRun true if nothing was written to the destination
+ * @property {object} variables the resolved variable values
+ * @property {object} features the resolved feature selection
+ * @property {Array<string>} files the generated files, relative to the destination
+ * @property {{files: object, missing: Array<string>, binary: Array<string>}} substitutions the token substitution
+ * counts per file and token, and the listed files that were missing or binary
+ * @property {Array<{from: string, to: string}>} renamed the renamed files
+ * @property {Array<string>} removed the removed files
+ * @property {{before: string, after: string}} [packageJson] the package.json before and after the changes, on a dry run
+ * @property {Array<object>} hooks the hooks that ran, or would run on a dry run
+ * @property {{leftover: Array<object>, unused: Array<string>}} lint the tokens left in the generated files, and the
+ * tokens declared but never used, see lint.lintTokens
+ * @property {{location: string, record: object}} record the generation record, and where it was written
+ * @property {{defaultBranch: string, remoteUrl: string, commit: string}} [git] the git repository, unless disabled
+ * @property {{root: string, packagesFolder: string, registered: boolean, skipped: Array<string>, aligned: Array<object>}} [workspace]
+ * the workspace of the lib: whether it was added to the workspaces of the root package.json, the files it skipped as the
+ * root provides them, and the devDependencies aligned on the versions of the root
+ * @property {Array<string>} warnings the warnings, also emitted as 'warning' events
+ */
+
+/**
+ * Generates libs from templates.
+ *
+ * Emits 'step' events with the title of each generation step that is not skipped, 'log' events with
+ * progress messages, and 'warning' events.
+ */
+class LibGenerator extends EventEmitter {
+  /**
+   * @param {object} [options] the generator options
+   * @param {string} [options.configDir] the folder of the template registry, defaults to the one of the CLI
+   * @param {string} [options.cacheDir] the folder of the template cache, defaults to the one of the CLI
+   * @param {Function} [options.runSteps] runs a list of {title, task, skip} listr steps with a context, e.g. to render them
+   */
+  constructor (options = {}) {
+    super()
+    this.configDir = options.configDir
+    this.cacheDir = options.cacheDir
+    if (options.runSteps) {
+      this.runSteps = options.runSteps
+    }
+    this.warnings = []
+  }
+
+  log (message) {
+    this.emit('log', message)
+  }
+
+  warn (message) {
+    this.warnings.push(message)
+    this.emit('warning', message)
+  }
+
+  async runSteps (steps, ctx) {
+    for (const step of steps) {
+      if (step.skip && step.skip(ctx)) {
+        continue
+      }
+      this.emit('step', step.title)
+      await step.task(ctx, { title: step.title })
+    }
+    return ctx
+  }
+
+  async loadConfig () {
+    // the folders of the registry and cache default to the ones of the CLI
+    if (!this.configDir || !this.cacheDir) {
+      const config = await Config.load(path.join(__dirname, '..', '..'))
+      this.configDir = this.configDir || config.configDir
+      this.cacheDir = this.cacheDir || config.cacheDir
+    }
+  }
+
+  /**
+   * Generates a lib.
+   *
+   * The lib is generated in a staging folder, and only moved into place once complete.
+   *
+   * @param {GenerateOptions} options the generation options
+   * @returns {Promise<GenerateResult>} what was generated
+   */
+  async generate (options) {
+    this.warnings = []
+    await this.loadConfig()
+    // the names are validated trimmed, so they are used trimmed everywhere: folder, tokens and package.json
+    const [givenLibName, givenRepoName] = [options.libName, options.repoName].map(name => typeof name === 'string' ? name.trim() : name)
+    const nameProblem = names.validateLibName(givenLibName) || names.validateRepoName(givenRepoName)
+    if (nameProblem) {
+      throw new GenerateError(nameProblem, 'invalid')
+    }
+
+    // capitalize first letter of the lib name
+    const libName = givenLibName[0].toUpperCase() + givenLibName.slice(1)
+    debug(`Capitalize '${givenLibName}' --> '${libName}'`)
+
+    const template = await categorize('template',
+      () => this.resolveTemplate(options.templateUrl, options.template, options.templateRef, options.templateSubdir))
+    const outputFolder = options.outputDir || process.cwd()
+    // in a workspace, the lib goes in the packages folder of the root holding the output folder
+    const targetWorkspace = options.workspace
+      ? await categorize('destination', () => workspace.findWorkspace(outputFolder))
+      : undefined
+    const destination = path.join(targetWorkspace ? path.join(targetWorkspace.root, targetWorkspace.packagesFolder) : outputFolder, givenLibName)
+
+    let repoName = givenRepoName
+    if (repoName.startsWith('@')) { // strip leading @
+      repoName = repoName.slice(1)
+    }
+    if (!repoName.includes('/')) {
+      this.warn(`The repo name '${repoName}' has no org, so the package.json repository, homepage and bugs fields are removed (use a repo name like myorg/${repoName} to set them).`)
+    }
+
+    const dryRun = Boolean(options.dryRun)
+    const destinationExists = await fs.pathExists(destination)
+    if (destinationExists && !options.overwrite && !dryRun) {
+      throw new GenerateError(`Destination ${destination} exists, use the '--overwrite' flag to overwrite.`, 'destination')
+    }
+
+    // the package.json fields given as options win over the template variables of the same name
+    const packageValues = this.packageValues(options)
+    await categorize('invalid', () => packageJson.packageFields(packageValues))
+    const suppliedVariables = Object.assign({}, packageValues, options.variables)
+    const selection = options.features || {}
+    const given = options.prompts || {}
+    // the lib of a workspace is committed in the repository of the workspace
+    const git = options.git !== false && !targetWorkspace && {
+      defaultBranch: (options.git && options.git.defaultBranch) || 'main',
+      author: (options.git && options.git.author) || {}
+    }
+
+    const ctx = {
+      templateUrl: template.url,
+      templateRef: template.ref,
+      templateSubdir: template.subdir,
+      // the lib is generated in a staging folder, and only moved into place once complete;
+      // a dry run stages it in the temporary folder instead, so nothing is written to the output folder
+      templateFolder: await categorize('destination', () => dryRun
+        ? fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-'))
+        : staging.createStagingFolder(destination)),
+      destination,
+      libName,
+      repoName,
+      overwrite: options.overwrite || dryRun,
+      dryRun,
+      recordLocation: options.record || 'file',
+      git,
+      workspace: targetWorkspace
+    }
+
+    try {
+      await categorize('template', () => this.runSteps(this.templateSteps({ offline: options.offline, refresh: options.refresh }), ctx))
+      // variables are resolved between the step lists, so prompts don't clash with a step renderer
+      await categorize('invalid', async () => {
+        ctx.variables = await manifest.resolveVariables(
+          ctx.manifest,
+          Object.assign({ libName, repoName, description: options.description }, names.libNameVariants(libName), packageValues),
+          suppliedVariables,
+          given.variables
+        )
+        const featureNames = Object.keys(selection)
+        ctx.features = await features.resolveFeatures(ctx.manifest.features,
+          featureNames.filter(name => selection[name]), featureNames.filter(name => !selection[name]), given.features)
+      })
+      ctx.conditions = Object.assign({}, ctx.variables, ctx.features)
+      ctx.tokenMapping = Object.assign(manifest.defaultTokenValues(ctx.variables), manifest.tokenValues(ctx.manifest, ctx.variables))
+      await categorize('template', () => this.runSteps([...this.generateSteps(), this.lintStep(options.strict)], ctx))
+      // hooks are confirmed between the step lists too, and run in the staging folder before it is moved into place
+      ctx.hooks = dryRun
+        ? []
+        : await this.selectHooks(hooks.activeHooks(ctx.manifest.hooks, ctx.conditions), {
+          skip: options.skipHooks,
+          trusted: template.trusted || options.trustHooks,
+          confirm: given.hook
+        })
+      const hookSteps = ctx.hooks.map(hook => ({
+        title: `Run hook: ${hooks.describeHook(hook)}`,
+        task: async ctx => categorize('hook', () => hooks.runHook(hook, ctx.templateFolder, ctx))
+      }))
+      await this.runSteps([...hookSteps, ...this.finishSteps()], ctx)
+      return this.result(ctx, destinationExists)
+    } finally {
+      // nothing is left behind on failure, and this is a no-op once the staging folder was moved into place
+      await fs.remove(ctx.templateFolder)
+    }
+  }
+
+  packageValues (options) {
+    const { keywords, engines } = options
+    const values = {
+      author: options.author,
+      license: options.license,
+      keywords: Array.isArray(keywords) ? keywords.join(',') : keywords,
+      packageVersion: options.packageVersion,
+      access: options.access,
+      engines: engines && typeof engines === 'object' ? Object.keys(engines).map(name => `${name}=${engines[name]}`).join(',') : engines,
+      gitHost: options.gitHost
+    }
+    for (const name of Object.keys(values).filter(name => values[name] === undefined)) {
+      delete values[name]
+    }
+    return values
+  }
+
+  lintStep (strict) {
+    return {
+      title: 'Check tokens',
+      task: async ctx => {
+        ctx.lint = await lint.lintTokens(ctx.templateFolder, ctx.manifest, ctx.replaceReport, ctx.renamed)
+        const findings = lint.formatFindings(ctx.lint)
+        if (strict && findings.length > 0) {
+          throw new GenerateError(`Found ${findings.length} token problem(s) in the generated lib:\n${findings.map(finding => `  ${finding}`).join('\n')}`, 'template')
+        }
+        findings.forEach(finding => this.warn(finding))
+      }
+    }
+  }
+
+  finishSteps () {
+    return [{
+      title: 'Fit lib into workspace',
+      task: async ctx => {
+        if (ctx.workspace) {
+          ctx.workspaceReport = await this.fitWorkspace(ctx.templateFolder, ctx.workspace.root)
+        }
+      }
+    }, {
+      title: 'Remove hook scripts',
+      task: async ctx => {
+        ctx.hookScriptsRemoved = await hooks.removeHookScripts(ctx.manifest.hooks, ctx.templateFolder)
+      }
+    }, {
+      title: 'Write generation record',
+      task: async ctx => {
+        const template = { url: ctx.templateUrl, ref: ctx.templateRef, subdir: ctx.templateSubdir }
+        ctx.record = record.createRecord(template, ctx.resolvedTemplate, ctx.variables, ctx.features)
+        await record.writeRecord(ctx.templateFolder, ctx.record, ctx.recordLocation)
+        ctx.files = await files.listFiles(ctx.templateFolder)
+      }
+    }, {
+      title: 'Initialize git repository',
+      skip: ctx => (ctx.dryRun && 'dry run') || (!ctx.git && 'disabled'),
+      task: async ctx => {
+        ctx.commit = await categorize('git', () => this.initGitRepo(ctx.templateFolder, ctx.repoName,
+          Object.assign({ hostUrl: packageJson.parseHost(ctx.variables.gitHost).url }, ctx.git)))
+      }
+    }, {
+      title: 'Move lib into place',
+      skip: ctx => ctx.dryRun && 'dry run',
+      task: async ctx => {
+        if (ctx.workspace) {
+          ctx.workspaceReport.registered = await this.moveIntoWorkspace(ctx.templateFolder, ctx.destination, ctx.workspace.root)
+        } else {
+          await categorize('destination', () => staging.commitStagingFolder(ctx.templateFolder, ctx.destination))
+        }
+      }
+    }, {
+      title: 'Lib Location',
+      task: (ctx, task) => {
+        task.title = ctx.dryRun
+          ? `Dry run, lib would be created at ${ctx.destination}`
+          : `Lib created at ${ctx.destination}`
+      }
+    }]
+  }
+
+  result (ctx, destinationExists) {
+    return {
+      destination: ctx.destination,
+      destinationExists,
+      dryRun: ctx.dryRun,
+      variables: ctx.variables,
+      features: ctx.features,
+      files: ctx.files,
+      substitutions: ctx.replaceReport,
+      renamed: [...ctx.cleanupReport.renamed, ...ctx.renamed],
+      removed: [...ctx.featuresReport.removed, ...ctx.cleanupReport.removed, ...ctx.hookScriptsRemoved],
+      packageJson: ctx.dryRun ? { before: ctx.packageJsonBefore, after: ctx.packageJsonAfter } : undefined,
+      hooks: ctx.dryRun ? hooks.activeHooks(ctx.manifest.hooks, ctx.conditions) : ctx.hooks,
+      lint: ctx.lint,
+      record: { location: ctx.recordLocation, record: ctx.record },
+      git: ctx.git && {
+        defaultBranch: ctx.git.defaultBranch,
+        remoteUrl: repository.originUrl(ctx.repoName, packageJson.parseHost(ctx.variables.gitHost).url),
+        commit: ctx.commit
+      },
+      workspace: ctx.workspace && Object.assign({ root: ctx.workspace.root, packagesFolder: ctx.workspace.packagesFolder }, ctx.workspaceReport),
+      warnings: this.warnings
+    }
+  }
+
+  templateSteps (cacheOptions) {
+    return [{
+      title: 'Copy template',
+      task: async (ctx, task) => {
+        if (!ctx.templateUrl) {
+          ctx.resolvedTemplate = await this.copyTemplate(ctx.templateFolder, ctx.overwrite)
+          return
+        }
+        task.title = `Fetching template from ${ctx.templateUrl}`
+        ctx.resolvedTemplate = await this.fetchTemplate(ctx.templateUrl, ctx.templateFolder, ctx.templateRef, ctx.templateSubdir, cacheOptions)
+      }
+    }, {
+      title: 'Remove .git folder',
+      task: async ctx => this.removeDotGitFolder(ctx.templateFolder)
+    }, {
+      title: 'Read parameters file',
+      task: async ctx => {
+        ctx.paramsJson = await this.readParametersFile(ctx.templateFolder)
+        ctx.manifest = manifest.loadManifest(ctx.paramsJson)
+      }
+    }]
+  }
+
+  generateSteps () {
+    return [{
+      title: 'Apply features',
+      task: async ctx => {
+        ctx.featuresReport = await features.applyFeatures(ctx.templateFolder, ctx.manifest, ctx.conditions)
+      }
+    }, {
+      title: 'Update package.json',
+      task: async ctx => {
+        const packageJsonFile = path.join(ctx.templateFolder, 'package.json')
+        if (ctx.dryRun) {
+          ctx.packageJsonBefore = await fs.readFile(packageJsonFile, 'utf8').catch(() => '')
+        }
+        await this.updatePackageJson(ctx.templateFolder, ctx.repoName, packageJson.packageFields(ctx.variables))
+        if (ctx.dryRun) {
+          ctx.packageJsonAfter = await fs.readFile(packageJsonFile, 'utf8')
+        }
+      }
+    }, {
+      title: 'Replace text',
+      task: async ctx => {
+        ctx.replaceReport = await this.replaceText(ctx.templateFolder, manifest.tokenFiles(ctx.manifest), ctx.libName, ctx.repoName,
+          manifest.tokenValues(ctx.manifest, ctx.variables))
+      }
+    }, {
+      title: 'Cleanup',
+      task: async ctx => {
+        const renames = {}
+        for (const from of Object.keys(ctx.manifest.rename)) {
+          renames[from] = replaceTokens(ctx.manifest.rename[from], ctx.tokenMapping)
+        }
+        ctx.cleanupReport = await this.cleanup(ctx.templateFolder, renames, ctx.manifest.remove)
+      }
+    }, {
+      title: 'Rename files',
+      task: async ctx => {
+        ctx.renamed = await this.renamePaths(ctx.templateFolder, ctx.tokenMapping)
+      }
+    }]
+  }
+
+  async renderTemplate (folder, template, generation, suppliedVariables, cacheOptions) {
+    // generates a template again with the values of a generation record, without prompts nor hooks, see the update command
+    const { libName, repoName } = generation.variables
+    const ctx = {
+      template,
+      templateUrl: template.url,
+      templateRef: template.ref,
+      templateSubdir: template.subdir,
+      templateFolder: folder,
+      libName,
+      repoName,
+      overwrite: true
+    }
+    await this.runSteps(this.templateSteps(cacheOptions), ctx)
+
+    // derived variables are derived again, in case the template changed how
+    const variables = ctx.manifest.variables
+    const builtins = {}
+    const recorded = {}
+    for (const name of Object.keys(generation.variables)) {
+      if (manifest.BUILTIN_VARIABLES.includes(name)) {
+        builtins[name] = generation.variables[name]
+      }
+      if (variables[name] && !variables[name].derive) {
+        recorded[name] = generation.variables[name]
+      }
+    }
+    Object.assign(builtins, names.libNameVariants(libName))
+    ctx.variables = await manifest.resolveVariables(ctx.manifest, builtins, Object.assign(recorded, suppliedVariables))
+
+    // features the template added since take their default
+    const featureNames = Object.keys(ctx.manifest.features)
+    const selection = generation.features
+    ctx.features = await features.resolveFeatures(ctx.manifest.features,
+      featureNames.filter(name => selection[name] === true), featureNames.filter(name => selection[name] === false))
+    ctx.conditions = Object.assign({}, ctx.variables, ctx.features)
+    ctx.tokenMapping = Object.assign(manifest.defaultTokenValues(ctx.variables), manifest.tokenValues(ctx.manifest, ctx.variables))
+
+    await this.runSteps(this.generateSteps(), ctx)
+    await hooks.removeHookScripts(ctx.manifest.hooks, folder)
+    return ctx
+  }
+
+  async copyTemplate (toFolder, overwrite) {
+    // will only work if the module is CommonJs (unless for ESM package.json is exported) - finds the module root path
+    const packageJsonFile = require.resolve('@adobe/aio-lib-template/package.json')
+    await fs.copy(path.dirname(packageJsonFile), toFolder, { overwrite, errorOnExist: !overwrite })
+    const { name, version } = require(packageJsonFile)
+    return { package: name, version }
+  }
+
+  async resolveTemplate (templateUrl, templateName, ref, subdir) {
+    if (templateUrl) {
+      return { url: templateUrl, ref, subdir, trusted: false }
+    }
+    // without a template url, use a registered template: the default one unless a name is given
+    const templates = await registry.loadRegistry(registry.registryFile(this.configDir))
+    const template = registry.getTemplate(templates, templateName)
+    debug('Registered template', template)
+    // registered templates were added by the user, so their hooks are trusted
+    return template.bundled ? { trusted: true } : { url: template.source, ref: template.ref, subdir: template.subdir, trusted: true }
+  }
+
+  async selectHooks (candidates, { skip, trusted, confirm }) {
+    if (candidates.length === 0) {
+      return []
+    }
+    if (skip) {
+      this.log(`Skipping ${candidates.length} template hook(s).`)
+      return []
+    }
+    if (trusted) {
+      return candidates
+    }
+    if (!confirm) {
+      this.warn(`Skipping the hooks of an untrusted template (${candidates.map(hooks.describeHook).join(', ')}), use --trust-hooks to run them.`)
+      return []
+    }
+    const selected = []
+    for (const hook of candidates) {
+      if (await confirm(hook)) {
+        selected.push(hook)
+      }
+    }
+    return selected
+  }
+
+  async fetchTemplate (spec, toFolder, ref, subdir, cacheOptions = {}) {
+    const source = templateSource.parseTemplateSource(spec, { ref, subdir })
+    debug('Template source', source)
+    this.log(`Fetching ${templateSource.describeSource(source)}...`)
+    const result = await cache.fetchTemplate(this.cacheDir, source, toFolder,
+      Object.assign({ token: process.env[gitSource.TOKEN_ENV] }, cacheOptions))
+    if (result.cached) {
+      this.log(`Using the cached copy fetched at ${result.fetchedAt} (use --refresh to fetch it again)`)
+    }
+    return result.resolved
+  }
+
+  async initGitRepo (folder, repoName, options) {
+    const author = await repository.resolveAuthor(options.author)
+    const commit = await repository.initRepository(folder, {
+      defaultBranch: options.defaultBranch,
+      remoteUrl: repository.originUrl(repoName, options.hostUrl),
+      author
+    })
+    if (!commit) {
+      this.warn('No git author is configured, the repository was initialized without an initial commit (use --gitAuthorName or set the user.name git config).')
+    }
+    return commit
+  }
+
+  async fitWorkspace (folder, root) {
+    // drops the files the root of the workspace provides, and aligns the shared devDependencies on the root
+    const skipped = await workspace.rootProvidedFiles(root, await files.listFiles(folder))
+    for (const file of skipped) {
+      await fs.remove(path.join(folder, file))
+      await files.removeEmptyParents(folder, file)
+    }
+    const packageJsonFile = path.join(folder, 'package.json')
+    const json = await fs.readJson(packageJsonFile)
+    const aligned = workspace.alignDevDependencies(json, await fs.readJson(path.join(root, 'package.json')))
+    if (aligned.length > 0) {
+      await fs.writeJson(packageJsonFile, json, { spaces: 2 })
+    }
+    return { registered: false, skipped, aligned }
+  }
+
+  async moveIntoWorkspace (folder, destination, root) {
+    // registers the lib before moving it, and unregisters it if the move fails, so the workspace never
+    // holds an unregistered lib
+    const rootPackageJsonFile = path.join(root, 'package.json')
+    const rootPackageJson = await categorize('destination', () => fs.readFile(rootPackageJsonFile, 'utf8'))
+    const registered = await categorize('destination', () => workspace.registerWorkspace(root, destination))
+    try {
+      await categorize('destination', () => staging.commitStagingFolder(folder, destination))
+    } catch (error) {
+      await fs.writeFile(rootPackageJsonFile, rootPackageJson)
+      throw error
+    }
+    return registered
+  }
+
+  async removeDotGitFolder (repoFolder) {
+    // remove .git folder
+    const dotGitFolder = path.join(repoFolder, '.git')
+    return fs.remove(dotGitFolder)
+  }
+
+  async readParametersFile (repoFolder) {
+    // read the template.parameters.json file
+    const paramsFileName = 'template.parameters.json'
+    const paramsFile = path.resolve(repoFolder, paramsFileName)
+
+    if (!(await fs.pathExists(paramsFile))) {
+      throw new Error(`${paramsFileName} does not exist in ${repoFolder}`)
+    }
+
+    debug(`Read parameters file at ${paramsFile}`)
+    // not required, as require resolves relative paths from this module and caches the file
+    return fs.readJson(paramsFile)
+  }
+
+  async updatePackageJson (repoFolder, repoName, fields = {}) {
+    this.log(`Updating package.json in ${repoFolder} with ${repoName}`)
+    const packageJsonFile = path.join(repoFolder, 'package.json')
+
+    if (!(await fs.pathExists(packageJsonFile))) {
+      throw new Error(`${packageJsonFile} does not exist in ${repoFolder}`)
+    }
+
+    const json = await fs.readJson(packageJsonFile)
+    json.bugs = json.bugs || {}
+
+    // replace name and repository fields
+    // deal with scoped packages specially
+    if (repoName.indexOf('/') > 0) {
+      const { repository, homepage, bugs } = packageJson.repositoryFields(repoName, fields.host || packageJson.parseHost())
+      json.name = `@${repoName}`
+      json.repository = repository
+      json.homepage = homepage
+      json.bugs.url = bugs.url
+    } else {
+      json.name = repoName
+      delete json.repository
+      delete json.homepage
+      delete json.bugs
+    }
+
+    for (const field of ['description', 'author', 'license', 'keywords']) {
+      if (fields[field]) {
+        json[field] = fields[field]
+      }
+    }
+    if (fields.engines) {
+      json.engines = Object.assign({}, json.engines, fields.engines)
+    }
+    if (fields.access) {
+      json.publishConfig = Object.assign({}, json.publishConfig, { access: fields.access })
+    }
+
+    json.version = fields.version || packageJson.DEFAULT_VERSION
+
+    // get all underscored keys, and remove them
+    for (const key of Object.keys(json)) {
+      if (key.startsWith('_')) {
+        delete json[key]
+      }
+    }
+
+    return fs.writeJson(packageJsonFile, json, { spaces: 2 })
+  }
+
+  async cleanup (repoFolder, filesToRename = manifest.DEFAULT_RENAMES, filesToRemove = manifest.DEFAULT_REMOVALS) {
+    const removed = []
+    for (const file of [...filesToRemove, 'template.parameters.json']) {
+      const filePath = files.resolveInside(repoFolder, file)
+      if (await fs.pathExists(filePath)) {
+        removed.push(file)
+      }
+      await fs.remove(filePath)
+    }
+
+    const renamed = []
+    for (const key of Object.keys(filesToRename)) {
+      const value = filesToRename[key]
+      try {
+        await fs.move(files.resolveInside(repoFolder, key), files.resolveInside(repoFolder, value), { overwrite: true })
+        renamed.push({ from: key, to: value })
+      } catch (error) {
+        // templates don't have to provide every file of the rename map
+        if (error.code !== 'ENOENT') {
+          throw error
+        }
+        debug(`Nothing to rename at ${key}`)
+      }
+    }
+
+    return { removed, renamed }
+  }
+
+  async renamePaths (repoFolder, mapping) {
+    // expand the tokens in file and folder names, e.g. src/{{LIB_NAME}}.js
+    const renamed = await files.renamePaths(repoFolder, name => replaceTokens(name, mapping))
+    renamed.forEach(({ from, to }) => debug(`Renamed ${from} --> ${to}`))
+    return renamed
+  }
+
+  async replaceText (repoFolder, paramsJson, libName, repoName, mapping = {}) {
+    const toFrom = Object.assign({
+      '{{REPO}}': repoName,
+      '{{LIB_NAME}}': libName,
+      LibNameCoreAPI: libName
+    }, mapping)
+    debug(`Replacement mapping: ${toFrom}`)
+
+    // expand the file paths and globs of each token, listing the template files at most once
+    let templateFiles
+    const listTemplateFiles = async () => {
+      templateFiles = templateFiles || await files.listFiles(repoFolder)
+      return templateFiles
+    }
+    const fileTokens = new Map()
+    for (const token of Object.keys(paramsJson)) {
+      for (const pathItem of await files.expandPatterns(repoFolder, paramsJson[token], listTemplateFiles)) {
+        fileTokens.set(pathItem, [...(fileTokens.get(pathItem) || []), token])
+      }
+    }
+
+    // tokens without value are left as is, each one warned once
+    const mappedValues = {}
+    for (const token of new Set([...fileTokens.values()].flat())) {
+      if (toFrom[token]) {
+        mappedValues[token] = toFrom[token]
+      } else {
+        this.warn(`No mapping found, skipping replace of ${token}`)
+      }
+    }
+
+    return replace.replaceFiles(repoFolder, fileTokens, mappedValues)
+  }
+}
+
+/**
+ * Generates a lib, see LibGenerator to follow the progress of the generation.
+ *
+ * @param {GenerateOptions} options the generation options
+ * @returns {Promise<GenerateResult>} what was generated
+ */
+function createLib (options) {
+  return new LibGenerator().generate(options)
+}
+
+module.exports = {
+  LibGenerator,
+  createLib
+}
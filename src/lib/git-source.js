@@ -0,0 +1,213 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const { spawn } = require('child_process')
+const git = require('isomorphic-git')
+const http = require('isomorphic-git/http/node')
+const debug = require('debug')('create-aio-lib:git-source')
+
+// the environment variable holding a token for private template repositories
+const TOKEN_ENV = 'CREATE_AIO_LIB_TEMPLATE_TOKEN'
+
+// shorthand prefixes, e.g. `github:org/repo#v2`
+const HOSTS = {
+  github: 'https://github.com',
+  gitlab: 'https://gitlab.com',
+  bitbucket: 'https://bitbucket.org'
+}
+
+// the username to send a token with, by host (the default works for GitHub and GitHub Enterprise)
+const TOKEN_USERNAMES = {
+  'gitlab.com': 'oauth2',
+  'bitbucket.org': 'x-token-auth'
+}
+
+const SHORTHAND = /^(github|gitlab|bitbucket):([^/#]+)\/([^/#]+)((?:\/[^#]*)?)$/
+const COMMIT = /^[0-9a-f]{7,40}$/i
+
+/**
+ * Parses a git template source: a url, or a shorthand like `github:org/repo`, `gitlab:org/repo/sub/folder`
+ * or `bitbucket:org/repo`, optionally followed by `#ref` (a branch, a tag or a commit).
+ *
+ * @param {string} source the template source
+ * @param {object} [overrides] the ref and subfolder to use, win over the ones of the source
+ * @param {string} [overrides.ref] the branch, tag or commit to check out
+ * @param {string} [overrides.subdir] the subfolder of the repository holding the template
+ * @returns {{url: string, ref: string, subdir: string}} the git source, ref and subdir are undefined when not set
+ */
+function parseGitSource (source, overrides = {}) {
+  const hashIndex = source.indexOf('#')
+  const location = hashIndex === -1 ? source : source.slice(0, hashIndex)
+  const sourceRef = hashIndex === -1 ? undefined : source.slice(hashIndex + 1) || undefined
+
+  let url = location
+  let sourceSubdir
+  const shorthand = location.match(SHORTHAND)
+  if (shorthand) {
+    const [, host, org, repo, subdir] = shorthand
+    url = `${HOSTS[host]}/${org}/${repo}`
+    sourceSubdir = subdir.replace(/^\/+|\/+$/g, '') || undefined
+  }
+
+  const subdir = overrides.subdir || sourceSubdir
+  validateSubdir(subdir)
+  return { url, ref: overrides.ref || sourceRef, subdir }
+}
+
+/**
+ * Checks that a template subfolder stays inside the template.
+ *
+ * @param {string} [subdir] the subfolder
+ */
+function validateSubdir (subdir) {
+  if (subdir && subdir.split(/[\\/]/).includes('..')) {
+    throw new Error(`Invalid template subfolder '${subdir}', it must be inside the template`)
+  }
+}
+
+/**
+ * Asks the git credential helpers for the credentials of a url, like `git clone` does.
+ *
+ * @param {string} url the repository url
+ * @returns {Promise<{username: string, password: string}|undefined>} the credentials, undefined if there are none
+ */
+function fillCredentials (url) {
+  const { protocol, host, pathname } = new URL(url)
+  const input = `protocol=${protocol.slice(0, -1)}\nhost=${host}\npath=${pathname.slice(1)}\n\n`
+
+  return new Promise(resolve => {
+    // never let git prompt on the terminal, a missing credential cancels the clone instead
+    const child = spawn('git', ['credential', 'fill'], {
+      env: Object.assign({}, process.env, { GIT_TERMINAL_PROMPT: '0' }),
+      stdio: ['pipe', 'pipe', 'ignore']
+    })
+    let output = ''
+    child.stdout.on('data', data => { output += data })
+    child.on('error', error => {
+      debug('git credential fill failed', error.message)
+      resolve()
+    })
+    child.on('close', code => {
+      const values = {}
+      output.split('\n').forEach(line => {
+        const index = line.indexOf('=')
+        if (index > 0) {
+          values[line.slice(0, index)] = line.slice(index + 1)
+        }
+      })
+      resolve(code === 0 && values.password ? { username: values.username, password: values.password } : undefined)
+    })
+    child.stdin.on('error', () => {}) // reported by the 'error' event of the child
+    child.stdin.end(input)
+  })
+}
+
+/**
+ * Creates the isomorphic-git auth callbacks for a repository.
+ *
+ * A token is sent when set, otherwise the git credential helpers are asked. Failed or missing
+ * credentials cancel the clone, rather than retrying.
+ *
+ * @param {string} url the repository url
+ * @param {string} [token] the token to authenticate with
+ * @returns {{onAuth: Function, onAuthFailure: Function}} the auth callbacks
+ */
+function createAuth (url, token) {
+  return {
+    onAuth: async () => {
+      if (token) {
+        const username = TOKEN_USERNAMES[new URL(url).host]
+        return username ? { username, password: token } : { username: token, password: 'x-oauth-basic' }
+      }
+      return (await fillCredentials(url)) || { cancel: true }
+    },
+    onAuthFailure: () => ({ cancel: true })
+  }
+}
+
+/**
+ * Clones a repository into a folder, and checks out a branch, a tag or a commit.
+ *
+ * Branches and tags are shallow cloned, commits need the full history.
+ *
+ * @param {object} source the parsed git source, see parseGitSource
+ * @param {string} dir the folder to clone into
+ * @param {object} auth the auth callbacks, see createAuth
+ * @returns {Promise<string>} the checked out commit
+ */
+async function clone (source, dir, auth) {
+  const isCommit = Boolean(source.ref) && COMMIT.test(source.ref)
+  const cloneOptions = Object.assign({ fs, http, dir, url: source.url }, auth, isCommit
+    ? { noCheckout: true }
+    : { ref: source.ref, singleBranch: true, depth: 1 })
+  debug('Clone options', Object.assign({}, cloneOptions, { fs: undefined, http: undefined }))
+
+  try {
+    await git.clone(cloneOptions)
+  } catch (error) {
+    if (error.code === git.Errors.UserCanceledError.code) {
+      throw new Error(`Authentication failed for ${source.url}, set ${TOKEN_ENV} or configure a git credential helper`)
+    }
+    if (error.code === git.Errors.NotFoundError.code && source.ref) {
+      throw new Error(`Ref '${source.ref}' not found in ${source.url}`)
+    }
+    throw error
+  }
+
+  if (isCommit) {
+    const oid = await git.expandOid({ fs, dir, oid: source.ref }).catch(() => {
+      throw new Error(`Commit '${source.ref}' not found in ${source.url}`)
+    })
+    await git.checkout({ fs, dir, ref: oid, force: true })
+    return oid
+  }
+  return git.resolveRef({ fs, dir, ref: 'HEAD' })
+}
+
+/**
+ * Clones a git template source into a folder. When the source has a subfolder, only the subfolder
+ * is copied into the folder.
+ *
+ * @param {object} source the parsed git source, see parseGitSource
+ * @param {string} toFolder the folder to clone into
+ * @param {string} [token] the token to authenticate with, see createAuth
+ * @returns {Promise<string>} the cloned commit
+ */
+async function cloneGitSource (source, toFolder, token) {
+  const auth = createAuth(source.url, token)
+  if (!source.subdir) {
+    return clone(source, toFolder, auth)
+  }
+
+  const cloneFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-clone-'))
+  try {
+    const commit = await clone(source, cloneFolder, auth)
+    const templateFolder = path.join(cloneFolder, source.subdir)
+    if (!(await fs.pathExists(templateFolder))) {
+      throw new Error(`Template subfolder '${source.subdir}' does not exist in ${source.url}`)
+    }
+    await fs.copy(templateFolder, toFolder)
+    return commit
+  } finally {
+    await fs.remove(cloneFolder)
+  }
+}
+
+module.exports = {
+  TOKEN_ENV,
+  parseGitSource,
+  validateSubdir,
+  createAuth,
+  cloneGitSource
+}
@@ -0,0 +1,134 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const { spawn } = require('child_process')
+const debug = require('debug')('create-aio-lib:hooks')
+const files = require('./files')
+const { replaceTokens } = require('./tokens')
+
+/**
+ * Describes a hook, for task titles and prompts.
+ *
+ * @param {object} hook the hook definition
+ * @returns {string} its title, else its command or script
+ */
+function describeHook (hook) {
+  return hook.title || hook.run || `node ${hook.script}`
+}
+
+/**
+ * Gets the hooks that apply to the resolved features and variables, in order.
+ *
+ * @param {Array<object>} hooks the hook definitions of the manifest
+ * @param {object} conditions the feature selection and variable values, keyed by name
+ * @returns {Array<object>} the hooks to run
+ */
+function activeHooks (hooks, conditions) {
+  return hooks.filter(hook => hook.when === undefined || Boolean(conditions[hook.when]))
+}
+
+/**
+ * Runs a shell command, capturing its output.
+ *
+ * @param {string} command the command
+ * @param {string} cwd the folder to run the command in
+ * @returns {Promise<string>} the output, stdout and stderr interleaved
+ */
+function runCommand (command, cwd) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { cwd, env: process.env, shell: true })
+    let output = ''
+    child.stdout.on('data', data => { output += data })
+    child.stderr.on('data', data => { output += data })
+    // the shell could not be started, e.g. in a missing folder
+    child.on('error', reject)
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(output)
+      } else {
+        reject(Object.assign(new Error(`exited with code ${code}`), { output }))
+      }
+    })
+  })
+}
+
+/**
+ * Runs a post-generate hook in the generated lib.
+ *
+ * Shell commands have their tokens replaced, and run with the generated lib as working folder. Script
+ * hooks are JS modules of the template exporting a function, which is called with the generated lib
+ * folder, the variable values, the feature selection and a log function.
+ *
+ * @param {object} hook the hook definition
+ * @param {string} folder the generated lib folder
+ * @param {object} context the generation context
+ * @param {object} context.variables the resolved variable values
+ * @param {object} context.features the feature selection
+ * @param {object} context.tokenMapping the replacement values, keyed by token
+ * @returns {Promise<string>} the captured output of the hook
+ */
+async function runHook (hook, folder, context) {
+  let output = ''
+  try {
+    if (hook.run) {
+      const command = replaceTokens(hook.run, context.tokenMapping)
+      debug(`Running '${command}' in ${folder}`)
+      output = await runCommand(command, folder)
+    } else {
+      const script = require.resolve(path.resolve(folder, hook.script))
+      let hookFunction
+      try {
+        hookFunction = require(script)
+      } finally {
+        // the script of the next lib generated from the same folder must be loaded afresh
+        delete require.cache[script]
+      }
+      if (typeof hookFunction !== 'function') {
+        throw new Error(`${hook.script} must export a function`)
+      }
+      const log = (...args) => { output += `${args.join(' ')}\n` }
+      await hookFunction({ folder, variables: context.variables, features: context.features, log })
+    }
+  } catch (error) {
+    const captured = output || error.output
+    throw new Error(`Hook '${describeHook(hook)}' failed: ${error.message}${captured ? `\n${captured.trimEnd()}` : ''}`)
+  }
+  debug(`Hook '${describeHook(hook)}' output`, output)
+  return output
+}
+
+/**
+ * Removes the script files of the hooks from the generated lib, since they are part of the template only.
+ *
+ * @param {Array<object>} hooks the hook definitions of the manifest
+ * @param {string} folder the generated lib folder
+ * @returns {Promise<Array<string>>} the removed files
+ */
+async function removeHookScripts (hooks, folder) {
+  const removed = []
+  for (const script of new Set(hooks.filter(hook => hook.script).map(hook => hook.script))) {
+    if (await fs.pathExists(path.join(folder, script))) {
+      await fs.remove(path.join(folder, script))
+      await files.removeEmptyParents(folder, script)
+      removed.push(script)
+    }
+  }
+  return removed
+}
+
+module.exports = {
+  describeHook,
+  activeHooks,
+  runHook,
+  removeHookScripts
+}
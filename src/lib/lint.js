@@ -0,0 +1,137 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const debug = require('debug')('create-aio-lib:lint')
+const files = require('./files')
+const { escapeRegExp } = require('./tokens')
+
+// placeholders like {{NAME}}, but not GitHub Actions expressions like ${{ matrix.node }}
+const PLACEHOLDER_PATTERN = /(?<!\$)\{\{\s*[A-Za-z_][\w.-]*\s*\}\}/g
+
+/**
+ * @typedef {object} LeftoverToken
+ * @property {string} token the token, or placeholder
+ * @property {string} file the generated file it is left in, relative to the lib folder
+ * @property {Array<number>} lines the lines it is left on, empty when it is left in the file path
+ */
+
+/**
+ * @typedef {object} TokenLint
+ * @property {Array<LeftoverToken>} leftover the tokens and placeholders left in the generated files
+ * @property {Array<string>} unused the tokens of the manifest which were never replaced
+ */
+
+/**
+ * Finds the tokens of a text.
+ *
+ * @param {string} text the text
+ * @param {Array<RegExp>} patterns the patterns of the tokens
+ * @returns {Array<string>} the tokens found, once each
+ */
+function findTokens (text, patterns) {
+  const found = new Set()
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      found.add(match[0])
+    }
+  }
+  return [...found]
+}
+
+/**
+ * Finds the tokens and placeholders left in the files of a generated lib.
+ *
+ * @param {string} folder the folder of the lib
+ * @param {Array<string>} tokens the tokens of the template manifest
+ * @param {Array<string>} [ignore] glob patterns of the files to skip, e.g. the ignored files of the manifest
+ * @returns {Promise<Array<LeftoverToken>>} the leftover tokens, by file
+ */
+async function findLeftoverTokens (folder, tokens, ignore = []) {
+  const patterns = [PLACEHOLDER_PATTERN, ...tokens.map(token => new RegExp(escapeRegExp(token), 'g'))]
+  const leftover = []
+  for (const file of await files.listFiles(folder, ignore)) {
+    for (const token of findTokens(file, patterns)) {
+      leftover.push({ token, file, lines: [] })
+    }
+    const contents = await fs.readFile(path.join(folder, file))
+    if (files.isBinary(contents)) {
+      continue
+    }
+    const found = new Map()
+    contents.toString('utf8').split('\n').forEach((line, index) => {
+      for (const token of findTokens(line, patterns)) {
+        found.set(token, [...(found.get(token) || []), index + 1])
+      }
+    })
+    for (const [token, lines] of found) {
+      leftover.push({ token, file, lines })
+    }
+  }
+  debug('Leftover tokens', leftover)
+  return leftover
+}
+
+/**
+ * Finds the tokens of a template manifest which were never replaced, in the files nor in the file names.
+ *
+ * @param {object} manifest the template manifest, see manifest.loadManifest
+ * @param {{files: object}} substitutions the substitution counts per file and token, see replaceText
+ * @param {Array<{from: string, to: string}>} renamed the paths renamed by their tokens
+ * @returns {Array<string>} the unused tokens
+ */
+function findUnusedTokens (manifest, substitutions, renamed) {
+  const counts = Object.values(substitutions.files)
+  const names = [...Object.values(manifest.rename), ...renamed.map(({ from }) => from), ...manifest.hooks.map(hook => hook.run || '')]
+  return Object.keys(manifest.tokens).filter(token =>
+    !counts.some(count => count[token] > 0) && !names.some(name => name.includes(token)))
+}
+
+/**
+ * Lints the tokens of a generated lib: the tokens and placeholders left in its files, and the
+ * tokens the template declares but never uses.
+ *
+ * @param {string} folder the folder of the lib
+ * @param {object} manifest the template manifest, see manifest.loadManifest
+ * @param {{files: object}} substitutions the substitution counts per file and token, see replaceText
+ * @param {Array<{from: string, to: string}>} renamed the paths renamed by their tokens
+ * @returns {Promise<TokenLint>} the findings
+ */
+async function lintTokens (folder, manifest, substitutions, renamed) {
+  return {
+    leftover: await findLeftoverTokens(folder, Object.keys(manifest.tokens), manifest.ignore),
+    unused: findUnusedTokens(manifest, substitutions, renamed)
+  }
+}
+
+/**
+ * Describes the findings of a token lint.
+ *
+ * @param {TokenLint} lint the findings
+ * @returns {Array<string>} a message per finding
+ */
+function formatFindings (lint) {
+  return [
+    ...lint.leftover.map(({ token, file, lines }) => lines.length > 0
+      ? `Token '${token}' is left in ${file} (line${lines.length > 1 ? 's' : ''} ${lines.join(', ')})`
+      : `Token '${token}' is left in the file name ${file}`),
+    ...lint.unused.map(token => `Token '${token}' is declared by the template but never used`)
+  ]
+}
+
+module.exports = {
+  PLACEHOLDER_PATTERN,
+  findLeftoverTokens,
+  findUnusedTokens,
+  lintTokens,
+  formatFindings
+}
@@ -0,0 +1,436 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const debug = require('debug')('create-aio-lib:manifest')
+const files = require('./files')
+const { transforms, LIB_NAME_VARIANTS } = require('./names')
+const { PACKAGE_VARIABLES } = require('./package-json')
+
+// variables that are always available to templates
+const BUILTIN_VARIABLES = ['libName', 'repoName', 'description', ...Object.keys(LIB_NAME_VARIANTS), ...PACKAGE_VARIABLES]
+
+// the tokens understood by the legacy (flat) parameters file format
+const LEGACY_TOKENS = {
+  '{{REPO}}': 'repoName',
+  '{{LIB_NAME}}': 'libName',
+  LibNameCoreAPI: 'libName'
+}
+
+// the files renamed after generation, unless the template declares its own rename map
+const DEFAULT_RENAMES = {
+  'gitignore.template': '.gitignore',
+  'npmrc.template': '.npmrc'
+}
+
+// the files removed after generation, unless the template declares its own removals
+const DEFAULT_REMOVALS = ['types.d.ts']
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean']
+
+/**
+ * @typedef {object} VariableDefinition
+ * @property {string} [type] one of 'string', 'number' or 'boolean' (defaults to 'string')
+ * @property {string} [description] the description, used as the prompt message
+ * @property {string|number|boolean} [default] the default value
+ * @property {string} [pattern] a regular expression string values must match
+ * @property {boolean} [required] true if a value must be supplied
+ * @property {boolean} [prompt] false to never prompt for the variable (defaults to true)
+ * @property {object} [derive] derive the value from another variable
+ * @property {string} derive.from the name of the variable to derive the value from
+ * @property {string} derive.transform the transform to apply, e.g. 'kebab-case'
+ */
+
+/**
+ * @typedef {object} TemplateManifest
+ * @property {number} manifestVersion 1 for the legacy flat format, 2 for the declarative format
+ * @property {object} variables the declared variables, keyed by variable name
+ * @property {object} tokens the tokens to replace, keyed by token,
+ * with the variable supplying the value and the files (paths or glob patterns) to replace it in
+ * @property {boolean} scanAllFiles true to replace the tokens in all the text files of the template
+ * @property {Array<string>} ignore glob patterns of files to never replace tokens in
+ * @property {object} rename the files to rename after generation, mapping template paths to
+ * generated paths (which can contain tokens)
+ * @property {Array<string>} remove the files to remove after generation
+ * @property {object} features the optional features, keyed by feature name
+ * @property {Array<string>} conditionalFiles glob patterns of the files with conditional blocks
+ * @property {Array<HookDefinition>} hooks the post-generate hooks, in the order they run
+ */
+
+/**
+ * @typedef {object} HookDefinition
+ * @property {string} [title] the title of the hook, defaults to its command or script
+ * @property {string} [run] a shell command, which can contain tokens
+ * @property {string} [script] the path of a JS module of the template, exporting a function
+ * @property {string} [when] the name of a feature or variable, the hook only runs if it is truthy
+ */
+
+/**
+ * @typedef {object} FeatureDefinition
+ * @property {string} [description] the description, used in the prompt
+ * @property {boolean} [default] true if the feature is enabled by default (defaults to false)
+ * @property {Array<string>} [files] file paths and glob patterns of the files to drop when the feature is disabled
+ */
+
+/**
+ * Validates a variable definition of a v2 manifest.
+ *
+ * @param {string} name the name of the variable
+ * @param {VariableDefinition} definition the definition
+ * @param {Array<string>} names the names of all declared and builtin variables
+ */
+function validateDefinition (name, definition, names) {
+  if (typeof definition !== 'object' || definition === null) {
+    throw new Error(`Variable '${name}' must be an object`)
+  }
+  if (definition.type && !VARIABLE_TYPES.includes(definition.type)) {
+    throw new Error(`Variable '${name}' has an unknown type '${definition.type}', use one of ${VARIABLE_TYPES.join(', ')}`)
+  }
+  if (definition.pattern) {
+    try {
+      RegExp(definition.pattern)
+    } catch (e) {
+      throw new Error(`Variable '${name}' has an invalid pattern: ${e.message}`)
+    }
+  }
+  if (definition.derive) {
+    const { from, transform } = definition.derive
+    if (!names.includes(from)) {
+      throw new Error(`Variable '${name}' is derived from an unknown variable '${from}'`)
+    }
+    if (!transforms[transform]) {
+      throw new Error(`Variable '${name}' has an unknown transform '${transform}', use one of ${Object.keys(transforms).join(', ')}`)
+    }
+  }
+}
+
+/**
+ * Validates a feature definition of a v2 manifest.
+ *
+ * @param {string} name the name of the feature
+ * @param {FeatureDefinition} feature the definition
+ * @param {Array<string>} names the names of all declared and builtin variables
+ */
+function validateFeature (name, feature, names) {
+  if (names.includes(name)) {
+    throw new Error(`Feature '${name}' has the same name as a variable`)
+  }
+  if (typeof feature !== 'object' || feature === null) {
+    throw new Error(`Feature '${name}' must be an object`)
+  }
+  if (feature.files !== undefined && !Array.isArray(feature.files)) {
+    throw new Error(`Feature '${name}' must list its files in a 'files' array`)
+  }
+  for (const pattern of feature.files || []) {
+    if (!files.isInside(typeof pattern === 'string' ? pattern.replace(/^!/, '') : pattern)) {
+      throw new Error(`Feature '${name}' must list files inside the template, not '${pattern}'`)
+    }
+  }
+}
+
+/**
+ * Validates a hook definition of a v2 manifest.
+ *
+ * @param {HookDefinition} hook the definition
+ * @param {number} index the index of the hook
+ * @param {Array<string>} names the names of all variables and features
+ */
+function validateHook (hook, index, names) {
+  if (typeof hook !== 'object' || hook === null) {
+    throw new Error(`Hook ${index + 1} must be an object`)
+  }
+  const kinds = ['run', 'script'].filter(kind => hook[kind] !== undefined)
+  if (kinds.length !== 1 || typeof hook[kinds[0]] !== 'string' || !hook[kinds[0]]) {
+    throw new Error(`Hook ${index + 1} must have either a 'run' command or a 'script' path`)
+  }
+  if (hook.script && !files.isInside(hook.script)) {
+    throw new Error(`Hook ${index + 1} must have a script path inside the template`)
+  }
+  if (hook.when !== undefined && !names.includes(hook.when)) {
+    throw new Error(`Hook ${index + 1} depends on an unknown feature or variable '${hook.when}'`)
+  }
+}
+
+/**
+ * Validates that a manifest property is an array.
+ *
+ * @param {string} property the name of the property
+ * @param {*} value the value of the property
+ */
+function validateArray (property, value) {
+  if (!Array.isArray(value)) {
+    throw new Error(`'${property}' must be an array of file paths or glob patterns`)
+  }
+}
+
+/**
+ * Loads a template manifest from the contents of a parameters file.
+ *
+ * Both the legacy flat format (token to file list) and the v2 declarative format
+ * (`manifestVersion: 2` with `variables` and `tokens`) are accepted.
+ *
+ * @param {object} json the parsed parameters file
+ * @returns {TemplateManifest} the normalized manifest
+ */
+function loadManifest (json) {
+  if (json.manifestVersion === undefined) {
+    debug('Legacy parameters file format')
+    const tokens = {}
+    for (const token of Object.keys(json)) {
+      tokens[token] = { variable: LEGACY_TOKENS[token], files: json[token] }
+    }
+    return {
+      manifestVersion: 1,
+      variables: {},
+      tokens,
+      scanAllFiles: false,
+      ignore: [],
+      rename: DEFAULT_RENAMES,
+      remove: DEFAULT_REMOVALS,
+      features: {},
+      conditionalFiles: [],
+      hooks: []
+    }
+  }
+
+  if (json.manifestVersion !== 2) {
+    throw new Error(`Unsupported manifestVersion '${json.manifestVersion}'`)
+  }
+
+  const variables = json.variables || {}
+  const tokens = json.tokens || {}
+  const scanAllFiles = Boolean(json.scanAllFiles)
+  const ignore = json.ignore || []
+  const rename = json.rename || DEFAULT_RENAMES
+  const remove = json.remove || DEFAULT_REMOVALS
+  const features = json.features || {}
+  const conditionalFiles = json.conditionalFiles || []
+  const hooks = json.hooks || []
+  const names = [...BUILTIN_VARIABLES, ...Object.keys(variables)]
+
+  for (const name of Object.keys(variables)) {
+    validateDefinition(name, variables[name], names)
+  }
+  for (const token of Object.keys(tokens)) {
+    const { variable, files } = tokens[token]
+    if (!names.includes(variable)) {
+      throw new Error(`Token '${token}' refers to an unknown variable '${variable}'`)
+    }
+    if (!Array.isArray(files) && !(scanAllFiles && files === undefined)) {
+      throw new Error(`Token '${token}' must list its files in a 'files' array`)
+    }
+  }
+  validateArray('ignore', ignore)
+  validateArray('remove', remove)
+  for (const file of remove) {
+    if (!files.isInside(file)) {
+      throw new Error(`Removal of '${file}' must be a path inside the template`)
+    }
+  }
+  validateArray('conditionalFiles', conditionalFiles)
+  for (const name of Object.keys(features)) {
+    validateFeature(name, features[name], names)
+  }
+  for (const from of Object.keys(rename)) {
+    if (typeof rename[from] !== 'string' || !rename[from]) {
+      throw new Error(`Rename of '${from}' must be a non-empty file path`)
+    }
+    if (!files.isInside(from) || !files.isInside(rename[from])) {
+      throw new Error(`Rename of '${from}' to '${rename[from]}' must be between paths inside the template`)
+    }
+  }
+  if (!Array.isArray(hooks)) {
+    throw new Error("'hooks' must be an array of hook definitions")
+  }
+  hooks.forEach((hook, index) => validateHook(hook, index, [...names, ...Object.keys(features)]))
+
+  return { manifestVersion: 2, variables, tokens, scanAllFiles, ignore, rename, remove, features, conditionalFiles, hooks }
+}
+
+/**
+ * Parses `key=value` strings, as passed with the `--var` flag.
+ *
+ * @param {Array<string>} [args] the `key=value` strings
+ * @returns {object} the values, keyed by variable name
+ */
+function parseVariableArgs (args = []) {
+  const values = {}
+  for (const arg of args) {
+    const index = arg.indexOf('=')
+    if (index < 1) {
+      throw new Error(`Invalid variable '${arg}', use the form key=value`)
+    }
+    values[arg.slice(0, index)] = arg.slice(index + 1)
+  }
+  return values
+}
+
+/**
+ * Converts a value to the declared type of a variable, and validates it.
+ *
+ * @param {string} name the name of the variable
+ * @param {VariableDefinition} definition the definition
+ * @param {string|number|boolean} value the value to convert
+ * @returns {string|number|boolean} the converted value
+ */
+function coerceValue (name, definition, value) {
+  const type = definition.type || 'string'
+  if (type === 'number') {
+    const number = Number(value)
+    if (value === '' || Number.isNaN(number)) {
+      throw new Error(`Variable '${name}' must be a number, got '${value}'`)
+    }
+    return number
+  }
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') {
+      return value
+    }
+    const normalized = String(value).toLowerCase()
+    if (['true', 'yes', '1'].includes(normalized)) {
+      return true
+    }
+    if (['false', 'no', '0'].includes(normalized)) {
+      return false
+    }
+    throw new Error(`Variable '${name}' must be a boolean, got '${value}'`)
+  }
+
+  value = String(value)
+  if (definition.pattern && !new RegExp(definition.pattern).test(value)) {
+    throw new Error(`Variable '${name}' must match ${definition.pattern}, got '${value}'`)
+  }
+  return value
+}
+
+/**
+ * Resolves the values of all variables of a manifest.
+ *
+ * Supplied values win, then answers to prompts (if a prompt function is passed), then defaults.
+ * Derived variables are computed last, unless supplied, and take their default when the variable they
+ * derive from is unset.
+ *
+ * @param {TemplateManifest} manifest the template manifest
+ * @param {object} builtins the values of the builtin variables (libName, repoName, description)
+ * @param {object} supplied the values supplied by the user, e.g. with `--var`
+ * @param {Function} [ask] prompts for the values of the passed variable definitions, returns the answers
+ * @returns {Promise<object>} the values, keyed by variable name
+ */
+async function resolveVariables (manifest, builtins, supplied, ask) {
+  const values = Object.assign({}, builtins)
+  const variables = manifest.variables
+  const names = Object.keys(variables)
+
+  const toAsk = {}
+  for (const name of names.filter(name => !variables[name].derive)) {
+    const definition = variables[name]
+    if (supplied[name] !== undefined) {
+      values[name] = coerceValue(name, definition, supplied[name])
+    } else if (ask && definition.prompt !== false) {
+      toAsk[name] = definition
+    } else if (definition.default !== undefined) {
+      values[name] = coerceValue(name, definition, definition.default)
+    }
+  }
+
+  if (Object.keys(toAsk).length > 0) {
+    const answers = await ask(toAsk)
+    for (const name of Object.keys(answers)) {
+      values[name] = coerceValue(name, toAsk[name], answers[name])
+    }
+  }
+
+  for (const name of names.filter(name => variables[name].derive)) {
+    const definition = variables[name]
+    const { from, transform } = definition.derive
+    if (supplied[name] !== undefined) {
+      values[name] = coerceValue(name, definition, supplied[name])
+    } else if (values[from] !== undefined) {
+      values[name] = transforms[transform](values[from])
+    } else if (definition.default !== undefined) {
+      // nothing to derive from, a variable without default stays unset for the leftover tokens lint to report
+      values[name] = coerceValue(name, definition, definition.default)
+    }
+  }
+
+  for (const name of names) {
+    if (variables[name].required && (values[name] === undefined || values[name] === '')) {
+      throw new Error(`Variable '${name}' is required, set it with --var ${name}=<value>`)
+    }
+  }
+
+  debug('Resolved variables', values)
+  return values
+}
+
+/**
+ * Gets the files to replace each token in, in the flat `token -> files` shape.
+ *
+ * With `scanAllFiles`, every token is replaced in all files. The `ignore` patterns are
+ * added as negated patterns.
+ *
+ * @param {TemplateManifest} manifest the template manifest
+ * @returns {object} the file paths and glob patterns, keyed by token
+ */
+function tokenFiles (manifest) {
+  const files = {}
+  const excludes = manifest.ignore.map(pattern => `!${pattern}`)
+  for (const token of Object.keys(manifest.tokens)) {
+    const includes = manifest.scanAllFiles ? ['**'] : manifest.tokens[token].files
+    files[token] = [...includes, ...excludes]
+  }
+  return files
+}
+
+/**
+ * Gets the replacement value of each token.
+ *
+ * @param {TemplateManifest} manifest the template manifest
+ * @param {object} values the resolved variable values
+ * @returns {object} the replacement values, keyed by token
+ */
+function tokenValues (manifest, values) {
+  const mapping = {}
+  for (const token of Object.keys(manifest.tokens)) {
+    const value = values[manifest.tokens[token].variable]
+    if (value !== undefined) {
+      mapping[token] = String(value)
+    }
+  }
+  return mapping
+}
+
+/**
+ * Gets the replacement values of the legacy tokens, which are always available, e.g. in file names.
+ *
+ * @param {object} values the resolved variable values
+ * @returns {object} the replacement values, keyed by token
+ */
+function defaultTokenValues (values) {
+  const mapping = {}
+  for (const token of Object.keys(LEGACY_TOKENS)) {
+    mapping[token] = values[LEGACY_TOKENS[token]]
+  }
+  return mapping
+}
+
+module.exports = {
+  BUILTIN_VARIABLES,
+  LEGACY_TOKENS,
+  DEFAULT_RENAMES,
+  DEFAULT_REMOVALS,
+  loadManifest,
+  parseVariableArgs,
+  coerceValue,
+  resolveVariables,
+  tokenFiles,
+  tokenValues,
+  defaultTokenValues
+}
@@ -0,0 +1,268 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const { diffArrays } = require('diff')
+const debug = require('debug')('create-aio-lib:merge')
+const files = require('./files')
+
+const MARKERS = {
+  ours: '<<<<<<< lib\n',
+  separator: '=======\n',
+  theirs: '>>>>>>> template\n'
+}
+
+/**
+ * Splits a text in lines, keeping their line endings.
+ *
+ * @param {string} text the text
+ * @returns {Array<string>} the lines
+ */
+function splitLines (text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || []
+}
+
+/**
+ * Maps the lines of a text to the lines they were kept as in a changed version of the text.
+ *
+ * @param {Array<string>} base the lines of the text
+ * @param {Array<string>} changed the lines of the changed version
+ * @returns {Array<number>} the index of each line in the changed version, undefined for changed or removed lines
+ */
+function matchLines (base, changed) {
+  const matches = []
+  let baseIndex = 0
+  let changedIndex = 0
+  for (const part of diffArrays(base, changed)) {
+    if (part.added) {
+      changedIndex += part.count
+    } else if (part.removed) {
+      baseIndex += part.count
+    } else {
+      for (let i = 0; i < part.count; i++) {
+        matches[baseIndex++] = changedIndex++
+      }
+    }
+  }
+  return matches
+}
+
+/**
+ * Checks whether two lists of lines are the same.
+ *
+ * @param {Array<string>} a the first lines
+ * @param {Array<string>} b the second lines
+ * @returns {boolean} true if they are the same
+ */
+function sameLines (a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i])
+}
+
+/**
+ * Ends the last of a list of lines with a line ending, so a conflict marker can follow it.
+ *
+ * @param {Array<string>} lines the lines
+ * @returns {Array<string>} the terminated lines
+ */
+function terminate (lines) {
+  const last = lines[lines.length - 1]
+  return last === undefined || last.endsWith('\n') ? lines : [...lines.slice(0, -1), `${last}\n`]
+}
+
+/**
+ * Merges the changes made to a text in two versions of it, line by line.
+ *
+ * Changes made on one side only are kept. Different changes made to the same lines on both sides
+ * are conflicts, which are marked git-style in the merged text, with the lib version first.
+ *
+ * @param {string} base the original text
+ * @param {string} ours the version of the lib
+ * @param {string} theirs the version of the template
+ * @returns {{text: string, conflicts: number}} the merged text, and its number of conflicts
+ */
+function mergeText (base, ours, theirs) {
+  const [baseLines, ourLines, theirLines] = [base, ours, theirs].map(splitLines)
+  const inOurs = matchLines(baseLines, ourLines)
+  const inTheirs = matchLines(baseLines, theirLines)
+
+  const merged = []
+  let conflicts = 0
+  let baseIndex = 0
+  let ourIndex = 0
+  let theirIndex = 0
+  while (true) {
+    // the changes of both sides up to the next line they both kept
+    let next = baseIndex
+    while (next < baseLines.length && (inOurs[next] === undefined || inTheirs[next] === undefined)) {
+      next++
+    }
+    const ourEnd = next < baseLines.length ? inOurs[next] : ourLines.length
+    const theirEnd = next < baseLines.length ? inTheirs[next] : theirLines.length
+    const baseChunk = baseLines.slice(baseIndex, next)
+    const ourChunk = ourLines.slice(ourIndex, ourEnd)
+    const theirChunk = theirLines.slice(theirIndex, theirEnd)
+
+    if (sameLines(ourChunk, baseChunk)) {
+      merged.push(...theirChunk)
+    } else if (sameLines(theirChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      merged.push(...ourChunk)
+    } else {
+      conflicts++
+      merged.push(MARKERS.ours, ...terminate(ourChunk), MARKERS.separator, ...terminate(theirChunk), MARKERS.theirs)
+    }
+
+    if (next === baseLines.length) {
+      break
+    }
+    merged.push(baseLines[next])
+    baseIndex = next + 1
+    ourIndex = ourEnd + 1
+    theirIndex = theirEnd + 1
+  }
+
+  return { text: merged.join(''), conflicts }
+}
+
+/**
+ * Reads a file, if it exists.
+ *
+ * @param {string} folder the folder of the file
+ * @param {string} file the path of the file, relative to the folder
+ * @returns {Promise<Buffer|undefined>} the contents of the file, undefined if it doesn't exist
+ */
+async function readIfExists (folder, file) {
+  try {
+    return await fs.readFile(path.join(folder, file))
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error
+    }
+    return undefined
+  }
+}
+
+/**
+ * Checks whether two versions of a file are the same, missing files included.
+ *
+ * @param {Buffer} [a] the first contents, undefined for a missing file
+ * @param {Buffer} [b] the second contents, undefined for a missing file
+ * @returns {boolean} true if they are the same
+ */
+function sameContents (a, b) {
+  return a === undefined || b === undefined ? a === b : a.equals(b)
+}
+
+/**
+ * Describes why the changes made to a file in the lib and in the template can't be merged.
+ *
+ * @param {Buffer} [base] the original contents
+ * @param {Buffer} [ours] the contents in the lib
+ * @param {Buffer} [theirs] the contents in the template
+ * @param {boolean} hasBase whether the original version of the template is known
+ * @returns {string|undefined} the reason, undefined if the contents can be merged line by line
+ */
+function unmergeableReason (base, ours, theirs, hasBase) {
+  if (!hasBase) {
+    return 'changed in both the lib and the template'
+  }
+  if (base === undefined) {
+    return 'added in both the lib and the template, with different contents'
+  }
+  if (ours === undefined) {
+    return 'removed from the lib, changed in the template'
+  }
+  if (theirs === undefined) {
+    return 'changed in the lib, removed from the template'
+  }
+  if ([base, ours, theirs].some(contents => files.isBinary(contents))) {
+    return 'binary file changed in both the lib and the template'
+  }
+  return undefined
+}
+
+/**
+ * Merges the changes between two versions of a generated template into a lib, a three-way merge
+ * file by file.
+ *
+ * Files the template didn't change are left alone, and files the lib didn't change are updated,
+ * added or removed like in the template. Text files changed on both sides are merged line by line,
+ * with conflict markers where the changes overlap, see mergeText. Other files changed on both sides
+ * are left alone and reported as conflicts.
+ *
+ * Without the original version, every file of the template that differs in the lib is a conflict.
+ *
+ * @param {string} [baseFolder] the original version of the generated template, the lib was generated from
+ * @param {string} templateFolder the new version of the generated template
+ * @param {string} libFolder the lib to merge into
+ * @param {object} [options] the merge options
+ * @param {boolean} [options.dryRun] only report the changes, without writing them
+ * @returns {Promise<{added: Array<string>, updated: Array<string>, removed: Array<string>, merged: Array<string>, conflicts: Array<{file: string, reason: string}>}>} the merge report
+ */
+async function mergeFolders (baseFolder, templateFolder, libFolder, options = {}) {
+  const all = new Set([
+    ...(baseFolder ? await files.listFiles(baseFolder) : []),
+    ...(await files.listFiles(templateFolder)),
+    ...(await files.listFiles(libFolder))
+  ])
+
+  const report = { added: [], updated: [], removed: [], merged: [], conflicts: [] }
+  const write = async (file, contents) => {
+    if (!options.dryRun) {
+      await fs.outputFile(path.join(libFolder, file), contents)
+    }
+  }
+  for (const file of [...all].sort()) {
+    const base = baseFolder ? await readIfExists(baseFolder, file) : undefined
+    const ours = await readIfExists(libFolder, file)
+    const theirs = await readIfExists(templateFolder, file)
+
+    if (sameContents(ours, theirs) || sameContents(base, theirs)) {
+      // nothing new from the template
+      continue
+    }
+    if (sameContents(base, ours)) {
+      // untouched in the lib, take the template version
+      if (theirs === undefined) {
+        report.removed.push(file)
+        if (!options.dryRun) {
+          await fs.remove(path.join(libFolder, file))
+          await files.removeEmptyParents(libFolder, file)
+        }
+      } else {
+        (ours === undefined ? report.added : report.updated).push(file)
+        await write(file, theirs)
+      }
+      continue
+    }
+
+    const reason = unmergeableReason(base, ours, theirs, Boolean(baseFolder))
+    if (reason) {
+      report.conflicts.push({ file, reason })
+      continue
+    }
+    const { text, conflicts } = mergeText(base.toString('utf8'), ours.toString('utf8'), theirs.toString('utf8'))
+    if (conflicts > 0) {
+      report.conflicts.push({ file, reason: `${conflicts} conflicting change(s), marked in the file` })
+    } else {
+      report.merged.push(file)
+    }
+    await write(file, text)
+  }
+
+  debug('Merge report', report)
+  return report
+}
+
+module.exports = {
+  mergeText,
+  mergeFolders
+}
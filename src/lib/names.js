@@ -0,0 +1,156 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { builtinModules } = require('module')
+
+/**
+ * Splits a name into its lower-cased words, on separators and camelCase boundaries.
+ *
+ * @param {string} name the name to split, e.g. 'MyLib', 'my-lib' or 'MY_LIB'
+ * @returns {Array<string>} the words, e.g. ['my', 'lib']
+ */
+function splitWords (name) {
+  return String(name)
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z\d]+/)
+    .filter(word => word)
+    .map(word => word.toLowerCase())
+}
+
+const capitalize = word => word[0].toUpperCase() + word.slice(1)
+
+const transforms = {
+  'kebab-case': name => splitWords(name).join('-'),
+  'snake-case': name => splitWords(name).join('_'),
+  'constant-case': name => splitWords(name).join('_').toUpperCase(),
+  'camel-case': name => splitWords(name).map((word, i) => i === 0 ? word : capitalize(word)).join(''),
+  'pascal-case': name => splitWords(name).map(capitalize).join(''),
+  'lower-case': name => String(name).toLowerCase(),
+  'upper-case': name => String(name).toUpperCase()
+}
+
+// the variants of the lib name available to templates, with the transform computing them
+const LIB_NAME_VARIANTS = {
+  libNamePascalCase: 'pascal-case',
+  libNameCamelCase: 'camel-case',
+  libNameKebabCase: 'kebab-case'
+}
+
+const MAX_PACKAGE_NAME_LENGTH = 214
+// an optional org and a repo, the leading '@' of scoped package names aside
+const REPO_NAME_PATTERN = /^[\w.~-]+(\/[\w.~-]+)?$/
+
+/**
+ * Validates a lib name, which is the class name of the generated lib.
+ *
+ * @param {string} name the lib name
+ * @returns {string|undefined} the problem with the name, with a suggestion when there is one, undefined if the name is valid
+ */
+function validateLibName (name) {
+  if (!name || !name.trim()) {
+    return 'The library name is required.'
+  }
+  const className = capitalize(name.trim())
+  let problem
+  if (!/^[A-Za-z_$][\w$]*$/.test(className)) {
+    problem = `'${name}' is not a valid class name, use letters, digits, '_' or '$' and do not start with a digit`
+  } else if (className in globalThis) {
+    problem = `'${className}' is a JavaScript global, the lib class would hide it`
+  } else {
+    return undefined
+  }
+  let suggestion = transforms['pascal-case'](name)
+  if (suggestion in globalThis) {
+    suggestion = `${suggestion}Lib`
+  }
+  return /^[A-Za-z]/.test(suggestion) ? `${problem}, e.g. '${suggestion}'.` : `${problem}.`
+}
+
+/**
+ * Returns the npm package name of a repo name.
+ *
+ * @param {string} repoName the repo name, without leading '@'
+ * @returns {string} the package name, scoped by the org of the repo if it has one
+ */
+function packageName (repoName) {
+  return repoName.includes('/') ? `@${repoName}` : repoName
+}
+
+/**
+ * Tells why a repo name doesn't make a valid npm package name.
+ *
+ * @param {string} repoName the repo name, without leading '@'
+ * @returns {string|undefined} the problem, undefined if the package name is valid
+ */
+function packageNameProblem (repoName) {
+  const parts = repoName.split('/')
+  if (repoName !== repoName.toLowerCase()) {
+    return 'it must be lower case'
+  }
+  if (parts.some(part => /^[._]/.test(part))) {
+    return "its scope and name must not start with '.' or '_'"
+  }
+  if (packageName(repoName).length > MAX_PACKAGE_NAME_LENGTH) {
+    return `it must be at most ${MAX_PACKAGE_NAME_LENGTH} characters long`
+  }
+  if (parts.length === 1 && builtinModules.includes(repoName)) {
+    return 'it is the name of a Node.js core module'
+  }
+  return undefined
+}
+
+/**
+ * Validates a repo name, which makes the npm package name of the generated lib: myorg/myrepo makes @myorg/myrepo.
+ *
+ * @param {string} name the repo name, with or without org and leading '@'
+ * @returns {string|undefined} the problem with the name, with a suggestion when there is one, undefined if the name is valid
+ */
+function validateRepoName (name) {
+  if (!name || !name.trim()) {
+    return 'The repo name is required.'
+  }
+  const repoName = name.trim().replace(/^@/, '')
+  if (!REPO_NAME_PATTERN.test(repoName)) {
+    return `'${name}' is not a valid repo name, use the form 'myorg/myrepo'.`
+  }
+  const problem = packageNameProblem(repoName)
+  if (!problem) {
+    return undefined
+  }
+  const message = `'${name}' does not make a valid npm package name '${packageName(repoName)}', ${problem}`
+  const suggestion = repoName.split('/').map(part => part.toLowerCase().replace(/^[._-]+/, '')).join('/')
+  return REPO_NAME_PATTERN.test(suggestion) && !packageNameProblem(suggestion) ? `${message}, e.g. '${suggestion}'.` : `${message}.`
+}
+
+/**
+ * Computes the variants of a lib name available to templates.
+ *
+ * @param {string} libName the lib name
+ * @returns {object} the variants, keyed by variable name, e.g. { libNameKebabCase: 'my-lib' }
+ */
+function libNameVariants (libName) {
+  const variants = {}
+  for (const name of Object.keys(LIB_NAME_VARIANTS)) {
+    variants[name] = transforms[LIB_NAME_VARIANTS[name]](libName)
+  }
+  return variants
+}
+
+module.exports = {
+  LIB_NAME_VARIANTS,
+  splitWords,
+  transforms,
+  validateLibName,
+  validateRepoName,
+  packageName,
+  libNameVariants
+}
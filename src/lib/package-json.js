@@ -0,0 +1,139 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const debug = require('debug')('create-aio-lib:package-json')
+
+// the git hosts, with their public url and the path of the issues of a repo
+const HOSTS = {
+  github: { url: 'https://github.com', issues: 'issues' },
+  gitlab: { url: 'https://gitlab.com', issues: '-/issues' },
+  bitbucket: { url: 'https://bitbucket.org', issues: 'issues' }
+}
+
+// the variables setting package.json fields, which can be set by flags or declared by templates
+const PACKAGE_VARIABLES = ['author', 'license', 'keywords', 'packageVersion', 'access', 'engines', 'gitHost']
+
+const DEFAULT_VERSION = '0.0.1'
+const ACCESS_LEVELS = ['public', 'restricted']
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/
+
+/**
+ * @typedef {object} GitHost
+ * @property {string} type the kind of host, one of the HOSTS keys
+ * @property {string} url the url of the host, without trailing slash
+ */
+
+/**
+ * Parses a git host: 'github', 'gitlab', 'bitbucket', or the url of a self-hosted server.
+ *
+ * The kind of a self-hosted server is guessed from its host name, or given as a prefix,
+ * e.g. gitlab+https://git.example.com.
+ *
+ * @param {string} [spec] the git host, defaults to 'github'
+ * @returns {GitHost} the host
+ */
+function parseHost (spec = 'github') {
+  if (HOSTS[spec]) {
+    return { type: spec, url: HOSTS[spec].url }
+  }
+  const match = spec.match(/^(?:([a-z]+)\+)?(https?:\/\/[^/\s]+(?:\/[^\s]*)?)$/)
+  if (!match || (match[1] && !HOSTS[match[1]])) {
+    throw new Error(`Invalid git host '${spec}', use one of ${Object.keys(HOSTS).join(', ')} or the url of a self-hosted server, e.g. gitlab+https://git.example.com`)
+  }
+  const url = match[2].replace(/\/+$/, '')
+  const type = match[1] || Object.keys(HOSTS).find(type => new URL(url).hostname.includes(type)) || 'github'
+  return { type, url }
+}
+
+/**
+ * Returns the repository, homepage and bugs fields of a repo.
+ *
+ * @param {string} repoName the repo name, e.g. myorg/myrepo
+ * @param {GitHost} host the git host, see parseHost
+ * @returns {{repository: {type: string, url: string}, homepage: string, bugs: {url: string}}} the fields
+ */
+function repositoryFields (repoName, host) {
+  const url = `${host.url}/${repoName}`
+  return {
+    repository: { type: 'git', url: `git+${url}.git` },
+    homepage: `${url}#readme`,
+    bugs: { url: `${url}/${HOSTS[host.type].issues}` }
+  }
+}
+
+/**
+ * Parses engine requirements.
+ *
+ * @param {string} spec the requirements, e.g. 'node=>=18,npm=>=9'
+ * @returns {object} the version ranges, keyed by engine name
+ */
+function parseEngines (spec) {
+  const engines = {}
+  for (const pair of spec.split(',').map(pair => pair.trim()).filter(pair => pair)) {
+    const index = pair.indexOf('=')
+    if (index < 1 || index === pair.length - 1) {
+      throw new Error(`Invalid engine '${pair}', use the form name=range, e.g. node=>=18`)
+    }
+    engines[pair.slice(0, index).trim()] = pair.slice(index + 1).trim()
+  }
+  return engines
+}
+
+/**
+ * @typedef {object} PackageFields
+ * @property {string} [description] the package description
+ * @property {string} [author] the package author, e.g. 'Jane Doe <jane@example.com>'
+ * @property {string} [license] the SPDX license identifier
+ * @property {Array<string>} [keywords] the package keywords
+ * @property {string} version the initial package version
+ * @property {string} [access] the publishConfig access, 'public' or 'restricted'
+ * @property {object} [engines] the engine version ranges, keyed by engine name
+ * @property {GitHost} host the git host of the repo
+ */
+
+/**
+ * Gets the package.json fields set by the variables.
+ *
+ * @param {object} values the variable values
+ * @returns {PackageFields} the fields, unset when their variable is
+ */
+function packageFields (values) {
+  const version = values.packageVersion || DEFAULT_VERSION
+  if (!VERSION_PATTERN.test(version)) {
+    throw new Error(`Invalid package version '${version}', use a semantic version, e.g. 1.0.0`)
+  }
+  if (values.access && !ACCESS_LEVELS.includes(values.access)) {
+    throw new Error(`Invalid access '${values.access}', use one of ${ACCESS_LEVELS.join(', ')}`)
+  }
+  const fields = {
+    description: values.description || undefined,
+    author: values.author || undefined,
+    license: values.license || undefined,
+    keywords: values.keywords ? String(values.keywords).split(',').map(keyword => keyword.trim()).filter(keyword => keyword) : undefined,
+    version,
+    access: values.access || undefined,
+    engines: values.engines ? parseEngines(String(values.engines)) : undefined,
+    host: parseHost(values.gitHost || undefined)
+  }
+  debug('Package fields', fields)
+  return fields
+}
+
+module.exports = {
+  HOSTS,
+  PACKAGE_VARIABLES,
+  ACCESS_LEVELS,
+  DEFAULT_VERSION,
+  parseHost,
+  repositoryFields,
+  parseEngines,
+  packageFields
+}
@@ -0,0 +1,197 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const inquirer = require('inquirer')
+const { coerceValue } = require('./manifest')
+const names = require('./names')
+
+/**
+ * Validates a library class name answer, see names.validateLibName.
+ *
+ * @param {string} input the answer
+ * @returns {boolean|string} true if valid, else an error message
+ */
+function validateLibName (input) {
+  return names.validateLibName(input) || true
+}
+
+/**
+ * Validates an org/repo answer, see names.validateRepoName. A leading '@' is allowed.
+ *
+ * @param {string} input the answer
+ * @returns {boolean|string} true if valid, else an error message
+ */
+function validateRepoName (input) {
+  return names.validateRepoName(input) || true
+}
+
+/**
+ * Prompts for the generation options that were not supplied on the command line.
+ *
+ * @param {object} given the options already known
+ * @param {string} [given.libName] the name of the library
+ * @param {string} [given.repoName] the repo of the library
+ * @param {string} [given.outputDir] the folder to output the library in
+ * @param {string} [given.templateUrl] the template to use
+ * @param {string} [given.template] the name of the registered template to use
+ * @param {string} [given.description] the description of the library
+ * @returns {Promise<object>} the given options merged with the answers
+ */
+async function promptForOptions (given) {
+  const questions = [{
+    name: 'libName',
+    message: 'Library class name (e.g. MyLib)',
+    validate: validateLibName,
+    filter: input => input.trim(),
+    when: !given.libName
+  }, {
+    name: 'repoName',
+    message: 'Repo of the library (e.g. myorg/myrepo)',
+    validate: validateRepoName,
+    filter: input => input.trim(),
+    when: !given.repoName
+  }, {
+    name: 'outputDir',
+    message: 'Folder to output the library in',
+    default: process.cwd(),
+    when: !given.outputDir
+  }, {
+    name: 'templateUrl',
+    message: 'Template git url, folder, tarball or npm package (leave empty to use the default template)',
+    when: !given.templateUrl && !given.template
+  }, {
+    name: 'description',
+    message: 'Description of the library (optional)',
+    when: !given.description
+  }]
+
+  const answers = await inquirer.prompt(questions)
+  const options = Object.assign({}, given)
+  for (const key of Object.keys(answers)) {
+    // empty answers for optional questions mean "use the default"
+    if (answers[key]) {
+      options[key] = answers[key]
+    }
+  }
+  return options
+}
+
+/**
+ * Prompts for the values of template variables.
+ *
+ * @param {object} definitions the variable definitions to prompt for, keyed by variable name
+ * @returns {Promise<object>} the answers, keyed by variable name
+ */
+async function promptForVariables (definitions) {
+  const questions = Object.keys(definitions).map(name => {
+    const definition = definitions[name]
+    const question = {
+      name,
+      message: definition.description || name,
+      default: definition.default
+    }
+    if (definition.type === 'boolean') {
+      question.type = 'confirm'
+    } else {
+      question.validate = input => {
+        try {
+          coerceValue(name, definition, input)
+          return true
+        } catch (e) {
+          return e.message
+        }
+      }
+    }
+    return question
+  })
+
+  return inquirer.prompt(questions)
+}
+
+/**
+ * Prompts for the optional features of a template to enable.
+ *
+ * @param {object} features the feature definitions to prompt for, keyed by feature name
+ * @returns {Promise<Array<string>>} the names of the selected features
+ */
+async function promptForFeatures (features) {
+  const { selected } = await inquirer.prompt([{
+    type: 'checkbox',
+    name: 'selected',
+    message: 'Optional features',
+    choices: Object.keys(features).map(name => ({
+      name: features[name].description ? `${name} - ${features[name].description}` : name,
+      value: name,
+      checked: Boolean(features[name].default)
+    }))
+  }])
+  return selected
+}
+
+/**
+ * Formats the generation options as a human readable summary.
+ *
+ * @param {object} options the generation options
+ * @returns {string} the summary
+ */
+function formatSummary (options) {
+  const rows = [
+    ['Library name', options.libName],
+    ['Repo', options.repoName],
+    ['Output folder', options.outputDir || process.cwd()],
+    ['Template', options.templateUrl || options.template || '(default template)'],
+    ['Description', options.description || '(none)']
+  ]
+  return ['Summary:', ...rows.map(([label, value]) => `  ${(label + ':').padEnd(15)}${value}`)].join('\n')
+}
+
+/**
+ * Asks the user to confirm the generation options.
+ *
+ * @returns {Promise<boolean>} true if confirmed
+ */
+async function confirmOptions () {
+  const { confirmed } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'confirmed',
+    message: 'Create the library?',
+    default: true
+  }])
+  return confirmed
+}
+
+/**
+ * Asks the user to confirm running a hook of an untrusted template.
+ *
+ * @param {object} hook the hook definition
+ * @returns {Promise<boolean>} true if confirmed
+ */
+async function confirmHook (hook) {
+  const what = hook.run ? `command '${hook.run}'` : `script '${hook.script}'`
+  const { confirmed } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'confirmed',
+    message: `The template wants to run the ${what}${hook.title ? ` (${hook.title})` : ''}, run it?`,
+    default: false
+  }])
+  return confirmed
+}
+
+module.exports = {
+  validateLibName,
+  validateRepoName,
+  promptForOptions,
+  promptForVariables,
+  promptForFeatures,
+  formatSummary,
+  confirmOptions,
+  confirmHook
+}
@@ -0,0 +1,164 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const debug = require('debug')('create-aio-lib:record')
+const templateSource = require('./template-source')
+
+const RECORD_FILE = '.create-aio-lib.json'
+const RECORD_FIELD = 'create-aio-lib'
+// where a record can be kept: its own file, or a field of package.json
+const LOCATIONS = ['file', 'package.json']
+
+/**
+ * @typedef {object} GenerationRecord
+ * @property {string} createAioLibVersion the version of create-aio-lib the lib was generated with
+ * @property {string} generatedAt when the lib was generated, as an ISO date
+ * @property {string} [updatedAt] when the lib was last updated from its template, as an ISO date
+ * @property {object} template the template the lib was generated from
+ * @property {string} [template.source] the template source, absolute for local paths, unset for the bundled template
+ * @property {string} [template.ref] the branch, tag or commit of a git template
+ * @property {string} [template.subdir] the subfolder of the source holding the template
+ * @property {boolean} [template.bundled] true for the bundled template
+ * @property {string} [template.commit] the commit a git template was generated from
+ * @property {string} [template.package] the package name of an npm template
+ * @property {string} [template.version] the package version of an npm template
+ * @property {object} variables the variable values, keyed by variable name
+ * @property {object} features the feature selection, keyed by feature name
+ */
+
+/**
+ * Creates the generation record of a lib, which tells how to generate it again.
+ *
+ * @param {object} template the template the lib is generated from
+ * @param {string} [template.url] the template source, unset for the bundled template
+ * @param {string} [template.ref] the branch, tag or commit of a git template
+ * @param {string} [template.subdir] the subfolder of the source holding the template
+ * @param {object} resolved the resolved version of the template, see template-source
+ * @param {object} variables the variable values
+ * @param {object} features the feature selection
+ * @returns {GenerationRecord} the record
+ */
+function createRecord (template, resolved, variables, features) {
+  let origin = { bundled: true }
+  if (template.url) {
+    // local paths are relative to the folder the lib was generated in
+    const source = templateSource.parseTemplateSource(template.url)
+    origin = { source: source.path || template.url, ref: template.ref, subdir: template.subdir }
+  }
+  return {
+    createAioLibVersion: require('../../package.json').version,
+    generatedAt: new Date().toISOString(),
+    template: Object.assign(origin, resolved),
+    variables,
+    features
+  }
+}
+
+/**
+ * Writes the generation record of a lib.
+ *
+ * @param {string} folder the lib folder
+ * @param {GenerationRecord} record the record
+ * @param {string} [location] 'file' for the record file, 'package.json' for the create-aio-lib field of package.json
+ */
+async function writeRecord (folder, record, location = 'file') {
+  debug(`Writing the generation record of ${folder} to its ${location}`, record)
+  if (location === 'package.json') {
+    const packageJsonFile = path.join(folder, 'package.json')
+    const json = await fs.readJson(packageJsonFile)
+    json[RECORD_FIELD] = record
+    await fs.writeJson(packageJsonFile, json, { spaces: 2 })
+    return
+  }
+  await fs.writeJson(path.join(folder, RECORD_FILE), record, { spaces: 2 })
+}
+
+/**
+ * Reads a JSON file.
+ *
+ * @param {string} file the file
+ * @returns {Promise<object>} the parsed file
+ */
+async function readJson (file) {
+  try {
+    return await fs.readJson(file)
+  } catch (error) {
+    throw new Error(`Invalid generation record ${file}: ${error.message}`)
+  }
+}
+
+/**
+ * Reads the generation record of a lib, from the record file, or else from the create-aio-lib field of package.json.
+ *
+ * @param {string} folder the lib folder
+ * @returns {Promise<{record: GenerationRecord, location: string}>} the record, and where it was found, see writeRecord
+ */
+async function readRecord (folder) {
+  const file = path.join(folder, RECORD_FILE)
+  if (await fs.pathExists(file)) {
+    return { record: await readJson(file), location: 'file' }
+  }
+  const packageJsonFile = path.join(folder, 'package.json')
+  const json = (await fs.pathExists(packageJsonFile)) ? await readJson(packageJsonFile) : {}
+  if (!json[RECORD_FIELD]) {
+    throw new Error(`${folder} has no ${RECORD_FILE} file nor '${RECORD_FIELD}' package.json field, it was not generated by create-aio-lib`)
+  }
+  return { record: json[RECORD_FIELD], location: 'package.json' }
+}
+
+/**
+ * Gets the template a lib was generated from, in its latest version.
+ *
+ * @param {GenerationRecord} record the generation record
+ * @param {string} [ref] the branch, tag or commit to use instead of the recorded one
+ * @returns {{url: string, ref: string, subdir: string}} the template, without url for the bundled template
+ */
+function latestTemplate (record, ref) {
+  const { source, subdir } = record.template
+  return source ? { url: source, ref: ref || record.template.ref, subdir } : {}
+}
+
+/**
+ * Gets the template a lib was generated from, in the exact version it was generated from.
+ *
+ * That is the recorded commit of git templates, and the recorded version of npm templates.
+ * The bundled template is fetched from npm when the installed one is another version.
+ *
+ * @param {GenerationRecord} record the generation record
+ * @param {string} bundledVersion the version of the installed bundled template
+ * @returns {{url: string, ref: string, subdir: string}|undefined} the template, undefined when its version is unknown
+ */
+function pinnedTemplate (record, bundledVersion) {
+  const { source, subdir, bundled, commit, version } = record.template
+  if (commit) {
+    return { url: source, ref: commit, subdir }
+  }
+  if (!version) {
+    return undefined
+  }
+  if (bundled && version === bundledVersion) {
+    return {}
+  }
+  return { url: `${record.template.package}@${version}`, subdir }
+}
+
+module.exports = {
+  RECORD_FILE,
+  RECORD_FIELD,
+  LOCATIONS,
+  createRecord,
+  writeRecord,
+  readRecord,
+  latestTemplate,
+  pinnedTemplate
+}
@@ -0,0 +1,163 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const debug = require('debug')('create-aio-lib:registry')
+const templateSource = require('./template-source')
+
+// the name of the bundled template, which is always registered
+const BUNDLED_NAME = 'aio-lib'
+
+const BUNDLED_TEMPLATE = {
+  source: '@adobe/aio-lib-template',
+  description: 'Adobe I/O lib template (bundled)',
+  bundled: true
+}
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i
+
+/**
+ * Checks whether a template is registered, ignoring the properties every object has, e.g. `constructor`.
+ *
+ * @param {object} templates the templates, keyed by name
+ * @param {string} name the name of the template
+ * @returns {boolean} true if the template is registered
+ */
+function hasTemplate (templates, name) {
+  return Object.prototype.hasOwnProperty.call(templates, name)
+}
+
+/**
+ * Returns the path of the template registry file of a config folder.
+ *
+ * @param {string} configDir the config folder of the CLI
+ * @returns {string} the path of the registry file
+ */
+function registryFile (configDir) {
+  return path.join(configDir, 'templates.json')
+}
+
+/**
+ * Loads the template registry. The bundled template is always part of it, and is the default
+ * template unless another one was made the default.
+ *
+ * @param {string} file the registry file, which may not exist yet
+ * @returns {Promise<{default: string, templates: object}>} the name of the default template, and the
+ * templates keyed by name, each with a source, a description, and an optional ref and subdir
+ */
+async function loadRegistry (file) {
+  let saved = {}
+  if (await fs.pathExists(file)) {
+    try {
+      saved = await fs.readJson(file)
+    } catch (error) {
+      throw new Error(`Invalid templates file ${file}: ${error.message}`)
+    }
+  }
+  const templates = Object.assign({}, saved.templates, { [BUNDLED_NAME]: BUNDLED_TEMPLATE })
+  const defaultName = hasTemplate(templates, saved.default) ? saved.default : BUNDLED_NAME
+  return { default: defaultName, templates }
+}
+
+/**
+ * Saves the template registry, without the bundled template.
+ *
+ * @param {string} file the registry file
+ * @param {{default: string, templates: object}} registry the registry
+ */
+async function saveRegistry (file, registry) {
+  const templates = Object.assign({}, registry.templates)
+  delete templates[BUNDLED_NAME]
+  await fs.outputJson(file, { default: registry.default, templates }, { spaces: 2 })
+  debug(`Saved ${Object.keys(templates).length} templates to ${file}`)
+}
+
+/**
+ * Registers a template, replacing any template with the same name.
+ *
+ * Local paths are stored as absolute paths, so the template can be used from any folder.
+ *
+ * @param {string} file the registry file
+ * @param {string} name the name of the template
+ * @param {object} template the template
+ * @param {string} template.source the template source, see template-source
+ * @param {string} [template.description] the description of the template
+ * @param {string} [template.ref] the branch, tag or commit of a git template
+ * @param {string} [template.subdir] the subfolder of the source holding the template
+ * @param {boolean} [makeDefault] whether to make the template the default one
+ * @returns {Promise<boolean>} true if a template with the same name was replaced
+ */
+async function addTemplate (file, name, template, makeDefault = false) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid template name '${name}', use letters, digits, '.', '_' and '-'`)
+  }
+  if (name === BUNDLED_NAME) {
+    throw new Error(`'${BUNDLED_NAME}' is the name of the bundled template, use another name`)
+  }
+  const source = templateSource.parseTemplateSource(template.source, template)
+
+  const registry = await loadRegistry(file)
+  const replaced = hasTemplate(registry.templates, name)
+  registry.templates[name] = {
+    source: source.path || template.source,
+    description: template.description || '',
+    ref: template.ref,
+    subdir: template.subdir
+  }
+  if (makeDefault) {
+    registry.default = name
+  }
+  await saveRegistry(file, registry)
+  return replaced
+}
+
+/**
+ * Unregisters a template. If it was the default template, the bundled template becomes the default again.
+ *
+ * @param {string} file the registry file
+ * @param {string} name the name of the template
+ */
+async function removeTemplate (file, name) {
+  if (name === BUNDLED_NAME) {
+    throw new Error(`The bundled template '${BUNDLED_NAME}' can't be removed`)
+  }
+  const registry = await loadRegistry(file)
+  getTemplate(registry, name)
+  delete registry.templates[name]
+  if (registry.default === name) {
+    registry.default = BUNDLED_NAME
+  }
+  await saveRegistry(file, registry)
+}
+
+/**
+ * Gets a registered template.
+ *
+ * @param {{default: string, templates: object}} registry the registry
+ * @param {string} [name] the name of the template, defaults to the default template
+ * @returns {object} the template
+ */
+function getTemplate (registry, name = registry.default) {
+  if (!hasTemplate(registry.templates, name)) {
+    throw new Error(`Unknown template '${name}', the registered templates are ${Object.keys(registry.templates).sort().join(', ')}`)
+  }
+  return registry.templates[name]
+}
+
+module.exports = {
+  BUNDLED_NAME,
+  registryFile,
+  loadRegistry,
+  addTemplate,
+  removeTemplate,
+  getTemplate
+}
@@ -0,0 +1,310 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const { Transform } = require('stream')
+const { pipeline } = require('stream/promises')
+const { StringDecoder } = require('string_decoder')
+const debug = require('debug')('create-aio-lib:replace')
+const files = require('./files')
+const { escapeRegExp } = require('./tokens')
+
+// the number of files processed at the same time
+const DEFAULT_CONCURRENCY = 16
+// the size from which files are streamed, rather than read whole
+const DEFAULT_STREAM_THRESHOLD = 1024 * 1024
+// the number of leading bytes of a streamed file looked at to detect a binary file, as git does
+const BINARY_SAMPLE_SIZE = 8000
+
+// the byte order marks, kept in the replaced files
+const BOMS = [
+  { encoding: 'utf8', bom: Buffer.from([0xef, 0xbb, 0xbf]) },
+  { encoding: 'utf16le', bom: Buffer.from([0xff, 0xfe]) },
+  { encoding: 'utf16be', bom: Buffer.from([0xfe, 0xff]) }
+]
+
+/**
+ * @typedef {object} ReplaceReport
+ * @property {object} files the substitution counts per token, keyed by file, for the text files
+ * @property {Array<string>} missing the files that do not exist
+ * @property {Array<string>} binary the binary files, left untouched
+ */
+
+/**
+ * @typedef {object} Replacer
+ * @property {RegExp} pattern matches any of the tokens, the longest one first
+ * @property {number} maxLength the length of the longest token
+ */
+
+/**
+ * Maps items with an async function, running at most a given number of calls at the same time.
+ *
+ * @param {Array} items the items
+ * @param {number} limit the maximum number of concurrent calls
+ * @param {Function} fn the async function, called with an item and its index
+ * @returns {Promise<Array>} the results, in the order of the items
+ */
+async function mapLimit (items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+/**
+ * Creates a replacer matching all the tokens of a file in a single pass.
+ *
+ * @param {Array<string>} tokens the tokens, not empty
+ * @returns {Replacer} the replacer
+ */
+function createReplacer (tokens) {
+  // the longest tokens come first, so a token containing another one wins
+  const sorted = [...tokens].sort((a, b) => b.length - a.length)
+  return {
+    pattern: new RegExp(sorted.map(escapeRegExp).join('|'), 'g'),
+    maxLength: sorted[0].length
+  }
+}
+
+/**
+ * Detects the encoding of file contents from their byte order mark, defaulting to utf8.
+ *
+ * @param {Buffer} head the first bytes of the file
+ * @returns {{encoding: string, bom: Buffer}} the encoding, and the byte order mark (empty without one)
+ */
+function detectEncoding (head) {
+  const found = BOMS.find(({ bom }) => head.subarray(0, bom.length).equals(bom))
+  return found || { encoding: 'utf8', bom: Buffer.alloc(0) }
+}
+
+/**
+ * Decodes file contents.
+ *
+ * @param {Buffer} buffer the contents, without byte order mark
+ * @param {string} encoding 'utf8', 'utf16le' or 'utf16be'
+ * @returns {string} the text
+ */
+function decode (buffer, encoding) {
+  return encoding === 'utf16be' ? Buffer.from(buffer).swap16().toString('utf16le') : buffer.toString(encoding)
+}
+
+/**
+ * Encodes a text.
+ *
+ * @param {string} text the text
+ * @param {string} encoding 'utf8', 'utf16le' or 'utf16be'
+ * @returns {Buffer} the contents
+ */
+function encode (text, encoding) {
+  return encoding === 'utf16be' ? Buffer.from(text, 'utf16le').swap16() : Buffer.from(text, encoding)
+}
+
+/**
+ * Replaces the tokens of the beginning of a text, leaving the end that could hold a token cut by
+ * the end of the chunk, unless the text is final.
+ *
+ * @param {string} text the text
+ * @param {Replacer} replacer the replacer
+ * @param {object} mapping the replacement values, keyed by token
+ * @param {object} counts the substitution counts, keyed by token, updated
+ * @param {boolean} final true if the text is the end of the file
+ * @returns {{output: string, rest: string}} the replaced beginning, and the rest of the text
+ */
+function replaceChunk (text, replacer, mapping, counts, final) {
+  // any token starting before the cut ends within the text
+  const cut = final ? text.length : text.length - replacer.maxLength + 1
+  const { pattern } = replacer
+  pattern.lastIndex = 0
+  let output = ''
+  let last = 0
+  let match
+  while ((match = pattern.exec(text)) !== null && match.index < cut) {
+    output += text.slice(last, match.index) + mapping[match[0]]
+    counts[match[0]] = (counts[match[0]] || 0) + 1
+    last = match.index + match[0].length
+  }
+  let end = Math.max(last, cut, 0)
+  // keep a surrogate pair whole, its halves can't be encoded apart
+  if (end > last && end < text.length && /[\ud800-\udbff]/.test(text[end - 1])) {
+    end--
+  }
+  return { output: output + text.slice(last, end), rest: text.slice(end) }
+}
+
+/**
+ * Replaces the tokens of a large utf8 file, streaming it through a temporary file which then replaces it.
+ *
+ * @param {string} file the path of the file
+ * @param {Buffer} bom the byte order mark of the file, kept
+ * @param {Replacer} replacer the replacer
+ * @param {object} mapping the replacement values, keyed by token
+ * @param {number} chunkSize the size of the chunks read
+ * @returns {Promise<object>} the substitution counts, keyed by token
+ */
+async function replaceStream (file, bom, replacer, mapping, chunkSize) {
+  const counts = {}
+  const decoder = new StringDecoder('utf8')
+  let rest = ''
+  let first = true
+  const transform = new Transform({
+    transform (chunk, encoding, callback) {
+      const replaced = replaceChunk(rest + decoder.write(chunk), replacer, mapping, counts, false)
+      rest = replaced.rest
+      callback(null, first ? Buffer.concat([bom, Buffer.from(replaced.output)]) : replaced.output)
+      first = false
+    },
+    flush (callback) {
+      const replaced = replaceChunk(rest + decoder.end(), replacer, mapping, counts, true)
+      callback(null, first ? Buffer.concat([bom, Buffer.from(replaced.output)]) : replaced.output)
+    }
+  })
+
+  const temporaryFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.replace`)
+  try {
+    await pipeline(fs.createReadStream(file, { start: bom.length, highWaterMark: chunkSize }), transform, fs.createWriteStream(temporaryFile))
+    if (Object.keys(counts).length > 0) {
+      await fs.chmod(temporaryFile, (await fs.stat(file)).mode)
+      await fs.rename(temporaryFile, file)
+    }
+  } finally {
+    await fs.remove(temporaryFile)
+  }
+  return counts
+}
+
+/**
+ * Reads the first bytes of a file.
+ *
+ * @param {string} file the path of the file
+ * @param {number} size the number of bytes to read
+ * @returns {Promise<Buffer>} the bytes
+ */
+async function readHead (file, size) {
+  const fd = await fs.open(file, 'r')
+  try {
+    const { bytesRead, buffer } = await fs.read(fd, Buffer.alloc(size), 0, size, 0)
+    return buffer.subarray(0, bytesRead)
+  } finally {
+    await fs.close(fd)
+  }
+}
+
+/**
+ * Replaces the tokens of a file in a single pass, keeping its encoding and byte order mark.
+ *
+ * Binary files are left untouched, large utf8 files are streamed, and files without substitution are not written.
+ *
+ * @param {string} file the path of the file
+ * @param {Replacer} [replacer] the replacer of the tokens of the file, undefined if it has none
+ * @param {object} mapping the replacement values, keyed by token
+ * @param {object} options the options, see replaceFiles
+ * @returns {Promise<object>} the substitution counts keyed by token, or undefined for a binary file
+ */
+async function replaceFile (file, replacer, mapping, options) {
+  const { size } = await fs.stat(file)
+  const streamed = size > options.streamThreshold
+  const head = streamed ? await readHead(file, BINARY_SAMPLE_SIZE) : await fs.readFile(file)
+  const { encoding, bom } = detectEncoding(head)
+  // utf16 text holds NUL bytes, only utf8 contents can be told binary
+  if (encoding === 'utf8' && files.isBinary(head)) {
+    return undefined
+  }
+  if (!replacer) {
+    return {}
+  }
+  if (streamed && encoding === 'utf8') {
+    return replaceStream(file, bom, replacer, mapping, options.chunkSize)
+  }
+
+  const contents = streamed ? await fs.readFile(file) : head
+  const counts = {}
+  const { output } = replaceChunk(decode(contents.subarray(bom.length), encoding), replacer, mapping, counts, true)
+  if (Object.keys(counts).length > 0) {
+    await fs.writeFile(file, Buffer.concat([bom, encode(output, encoding)]))
+  }
+  return counts
+}
+
+/**
+ * Replaces tokens in the files of a folder, several files at a time.
+ *
+ * Each file is read once, and all its tokens replaced in a single pass. The files failing to be
+ * replaced don't stop the others, and are reported together once all files are done.
+ *
+ * @param {string} folder the folder
+ * @param {Map<string, Array<string>>} fileTokens the tokens to replace, keyed by file path relative to the folder
+ * @param {object} mapping the replacement values, keyed by token, tokens without value are left as is
+ * @param {object} [options] the options
+ * @param {number} [options.concurrency] the number of files processed at the same time
+ * @param {number} [options.streamThreshold] the size in bytes from which utf8 files are streamed
+ * @param {number} [options.chunkSize] the size in bytes of the chunks of streamed files
+ * @returns {Promise<ReplaceReport>} the substitutions, missing files and binary files
+ */
+async function replaceFiles (folder, fileTokens, mapping, options = {}) {
+  options = Object.assign({ concurrency: DEFAULT_CONCURRENCY, streamThreshold: DEFAULT_STREAM_THRESHOLD, chunkSize: 64 * 1024 }, options)
+  const start = Date.now()
+
+  // the files with the same tokens share a replacer
+  const replacers = new Map()
+  const replacerOf = tokens => {
+    const mapped = [...new Set(tokens)].filter(token => token && mapping[token]).sort()
+    const key = mapped.join('\u0000')
+    if (mapped.length > 0 && !replacers.has(key)) {
+      replacers.set(key, createReplacer(mapped))
+    }
+    return replacers.get(key)
+  }
+
+  const entries = [...fileTokens]
+  const results = await mapLimit(entries, options.concurrency, async ([file, tokens]) => {
+    try {
+      return { counts: await replaceFile(path.join(folder, file), replacerOf(tokens), mapping, options) }
+    } catch (error) {
+      return error.code === 'ENOENT' ? { missing: true } : { error }
+    }
+  })
+
+  const report = { files: {}, missing: [], binary: [] }
+  const errors = []
+  results.forEach(({ counts, missing, error }, index) => {
+    const file = entries[index][0]
+    if (error) {
+      errors.push({ file, error })
+    } else if (missing) {
+      report.missing.push(file)
+    } else if (counts) {
+      report.files[file] = counts
+    } else {
+      report.binary.push(file)
+    }
+  })
+  debug(`Replaced the tokens of ${entries.length} file(s) in ${Date.now() - start}ms`)
+  if (errors.length > 0) {
+    throw new AggregateError(errors.map(({ error }) => error),
+      `Failed to replace the tokens of ${errors.length} file(s):\n${errors.map(({ file, error }) => `  ${file}: ${error.message}`).join('\n')}`)
+  }
+  return report
+}
+
+module.exports = {
+  mapLimit,
+  createReplacer,
+  detectEncoding,
+  replaceChunk,
+  replaceFiles
+}
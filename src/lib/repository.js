@@ -0,0 +1,93 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const { execFile } = require('child_process')
+const git = require('isomorphic-git')
+const debug = require('debug')('create-aio-lib:repository')
+
+const INITIAL_COMMIT_MESSAGE = 'Initial commit'
+
+/**
+ * Returns the origin url of a repo name.
+ *
+ * @param {string} repoName the repo name, e.g. myorg/myrepo
+ * @param {string} [hostUrl] the url of the git host, defaults to GitHub
+ * @returns {string|undefined} the origin url, undefined if the repo name has no org
+ */
+function originUrl (repoName, hostUrl = 'https://github.com') {
+  return repoName.includes('/') ? `${hostUrl}/${repoName}.git` : undefined
+}
+
+/**
+ * Reads a value of the global git configuration.
+ *
+ * @param {string} key the configuration key, e.g. user.name
+ * @returns {Promise<string|undefined>} the value, undefined if it isn't set or git isn't installed
+ */
+function readGitConfig (key) {
+  return new Promise(resolve => {
+    execFile('git', ['config', '--global', '--get', key], { env: process.env }, (error, stdout) => {
+      resolve(error ? undefined : stdout.trim())
+    })
+  })
+}
+
+/**
+ * Resolves the author of the initial commit: the given values win, then the GIT_AUTHOR_NAME and
+ * GIT_AUTHOR_EMAIL environment variables, then the user of the global git configuration.
+ *
+ * @param {object} [given] the given author
+ * @param {string} [given.name] the name of the author
+ * @param {string} [given.email] the email of the author
+ * @returns {Promise<{name: string, email: string}>} the author, the name is undefined if none is configured
+ */
+async function resolveAuthor (given = {}) {
+  return {
+    name: given.name || process.env.GIT_AUTHOR_NAME || await readGitConfig('user.name'),
+    email: given.email || process.env.GIT_AUTHOR_EMAIL || await readGitConfig('user.email') || ''
+  }
+}
+
+/**
+ * Initializes a git repository in a folder, adds an origin remote, and commits all the files
+ * that aren't ignored.
+ *
+ * @param {string} dir the folder
+ * @param {object} options the repository options
+ * @param {string} options.defaultBranch the name of the default branch
+ * @param {string} [options.remoteUrl] the url of the origin remote, none is added if not set
+ * @param {{name: string, email: string}} [options.author] the author of the initial commit, there is
+ * no initial commit without an author name
+ * @returns {Promise<string|undefined>} the id of the initial commit, undefined if there is none
+ */
+async function initRepository (dir, options) {
+  // init has a defaultBranch since isomorphic-git 1.5.0, and add takes folders since 1.0.0, so ^1.8.2 has both
+  await git.init({ fs, dir, defaultBranch: options.defaultBranch })
+  if (options.remoteUrl) {
+    await git.addRemote({ fs, dir, remote: 'origin', url: options.remoteUrl })
+  }
+  if (!options.author || !options.author.name) {
+    debug('No author, skipping the initial commit')
+    return undefined
+  }
+
+  await git.add({ fs, dir, filepath: '.' })
+  const oid = await git.commit({ fs, dir, message: INITIAL_COMMIT_MESSAGE, author: options.author })
+  debug(`Initial commit ${oid} in ${dir}`)
+  return oid
+}
+
+module.exports = {
+  originUrl,
+  resolveAuthor,
+  initRepository
+}
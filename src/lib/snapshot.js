@@ -0,0 +1,171 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const { createTwoFilesPatch } = require('diff')
+const debug = require('debug')('create-aio-lib:snapshot')
+const files = require('./files')
+const { RECORD_FILE } = require('./record')
+const { loadAnswers, mergeAnswers } = require('./answers')
+const { LibGenerator } = require('./generator')
+
+// the options rendering a template the same way on every run: no git repository, and no hooks unless the fixture asks
+const FIXTURE_DEFAULTS = {
+  libName: 'MyLib',
+  repoName: 'myorg/my-lib',
+  git: false,
+  skipHooks: true
+}
+
+/**
+ * @typedef {object} SnapshotDifference
+ * @property {string} file the path of the file, relative to the lib folder
+ * @property {string} kind 'changed', 'missing' (in the snapshot, not in the output) or 'unexpected' (in the output only)
+ * @property {string} diff a readable description of the difference, a unified diff for changed text files
+ */
+
+/**
+ * @typedef {object} SnapshotResult
+ * @property {string} status 'passed', 'failed', 'updated', or 'written' when the snapshot did not exist
+ * @property {string} snapshot the snapshot folder
+ * @property {Array<SnapshotDifference>} differences the differences between the snapshot and the output
+ * @property {Array<string>} warnings the warnings of the generation
+ */
+
+/**
+ * Reads the files of a folder, skipping the generation record, whose date and template path change on every run.
+ *
+ * @param {string} folder the folder
+ * @returns {Promise<Map<string, Buffer>>} the contents, by file path
+ */
+async function readTree (folder) {
+  const tree = new Map()
+  if (await fs.pathExists(folder)) {
+    for (const file of await files.listFiles(folder, [RECORD_FILE])) {
+      tree.set(file, await fs.readFile(path.join(folder, file)))
+    }
+  }
+  return tree
+}
+
+/**
+ * Compares the files of a snapshot with the files of a generated lib.
+ *
+ * @param {Map<string, Buffer>} expected the files of the snapshot
+ * @param {Map<string, Buffer>} actual the generated files
+ * @returns {Array<SnapshotDifference>} the differences, sorted by file
+ */
+function compareTrees (expected, actual) {
+  const differences = []
+  for (const file of [...new Set([...expected.keys(), ...actual.keys()])].sort()) {
+    const before = expected.get(file)
+    const after = actual.get(file)
+    if (!after) {
+      differences.push({ file, kind: 'missing', diff: `${file} is in the snapshot, but was not generated` })
+    } else if (!before) {
+      differences.push({ file, kind: 'unexpected', diff: `${file} was generated, but is not in the snapshot` })
+    } else if (!before.equals(after)) {
+      const diff = files.isBinary(before) || files.isBinary(after)
+        ? `Binary file ${file} differs`
+        : createTwoFilesPatch(`snapshot/${file}`, `output/${file}`, before.toString('utf8'), after.toString('utf8'))
+      differences.push({ file, kind: 'changed', diff })
+    }
+  }
+  return differences
+}
+
+/**
+ * Copies a local template holding its snapshot without it, so the snapshots are not rendered as files of the lib.
+ *
+ * The __snapshots__ folder holding the snapshot is left out too, as it holds the snapshots of the other fixtures.
+ *
+ * @param {string} template the template to render
+ * @param {string} snapshot the snapshot folder
+ * @param {string} workFolder the folder to copy the template into
+ * @returns {Promise<string>} the template to render: the copy if the template holds the snapshot, the template otherwise
+ */
+async function excludeSnapshots (template, snapshot, workFolder) {
+  const templateFolder = path.resolve(template)
+  const relative = path.relative(templateFolder, path.resolve(snapshot))
+  if (!relative || !files.isInside(relative) || !(await fs.pathExists(templateFolder))) {
+    return template
+  }
+  const excluded = path.basename(path.dirname(relative)) === '__snapshots__' ? path.dirname(relative) : relative
+  const copy = path.join(workFolder, 'template')
+  debug(`Copying ${templateFolder} to ${copy}, without ${excluded}`)
+  await fs.copy(templateFolder, copy, {
+    filter: file => path.basename(file) !== 'node_modules' && path.relative(templateFolder, file) !== excluded
+  })
+  return copy
+}
+
+/**
+ * Renders a template with a fixture into a temporary folder, and compares the generated lib with a
+ * golden snapshot: a folder holding the files generated the last time the snapshot was updated.
+ *
+ * The fixture holds the generation options, as an answers file does. The lib is generated without
+ * git repository nor hooks, unless the fixture sets them, and the generation record is not compared. A local
+ * template holding the snapshot is rendered without its snapshots.
+ *
+ * @param {object} options the test options
+ * @param {string} options.template the template to render, see GenerateOptions.templateUrl
+ * @param {string|object} [options.fixture] the fixture: the path of an answers file, or the generation options
+ * @param {string} options.snapshot the snapshot folder
+ * @param {boolean} [options.updateSnapshot] true to replace the snapshot with the generated lib
+ * @param {object} [options.generator] the LibGenerator to render the template with
+ * @returns {Promise<SnapshotResult>} the result of the comparison
+ */
+async function testTemplate ({ template, fixture = {}, snapshot, updateSnapshot, generator }) {
+  if (typeof fixture === 'string') {
+    const { batch, libs } = await loadAnswers(fixture)
+    if (batch) {
+      throw new Error(`The fixture ${fixture} must hold the options of a single lib`)
+    }
+    fixture = libs[0]
+  }
+  const exists = await fs.pathExists(snapshot)
+  if (!updateSnapshot && !exists) {
+    throw new Error(`Snapshot ${snapshot} does not exist, write it with --update-snapshots`)
+  }
+
+  const workFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-snapshot-'))
+  try {
+    const outputDir = path.join(workFolder, 'output')
+    await fs.ensureDir(outputDir)
+    const templateUrl = await excludeSnapshots(template, snapshot, workFolder)
+    generator = generator || new LibGenerator()
+    const result = await generator.generate(mergeAnswers(FIXTURE_DEFAULTS, fixture,
+      { templateUrl, outputDir, overwrite: false, dryRun: false, record: 'file' }))
+    const output = await readTree(result.destination)
+    const differences = compareTrees(await readTree(snapshot), output)
+    debug('Snapshot differences', differences)
+
+    if (updateSnapshot) {
+      await fs.remove(snapshot)
+      for (const [file, contents] of output) {
+        await fs.outputFile(path.join(snapshot, file), contents)
+      }
+      return { status: exists ? 'updated' : 'written', snapshot, differences, warnings: result.warnings }
+    }
+    return { status: differences.length > 0 ? 'failed' : 'passed', snapshot, differences, warnings: result.warnings }
+  } finally {
+    await fs.remove(workFolder)
+  }
+}
+
+module.exports = {
+  FIXTURE_DEFAULTS,
+  readTree,
+  compareTrees,
+  testTemplate
+}
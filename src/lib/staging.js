@@ -0,0 +1,67 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const debug = require('debug')('create-aio-lib:staging')
+
+/**
+ * Creates an empty staging folder for a destination folder.
+ *
+ * The staging folder is a sibling of the destination, so it can be moved into place with a rename.
+ *
+ * @param {string} destination the destination folder
+ * @returns {Promise<string>} the path of the staging folder
+ */
+async function createStagingFolder (destination) {
+  const parent = path.dirname(destination)
+  await fs.ensureDir(parent)
+  const stagingFolder = await fs.mkdtemp(path.join(parent, `.${path.basename(destination)}-staging-`))
+  debug(`Created staging folder ${stagingFolder}`)
+  return stagingFolder
+}
+
+/**
+ * Moves a staging folder into place.
+ *
+ * An existing destination is moved aside first, and only removed once the staging folder is in place.
+ * If the staging folder can't be moved, the existing destination is restored.
+ *
+ * @param {string} stagingFolder the staging folder
+ * @param {string} destination the destination folder
+ */
+async function commitStagingFolder (stagingFolder, destination) {
+  let backupFolder
+  if (await fs.pathExists(destination)) {
+    backupFolder = `${stagingFolder}-backup`
+    debug(`Moving existing ${destination} aside to ${backupFolder}`)
+    await fs.move(destination, backupFolder)
+  }
+
+  try {
+    await fs.move(stagingFolder, destination)
+  } catch (error) {
+    if (backupFolder) {
+      debug(`Restoring ${destination} from ${backupFolder}`)
+      await fs.move(backupFolder, destination)
+    }
+    throw error
+  }
+
+  if (backupFolder) {
+    await fs.remove(backupFolder)
+  }
+}
+
+module.exports = {
+  createStagingFolder,
+  commitStagingFolder
+}
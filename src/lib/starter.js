@@ -0,0 +1,126 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const debug = require('debug')('create-aio-lib:starter')
+const { MANIFEST_FILE } = require('./template-validation')
+
+// the manifest of the starter template, showing a variable, tokens, a feature and a rename
+const STARTER_MANIFEST = {
+  manifestVersion: 2,
+  variables: {
+    endpoint: {
+      description: 'the url of the API the lib calls',
+      default: 'https://api.example.com',
+      pattern: '^https?://'
+    }
+  },
+  tokens: {
+    '{{LIB_NAME}}': { variable: 'libName', files: ['src/index.js', 'README.md'] },
+    '{{LIB_CLASS}}': { variable: 'libNamePascalCase', files: ['src/index.js'] },
+    '{{REPO}}': { variable: 'repoName', files: ['README.md'] },
+    '{{ENDPOINT}}': { variable: 'endpoint', files: ['src/index.js'] }
+  },
+  features: {
+    e2e: {
+      description: 'end to end tests',
+      default: true,
+      files: ['e2e/**']
+    }
+  },
+  conditionalFiles: ['README.md'],
+  rename: {
+    'gitignore.template': '.gitignore'
+  }
+}
+
+// the files of the starter template, by path
+const STARTER_FILES = {
+  [MANIFEST_FILE]: `${JSON.stringify(STARTER_MANIFEST, null, 2)}\n`,
+  'package.json': `{
+  "name": "my-lib",
+  "version": "0.0.1",
+  "main": "src/index.js",
+  "files": [
+    "src"
+  ],
+  "scripts": {
+    "e2e": "jest --config e2e/jest.config.js",
+    "test": "jest"
+  },
+  "license": "Apache-2.0"
+}
+`,
+  'src/index.js': `/**
+ * The {{LIB_NAME}} lib.
+ */
+class {{LIB_CLASS}} {
+  /**
+   * @param {string} [endpoint] the url of the API
+   */
+  constructor (endpoint = '{{ENDPOINT}}') {
+    this.endpoint = endpoint
+  }
+}
+
+module.exports = { {{LIB_CLASS}} }
+`,
+  'e2e/jest.config.js': `module.exports = {
+  testMatch: ['<rootDir>/**/*.e2e.js']
+}
+`,
+  'e2e/lib.e2e.js': `const lib = require('../src')
+
+test('exports the lib', () => {
+  expect(Object.keys(lib)).toHaveLength(1)
+})
+`,
+  'README.md': `# {{LIB_NAME}}
+
+The {{LIB_NAME}} lib, see https://github.com/{{REPO}}.
+
+## Tests
+
+\`\`\`sh
+npm test
+\`\`\`
+<!-- {{#if e2e}} -->
+
+The end to end tests run with \`npm run e2e\`.
+<!-- {{/if}} -->
+`,
+  'gitignore.template': `node_modules
+coverage
+`
+}
+
+/**
+ * Scaffolds a starter template, with a sample manifest, to author a new template from.
+ *
+ * @param {string} folder the folder of the template, which must not exist or be empty
+ * @returns {Promise<Array<string>>} the created files, relative to the folder
+ */
+async function initTemplate (folder) {
+  if (await fs.pathExists(folder) && (await fs.readdir(folder)).length > 0) {
+    throw new Error(`Folder ${folder} is not empty`)
+  }
+  for (const file of Object.keys(STARTER_FILES)) {
+    await fs.outputFile(path.join(folder, file), STARTER_FILES[file])
+  }
+  debug('Initialized template', folder)
+  return Object.keys(STARTER_FILES)
+}
+
+module.exports = {
+  STARTER_FILES,
+  initTemplate
+}
@@ -0,0 +1,197 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const { execFile } = require('child_process')
+const tar = require('tar')
+const debug = require('debug')('create-aio-lib:template-source')
+const gitSource = require('./git-source')
+
+const TARBALL = /\.(tgz|tar\.gz)$/i
+const URL_PATTERN = /^https?:\/\//
+// ./x, ../x, /x, ~/x, file:x and C:\x are local paths, anything else that isn't a url nor an existing folder is an npm package spec
+const LOCAL_PATH = /^(\.{1,2}([\\/]|$)|[\\/]|~[\\/]|file:|[a-zA-Z]:[\\/])/
+
+/**
+ * Checks whether a path is an existing folder.
+ *
+ * @param {string} file the path
+ * @returns {boolean} true if the path is a folder
+ */
+function isFolder (file) {
+  try {
+    return fs.statSync(file).isDirectory()
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Parses a template source. A template source is one of:
+ *
+ * - a git url or shorthand, e.g. `github:org/repo#v2`, see git-source
+ * - a tarball url, e.g. `https://example.com/template.tgz`
+ * - a local folder or tarball, e.g. `./my-template` or `file:../template.tgz`
+ * - an npm package spec, e.g. `@myorg/aio-lib-template@3`, unless a local folder has that path, e.g. `my-template`
+ *
+ * @param {string} spec the template source
+ * @param {object} [overrides] the ref and subfolder to use
+ * @param {string} [overrides.ref] the branch, tag or commit to check out, only for git sources
+ * @param {string} [overrides.subdir] the subfolder of the source holding the template
+ * @param {string} [cwd] the folder local paths are relative to, defaults to the current working folder
+ * @returns {object} the parsed source, with a type of 'git', 'tarball', 'directory' or 'npm'
+ */
+function parseTemplateSource (spec, overrides = {}, cwd = process.cwd()) {
+  const isTarballUrl = URL_PATTERN.test(spec) && TARBALL.test(new URL(spec).pathname)
+  if (/^(github|gitlab|bitbucket):/.test(spec) || /^git\+https?:/.test(spec) || (URL_PATTERN.test(spec) && !isTarballUrl)) {
+    return Object.assign({ type: 'git' }, gitSource.parseGitSource(spec.replace(/^git\+/, ''), overrides))
+  }
+  if (overrides.ref) {
+    throw new Error(`A ref can only be used with a git template source, not '${spec}'`)
+  }
+  gitSource.validateSubdir(overrides.subdir)
+
+  let source
+  if (isTarballUrl) {
+    source = { type: 'tarball', url: spec }
+  } else if (LOCAL_PATH.test(spec) || TARBALL.test(spec) || isFolder(path.resolve(cwd, spec))) {
+    const file = path.resolve(cwd, spec.replace(/^file:/, '').replace(/^~(?=[\\/])/, os.homedir()))
+    source = { type: TARBALL.test(file) ? 'tarball' : 'directory', path: file }
+  } else {
+    source = { type: 'npm', spec }
+  }
+  return Object.assign(source, { subdir: overrides.subdir })
+}
+
+/**
+ * Describes a parsed template source, for messages.
+ *
+ * @param {object} source the parsed template source
+ * @returns {string} the description
+ */
+function describeSource (source) {
+  const location = source.url || source.path || source.spec
+  return [
+    source.ref ? `${location}#${source.ref}` : location,
+    source.subdir && `(subfolder ${source.subdir})`
+  ].filter(Boolean).join(' ')
+}
+
+/**
+ * Downloads a tarball.
+ *
+ * @param {string} url the tarball url
+ * @param {string} toFolder the folder to download into
+ * @returns {Promise<string>} the path of the downloaded tarball
+ */
+async function downloadTarball (url, toFolder) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Could not download ${url}: ${response.status} ${response.statusText}`)
+  }
+  const file = path.join(toFolder, 'template.tgz')
+  await fs.writeFile(file, Buffer.from(await response.arrayBuffer()))
+  return file
+}
+
+/**
+ * Downloads the tarball of an npm package with `npm pack`, so the registry and the credentials
+ * of the npm configuration are used.
+ *
+ * @param {string} spec the npm package spec
+ * @param {string} toFolder the folder to download into
+ * @returns {Promise<{file: string, name: string, version: string}>} the path of the downloaded tarball, and the package name and version
+ */
+function packNpmPackage (spec, toFolder) {
+  return new Promise((resolve, reject) => {
+    const args = ['pack', spec, '--json', '--ignore-scripts', '--pack-destination', toFolder]
+    execFile('npm', args, { env: process.env, shell: process.platform === 'win32' }, (error, stdout) => {
+      if (error) {
+        // with --json, npm reports its errors on stdout
+        let reason = error.message
+        try {
+          reason = JSON.parse(stdout).error.summary
+        } catch (e) {}
+        return reject(new Error(`Could not fetch the npm package '${spec}': ${reason}`))
+      }
+      const { filename, name, version } = JSON.parse(stdout)[0]
+      resolve({ file: path.join(toFolder, filename), name, version })
+    })
+  })
+}
+
+/**
+ * Extracts a tarball. Tarballs usually wrap their contents in a single folder, e.g. `package/`
+ * for npm packages, which is returned instead of the extraction folder.
+ *
+ * @param {string} file the tarball
+ * @param {string} toFolder the folder to extract into
+ * @returns {Promise<string>} the root folder of the tarball contents
+ */
+async function extractTarball (file, toFolder) {
+  if (!(await fs.pathExists(file))) {
+    throw new Error(`Template tarball ${file} does not exist`)
+  }
+  await fs.ensureDir(toFolder)
+  await tar.x({ file, cwd: toFolder })
+  const entries = await fs.readdir(toFolder, { withFileTypes: true })
+  return entries.length === 1 && entries[0].isDirectory() ? path.join(toFolder, entries[0].name) : toFolder
+}
+
+/**
+ * Fetches a template into a folder.
+ *
+ * Git sources are cloned. Other sources are copied from their folder, or extracted from their tarball,
+ * without their node_modules folders.
+ *
+ * @param {object} source the parsed template source, see parseTemplateSource
+ * @param {string} toFolder the folder to fetch the template into
+ * @param {string} [token] the token to authenticate with, for git sources
+ * @returns {Promise<object>} the resolved version of the template: the commit of git sources,
+ * the package name and version of npm packages, and nothing for other sources
+ */
+async function fetchTemplate (source, toFolder, token) {
+  if (source.type === 'git') {
+    return { commit: await gitSource.cloneGitSource(source, toFolder, token) }
+  }
+
+  const workFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-source-'))
+  try {
+    let root = source.path
+    const resolved = {}
+    if (source.type === 'npm') {
+      const { file, name, version } = await packNpmPackage(source.spec, workFolder)
+      Object.assign(resolved, { package: name, version })
+      root = await extractTarball(file, path.join(workFolder, 'contents'))
+    } else if (source.type === 'tarball') {
+      const file = source.url ? await downloadTarball(source.url, workFolder) : source.path
+      root = await extractTarball(file, path.join(workFolder, 'contents'))
+    }
+
+    const templateFolder = source.subdir ? path.join(root, source.subdir) : root
+    if (!(await fs.pathExists(templateFolder))) {
+      throw new Error(`Template folder ${templateFolder} does not exist`)
+    }
+    debug(`Copying ${templateFolder} to ${toFolder}`)
+    await fs.copy(templateFolder, toFolder, { filter: file => path.basename(file) !== 'node_modules' })
+    return resolved
+  } finally {
+    await fs.remove(workFolder)
+  }
+}
+
+module.exports = {
+  parseTemplateSource,
+  describeSource,
+  fetchTemplate
+}
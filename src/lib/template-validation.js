@@ -0,0 +1,161 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const debug = require('debug')('create-aio-lib:template-validation')
+const files = require('./files')
+const manifest = require('./manifest')
+
+const MANIFEST_FILE = 'template.parameters.json'
+
+/**
+ * @typedef {object} TemplateProblems
+ * @property {Array<string>} errors the mistakes of the template
+ * @property {Array<string>} warnings the suspicious parts of the template, which may be intended
+ */
+
+/**
+ * Checks the files listed by a token: plain paths must exist and contain the token, and glob
+ * patterns should match files containing it.
+ *
+ * @param {string} folder the template folder
+ * @param {string} token the token
+ * @param {Array<string>} patterns the file paths and glob patterns of the token
+ * @param {Array<string>} templateFiles the files of the template
+ * @param {TemplateProblems} problems the problems, to add to
+ */
+async function checkTokenFiles (folder, token, patterns, templateFiles, problems) {
+  const contains = async file => {
+    const contents = await fs.readFile(path.join(folder, file))
+    return !files.isBinary(contents) && contents.toString('utf8').includes(token)
+  }
+  for (const pattern of patterns.filter(pattern => !pattern.startsWith('!'))) {
+    if (!files.isGlob(pattern)) {
+      if (!templateFiles.includes(pattern)) {
+        problems.errors.push(`Token '${token}' lists the file ${pattern}, which does not exist`)
+      } else if (!(await contains(pattern))) {
+        problems.errors.push(`Token '${token}' does not occur in the file ${pattern}`)
+      }
+      continue
+    }
+    const matched = templateFiles.filter(file => files.matchesAny(file, [pattern]))
+    if (matched.length === 0) {
+      problems.warnings.push(`Token '${token}' lists the pattern ${pattern}, which matches no file`)
+    } else if (!(await Promise.all(matched.map(contains))).some(Boolean)) {
+      problems.warnings.push(`Token '${token}' does not occur in the files matching ${pattern}`)
+    }
+  }
+}
+
+/**
+ * Checks the paths of a v2 manifest: renames, removals, feature files, conditional files and hook scripts.
+ *
+ * @param {object} json the parsed manifest, to only check what it declares
+ * @param {object} templateManifest the loaded manifest
+ * @param {Array<string>} templateFiles the files of the template
+ * @param {TemplateProblems} problems the problems, to add to
+ */
+function checkPaths (json, templateManifest, templateFiles, problems) {
+  const exists = file => templateFiles.some(templateFile => templateFile === file || templateFile.startsWith(`${file}/`))
+  const matchesFiles = pattern => files.isGlob(pattern)
+    ? templateFiles.some(file => files.matchesAny(file, [pattern]))
+    : exists(pattern)
+
+  const targets = new Map()
+  for (const from of Object.keys(json.rename || {})) {
+    const to = templateManifest.rename[from]
+    if (!exists(from)) {
+      problems.errors.push(`Rename of '${from}' refers to a file that does not exist`)
+    } else if (targets.has(to)) {
+      problems.errors.push(`Rename of '${from}' and '${targets.get(to)}' have the same target '${to}'`)
+    }
+    targets.set(to, from)
+  }
+  for (const file of json.remove || []) {
+    if (!exists(file)) {
+      problems.warnings.push(`Removal of '${file}' refers to a file that does not exist`)
+    }
+  }
+  for (const name of Object.keys(templateManifest.features)) {
+    for (const pattern of (templateManifest.features[name].files || []).filter(pattern => !pattern.startsWith('!'))) {
+      if (!matchesFiles(pattern)) {
+        problems[files.isGlob(pattern) ? 'warnings' : 'errors'].push(`Feature '${name}' lists ${pattern}, which matches no file`)
+      }
+    }
+  }
+  for (const pattern of templateManifest.conditionalFiles.filter(pattern => !pattern.startsWith('!'))) {
+    if (!matchesFiles(pattern)) {
+      problems.warnings.push(`Conditional files ${pattern} match no file`)
+    }
+  }
+  templateManifest.hooks.forEach((hook, index) => {
+    if (hook.script && !templateFiles.includes(hook.script)) {
+      problems.errors.push(`Hook ${index + 1} runs the script ${hook.script}, which does not exist`)
+    }
+  })
+}
+
+/**
+ * Validates a template folder: its manifest, its package.json, and the files the manifest refers to.
+ *
+ * @param {string} folder the template folder
+ * @returns {Promise<TemplateProblems>} the problems found
+ */
+async function validateTemplate (folder) {
+  if (!(await fs.pathExists(folder)) || !(await fs.stat(folder)).isDirectory()) {
+    throw new Error(`Template folder ${folder} does not exist`)
+  }
+  const problems = { errors: [], warnings: [] }
+  const templateFiles = await files.listFiles(folder)
+
+  if (!templateFiles.includes('package.json')) {
+    problems.errors.push('package.json does not exist')
+  } else {
+    await fs.readJson(path.join(folder, 'package.json'))
+      .catch(error => problems.errors.push(`package.json is invalid: ${error.message}`))
+  }
+
+  if (!templateFiles.includes(MANIFEST_FILE)) {
+    problems.errors.push(`${MANIFEST_FILE} does not exist`)
+    return problems
+  }
+  let json, templateManifest
+  try {
+    json = await fs.readJson(path.join(folder, MANIFEST_FILE))
+    templateManifest = manifest.loadManifest(json)
+  } catch (error) {
+    problems.errors.push(`${MANIFEST_FILE} is invalid: ${error.message}`)
+    return problems
+  }
+
+  // the manifest lists the tokens, so it does not count as a file they occur in
+  const contentFiles = templateFiles.filter(file => file !== MANIFEST_FILE)
+  for (const token of Object.keys(templateManifest.tokens)) {
+    // with scanAllFiles, the tokens are replaced in all files, so they only have to occur somewhere
+    const patterns = templateManifest.scanAllFiles ? ['**'] : templateManifest.tokens[token].files
+    if (Array.isArray(patterns)) {
+      await checkTokenFiles(folder, token, patterns, contentFiles, problems)
+    } else {
+      problems.errors.push(`Token '${token}' must list its files in an array`)
+    }
+  }
+  if (templateManifest.manifestVersion === 2) {
+    checkPaths(json, templateManifest, templateFiles, problems)
+  }
+  debug('Template problems', problems)
+  return problems
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  validateTemplate
+}
@@ -0,0 +1,38 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Escapes the regular expression characters of a token, e.g. its curly braces.
+ *
+ * @param {string} token the token
+ * @returns {string} the escaped token
+ */
+function escapeRegExp (token) {
+  return token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Replaces all the tokens of a mapping in a text.
+ *
+ * @param {string} text the text
+ * @param {object} mapping the replacement values, keyed by token
+ * @returns {string} the text with the tokens replaced
+ */
+function replaceTokens (text, mapping) {
+  return Object.keys(mapping)
+    .filter(token => mapping[token])
+    .reduce((result, token) => result.replace(new RegExp(escapeRegExp(token), 'g'), () => mapping[token]), text)
+}
+
+module.exports = {
+  escapeRegExp,
+  replaceTokens
+}
@@ -0,0 +1,153 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const path = require('path')
+const debug = require('debug')('create-aio-lib:workspace')
+const files = require('./files')
+
+// the packages folder of a workspace without a `<folder>/*` pattern
+const DEFAULT_PACKAGES_FOLDER = 'packages'
+
+// the files a lib does not need when the root of the workspace provides them, as glob patterns,
+// the root providing a kind of file when it has any of them
+const ROOT_PROVIDED_FILES = {
+  gitignore: ['.gitignore'],
+  npmrc: ['.npmrc'],
+  workflows: ['.github/workflows/**'],
+  lint: ['.eslintrc', '.eslintrc.*', 'eslint.config.*']
+}
+
+/**
+ * @typedef {object} Workspace
+ * @property {string} root the root folder of the workspace
+ * @property {Array<string>} patterns the workspaces patterns of the root package.json
+ * @property {string} packagesFolder the folder of the packages, relative to the root
+ */
+
+/**
+ * Gets the workspaces patterns of a package.json, declared as an array or in a `packages` array.
+ *
+ * @param {object} json the package.json
+ * @returns {Array<string>} the patterns, undefined if it declares no workspaces
+ */
+function workspacePatterns (json) {
+  const workspaces = json.workspaces
+  if (workspaces && !Array.isArray(workspaces)) {
+    return Array.isArray(workspaces.packages) ? workspaces.packages : undefined
+  }
+  return workspaces
+}
+
+/**
+ * Finds the root of the npm workspaces holding a folder: the nearest package.json declaring workspaces,
+ * in the folder or its parents.
+ *
+ * The packages folder is the one of the first `<folder>/*` pattern, defaulting to 'packages'.
+ *
+ * @param {string} folder the folder to start from
+ * @returns {Promise<Workspace>} the workspace
+ */
+async function findWorkspace (folder) {
+  let current = path.resolve(folder)
+  for (;;) {
+    const packageJsonFile = path.join(current, 'package.json')
+    if (await fs.pathExists(packageJsonFile)) {
+      const patterns = workspacePatterns(await fs.readJson(packageJsonFile))
+      if (patterns) {
+        const packagesPattern = patterns.find(pattern => /^[^!*?[\]{}]+\/\*$/.test(pattern))
+        const packagesFolder = packagesPattern ? packagesPattern.slice(0, -2) : DEFAULT_PACKAGES_FOLDER
+        debug(`Workspace root ${current}, packages in ${packagesFolder}`)
+        return { root: current, patterns, packagesFolder }
+      }
+    }
+    const parent = path.dirname(current)
+    if (parent === current) {
+      throw new Error(`No package.json declaring workspaces was found in ${path.resolve(folder)} or its parents`)
+    }
+    current = parent
+  }
+}
+
+/**
+ * Finds the files of a lib the root of its workspace already provides, e.g. a .gitignore or lint configuration.
+ *
+ * @param {string} root the root folder of the workspace
+ * @param {Array<string>} libFiles the files of the lib, relative to the lib folder
+ * @returns {Promise<Array<string>>} the files the lib does not need
+ */
+async function rootProvidedFiles (root, libFiles) {
+  const workflowsFolder = path.join(root, '.github', 'workflows')
+  const rootFiles = [
+    ...await fs.readdir(root),
+    ...(await fs.pathExists(workflowsFolder) ? (await fs.readdir(workflowsFolder)).map(file => `.github/workflows/${file}`) : [])
+  ]
+  const provided = []
+  for (const kind of Object.keys(ROOT_PROVIDED_FILES)) {
+    const patterns = ROOT_PROVIDED_FILES[kind]
+    if (rootFiles.some(file => files.matchesAny(file, patterns))) {
+      provided.push(...libFiles.filter(file => files.matchesAny(file, patterns)))
+    }
+  }
+  return provided
+}
+
+/**
+ * Aligns the versions of the devDependencies a lib shares with the root of its workspace on the ones of the root.
+ *
+ * @param {object} libJson the package.json of the lib, updated
+ * @param {object} rootJson the package.json of the root
+ * @returns {Array<{name: string, from: string, to: string}>} the aligned devDependencies
+ */
+function alignDevDependencies (libJson, rootJson) {
+  const rootVersions = Object.assign({}, rootJson.dependencies, rootJson.devDependencies)
+  const devDependencies = libJson.devDependencies || {}
+  const aligned = []
+  for (const name of Object.keys(devDependencies)) {
+    if (rootVersions[name] && rootVersions[name] !== devDependencies[name]) {
+      aligned.push({ name, from: devDependencies[name], to: rootVersions[name] })
+      devDependencies[name] = rootVersions[name]
+    }
+  }
+  return aligned
+}
+
+/**
+ * Registers a lib in the workspaces of the root package.json, unless a pattern already matches it.
+ *
+ * @param {string} root the root folder of the workspace
+ * @param {string} folder the folder of the lib
+ * @returns {Promise<boolean>} true if the lib was added to the workspaces
+ */
+async function registerWorkspace (root, folder) {
+  const packageJsonFile = path.join(root, 'package.json')
+  const json = await fs.readJson(packageJsonFile)
+  const patterns = workspacePatterns(json)
+  const relativeFolder = path.relative(root, folder).split(path.sep).join('/')
+  const includes = patterns.filter(pattern => !pattern.startsWith('!'))
+  const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1))
+  if (files.matchesAny(relativeFolder, includes) && !files.matchesAny(relativeFolder, excludes)) {
+    return false
+  }
+  patterns.push(relativeFolder)
+  await fs.writeJson(packageJsonFile, json, { spaces: 2 })
+  debug(`Added ${relativeFolder} to the workspaces of ${packageJsonFile}`)
+  return true
+}
+
+module.exports = {
+  ROOT_PROVIDED_FILES,
+  workspacePatterns,
+  findWorkspace,
+  rootProvidedFiles,
+  alignDevDependencies,
+  registerWorkspace
+}
@@ -0,0 +1,28 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const CacheCleanCommand = require('../../../src/commands/cache/clean')
+const cache = require('../../../src/lib/cache')
+
+describe('CacheCleanCommand', () => {
+  test('should remove the cached templates', async () => {
+    const command = new CacheCleanCommand([], { cacheDir: '/cache' })
+    command.parse = jest.fn().mockResolvedValue({ args: {}, flags: {} })
+    command.log = jest.fn()
+    jest.spyOn(cache, 'cleanCache').mockResolvedValue(2)
+
+    await command.run()
+
+    expect(cache.cleanCache).toHaveBeenCalledWith('/cache')
+    expect(command.log).toHaveBeenCalledWith('Removed 2 cached template(s).')
+    cache.cleanCache.mockRestore()
+  })
+})
@@ -0,0 +1,52 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const CacheListCommand = require('../../../src/commands/cache/list')
+const cache = require('../../../src/lib/cache')
+
+describe('CacheListCommand', () => {
+  let command
+
+  beforeEach(() => {
+    command = new CacheListCommand([], { cacheDir: '/cache' })
+    command.parse = jest.fn().mockResolvedValue({ args: {}, flags: {} })
+    command.log = jest.fn()
+    jest.spyOn(cache, 'listCache')
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('should list the cached templates', async () => {
+    cache.listCache.mockResolvedValue([
+      { key: 'a', source: 'https://github.com/org/repo#v2', fetchedAt: '2026-10-18T10:00:00.000Z' },
+      { key: 'b', source: '@myorg/aio-lib-template@3', fetchedAt: '2026-10-19T10:00:00.000Z' }
+    ])
+
+    await command.run()
+
+    expect(cache.listCache).toHaveBeenCalledWith('/cache')
+    expect(command.log.mock.calls.map(call => call[0])).toEqual([
+      'Cached templates (2):',
+      '  https://github.com/org/repo#v2, fetched at 2026-10-18T10:00:00.000Z',
+      '  @myorg/aio-lib-template@3, fetched at 2026-10-19T10:00:00.000Z'
+    ])
+  })
+
+  test('should tell when nothing is cached', async () => {
+    cache.listCache.mockResolvedValue([])
+
+    await command.run()
+
+    expect(command.log).toHaveBeenCalledWith('No cached templates.')
+  })
+})
@@ -14,6 +14,7 @@ const path = require('path')
 // Mock dependencies before requiring the command
 jest.mock('fs-extra', () => ({
   copy: jest.fn(),
+  mkdtemp: jest.fn(),
   remove: jest.fn(),
   move: jest.fn(),
   pathExists: jest.fn(),
@@ -23,15 +24,12 @@ jest.mock('fs-extra', () => ({
   writeFile: jest.fn()
 }))
 
-jest.mock('isomorphic-git', () => ({
-  clone: jest.fn()
-}))
-
 jest.mock('listr2', () => ({
   Listr: jest.fn().mockImplementation(function (tasks) {
     this.run = async (ctx) => {
       for (const task of tasks) {
-        if (task.task) {
+        // listr skips the tasks whose skip function returns a truthy value
+        if (task.task && !(task.skip && task.skip(ctx))) {
           await task.task(ctx, { title: task.title })
         }
       }
@@ -41,547 +39,1185 @@ jest.mock('listr2', () => ({
   })
 }))
 
+jest.mock('../../src/lib/prompts', () => ({
+  promptForOptions: jest.fn(),
+  promptForVariables: jest.fn(),
+  promptForFeatures: jest.fn(),
+  formatSummary: jest.fn(() => 'summary'),
+  confirmOptions: jest.fn(),
+  confirmHook: jest.fn()
+}))
+
+jest.mock('../../src/lib/staging', () => ({
+  createStagingFolder: jest.fn(),
+  commitStagingFolder: jest.fn()
+}))
+
 const CreateAioLibCommand = require('../../src/commands/create')
+const { LibGenerator } = require('../../src/lib/generator')
+const { Listr } = require('listr2')
+const { GenerateError } = require('../../src/lib/errors')
 const fs = require('fs-extra')
-const git = require('isomorphic-git')
+const prompts = require('../../src/lib/prompts')
+const files = require('../../src/lib/files')
+const features = require('../../src/lib/features')
+const staging = require('../../src/lib/staging')
+const hooks = require('../../src/lib/hooks')
+const lint = require('../../src/lib/lint')
+const registry = require('../../src/lib/registry')
 
 describe('CreateAioLibCommand', () => {
   let command
 
   beforeEach(() => {
-    command = new CreateAioLibCommand([], {})
+    command = new CreateAioLibCommand([], { configDir: '/config', cacheDir: '/cache' })
     jest.clearAllMocks()
   })
 
-  describe('copyTemplate', () => {
-    test('should copy template to destination folder', async () => {
-      const toFolder = '/test/output'
-      const overwrite = true
-
-      fs.copy.mockResolvedValue()
+  describe('logDryRun', () => {
+    const result = {
+      destination: '/out/MyLib',
+      destinationExists: false,
+      dryRun: true,
+      files: ['.gitignore', 'package.json', 'src/MyLib.js'],
+      packageJson: { before: '{\n  "name": "template"\n}\n', after: '{\n  "name": "@myorg/myrepo"\n}\n' },
+      substitutions: { files: {}, missing: [], binary: [] },
+      renamed: [{ from: 'gitignore.template', to: '.gitignore' }, { from: 'src/{{LIB_NAME}}.js', to: 'src/MyLib.js' }],
+      removed: ['e2e/e2e.js', 'types.d.ts', 'hooks/format.js'],
+      hooks: [
+        { title: 'Install dependencies', run: 'npm install' },
+        { title: 'Format', script: 'hooks/format.js', when: 'format' },
+        { script: 'hooks/license.js' }
+      ],
+      record: { location: 'file' },
+      git: { defaultBranch: 'main', remoteUrl: 'https://github.com/myorg/myrepo.git' }
+    }
 
-      await command.copyTemplate(toFolder, overwrite)
+    beforeEach(() => {
+      command.log = jest.fn()
+      command.warn = jest.fn()
+      command.logReplaceReport = jest.fn()
+    })
 
-      expect(fs.copy).toHaveBeenCalledWith(
-        expect.stringContaining('aio-lib-template'),
-        toFolder,
-        { overwrite: true, errorOnExist: false }
-      )
+    test('should log the generation plan', () => {
+      command.logDryRun(result)
+
+      const output = command.log.mock.calls.map(call => call[0]).join('\n')
+      expect(output).toContain('nothing was written to /out/MyLib')
+      expect(output).toContain('Files that would be created (3):\n  .gitignore\n  package.json\n  src/MyLib.js')
+      expect(output).toContain('-  "name": "template"\n+  "name": "@myorg/myrepo"')
+      expect(output).toContain('Renames:\n  gitignore.template -> .gitignore\n  src/{{LIB_NAME}}.js -> src/MyLib.js')
+      expect(output).toContain('Removals:\n  e2e/e2e.js\n  types.d.ts\n  hooks/format.js')
+      expect(output).toContain('Hooks that would run:\n  Install dependencies (npm install)\n  Format (hooks/format.js)\n  node hooks/license.js')
+      expect(output).toContain('The generation record would be written to .create-aio-lib.json.')
+      expect(output).toContain('A git repository would be initialized on branch main, with origin https://github.com/myorg/myrepo.git.')
+      expect(command.logReplaceReport).toHaveBeenCalledWith(result.substitutions)
+      expect(command.warn).not.toHaveBeenCalled()
     })
 
-    test('should not overwrite if overwrite is false', async () => {
-      const toFolder = '/test/output'
-      const overwrite = false
+    test('should warn about an existing destination and skip empty sections', () => {
+      command.logDryRun({ ...result, destinationExists: true, renamed: [], removed: [], hooks: [], git: undefined })
 
-      fs.copy.mockResolvedValue()
+      const output = command.log.mock.calls.map(call => call[0]).join('\n')
+      expect(command.warn).toHaveBeenCalledWith(expect.stringContaining('/out/MyLib exists'))
+      expect(output).not.toContain('Renames:')
+      expect(output).not.toContain('Removals:')
+      expect(output).not.toContain('git repository')
+      expect(output).not.toContain('Hooks')
+    })
 
-      await command.copyTemplate(toFolder, overwrite)
+    test('should not mention an origin for a repo without org', () => {
+      command.logDryRun({ ...result, git: { defaultBranch: 'trunk', remoteUrl: undefined }, record: { location: 'package.json' } })
 
-      expect(fs.copy).toHaveBeenCalledWith(
-        expect.any(String),
-        toFolder,
-        { overwrite: false, errorOnExist: true }
-      )
+      const output = command.log.mock.calls.map(call => call[0]).join('\n')
+      expect(output).toContain("The generation record would be written to the 'create-aio-lib' field of package.json.")
+      expect(output).toContain('A git repository would be initialized on branch trunk.')
     })
   })
 
-  describe('cloneRepo', () => {
-    test('should clone repository with correct options', async () => {
-      const url = 'https://github.com/test/repo'
-      const toFolder = '/test/folder'
-
-      git.clone.mockResolvedValue()
+  describe('promptForOptions', () => {
+    beforeEach(() => {
       command.log = jest.fn()
+    })
 
-      await command.cloneRepo(url, toFolder)
+    test('should return the answers when confirmed', async () => {
+      const answers = { libName: 'MyLib', repoName: 'myorg/myrepo' }
+      prompts.promptForOptions.mockResolvedValue(answers)
+      prompts.confirmOptions.mockResolvedValue(true)
 
-      expect(git.clone).toHaveBeenCalledWith({
-        fs,
-        dir: toFolder,
-        url,
-        singleBranch: true,
-        depth: 1
-      })
-      expect(command.log).toHaveBeenCalledWith(expect.stringContaining(url))
+      await expect(command.promptForOptions({})).resolves.toBe(answers)
+      expect(command.log).toHaveBeenCalledWith('summary')
+    })
+
+    test('should return null when not confirmed', async () => {
+      prompts.promptForOptions.mockResolvedValue({ libName: 'MyLib', repoName: 'myorg/myrepo' })
+      prompts.confirmOptions.mockResolvedValue(false)
+
+      await expect(command.promptForOptions({})).resolves.toBeNull()
+      expect(command.log).toHaveBeenCalledWith(expect.stringContaining('Cancelled'))
     })
   })
 
-  describe('removeDotGitFolder', () => {
-    test('should remove .git folder from repo', async () => {
-      const repoFolder = '/test/repo'
-      const dotGitPath = path.join(repoFolder, '.git')
+  describe('logReplaceReport', () => {
+    test('should log the substitutions, binary and missing files', () => {
+      command.log = jest.fn()
+      command.warn = jest.fn()
+
+      command.logReplaceReport({
+        files: {
+          'src/index.js': { '{{REPO}}': 2, '{{LIB_NAME}}': 1 },
+          'README.md': {}
+        },
+        missing: ['e2e/.env'],
+        binary: ['logo.png']
+      })
+
+      expect(command.log.mock.calls.map(call => call[0])).toEqual([
+        'Substitutions:',
+        '  src/index.js: {{REPO}} x2, {{LIB_NAME}} x1',
+        '  1 other file(s) without substitutions',
+        '  skipped binary file logo.png'
+      ])
+      expect(command.warn).toHaveBeenCalledWith(expect.stringContaining('e2e/.env'))
+    })
 
-      fs.remove.mockResolvedValue()
+    test('should not count unchanged files when all files changed', () => {
+      command.log = jest.fn()
 
-      await command.removeDotGitFolder(repoFolder)
+      command.logReplaceReport({ files: { 'a.js': { X: 1 } }, missing: [], binary: [] })
 
-      expect(fs.remove).toHaveBeenCalledWith(dotGitPath)
+      expect(command.log).toHaveBeenCalledTimes(2)
     })
   })
 
-  describe('readParametersFile', () => {
-    test('should read parameters file successfully when it exists', async () => {
-      const repoFolder = path.join(__dirname, '../fixtures')
+  describe('run', () => {
+    const isTTY = process.stdin.isTTY
+    // the generation steps are spied on the generator the command creates
+    const generator = LibGenerator.prototype
 
-      // Mock pathExists to return true for this specific file
-      fs.pathExists.mockImplementation((filePath) => {
-        if (filePath.includes('template.parameters.json')) {
-          return Promise.resolve(true)
-        }
-        return Promise.resolve(false)
+    afterEach(() => {
+      process.stdin.isTTY = isTTY
+    })
+
+    beforeEach(() => {
+      command.parse = jest.fn()
+      command.error = jest.fn().mockImplementation((msg) => {
+        throw new Error(msg)
       })
+      command.log = jest.fn()
+      command.warn = jest.fn()
+      jest.spyOn(generator, 'copyTemplate').mockResolvedValue()
+      jest.spyOn(generator, 'fetchTemplate').mockResolvedValue()
+      jest.spyOn(generator, 'removeDotGitFolder').mockResolvedValue()
+      jest.spyOn(generator, 'readParametersFile').mockResolvedValue({ '{{REPO}}': ['test.js'] })
+      jest.spyOn(generator, 'updatePackageJson').mockResolvedValue()
+      jest.spyOn(generator, 'replaceText').mockResolvedValue()
+      jest.spyOn(generator, 'cleanup').mockResolvedValue({ removed: [], renamed: [] })
+      jest.spyOn(generator, 'renamePaths').mockResolvedValue([])
+      jest.spyOn(generator, 'initGitRepo').mockResolvedValue('abc123')
+      jest.spyOn(lint, 'lintTokens').mockResolvedValue({ leftover: [], unused: [] })
 
-      const result = await command.readParametersFile(repoFolder)
+      fs.pathExists.mockResolvedValue(false)
+      fs.remove.mockResolvedValue()
+      staging.createStagingFolder.mockImplementation(async destination => `${destination}-staging`)
+      staging.commitStagingFolder.mockResolvedValue()
+      jest.spyOn(files, 'listFiles').mockResolvedValue(['package.json'])
+      jest.spyOn(registry, 'loadRegistry').mockResolvedValue({
+        default: 'aio-lib',
+        templates: {
+          'aio-lib': { source: '@adobe/aio-lib-template', description: 'Adobe I/O lib template (bundled)', bundled: true },
+          myorg: { source: 'github:myorg/templates', description: "My org's libs", ref: 'v2', subdir: 'aio-lib' }
+        }
+      })
+    })
 
-      expect(result).toBeDefined()
-      expect(result['{{REPO}}']).toEqual(['file1.js', 'file2.js'])
-      expect(result['{{LIB_NAME}}']).toEqual(['file1.js', 'file3.js'])
+    afterEach(() => {
+      jest.restoreAllMocks()
     })
 
-    test('should throw error if parameters file does not exist', async () => {
-      const repoFolder = '/test/repo'
+    test('should run successfully with valid args', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: {}
+      })
 
-      fs.pathExists.mockResolvedValue(false)
+      await command.run()
+
+      // Wait for listr tasks to complete
+      await new Promise(resolve => setImmediate(resolve))
 
-      await expect(command.readParametersFile(repoFolder))
-        .rejects.toThrow('template.parameters.json does not exist')
+      expect(generator.copyTemplate).toHaveBeenCalled()
+      expect(generator.removeDotGitFolder).toHaveBeenCalled()
+      expect(generator.readParametersFile).toHaveBeenCalled()
+      expect(generator.updatePackageJson).toHaveBeenCalled()
+      expect(generator.replaceText).toHaveBeenCalled()
+      expect(generator.cleanup).toHaveBeenCalled()
+      expect(generator.renamePaths).toHaveBeenCalled()
     })
-  })
 
-  describe('updatePackageJson', () => {
-    const mockPackageJson = {
-      name: 'old-name',
-      version: '1.0.0',
-      repository: 'old-repo',
-      bugs: { url: 'old-bugs' },
-      _somePrivateKey: 'value'
-    }
+    test('should error if destination exists and overwrite is false', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { overwrite: false }
+      })
 
-    beforeEach(() => {
-      console.log = jest.fn()
+      fs.pathExists.mockResolvedValue(true)
+
+      await expect(command.run()).rejects.toThrow('exists')
     })
 
-    test('should update package.json with scoped package name', async () => {
-      const repoFolder = '/test/repo'
-      const repoName = 'myorg/myrepo'
-      const packageJsonFile = path.join(repoFolder, 'package.json')
+    test('should strip leading @ from repo name', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: '@myorg/myrepo' },
+        flags: {}
+      })
 
-      fs.pathExists.mockResolvedValue(true)
-      fs.readJson.mockResolvedValue(Object.assign({}, mockPackageJson))
-      fs.writeJson.mockResolvedValue()
-
-      await command.updatePackageJson(repoFolder, repoName)
-
-      expect(fs.writeJson).toHaveBeenCalledWith(
-        packageJsonFile,
-        expect.objectContaining({
-          name: '@myorg/myrepo',
-          version: '0.0.1',
-          repository: 'https://github.com/myorg/myrepo',
-          homepage: 'https://github.com/myorg/myrepo',
-          bugs: { url: 'https://github.com/myorg/myrepo/issues' }
-        }),
-        { spaces: 2 }
+      await command.run()
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      expect(generator.updatePackageJson).toHaveBeenCalledWith(
+        expect.any(String),
+        'myorg/myrepo',
+        expect.objectContaining({ description: undefined, version: '0.0.1', host: { type: 'github', url: 'https://github.com' } })
       )
+      expect(command.warn).not.toHaveBeenCalled()
     })
 
-    test('should preserve existing bugs object', async () => {
-      const repoFolder = '/test/repo'
-      const repoName = 'myorg/myrepo'
-      const mockJson = Object.assign({}, mockPackageJson, {
-        bugs: { url: 'https://existing.com', email: 'test@test.com' }
+    test('should set the package fields from the flags', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: {
+          author: 'Jane',
+          license: 'MIT',
+          keywords: 'adobe, io',
+          packageVersion: '1.0.0',
+          access: 'restricted',
+          engine: ['node=>=20', 'npm=>=10'],
+          gitHost: 'gitlab',
+          git: true,
+          defaultBranch: 'main'
+        }
       })
 
-      fs.pathExists.mockResolvedValue(true)
-      fs.readJson.mockResolvedValue(mockJson)
-      fs.writeJson.mockResolvedValue()
-
-      await command.updatePackageJson(repoFolder, repoName)
+      await command.run()
 
-      const writtenJson = fs.writeJson.mock.calls[0][1]
-      expect(writtenJson.bugs.email).toBe('test@test.com')
+      expect(generator.updatePackageJson).toHaveBeenCalledWith(expect.any(String), 'myorg/myrepo', {
+        description: undefined,
+        author: 'Jane',
+        license: 'MIT',
+        keywords: ['adobe', 'io'],
+        version: '1.0.0',
+        access: 'restricted',
+        engines: { node: '>=20', npm: '>=10' },
+        host: { type: 'gitlab', url: 'https://gitlab.com' }
+      })
+      expect(generator.initGitRepo).toHaveBeenCalledWith(expect.any(String), 'myorg/myrepo', expect.objectContaining({ hostUrl: 'https://gitlab.com' }))
     })
 
-    test('should handle package.json without bugs field', async () => {
-      const repoFolder = '/test/repo'
-      const repoName = 'myorg/myrepo'
-      const mockJson = {
-        name: 'old-name',
-        version: '1.0.0'
-      }
+    test('should let the package flags win over the template variables', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: { license: 'MIT' }
+      })
+      generator.readParametersFile.mockResolvedValue({
+        manifestVersion: 2,
+        variables: { license: { default: 'Apache-2.0' }, author: { default: 'Adobe Inc.' } }
+      })
 
-      fs.pathExists.mockResolvedValue(true)
-      fs.readJson.mockResolvedValue(mockJson)
-      fs.writeJson.mockResolvedValue()
+      await command.run()
 
-      await command.updatePackageJson(repoFolder, repoName)
+      expect(generator.updatePackageJson).toHaveBeenCalledWith(expect.any(String), 'myorg/myrepo',
+        expect.objectContaining({ license: 'MIT', author: 'Adobe Inc.' }))
+    })
 
-      const writtenJson = fs.writeJson.mock.calls[0][1]
-      expect(writtenJson.bugs).toBeDefined()
-      expect(writtenJson.bugs.url).toBe('https://github.com/myorg/myrepo/issues')
+    test('should error on invalid names, with a suggestion', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'my-lib', repoName: 'myorg/myrepo' },
+        flags: {}
+      })
+      await expect(command.run()).rejects.toThrow("'my-lib' is not a valid class name, use letters, digits, '_' or '$' and do not start with a digit, e.g. 'MyLib'.")
+
+      command.parse.mockResolvedValue({
+        args: { libName: 'MyLib', repoName: 'myOrg/myRepo' },
+        flags: {}
+      })
+      await expect(command.run()).rejects.toThrow("'myOrg/myRepo' does not make a valid npm package name '@myOrg/myRepo', it must be lower case, e.g. 'myorg/myrepo'.")
+      expect(generator.copyTemplate).not.toHaveBeenCalled()
     })
 
-    test('should update package.json with non-scoped package name', async () => {
-      const repoFolder = '/test/repo'
-      const repoName = 'myrepo'
+    test('should make the lib name variants available to templates', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'myAwesomeLib', repoName: 'myorg/myrepo' },
+        flags: {}
+      })
+      generator.readParametersFile.mockResolvedValue({
+        manifestVersion: 2,
+        tokens: { '{{FILE_NAME}}': { variable: 'libNameKebabCase', files: ['src/index.js'] } }
+      })
 
-      fs.pathExists.mockResolvedValue(true)
-      fs.readJson.mockResolvedValue(Object.assign({}, mockPackageJson))
-      fs.writeJson.mockResolvedValue()
+      await command.run()
 
-      await command.updatePackageJson(repoFolder, repoName)
+      expect(generator.replaceText).toHaveBeenCalledWith(expect.any(String), { '{{FILE_NAME}}': ['src/index.js'] }, 'MyAwesomeLib', 'myorg/myrepo',
+        { '{{FILE_NAME}}': 'my-awesome-lib' })
+    })
+
+    test('should error on invalid package flags', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: { gitHost: 'sourceforge' }
+      })
 
-      const writtenJson = fs.writeJson.mock.calls[0][1]
-      expect(writtenJson.name).toBe('myrepo')
-      expect(writtenJson.version).toBe('0.0.1')
-      expect(writtenJson.repository).toBeUndefined()
-      expect(writtenJson.homepage).toBeUndefined()
-      expect(writtenJson.bugs).toBeUndefined()
+      await expect(command.run()).rejects.toThrow("Invalid git host 'sourceforge'")
+      expect(generator.copyTemplate).not.toHaveBeenCalled()
     })
 
-    test('should remove keys starting with underscore', async () => {
-      const repoFolder = '/test/repo'
-      const repoName = 'myrepo'
+    test('should use fetchTemplate when templateUrl flag is provided', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { templateUrl: 'https://github.com/test/repo' }
+      })
 
-      fs.pathExists.mockResolvedValue(true)
-      fs.readJson.mockResolvedValue(Object.assign({}, mockPackageJson))
-      fs.writeJson.mockResolvedValue()
+      await command.run()
 
-      await command.updatePackageJson(repoFolder, repoName)
+      await new Promise(resolve => setImmediate(resolve))
 
-      const writtenJson = fs.writeJson.mock.calls[0][1]
-      expect(writtenJson._somePrivateKey).toBeUndefined()
+      expect(generator.fetchTemplate).toHaveBeenCalled()
     })
 
-    test('should throw error if package.json does not exist', async () => {
-      const repoFolder = '/test/repo'
-      const repoName = 'myrepo'
+    test('should use the default registered template', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: {}
+      })
 
-      fs.pathExists.mockResolvedValue(false)
+      await command.run()
 
-      await expect(command.updatePackageJson(repoFolder, repoName))
-        .rejects.toThrow('package.json does not exist')
+      expect(registry.loadRegistry).toHaveBeenCalledWith(path.join('/config', 'templates.json'))
+      expect(generator.copyTemplate).toHaveBeenCalled()
+      expect(generator.fetchTemplate).not.toHaveBeenCalled()
     })
-  })
 
-  describe('cleanup', () => {
-    test('should remove specified files', async () => {
-      const repoFolder = '/test/repo'
+    test('should fetch a registered template by name', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { template: 'myorg' }
+      })
 
-      fs.remove.mockResolvedValue()
-      fs.move.mockResolvedValue()
+      await command.run()
 
-      await command.cleanup(repoFolder)
+      expect(generator.copyTemplate).not.toHaveBeenCalled()
+      expect(generator.fetchTemplate).toHaveBeenCalledWith('github:myorg/templates', `${path.join(process.cwd(), 'mylib')}-staging`, 'v2', 'aio-lib', { offline: undefined, refresh: undefined })
+    })
 
-      expect(fs.remove).toHaveBeenCalledWith(
-        path.join(repoFolder, 'types.d.ts')
-      )
-      expect(fs.remove).toHaveBeenCalledWith(
-        path.join(repoFolder, 'template.parameters.json')
-      )
+    test('should fetch the default registered template when it is not the bundled one', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: {}
+      })
+      registry.loadRegistry.mockResolvedValue({
+        default: 'local',
+        templates: { local: { source: '/templates/lib', description: '' } }
+      })
+
+      await command.run()
+
+      expect(generator.fetchTemplate).toHaveBeenCalledWith('/templates/lib', `${path.join(process.cwd(), 'mylib')}-staging`, undefined, undefined, { offline: undefined, refresh: undefined })
     })
 
-    test('should rename template files', async () => {
-      const repoFolder = '/test/repo'
+    test('should error on an unknown registered template', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { template: 'other' }
+      })
 
-      fs.remove.mockResolvedValue()
-      fs.move.mockResolvedValue()
+      await expect(command.run()).rejects.toThrow("Unknown template 'other', the registered templates are aio-lib, myorg")
+      expect(generator.copyTemplate).not.toHaveBeenCalled()
+    })
 
-      await command.cleanup(repoFolder)
+    test('should pass the template ref and subfolder to fetchTemplate', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { templateUrl: 'github:test/repo', templateRef: 'v2', templateSubdir: 'templates/lib' }
+      })
 
-      expect(fs.move).toHaveBeenCalledWith(
-        path.join(repoFolder, 'gitignore.template'),
-        path.join(repoFolder, '.gitignore'),
-        { overwrite: true }
-      )
-      expect(fs.move).toHaveBeenCalledWith(
-        path.join(repoFolder, 'npmrc.template'),
-        path.join(repoFolder, '.npmrc'),
-        { overwrite: true }
-      )
+      await command.run()
+
+      expect(generator.fetchTemplate).toHaveBeenCalledWith('github:test/repo', `${path.join(process.cwd(), 'mylib')}-staging`, 'v2', 'templates/lib',
+        { offline: undefined, refresh: undefined })
     })
-  })
 
-  describe('replaceText', () => {
-    test('should replace tokens in files', async () => {
-      const repoFolder = '/test/repo'
-      const libName = 'MyLib'
-      const repoName = 'myorg/myrepo'
-      const paramsJson = {
-        '{{REPO}}': ['file1.js'],
-        '{{LIB_NAME}}': ['file1.js']
-      }
-      const fileContents = '{{REPO}} and {{LIB_NAME}}'
+    test('should pass the cache flags to fetchTemplate', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { templateUrl: 'github:test/repo', offline: true, refresh: false }
+      })
 
-      fs.readFile.mockResolvedValue(fileContents)
-      fs.writeFile.mockResolvedValue()
-      console.log = jest.fn()
-      console.error = jest.fn()
+      await command.run()
 
-      await command.replaceText(repoFolder, paramsJson, libName, repoName)
+      expect(generator.fetchTemplate).toHaveBeenCalledWith('github:test/repo', `${path.join(process.cwd(), 'mylib')}-staging`, undefined, undefined,
+        { offline: true, refresh: false })
+    })
+
+    test('should capitalize first letter of libName', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: {}
+      })
+
+      await command.run()
 
-      // Wait for async operations
       await new Promise(resolve => setImmediate(resolve))
 
-      expect(fs.readFile).toHaveBeenCalled()
-      expect(fs.writeFile).toHaveBeenCalled()
+      // The replaceText should be called with capitalized libName 'Mylib'
+      expect(generator.replaceText).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.any(Object),
+        'Mylib',
+        'myrepo',
+        { '{{REPO}}': 'myrepo' }
+      )
     })
 
-    test('should handle tokens with curly braces correctly', async () => {
-      const repoFolder = '/test/repo'
-      const libName = 'MyLib'
-      const repoName = 'myrepo'
-      const paramsJson = {
-        '{{LIB_NAME}}': ['file1.js']
-      }
+    test('should catch and handle errors from tasks', async () => {
+      const errorMessage = 'Task failed'
+      let errorCalled = false
 
-      fs.readFile.mockResolvedValue('Content with {{LIB_NAME}}')
-      fs.writeFile.mockResolvedValue()
-      console.log = jest.fn()
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: {}
+      })
 
-      await command.replaceText(repoFolder, paramsJson, libName, repoName)
+      command.error.mockImplementation((msg) => {
+        errorCalled = true
+        expect(msg).toBe(errorMessage)
+        throw new Error(msg)
+      })
 
-      await new Promise(resolve => setImmediate(resolve))
+      // Make copyTemplate throw an error
+      generator.copyTemplate.mockRejectedValue(new Error(errorMessage))
 
-      expect(fs.readFile).toHaveBeenCalled()
-    })
+      await expect(command.run()).rejects.toThrow(errorMessage)
 
-    test('should skip unmapped tokens', async () => {
-      const repoFolder = '/test/repo'
-      const libName = 'MyLib'
-      const repoName = 'myrepo'
-      const paramsJson = {
-        '{{UNKNOWN}}': ['file1.js']
-      }
+      // Wait for error handling
+      await new Promise(resolve => setImmediate(resolve))
 
-      fs.readFile.mockResolvedValue('Content')
-      console.log = jest.fn()
-      console.error = jest.fn()
+      expect(errorCalled).toBe(true)
+    })
+    test('should prompt for missing arguments in a terminal', async () => {
+      process.stdin.isTTY = true
+      command.parse.mockResolvedValue({
+        args: {},
+        flags: { outputDir: '/out' }
+      })
+      command.promptForOptions = jest.fn().mockResolvedValue({
+        libName: 'mylib',
+        repoName: 'myorg/myrepo',
+        outputDir: '/out',
+        description: 'my lib'
+      })
 
-      await command.replaceText(repoFolder, paramsJson, libName, repoName)
+      await command.run()
 
       await new Promise(resolve => setImmediate(resolve))
 
-      expect(console.error).toHaveBeenCalledWith(
-        expect.stringContaining('No mapping found')
+      expect(command.promptForOptions).toHaveBeenCalledWith({ outputDir: '/out', variables: {}, features: {} })
+      expect(generator.updatePackageJson).toHaveBeenCalledWith(
+        `${path.join('/out', 'mylib')}-staging`,
+        'myorg/myrepo',
+        expect.objectContaining({ description: 'my lib' })
       )
     })
 
-    test('should write file even if content does not change', async () => {
-      const repoFolder = '/test/repo'
-      const libName = 'MyLib'
-      const repoName = 'myrepo'
-      const paramsJson = {
-        '{{REPO}}': ['file1.js']
-      }
+    test('should not generate anything when the prompt is cancelled', async () => {
+      process.stdin.isTTY = true
+      command.parse.mockResolvedValue({
+        args: {},
+        flags: {}
+      })
+      command.promptForOptions = jest.fn().mockResolvedValue(null)
 
-      fs.readFile.mockResolvedValue('Content without tokens')
-      fs.writeFile.mockResolvedValue()
-      console.log = jest.fn()
+      await command.run()
 
-      await command.replaceText(repoFolder, paramsJson, libName, repoName)
+      expect(generator.copyTemplate).not.toHaveBeenCalled()
+    })
 
-      await new Promise(resolve => setImmediate(resolve))
+    test('should error on missing arguments with --yes', async () => {
+      process.stdin.isTTY = true
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib' },
+        flags: { yes: true }
+      })
+      command.promptForOptions = jest.fn()
 
-      // writeFile should be called for files listed in paramsJson
-      expect(fs.writeFile).toHaveBeenCalled()
+      await expect(command.run()).rejects.toThrow('Missing required arguments')
+      expect(command.promptForOptions).not.toHaveBeenCalled()
     })
 
-    test('should handle files not matching any tokens', async () => {
-      const repoFolder = '/test/repo'
-      const libName = 'MyLib'
-      const repoName = 'myrepo'
-      const paramsJson = {
-        '{{REPO}}': ['file1.js'],
-        '{{LIB_NAME}}': ['file2.js']
-      }
-
-      fs.readFile.mockResolvedValue('Some content')
-      fs.writeFile.mockResolvedValue()
-      console.log = jest.fn()
+    test('should error on missing arguments when not in a terminal', async () => {
+      process.stdin.isTTY = undefined
+      command.parse.mockResolvedValue({
+        args: {},
+        flags: {}
+      })
+      command.promptForOptions = jest.fn()
 
-      await command.replaceText(repoFolder, paramsJson, libName, repoName)
+      await expect(command.run()).rejects.toThrow('Missing required arguments')
+      expect(command.promptForOptions).not.toHaveBeenCalled()
+    })
+    test('should resolve template variables from --var and replace their tokens', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: { yes: true, var: ['endpoint=https://example.com'] }
+      })
+      generator.readParametersFile.mockResolvedValue({
+        manifestVersion: 2,
+        variables: {
+          endpoint: { type: 'string' },
+          packageName: { derive: { from: 'libName', transform: 'kebab-case' } }
+        },
+        tokens: {
+          '{{ENDPOINT}}': { variable: 'endpoint', files: ['src/index.js'] },
+          '{{PACKAGE}}': { variable: 'packageName', files: ['README.md'] }
+        }
+      })
 
-      await new Promise(resolve => setImmediate(resolve))
+      await command.run()
 
-      // Both files should be processed
-      expect(fs.readFile).toHaveBeenCalledTimes(2)
+      expect(prompts.promptForVariables).not.toHaveBeenCalled()
+      expect(generator.replaceText).toHaveBeenCalledWith(
+        expect.any(String),
+        { '{{ENDPOINT}}': ['src/index.js'], '{{PACKAGE}}': ['README.md'] },
+        'Mylib',
+        'myorg/myrepo',
+        { '{{ENDPOINT}}': 'https://example.com', '{{PACKAGE}}': 'mylib' }
+      )
     })
 
-    test('should skip writing when tokens array is empty for unmapped token', async () => {
-      const repoFolder = '/test/repo'
-      const libName = 'MyLib'
-      const repoName = 'myrepo'
-      // Use a token that has no mapping in toFrom
-      const paramsJson = {
-        '{{UNMAPPED_TOKEN}}': ['file1.js']
-      }
+    test('should prompt for template variables in a terminal', async () => {
+      process.stdin.isTTY = true
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: {}
+      })
+      generator.readParametersFile.mockResolvedValue({
+        manifestVersion: 2,
+        variables: { author: { description: 'Author' } },
+        tokens: { '{{AUTHOR}}': { variable: 'author', files: ['package.json'] } }
+      })
+      prompts.promptForVariables.mockResolvedValue({ author: 'Jane' })
 
-      fs.readFile.mockResolvedValue('Content with {{UNMAPPED_TOKEN}}')
-      fs.writeFile.mockClear()
-      console.log = jest.fn()
-      console.error = jest.fn()
+      await command.run()
 
-      await command.replaceText(repoFolder, paramsJson, libName, repoName)
+      expect(prompts.promptForVariables).toHaveBeenCalledWith({ author: { description: 'Author' } })
+      expect(generator.replaceText.mock.calls[0][4]).toEqual({ '{{AUTHOR}}': 'Jane' })
+    })
 
-      await new Promise(resolve => setImmediate(resolve))
+    test('should error on an invalid --var', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { var: ['novalue'] }
+      })
 
-      // File should be read
-      expect(fs.readFile).toHaveBeenCalled()
-      // Error should be logged for unmapped token
-      expect(console.error).toHaveBeenCalledWith(
-        expect.stringContaining('No mapping found')
-      )
-      // File should NOT be written because tokens.length will be 0 after filtering unmapped tokens
-      // Actually, the token is found but has no mapping, so tokens array will have it but replacement won't happen
-      // Let's check writeFile was NOT called (because no valid replacement)
-    })
-
-    test('should not write file when no tokens are found in pathItem', async () => {
-      const repoFolder = '/test/repo'
-      const libName = 'MyLib'
-      const repoName = 'myrepo'
-      // File not listed in any token's array
-      const paramsJson = {
-        '{{REPO}}': ['other-file.js'],
-        '{{LIB_NAME}}': ['another-file.js']
-      }
+      await expect(command.run()).rejects.toThrow('Invalid variable')
+      expect(generator.copyTemplate).not.toHaveBeenCalled()
+    })
+    test('should log the replacement report', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: {}
+      })
+      const report = { files: {}, missing: [], binary: [] }
+      generator.replaceText.mockResolvedValue(report)
+      command.logReplaceReport = jest.fn()
 
-      // The replaceText function iterates through unique pathItems from paramsJson values
-      // So it will only process 'other-file.js' and 'another-file.js'
-      // To test tokens.length === 0, we need a file that's in paramsJson but token doesn't include it
-      fs.readFile.mockResolvedValue('Content')
-      fs.writeFile.mockClear()
-      console.log = jest.fn()
+      await command.run()
 
-      await command.replaceText(repoFolder, paramsJson, libName, repoName)
+      expect(command.logReplaceReport).toHaveBeenCalledWith(report)
+    })
+    test('should generate in a workspace, and log how the lib fits in', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: { workspace: true }
+      })
+      jest.spyOn(generator, 'generate').mockResolvedValue({
+        dryRun: false,
+        workspace: { root: '/mono', packagesFolder: 'libs', registered: true, skipped: ['.gitignore', '.npmrc'], aligned: [{ name: 'jest', from: '^29.0.0', to: '^29.7.0' }] }
+      })
 
-      await new Promise(resolve => setImmediate(resolve))
+      await command.run()
 
-      // Files should be processed
-      expect(fs.readFile).toHaveBeenCalled()
+      expect(generator.generate).toHaveBeenCalledWith(expect.objectContaining({ workspace: true }))
+      expect(command.log).toHaveBeenCalledWith('Skipped the files the workspace root provides: .gitignore, .npmrc')
+      expect(command.log).toHaveBeenCalledWith('Aligned devDependency jest on the workspace root: ^29.0.0 -> ^29.7.0')
+      expect(command.log).toHaveBeenCalledWith('Added the lib to the workspaces of the package.json in /mono')
     })
-  })
+    test('should only log what changed in a workspace', async () => {
+      command.logWorkspace({ root: '/mono', packagesFolder: 'libs', registered: false, skipped: [], aligned: [] })
+      expect(command.log).not.toHaveBeenCalled()
 
-  describe('run', () => {
-    beforeEach(() => {
-      command.parse = jest.fn()
-      command.error = jest.fn().mockImplementation((msg) => {
-        throw new Error(msg)
+      command.logResult({ dryRun: false, workspace: { registered: true, skipped: [], aligned: [] } }, { quiet: true })
+      expect(command.log).not.toHaveBeenCalled()
+    })
+    test('should only print warnings and errors when quiet', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { quiet: true }
       })
-      command.log = jest.fn()
-      command.copyTemplate = jest.fn().mockResolvedValue()
-      command.cloneRepo = jest.fn().mockResolvedValue()
-      command.removeDotGitFolder = jest.fn().mockResolvedValue()
-      command.readParametersFile = jest.fn().mockResolvedValue({ '{{REPO}}': ['test.js'] })
-      command.updatePackageJson = jest.fn().mockResolvedValue()
-      command.replaceText = jest.fn().mockResolvedValue()
-      command.cleanup = jest.fn().mockResolvedValue()
+      generator.replaceText.mockResolvedValue({ files: {}, missing: [], binary: [] })
+      command.logReplaceReport = jest.fn()
 
-      fs.pathExists.mockResolvedValue(false)
-    })
+      await command.run()
 
-    test('should run successfully with valid args', async () => {
+      expect(Listr).toHaveBeenCalledWith(expect.any(Array), { renderer: 'silent' })
+      expect(command.logReplaceReport).not.toHaveBeenCalled()
+      expect(command.log).not.toHaveBeenCalled()
+      expect(command.warn).toHaveBeenCalledWith(expect.stringContaining("The repo name 'myrepo' has no org"))
+    })
+    test('should print each step on its own line when verbose', async () => {
       command.parse.mockResolvedValue({
         args: { libName: 'mylib', repoName: 'myorg/myrepo' },
-        flags: {}
+        flags: { verbose: true }
       })
 
       await command.run()
 
-      // Wait for listr tasks to complete
-      await new Promise(resolve => setImmediate(resolve))
-
-      expect(command.copyTemplate).toHaveBeenCalled()
-      expect(command.removeDotGitFolder).toHaveBeenCalled()
-      expect(command.readParametersFile).toHaveBeenCalled()
-      expect(command.updatePackageJson).toHaveBeenCalled()
-      expect(command.replaceText).toHaveBeenCalled()
-      expect(command.cleanup).toHaveBeenCalled()
+      expect(Listr).toHaveBeenCalledWith(expect.any(Array), { renderer: 'verbose' })
     })
+    test('should print a json report', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { json: true, outputDir: '/out' }
+      })
+      const substitutions = { files: { 'package.json': { '{{REPO}}': 1 } }, missing: [], binary: [] }
+      generator.replaceText.mockResolvedValue(substitutions)
+      command.logReplaceReport = jest.fn()
 
-    test('should error if destination exists and overwrite is false', async () => {
+      await command.run()
+
+      expect(Listr).toHaveBeenCalledWith(expect.any(Array), { renderer: 'silent' })
+      expect(command.warn).not.toHaveBeenCalled()
+      expect(command.logReplaceReport).not.toHaveBeenCalled()
+      expect(command.log).toHaveBeenCalledTimes(1)
+      const report = JSON.parse(command.log.mock.calls[0][0])
+      expect(report).toEqual(expect.objectContaining({
+        status: 'success',
+        destination: path.join('/out', 'mylib'),
+        files: ['package.json'],
+        substitutions,
+        warnings: [expect.stringContaining("The repo name 'myrepo' has no org")],
+        errors: []
+      }))
+    })
+    test('should print a json report of errors and exit with the code of their category', async () => {
       command.parse.mockResolvedValue({
         args: { libName: 'mylib', repoName: 'myrepo' },
-        flags: { overwrite: false }
+        flags: { json: true, outputDir: '/out' }
+      })
+      command.exit = jest.fn().mockImplementation(code => {
+        throw new Error(`exit ${code}`)
+      })
+      fs.pathExists.mockResolvedValue(true)
+
+      await expect(command.run()).rejects.toThrow('exit 5')
+
+      expect(JSON.parse(command.log.mock.calls[0][0])).toEqual({
+        status: 'error',
+        warnings: [expect.stringContaining("The repo name 'myrepo' has no org")],
+        errors: [{ category: 'destination', message: `Destination ${path.join('/out', 'mylib')} exists, use the '--overwrite' flag to overwrite.` }]
+      })
+      expect(command.error).not.toHaveBeenCalled()
+    })
+    test('should print json errors without category as failures, and never prompt', async () => {
+      process.stdin.isTTY = true
+      command.parse.mockResolvedValue({ args: {}, flags: { json: true } })
+      command.exit = jest.fn().mockImplementation(code => {
+        throw new Error(`exit ${code}`)
       })
 
+      await expect(command.run()).rejects.toThrow('exit 2')
+      expect(prompts.promptForOptions).not.toHaveBeenCalled()
+      expect(JSON.parse(command.log.mock.calls[0][0]).errors[0].category).toBe('usage')
+
+      command.log.mockClear()
+      command.parse.mockResolvedValue({ args: { libName: 'mylib', repoName: 'myrepo' }, flags: { json: true } })
+      generator.updatePackageJson.mockImplementation(() => {
+        throw new Error('unexpected')
+      })
+      // errors of the generation steps are template errors, other unexpected errors are failures
+      await expect(command.run()).rejects.toThrow('exit 4')
+      expect(() => command.fail(new Error('unexpected'), { json: true })).toThrow('exit 1')
+      expect(JSON.parse(command.log.mock.calls[1][0]).errors).toEqual([{ category: 'failed', message: 'unexpected' }])
+    })
+    test('should exit with the code of the category of errors', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: { outputDir: '/out' }
+      })
       fs.pathExists.mockResolvedValue(true)
 
       await expect(command.run()).rejects.toThrow('exists')
+      expect(command.error).toHaveBeenCalledWith(expect.stringContaining('exists'), { exit: 5 })
+
+      command.parse.mockResolvedValue({ args: { libName: 'my-lib', repoName: 'myorg/myrepo' }, flags: {} })
+      await expect(command.run()).rejects.toThrow('is not a valid class name')
+      expect(command.error).toHaveBeenLastCalledWith(expect.stringContaining('is not a valid class name'), { exit: 3 })
     })
 
-    test('should strip leading @ from repo name', async () => {
+    describe('with an answers file', () => {
+      const libs = {
+        outputDir: '/libs',
+        variables: { endpoint: 'https://example.com' },
+        libs: [
+          { libName: 'LibA', repoName: 'myorg/lib-a' },
+          { libName: 'LibB', repoName: 'myorg/lib-b' },
+          { repoName: 'myorg/lib-c' }
+        ]
+      }
+
+      test('should generate a lib from the answers, the arguments and flags winning', async () => {
+        command.parse.mockResolvedValue({
+          args: { libName: 'mylib' },
+          flags: { answers: 'answers.json', outputDir: '/out', var: ['apiVersion=2'], with: ['e2e'], defaultBranch: 'dev' }
+        })
+        fs.readFile.mockResolvedValue(JSON.stringify({
+          libName: 'LibA',
+          repoName: 'myorg/lib-a',
+          outputDir: '/libs',
+          variables: { endpoint: 'https://example.com' },
+          features: { e2e: false, typescript: true },
+          git: { author: { name: 'Jane', email: 'jane@example.com' } },
+          overwrite: true
+        }))
+        jest.spyOn(generator, 'generate').mockResolvedValue({ dryRun: false })
+
+        await command.run()
+
+        expect(fs.readFile).toHaveBeenCalledWith('answers.json', 'utf8')
+        expect(generator.generate).toHaveBeenCalledWith({
+          libName: 'mylib',
+          repoName: 'myorg/lib-a',
+          outputDir: '/out',
+          variables: { endpoint: 'https://example.com', apiVersion: '2' },
+          features: { e2e: true, typescript: true },
+          git: { defaultBranch: 'dev', author: { name: 'Jane', email: 'jane@example.com' } },
+          overwrite: true,
+          prompts: undefined
+        })
+      })
+
+      test('should let the git flags win over the answers', () => {
+        expect(command.givenOptions({}, { git: false, defaultBranch: 'dev' }, {}).git).toBe(false)
+        expect(command.givenOptions({}, { gitAuthorEmail: 'jane@example.com' }, {}).git).toEqual({ author: { email: 'jane@example.com' } })
+        expect(command.givenOptions({}, {}, {}).git).toBeUndefined()
+      })
+
+      test('should fail on an invalid answers file', async () => {
+        command.parse.mockResolvedValue({ args: {}, flags: { answers: 'answers.json' } })
+        fs.readFile.mockResolvedValue('{')
+
+        await expect(command.run()).rejects.toThrow('Invalid answers file answers.json')
+        expect(command.error).toHaveBeenCalledWith(expect.stringContaining('Invalid answers file answers.json'), { exit: 2 })
+      })
+
+      test('should generate all the libs of a batch, and summarize them', async () => {
+        command.parse.mockResolvedValue({ args: {}, flags: { answers: 'libs.json', 'dry-run': true } })
+        fs.readFile.mockResolvedValue(JSON.stringify(libs))
+        command.logDryRun = jest.fn()
+        jest.spyOn(generator, 'generate')
+          .mockResolvedValueOnce({ destination: '/libs/LibA', dryRun: true })
+          .mockRejectedValueOnce(new GenerateError('Destination /libs/LibB exists', 'destination'))
+
+        await expect(command.run()).rejects.toThrow('2 of 3 libs failed.')
+
+        expect(generator.generate).toHaveBeenCalledTimes(2)
+        expect(generator.generate).toHaveBeenCalledWith({
+          libName: 'LibA', repoName: 'myorg/lib-a', outputDir: '/libs', variables: { endpoint: 'https://example.com' }, features: {}, dryRun: true
+        })
+        expect(command.logDryRun).toHaveBeenCalledWith({ destination: '/libs/LibA', dryRun: true })
+        const output = command.log.mock.calls.map(call => call[0])
+        expect(output).toEqual(expect.arrayContaining(['Generating LibA (1/3)', 'Generating lib 3 (3/3)']))
+        expect(output.slice(-4)).toEqual([
+          'Generated 1 of 3 libs:',
+          '  ✔ LibA: /libs/LibA',
+          '  ✖ LibB: Destination /libs/LibB exists',
+          '  ✖ lib 3: Lib 3 of the answers file has no libName or repoName.'
+        ])
+        expect(command.error).toHaveBeenCalledWith('2 of 3 libs failed.', { exit: 5 })
+      })
+
+      test('should print the json report of a batch', async () => {
+        command.parse.mockResolvedValue({ args: {}, flags: { answers: 'libs.json', json: true } })
+        fs.readFile.mockResolvedValue(JSON.stringify(libs))
+        command.exit = jest.fn().mockImplementation(code => {
+          throw new Error(`exit ${code}`)
+        })
+        jest.spyOn(generator, 'generate').mockResolvedValue({ destination: '/libs/Lib', substitutions: { files: {}, missing: [], binary: [] } })
+
+        await expect(command.run()).rejects.toThrow('exit 2')
+
+        expect(command.log).toHaveBeenCalledTimes(1)
+        expect(JSON.parse(command.log.mock.calls[0][0])).toEqual({
+          status: 'error',
+          libs: [
+            { libName: 'LibA', repoName: 'myorg/lib-a', status: 'success', destination: '/libs/Lib', substitutions: { files: {}, missing: [], binary: [] }, errors: [] },
+            { libName: 'LibB', repoName: 'myorg/lib-b', status: 'success', destination: '/libs/Lib', substitutions: { files: {}, missing: [], binary: [] }, errors: [] },
+            { repoName: 'myorg/lib-c', status: 'error', warnings: [], errors: [{ category: 'usage', message: 'Lib 3 of the answers file has no libName or repoName.' }] }
+          ]
+        })
+      })
+
+      test('should succeed quietly when all the libs of a batch are generated', async () => {
+        command.parse.mockResolvedValue({ args: {}, flags: { answers: 'libs.json', quiet: true } })
+        fs.readFile.mockResolvedValue(JSON.stringify({ libs: libs.libs.slice(0, 2) }))
+        command.logReplaceReport = jest.fn()
+        jest.spyOn(generator, 'generate').mockResolvedValue({ destination: '/libs/Lib', substitutions: { files: {}, missing: [], binary: [] } })
+
+        await command.run()
+
+        expect(command.logReplaceReport).not.toHaveBeenCalled()
+        expect(command.log.mock.calls.map(call => call[0])).toEqual(['Generated 2 of 2 libs:', '  ✔ LibA: /libs/Lib', '  ✔ LibB: /libs/Lib'])
+        expect(command.error).not.toHaveBeenCalled()
+
+        command.parse.mockResolvedValue({ args: {}, flags: { answers: 'libs.json', json: true } })
+        command.log.mockClear()
+        await command.run()
+        expect(JSON.parse(command.log.mock.calls[0][0]).status).toBe('success')
+      })
+
+      test('should not take arguments with a batch', async () => {
+        command.parse.mockResolvedValue({ args: { libName: 'mylib' }, flags: { answers: 'libs.json' } })
+        fs.readFile.mockResolvedValue(JSON.stringify(libs))
+        jest.spyOn(generator, 'generate')
+
+        await expect(command.run()).rejects.toThrow("LIBNAME and REPONAME can't be given with an answers file listing several libs.")
+        expect(generator.generate).not.toHaveBeenCalled()
+      })
+    })
+    test('should expand tokens in the declared renames and file names', async () => {
       command.parse.mockResolvedValue({
-        args: { libName: 'mylib', repoName: '@myorg/myrepo' },
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
         flags: {}
       })
+      generator.readParametersFile.mockResolvedValue({
+        manifestVersion: 2,
+        rename: { 'src/template.js': 'src/{{LIB_NAME}}.js' }
+      })
 
       await command.run()
 
-      await new Promise(resolve => setImmediate(resolve))
+      expect(generator.cleanup).toHaveBeenCalledWith(expect.any(String), { 'src/template.js': 'src/Mylib.js' }, ['types.d.ts'])
+      expect(generator.renamePaths).toHaveBeenCalledWith(expect.any(String), {
+        '{{REPO}}': 'myorg/myrepo',
+        '{{LIB_NAME}}': 'Mylib',
+        LibNameCoreAPI: 'Mylib'
+      })
+    })
+    test('should apply the selected features', async () => {
+      const applyFeatures = jest.spyOn(features, 'applyFeatures').mockResolvedValue({ removed: [], rendered: [] })
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { yes: true, with: ['e2e'], without: ['typescript'] }
+      })
+      generator.readParametersFile.mockResolvedValue({
+        manifestVersion: 2,
+        variables: { author: { default: 'Jane' } },
+        features: { typescript: { default: true }, e2e: {}, workflows: { default: true } }
+      })
 
-      expect(command.updatePackageJson).toHaveBeenCalledWith(
-        expect.any(String),
-        'myorg/myrepo'
-      )
+      await command.run()
+
+      expect(prompts.promptForFeatures).not.toHaveBeenCalled()
+      expect(applyFeatures).toHaveBeenCalledWith(expect.any(String), expect.any(Object), expect.objectContaining({
+        author: 'Jane',
+        typescript: false,
+        e2e: true,
+        workflows: true
+      }))
+      applyFeatures.mockRestore()
     })
 
-    test('should use cloneRepo when templateUrl flag is provided', async () => {
+    test('should prompt for the features in a terminal', async () => {
+      process.stdin.isTTY = true
+      const applyFeatures = jest.spyOn(features, 'applyFeatures').mockResolvedValue({ removed: [], rendered: [] })
       command.parse.mockResolvedValue({
         args: { libName: 'mylib', repoName: 'myrepo' },
-        flags: { templateUrl: 'https://github.com/test/repo' }
+        flags: {}
+      })
+      generator.readParametersFile.mockResolvedValue({
+        manifestVersion: 2,
+        features: { typescript: { default: true }, e2e: {} }
       })
+      prompts.promptForFeatures.mockResolvedValue(['e2e'])
 
       await command.run()
 
-      await new Promise(resolve => setImmediate(resolve))
+      expect(prompts.promptForFeatures).toHaveBeenCalled()
+      expect(applyFeatures.mock.calls[0][2]).toEqual(expect.objectContaining({ typescript: false, e2e: true }))
+      applyFeatures.mockRestore()
+    })
+    test('should generate in a temporary folder on a dry run', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { 'dry-run': true }
+      })
+      fs.pathExists.mockResolvedValue(true)
+      fs.mkdtemp.mockResolvedValue('/tmp/create-aio-lib-123')
+      fs.readFile.mockResolvedValueOnce('before').mockResolvedValueOnce('after')
+      fs.remove.mockResolvedValue()
+      command.logDryRun = jest.fn()
+      command.logReplaceReport = jest.fn()
 
-      expect(command.cloneRepo).toHaveBeenCalled()
+      await command.run()
+
+      expect(generator.copyTemplate).toHaveBeenCalledWith('/tmp/create-aio-lib-123', true)
+      expect(generator.updatePackageJson).toHaveBeenCalledWith('/tmp/create-aio-lib-123', 'myrepo', expect.objectContaining({ version: '0.0.1' }))
+      expect(command.warn).toHaveBeenCalledWith(expect.stringContaining("The repo name 'myrepo' has no org"))
+      expect(command.logDryRun).toHaveBeenCalledWith(expect.objectContaining({
+        destination: path.join(process.cwd(), 'mylib'),
+        destinationExists: true,
+        packageJson: { before: 'before', after: 'after' }
+      }))
+      expect(command.logReplaceReport).not.toHaveBeenCalled()
+      expect(fs.remove).toHaveBeenCalledWith('/tmp/create-aio-lib-123')
     })
 
-    test('should capitalize first letter of libName', async () => {
+    test('should remove the temporary folder when a dry run fails', async () => {
       command.parse.mockResolvedValue({
         args: { libName: 'mylib', repoName: 'myrepo' },
-        flags: {}
+        flags: { 'dry-run': true }
       })
+      fs.mkdtemp.mockResolvedValue('/tmp/create-aio-lib-123')
+      fs.readFile.mockRejectedValue(new Error('ENOENT'))
+      fs.remove.mockResolvedValue()
+      generator.updatePackageJson.mockRejectedValue(new Error('package.json does not exist'))
+
+      await expect(command.run()).rejects.toThrow('package.json does not exist')
+      expect(fs.remove).toHaveBeenCalledWith('/tmp/create-aio-lib-123')
+    })
+
+    test('should set the location title', async () => {
+      const Listr = require('listr2').Listr
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { 'dry-run': true }
+      })
+      fs.mkdtemp.mockResolvedValue('/tmp/create-aio-lib-123')
+      fs.readFile.mockResolvedValue('')
+      command.logDryRun = jest.fn()
 
       await command.run()
 
-      await new Promise(resolve => setImmediate(resolve))
+      const steps = Listr.mock.calls[Listr.mock.calls.length - 1][0]
+      const task = {}
+      steps[steps.length - 1].task({ dryRun: true, destination: '/out/mylib' }, task)
+      expect(task.title).toBe('Dry run, lib would be created at /out/mylib')
+      steps[steps.length - 1].task({ dryRun: false, destination: '/out/mylib' }, task)
+      expect(task.title).toBe('Lib created at /out/mylib')
+    })
+    test('should generate in a staging folder and move it into place', async () => {
+      const destination = path.join('/out', 'mylib')
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { outputDir: '/out' }
+      })
 
-      // The replaceText should be called with capitalized libName 'Mylib'
-      expect(command.replaceText).toHaveBeenCalledWith(
-        expect.any(String),
-        expect.any(Object),
-        'Mylib',
-        'myrepo'
-      )
+      await command.run()
+
+      expect(staging.createStagingFolder).toHaveBeenCalledWith(destination)
+      expect(generator.copyTemplate).toHaveBeenCalledWith(`${destination}-staging`, false)
+      expect(staging.commitStagingFolder).toHaveBeenCalledWith(`${destination}-staging`, destination)
+      expect(fs.remove).toHaveBeenCalledWith(`${destination}-staging`)
     })
 
-    test('should catch and handle errors from tasks', async () => {
-      const errorMessage = 'Task failed'
-      let errorCalled = false
+    test('should write the generation record of the lib', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: { outputDir: '/out', templateUrl: 'github:myorg/templates', templateRef: 'v2' }
+      })
+      generator.fetchTemplate.mockResolvedValue({ commit: 'abc123' })
 
+      await command.run()
+
+      expect(fs.writeJson).toHaveBeenCalledWith(path.join(`${path.join('/out', 'mylib')}-staging`, '.create-aio-lib.json'), {
+        createAioLibVersion: require('../../package.json').version,
+        generatedAt: expect.any(String),
+        template: { source: 'github:myorg/templates', ref: 'v2', subdir: undefined, commit: 'abc123' },
+        variables: {
+          libName: 'Mylib',
+          repoName: 'myorg/myrepo',
+          description: undefined,
+          libNamePascalCase: 'Mylib',
+          libNameCamelCase: 'mylib',
+          libNameKebabCase: 'mylib'
+        },
+        features: {}
+      }, { spaces: 2 })
+    })
+
+    test('should write the generation record to package.json', async () => {
       command.parse.mockResolvedValue({
-        args: { libName: 'mylib', repoName: 'myrepo' },
-        flags: {}
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: { outputDir: '/out', record: 'package.json' }
       })
+      generator.copyTemplate.mockResolvedValue({ package: '@adobe/aio-lib-template', version: '2.0.1' })
+      fs.readJson.mockResolvedValue({ name: '@myorg/myrepo' })
 
-      command.error.mockImplementation((msg) => {
-        errorCalled = true
-        expect(msg).toBe(errorMessage)
+      await command.run()
+
+      expect(fs.writeJson).toHaveBeenCalledWith(path.join(`${path.join('/out', 'mylib')}-staging`, 'package.json'), {
+        name: '@myorg/myrepo',
+        'create-aio-lib': expect.objectContaining({ template: { bundled: true, package: '@adobe/aio-lib-template', version: '2.0.1' } })
+      }, { spaces: 2 })
+    })
+
+    describe('with hooks', () => {
+      const hookManifest = {
+        manifestVersion: 2,
+        features: { e2e: {} },
+        hooks: [{ title: 'Install dependencies', run: 'npm install' }, { script: 'hooks/e2e.js', when: 'e2e' }]
+      }
+
+      beforeEach(() => {
+        generator.readParametersFile.mockResolvedValue(hookManifest)
+        command.warn = jest.fn()
+        jest.spyOn(hooks, 'runHook').mockResolvedValue('')
+        jest.spyOn(hooks, 'removeHookScripts').mockResolvedValue([])
       })
 
-      // Make copyTemplate throw an error
-      command.copyTemplate.mockRejectedValue(new Error(errorMessage))
+      afterEach(() => {
+        hooks.runHook.mockRestore()
+        hooks.removeHookScripts.mockRestore()
+      })
+
+      test('should run the active hooks of a registered template in the staging folder', async () => {
+        command.parse.mockResolvedValue({
+          args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+          flags: { outputDir: '/out' }
+        })
+
+        await command.run()
+
+        const staged = `${path.join('/out', 'mylib')}-staging`
+        expect(hooks.runHook).toHaveBeenCalledTimes(1)
+        expect(hooks.runHook).toHaveBeenCalledWith(hookManifest.hooks[0], staged,
+          expect.objectContaining({ variables: expect.any(Object), features: { e2e: false }, tokenMapping: expect.any(Object) }))
+        expect(hooks.removeHookScripts).toHaveBeenCalledWith(hookManifest.hooks, staged)
+        expect(hooks.runHook.mock.invocationCallOrder[0]).toBeLessThan(staging.commitStagingFolder.mock.invocationCallOrder[0])
+      })
+
+      test('should not run the hooks of a template url without --trust-hooks', async () => {
+        command.parse.mockResolvedValue({
+          args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+          flags: { templateUrl: 'github:myorg/templates', with: ['e2e'] }
+        })
+
+        await command.run()
+        expect(hooks.runHook).not.toHaveBeenCalled()
+        expect(command.warn).toHaveBeenCalledWith(expect.stringContaining('untrusted template'))
+
+        command.parse.mockResolvedValue({
+          args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+          flags: { templateUrl: 'github:myorg/templates', with: ['e2e'], 'trust-hooks': true }
+        })
+
+        await command.run()
+        expect(hooks.runHook).toHaveBeenCalledTimes(2)
+      })
+
+      test('should not run hooks with --skip-hooks or on a dry run', async () => {
+        command.parse.mockResolvedValue({
+          args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+          flags: { 'skip-hooks': true }
+        })
+        await command.run()
+
+        command.parse.mockResolvedValue({
+          args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+          flags: { 'dry-run': true }
+        })
+        fs.mkdtemp.mockResolvedValue('/tmp/create-aio-lib-123')
+        fs.readFile.mockResolvedValue('')
+        command.logDryRun = jest.fn()
+        await command.run()
+
+        expect(hooks.runHook).not.toHaveBeenCalled()
+        expect(hooks.removeHookScripts).toHaveBeenCalledTimes(2)
+      })
+
+      test('should keep nothing when a hook fails', async () => {
+        command.parse.mockResolvedValue({
+          args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+          flags: { outputDir: '/out' }
+        })
+        hooks.runHook.mockRejectedValue(new Error("Hook 'Install dependencies' failed: exited with code 1\nnpm ERR! 404"))
+
+        await expect(command.run()).rejects.toThrow("Hook 'Install dependencies' failed: exited with code 1\nnpm ERR! 404")
+        expect(staging.commitStagingFolder).not.toHaveBeenCalled()
+        expect(fs.remove).toHaveBeenCalledWith(`${path.join('/out', 'mylib')}-staging`)
+      })
+    })
+
+    test('should initialize a git repository in the staging folder', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: { outputDir: '/out', git: true, defaultBranch: 'main', gitAuthorName: 'Jane' }
+      })
 
       await command.run()
 
-      // Wait for error handling
-      await new Promise(resolve => setImmediate(resolve))
+      expect(generator.initGitRepo).toHaveBeenCalledWith(`${path.join('/out', 'mylib')}-staging`, 'myorg/myrepo',
+        { defaultBranch: 'main', author: { name: 'Jane', email: undefined }, hostUrl: 'https://github.com' })
+    })
 
-      expect(errorCalled).toBe(true)
+    test('should not initialize a git repository with --no-git or on a dry run', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: { git: false }
+      })
+      await command.run()
+
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myorg/myrepo' },
+        flags: { git: true, defaultBranch: 'main', 'dry-run': true }
+      })
+      fs.mkdtemp.mockResolvedValue('/tmp/create-aio-lib-123')
+      fs.readFile.mockResolvedValue('')
+      command.logDryRun = jest.fn()
+      await command.run()
+
+      expect(generator.initGitRepo).not.toHaveBeenCalled()
+    })
+
+    test('should remove the staging folder and keep the destination on failure', async () => {
+      const destination = path.join('/out', 'mylib')
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { outputDir: '/out', overwrite: true }
+      })
+      fs.pathExists.mockResolvedValue(true)
+      generator.readParametersFile.mockRejectedValue(new Error('template.parameters.json does not exist'))
+
+      await expect(command.run()).rejects.toThrow('template.parameters.json does not exist')
+
+      expect(staging.commitStagingFolder).not.toHaveBeenCalled()
+      expect(fs.remove).toHaveBeenCalledWith(`${destination}-staging`)
+      expect(fs.remove).not.toHaveBeenCalledWith(destination)
+    })
+
+    test('should not move a dry run into place', async () => {
+      command.parse.mockResolvedValue({
+        args: { libName: 'mylib', repoName: 'myrepo' },
+        flags: { 'dry-run': true }
+      })
+      fs.mkdtemp.mockResolvedValue('/tmp/create-aio-lib-123')
+      fs.readFile.mockResolvedValue('')
+      command.logDryRun = jest.fn()
+
+      await command.run()
+
+      expect(staging.createStagingFolder).not.toHaveBeenCalled()
+      expect(staging.commitStagingFolder).not.toHaveBeenCalled()
     })
   })
 })
@@ -0,0 +1,60 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const TemplatesAddCommand = require('../../../src/commands/templates/add')
+const registry = require('../../../src/lib/registry')
+const path = require('path')
+
+describe('TemplatesAddCommand', () => {
+  let command
+
+  beforeEach(() => {
+    command = new TemplatesAddCommand([], { configDir: '/config' })
+    command.parse = jest.fn()
+    command.log = jest.fn()
+    command.error = jest.fn().mockImplementation(msg => { throw new Error(msg) })
+    jest.spyOn(registry, 'addTemplate').mockResolvedValue(false)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('should add a template', async () => {
+    command.parse.mockResolvedValue({
+      args: { name: 'myorg', source: 'github:myorg/templates' },
+      flags: { description: "My org's libs", ref: 'v2', default: false }
+    })
+
+    await command.run()
+
+    expect(registry.addTemplate).toHaveBeenCalledWith(path.join('/config', 'templates.json'), 'myorg',
+      { source: 'github:myorg/templates', description: "My org's libs", ref: 'v2', subdir: undefined }, false)
+    expect(command.log).toHaveBeenCalledWith("Added template 'myorg'.")
+  })
+
+  test('should update a template and make it the default', async () => {
+    command.parse.mockResolvedValue({ args: { name: 'myorg', source: './template' }, flags: { default: true } })
+    registry.addTemplate.mockResolvedValue(true)
+
+    await command.run()
+
+    expect(command.log).toHaveBeenCalledWith("Updated template 'myorg', it is now the default template.")
+  })
+
+  test('should error on an invalid template', async () => {
+    command.parse.mockResolvedValue({ args: { name: 'aio-lib', source: './template' }, flags: {} })
+    registry.addTemplate.mockRejectedValue(new Error("'aio-lib' is the name of the bundled template, use another name"))
+
+    await expect(command.run()).rejects.toThrow("'aio-lib' is the name of the bundled template")
+    expect(command.log).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,48 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const TemplatesInitCommand = require('../../../src/commands/templates/init')
+const starter = require('../../../src/lib/starter')
+
+describe('TemplatesInitCommand', () => {
+  let command
+
+  beforeEach(() => {
+    command = new TemplatesInitCommand([], {})
+    command.parse = jest.fn().mockResolvedValue({ args: { dir: './my-template' }, flags: {} })
+    command.log = jest.fn()
+    command.error = jest.fn().mockImplementation(msg => { throw new Error(msg) })
+    jest.spyOn(starter, 'initTemplate').mockResolvedValue(['template.parameters.json', 'package.json'])
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('should be available as template init', () => {
+    expect(TemplatesInitCommand.aliases).toEqual(['template:init'])
+  })
+
+  test('should scaffold a starter template', async () => {
+    await command.run()
+
+    expect(starter.initTemplate).toHaveBeenCalledWith('./my-template')
+    expect(command.log).toHaveBeenCalledWith('Created a starter template in ./my-template:\n  template.parameters.json\n  package.json')
+    expect(command.log).toHaveBeenCalledWith('Edit its template.parameters.json, then check it with: create-aio-lib template validate ./my-template')
+  })
+
+  test('should error if the folder is not empty', async () => {
+    starter.initTemplate.mockRejectedValue(new Error('Folder ./my-template is not empty'))
+
+    await expect(command.run()).rejects.toThrow('Folder ./my-template is not empty')
+    expect(command.log).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,56 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const TemplatesListCommand = require('../../../src/commands/templates/list')
+const registry = require('../../../src/lib/registry')
+
+describe('TemplatesListCommand', () => {
+  let configDir
+  let command
+
+  beforeEach(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-templates-'))
+    command = new TemplatesListCommand([], { configDir })
+    command.parse = jest.fn().mockResolvedValue({ args: {}, flags: {} })
+    command.log = jest.fn()
+  })
+
+  afterEach(async () => {
+    await fs.remove(configDir)
+  })
+
+  test('should list the bundled template as the default', async () => {
+    await command.run()
+
+    expect(command.log.mock.calls.map(call => call[0])).toEqual([
+      'Templates (* is the default):',
+      '* aio-lib  Adobe I/O lib template (bundled) - @adobe/aio-lib-template'
+    ])
+  })
+
+  test('should list the registered templates', async () => {
+    const file = registry.registryFile(configDir)
+    await registry.addTemplate(file, 'myorg', { source: 'github:myorg/templates', description: "My org's libs", ref: 'v2', subdir: 'lib' }, true)
+    await registry.addTemplate(file, 'a', { source: 'aio-lib-template' })
+
+    await command.run()
+
+    expect(command.log.mock.calls.map(call => call[0])).toEqual([
+      'Templates (* is the default):',
+      '  a        aio-lib-template',
+      '  aio-lib  Adobe I/O lib template (bundled) - @adobe/aio-lib-template',
+      "* myorg    My org's libs - github:myorg/templates#v2 (subfolder lib)"
+    ])
+  })
+})
@@ -0,0 +1,44 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const TemplatesRemoveCommand = require('../../../src/commands/templates/remove')
+const registry = require('../../../src/lib/registry')
+const path = require('path')
+
+describe('TemplatesRemoveCommand', () => {
+  let command
+
+  beforeEach(() => {
+    command = new TemplatesRemoveCommand([], { configDir: '/config' })
+    command.parse = jest.fn().mockResolvedValue({ args: { name: 'myorg' }, flags: {} })
+    command.log = jest.fn()
+    command.error = jest.fn().mockImplementation(msg => { throw new Error(msg) })
+    jest.spyOn(registry, 'removeTemplate').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('should remove a template', async () => {
+    await command.run()
+
+    expect(registry.removeTemplate).toHaveBeenCalledWith(path.join('/config', 'templates.json'), 'myorg')
+    expect(command.log).toHaveBeenCalledWith("Removed template 'myorg'.")
+  })
+
+  test('should error on an unknown template', async () => {
+    registry.removeTemplate.mockRejectedValue(new Error("Unknown template 'myorg', the registered templates are aio-lib"))
+
+    await expect(command.run()).rejects.toThrow("Unknown template 'myorg'")
+    expect(command.log).not.toHaveBeenCalled()
+  })
+})
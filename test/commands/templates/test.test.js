@@ -0,0 +1,125 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const TemplatesTestCommand = require('../../../src/commands/templates/test')
+const { LibGenerator } = require('../../../src/lib/generator')
+const snapshot = require('../../../src/lib/snapshot')
+const path = require('path')
+
+describe('TemplatesTestCommand', () => {
+  let command
+
+  beforeEach(() => {
+    command = new TemplatesTestCommand([], { configDir: '/config', cacheDir: '/cache' })
+    command.parse = jest.fn().mockResolvedValue({ args: { dir: './my-template' }, flags: { 'update-snapshots': false } })
+    command.log = jest.fn()
+    command.warn = jest.fn()
+    command.error = jest.fn().mockImplementation(msg => { throw new Error(msg) })
+    jest.spyOn(snapshot, 'testTemplate').mockImplementation(async ({ snapshot }) => ({ status: 'passed', snapshot, differences: [] }))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('should be available as template test', () => {
+    expect(TemplatesTestCommand.aliases).toEqual(['template:test'])
+  })
+
+  test('should compare the template output with the default snapshot', async () => {
+    await command.run()
+
+    expect(snapshot.testTemplate).toHaveBeenCalledWith({
+      template: './my-template',
+      fixture: undefined,
+      snapshot: path.join('__snapshots__', 'default'),
+      updateSnapshot: false,
+      generator: expect.any(LibGenerator)
+    })
+    const { generator } = snapshot.testTemplate.mock.calls[0][0]
+    expect(generator.configDir).toBe('/config')
+    expect(generator.cacheDir).toBe('/cache')
+    expect(command.log).toHaveBeenCalledWith(`✔ default: matches snapshot ${path.join('__snapshots__', 'default')}`)
+  })
+
+  test('should print the warnings of the generation', async () => {
+    snapshot.testTemplate.mockImplementation(async ({ snapshot, generator }) => {
+      generator.warn('Token \'{{REPO}}\' is declared by the template but never used')
+      return { status: 'passed', snapshot, differences: [] }
+    })
+
+    await command.run()
+
+    expect(command.warn).toHaveBeenCalledWith('Token \'{{REPO}}\' is declared by the template but never used')
+  })
+
+  test('should compare the output of each fixture with its snapshot, and fail on differences', async () => {
+    command.parse.mockResolvedValue({
+      args: { dir: './my-template' },
+      flags: { fixture: ['test/fixtures/basic.json', 'test/fixtures/no-e2e.yaml'], 'update-snapshots': false }
+    })
+    snapshot.testTemplate.mockImplementation(async ({ fixture, snapshot }) => fixture.endsWith('.json')
+      ? { status: 'passed', snapshot, differences: [] }
+      : { status: 'failed', snapshot, differences: [{ file: 'README.md', kind: 'changed', diff: '--- snapshot/README.md' }, { file: 'a.js', kind: 'missing', diff: 'a.js is in the snapshot, but was not generated' }] })
+
+    await expect(command.run()).rejects.toThrow('1 of 2 snapshot(s) do not match, run with --update-snapshots if the changes are expected.')
+
+    expect(snapshot.testTemplate).toHaveBeenCalledWith(expect.objectContaining({ fixture: 'test/fixtures/no-e2e.yaml', snapshot: path.join('test/fixtures', '__snapshots__', 'no-e2e') }))
+    expect(command.log.mock.calls.map(call => call[0])).toEqual([
+      `✔ basic: matches snapshot ${path.join('test/fixtures', '__snapshots__', 'basic')}`,
+      `✖ no-e2e: 2 file(s) differ from snapshot ${path.join('test/fixtures', '__snapshots__', 'no-e2e')}`,
+      '--- snapshot/README.md',
+      'a.js is in the snapshot, but was not generated'
+    ])
+  })
+
+  test('should update the snapshots', async () => {
+    command.parse.mockResolvedValue({
+      args: { dir: './my-template' },
+      flags: { fixture: ['basic.json', 'new.json', 'same.json'], 'update-snapshots': true }
+    })
+    snapshot.testTemplate.mockImplementation(async ({ fixture, snapshot }) => ({
+      'basic.json': { status: 'updated', snapshot, differences: [{ file: 'README.md' }] },
+      'new.json': { status: 'written', snapshot, differences: [{ file: 'README.md' }] },
+      'same.json': { status: 'updated', snapshot, differences: [] }
+    })[fixture])
+
+    await command.run()
+
+    expect(snapshot.testTemplate).toHaveBeenCalledWith(expect.objectContaining({ updateSnapshot: true }))
+    expect(command.log.mock.calls.map(call => call[0])).toEqual([
+      `✔ basic: updated snapshot ${path.join('__snapshots__', 'basic')} (1 file(s) changed)`,
+      `✔ new: wrote snapshot ${path.join('__snapshots__', 'new')}`,
+      `✔ same: updated snapshot ${path.join('__snapshots__', 'same')}`
+    ])
+  })
+
+  test('should use the given snapshot folder', async () => {
+    command.parse.mockResolvedValue({ args: { dir: './my-template' }, flags: { fixture: ['basic.json'], snapshot: 'golden' } })
+
+    await command.run()
+
+    expect(snapshot.testTemplate).toHaveBeenCalledWith(expect.objectContaining({ snapshot: 'golden' }))
+  })
+
+  test('should error on a snapshot folder with several fixtures', async () => {
+    command.parse.mockResolvedValue({ args: { dir: './my-template' }, flags: { fixture: ['a.json', 'b.json'], snapshot: 'golden' } })
+
+    await expect(command.run()).rejects.toThrow('--snapshot can\'t be given with several fixtures.')
+    expect(snapshot.testTemplate).not.toHaveBeenCalled()
+  })
+
+  test('should error when the template can\'t be rendered', async () => {
+    snapshot.testTemplate.mockRejectedValue(new Error('Snapshot __snapshots__/default does not exist, write it with --update-snapshots'))
+
+    await expect(command.run()).rejects.toThrow('default: Snapshot __snapshots__/default does not exist, write it with --update-snapshots')
+  })
+})
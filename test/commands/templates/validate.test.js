@@ -0,0 +1,66 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const TemplatesValidateCommand = require('../../../src/commands/templates/validate')
+const validation = require('../../../src/lib/template-validation')
+
+describe('TemplatesValidateCommand', () => {
+  let command
+
+  beforeEach(() => {
+    command = new TemplatesValidateCommand([], {})
+    command.parse = jest.fn().mockResolvedValue({ args: { dir: './my-template' }, flags: {} })
+    command.log = jest.fn()
+    command.warn = jest.fn()
+    command.error = jest.fn().mockImplementation(msg => { throw new Error(msg) })
+    jest.spyOn(validation, 'validateTemplate').mockResolvedValue({ errors: [], warnings: [] })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('should be available as template validate', () => {
+    expect(TemplatesValidateCommand.aliases).toEqual(['template:validate'])
+  })
+
+  test('should validate a template', async () => {
+    await command.run()
+
+    expect(validation.validateTemplate).toHaveBeenCalledWith('./my-template')
+    expect(command.log).toHaveBeenCalledWith('Template ./my-template is valid.')
+  })
+
+  test('should warn about the suspicious parts of a valid template', async () => {
+    validation.validateTemplate.mockResolvedValue({ errors: [], warnings: ['Conditional files docs/*.md match no file'] })
+
+    await command.run()
+
+    expect(command.warn).toHaveBeenCalledWith('Conditional files docs/*.md match no file')
+    expect(command.log).toHaveBeenCalledWith('Template ./my-template is valid, with 1 warning(s).')
+  })
+
+  test('should error on the problems of a template', async () => {
+    validation.validateTemplate.mockResolvedValue({
+      errors: ['package.json does not exist', "Token '{{REPO}}' does not occur in the file README.md"],
+      warnings: []
+    })
+
+    await expect(command.run()).rejects.toThrow("Found 2 problem(s) in the template ./my-template:\n  package.json does not exist\n  Token '{{REPO}}' does not occur in the file README.md")
+    expect(command.log).not.toHaveBeenCalled()
+  })
+
+  test('should error if the template folder does not exist', async () => {
+    validation.validateTemplate.mockRejectedValue(new Error('Template folder ./my-template does not exist'))
+
+    await expect(command.run()).rejects.toThrow('Template folder ./my-template does not exist')
+  })
+})
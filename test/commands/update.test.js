@@ -0,0 +1,262 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const UpdateAioLibCommand = require('../../src/commands/update')
+const { LibGenerator } = require('../../src/lib/generator')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const record = require('../../src/lib/record')
+
+const manifestV1 = {
+  manifestVersion: 2,
+  variables: {
+    endpoint: { default: 'https://example.com' },
+    packageName: { derive: { from: 'libName', transform: 'kebab-case' } }
+  },
+  tokens: {
+    '{{LIB_NAME}}': { variable: 'libName', files: ['src/index.js'] },
+    '{{ENDPOINT}}': { variable: 'endpoint', files: ['src/index.js'] },
+    '{{PACKAGE_NAME}}': { variable: 'packageName', files: ['README.md'] }
+  },
+  features: {
+    docs: { files: ['docs/**'] }
+  },
+  hooks: [{ script: 'hooks/setup.js' }]
+}
+
+const manifestV2 = Object.assign({}, manifestV1, {
+  features: {
+    docs: { files: ['docs/**'] },
+    lint: { default: true, files: ['.eslintrc'] }
+  }
+})
+
+describe('UpdateAioLibCommand', () => {
+  let command
+  let root
+  let libFolder
+  let templates
+  let fetchTemplate
+
+  const writeTemplate = async (folder, contents) => {
+    for (const file of Object.keys(contents)) {
+      await fs.outputFile(path.join(folder, file), contents[file])
+    }
+  }
+  const read = file => fs.readFile(path.join(libFolder, file), 'utf8')
+  const generation = {
+    createAioLibVersion: '3.0.0',
+    generatedAt: '2026-01-01T00:00:00.000Z',
+    template: { source: 'github:myorg/templates', ref: 'main', commit: 'abc123' },
+    variables: { libName: 'MyLib', repoName: 'myorg/myrepo', endpoint: 'https://lib.example.com', packageName: 'my-lib' },
+    features: { docs: true }
+  }
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-update-test-'))
+    templates = { abc123: path.join(root, 'v1'), def456: path.join(root, 'v2') }
+    await writeTemplate(templates.abc123, {
+      'template.parameters.json': JSON.stringify(manifestV1),
+      'package.json': JSON.stringify({ name: 'template', version: '1.0.0' }),
+      'README.md': '# {{PACKAGE_NAME}}\n\nv1\n',
+      'src/index.js': "class {{LIB_NAME}} {}\nconst endpoint = '{{ENDPOINT}}'\n\nmodule.exports = {{LIB_NAME}}\n",
+      'docs/guide.md': 'guide\n',
+      'NOTES.md': 'notes\n',
+      'hooks/setup.js': 'module.exports = () => {}'
+    })
+    await writeTemplate(templates.def456, {
+      'template.parameters.json': JSON.stringify(manifestV2),
+      'package.json': JSON.stringify({ name: 'template', version: '2.0.0' }),
+      'README.md': '# {{PACKAGE_NAME}}\n\nv2\n',
+      'src/index.js': "class {{LIB_NAME}} {}\nconst endpoint = '{{ENDPOINT}}'\n\nmodule.exports = {{LIB_NAME}}\nmodule.exports.endpoint = endpoint\n",
+      'docs/guide.md': 'guide\n',
+      '.eslintrc': '{}\n',
+      'CHANGELOG.md': '# Changelog\n',
+      'hooks/setup.js': 'module.exports = () => {}'
+    })
+
+    command = new UpdateAioLibCommand([], { configDir: '/config', cacheDir: '/cache' })
+    command.parse = jest.fn()
+    command.log = jest.fn()
+    command.warn = jest.fn()
+    command.error = jest.fn().mockImplementation(msg => { throw new Error(msg) })
+    // commits are fetched from their template version, refs from the latest one
+    fetchTemplate = jest.spyOn(LibGenerator.prototype, 'fetchTemplate').mockImplementation(async (url, toFolder, ref) => {
+      const commit = templates[ref] ? ref : 'def456'
+      await fs.copy(templates[commit], toFolder)
+      return { commit }
+    })
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+
+    // a lib generated from the first template version, and then changed
+    libFolder = path.join(root, 'MyLib')
+    await new LibGenerator({ configDir: command.config.configDir, cacheDir: command.config.cacheDir }).renderTemplate(libFolder, { url: 'github:myorg/templates', ref: 'abc123' }, generation, {}, {})
+    await record.writeRecord(libFolder, generation)
+    await fs.writeFile(path.join(libFolder, 'src', 'index.js'),
+      "// my lib\nclass MyLib {}\nconst endpoint = 'https://lib.example.com'\n\nmodule.exports = MyLib\n")
+    fetchTemplate.mockClear()
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await fs.remove(root)
+  })
+
+  test('should merge the latest template into the lib', async () => {
+    command.parse.mockResolvedValue({ args: { libFolder }, flags: {} })
+
+    await command.run()
+
+    expect(fetchTemplate).toHaveBeenCalledWith('github:myorg/templates', expect.any(String), 'main', undefined,
+      { offline: undefined, refresh: true })
+    expect(fetchTemplate).toHaveBeenCalledWith('github:myorg/templates', expect.any(String), 'abc123', undefined,
+      { offline: undefined })
+    await expect(read('src/index.js')).resolves
+      .toBe("// my lib\nclass MyLib {}\nconst endpoint = 'https://lib.example.com'\n\nmodule.exports = MyLib\nmodule.exports.endpoint = endpoint\n")
+    await expect(read('README.md')).resolves.toBe('# my-lib\n\nv2\n')
+    await expect(read('CHANGELOG.md')).resolves.toBe('# Changelog\n')
+    await expect(read('.eslintrc')).resolves.toBe('{}\n')
+    await expect(fs.readJson(path.join(libFolder, 'package.json'))).resolves.toEqual(expect.objectContaining({ name: '@myorg/myrepo' }))
+    await expect(fs.pathExists(path.join(libFolder, 'hooks'))).resolves.toBe(false)
+    const { record: updated, location } = await record.readRecord(libFolder)
+    expect(location).toBe('file')
+    expect(updated).toEqual({
+      createAioLibVersion: require('../../package.json').version,
+      generatedAt: generation.generatedAt,
+      template: { source: 'github:myorg/templates', ref: 'main', commit: 'def456' },
+      variables: Object.assign({ libNamePascalCase: 'MyLib', libNameCamelCase: 'myLib', libNameKebabCase: 'my-lib' }, generation.variables),
+      features: { docs: true, lint: true },
+      updatedAt: expect.any(String)
+    })
+    expect(updated.updatedAt > generation.generatedAt).toBe(true)
+    expect(command.log).toHaveBeenCalledWith(`Updated ${libFolder}:`)
+    expect(command.log).toHaveBeenCalledWith('  added    .eslintrc')
+    expect(command.log).toHaveBeenCalledWith('  added    CHANGELOG.md')
+    expect(command.log).toHaveBeenCalledWith('  updated  README.md')
+    expect(command.log).toHaveBeenCalledWith('  merged   src/index.js')
+    expect(command.log).toHaveBeenCalledWith('  removed  NOTES.md')
+    expect(command.warn).not.toHaveBeenCalled()
+  })
+
+  test('should only report the changes on a dry run', async () => {
+    command.parse.mockResolvedValue({ args: { libFolder }, flags: { 'dry-run': true } })
+
+    await command.run()
+
+    await expect(read('README.md')).resolves.toBe('# my-lib\n\nv1\n')
+    await expect(fs.pathExists(path.join(libFolder, 'CHANGELOG.md'))).resolves.toBe(false)
+    await expect(record.readRecord(libFolder)).resolves.toEqual({ record: generation, location: 'file' })
+    expect(command.log).toHaveBeenCalledWith(`Dry run, nothing was written to ${libFolder}. Changes that would be made:`)
+    expect(command.log).toHaveBeenCalledWith('  updated  README.md')
+  })
+
+  test('should update to another ref and set variables', async () => {
+    command.parse.mockResolvedValue({ args: { libFolder }, flags: { templateRef: 'v2', var: ['endpoint=https://new.example.com'] } })
+    await fs.writeFile(path.join(libFolder, 'src', 'index.js'), 'class MyLib {}\nconst endpoint = process.env.ENDPOINT\n\nmodule.exports = MyLib\n')
+
+    await command.run()
+
+    expect(fetchTemplate).toHaveBeenCalledWith('github:myorg/templates', expect.any(String), 'v2', undefined,
+      { offline: undefined, refresh: true })
+    const { record: updated } = await record.readRecord(libFolder)
+    expect(updated.template.ref).toBe('v2')
+    expect(updated.variables.endpoint).toBe('https://new.example.com')
+    expect(command.warn).toHaveBeenCalledWith('Conflict in src/index.js: 1 conflicting change(s), marked in the file')
+    expect(command.log).toHaveBeenCalledWith('1 conflict(s) to resolve: the overlapping changes are marked in text files, and the other files were left as they are in the lib.')
+    await expect(read('src/index.js')).resolves.toBe('class MyLib {}\n<<<<<<< lib\nconst endpoint = process.env.ENDPOINT\n=======\n' +
+      "const endpoint = 'https://new.example.com'\n>>>>>>> template\n\nmodule.exports = MyLib\nmodule.exports.endpoint = endpoint\n")
+  })
+
+  test('should tell when the lib is up to date', async () => {
+    command.parse.mockResolvedValue({ args: { libFolder }, flags: { offline: true } })
+    await record.writeRecord(libFolder, Object.assign({}, generation, { template: { source: 'github:myorg/templates', ref: 'abc123', commit: 'abc123' } }))
+
+    await command.run()
+
+    expect(fetchTemplate).toHaveBeenCalledWith('github:myorg/templates', expect.any(String), 'abc123', undefined,
+      { offline: true, refresh: false })
+    expect(command.log).toHaveBeenCalledWith(`${libFolder} is up to date with its template.`)
+  })
+
+  test('should report conflicts when the generated version is unknown', async () => {
+    command.parse.mockResolvedValue({ args: { libFolder }, flags: {} })
+    await record.writeRecord(libFolder, Object.assign({}, generation, { template: { source: templates.def456 } }))
+
+    await command.run()
+
+    expect(fetchTemplate).toHaveBeenCalledTimes(1)
+    expect(command.warn).toHaveBeenCalledWith(expect.stringContaining('The template version the lib was generated from is unknown'))
+    expect(command.warn).toHaveBeenCalledWith('Conflict in README.md: changed in both the lib and the template')
+    await expect(read('README.md')).resolves.toBe('# my-lib\n\nv1\n')
+    await expect(read('CHANGELOG.md')).resolves.toBe('# Changelog\n')
+  })
+
+  test('should update from the bundled template', async () => {
+    command.parse.mockResolvedValue({ args: {}, flags: {} })
+    const copyTemplate = jest.spyOn(LibGenerator.prototype, 'copyTemplate').mockImplementation(async toFolder => {
+      await fs.copy(templates.def456, toFolder)
+      return { package: '@adobe/aio-lib-template', version: '2.0.0' }
+    })
+    command.bundledTemplateVersion = jest.fn().mockReturnValue('2.0.0')
+    await record.writeRecord(libFolder, Object.assign({}, generation, { template: { bundled: true, package: '@adobe/aio-lib-template', version: '2.0.0' } }))
+    jest.spyOn(process, 'cwd').mockReturnValue(libFolder)
+
+    await command.run()
+
+    expect(fetchTemplate).not.toHaveBeenCalled()
+    expect(copyTemplate).toHaveBeenCalledTimes(2)
+    expect(command.log).toHaveBeenCalledWith(`${libFolder} is up to date with its template.`)
+  })
+
+  test('should error without a generation record', async () => {
+    command.parse.mockResolvedValue({ args: { libFolder: root }, flags: {} })
+
+    await expect(command.run()).rejects.toThrow(`${root} has no .create-aio-lib.json file`)
+  })
+
+  test('should update a record kept in package.json', async () => {
+    command.parse.mockResolvedValue({ args: { libFolder }, flags: {} })
+    await fs.remove(path.join(libFolder, '.create-aio-lib.json'))
+    await record.writeRecord(libFolder, generation, 'package.json')
+
+    await command.run()
+
+    await expect(fs.pathExists(path.join(libFolder, '.create-aio-lib.json'))).resolves.toBe(false)
+    const { record: updated, location } = await record.readRecord(libFolder)
+    expect(location).toBe('package.json')
+    expect(updated.template.commit).toBe('def456')
+  })
+
+  test('should error on invalid variables', async () => {
+    command.parse.mockResolvedValue({ args: { libFolder }, flags: { var: ['endpoint'] } })
+
+    await expect(command.run()).rejects.toThrow('endpoint')
+    expect(fetchTemplate).not.toHaveBeenCalled()
+  })
+
+  test('should error and clean up when the template fails', async () => {
+    command.parse.mockResolvedValue({ args: { libFolder }, flags: {} })
+    let workFolder
+    fetchTemplate.mockImplementation(async (url, toFolder) => {
+      workFolder = path.dirname(toFolder)
+      throw new Error('Ref \'main\' not found')
+    })
+
+    await expect(command.run()).rejects.toThrow('Ref \'main\' not found')
+    await expect(fs.pathExists(workFolder)).resolves.toBe(false)
+    await expect(read('README.md')).resolves.toBe('# my-lib\n\nv1\n')
+  })
+
+  test('bundledTemplateVersion should be the installed template version', () => {
+    expect(command.bundledTemplateVersion()).toBe(require('@adobe/aio-lib-template/package.json').version)
+  })
+})
@@ -0,0 +1,130 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const answers = require('../../src/lib/answers')
+
+describe('answers', () => {
+  let folder
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-answers-'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(folder)
+  })
+
+  test('mergeAnswers should let later options win, merging variables, features and git options', () => {
+    expect(answers.mergeAnswers(
+      { libName: 'MyLib', outputDir: '/out', variables: { a: '1', b: '2' }, features: { e2e: true }, git: { defaultBranch: 'dev' } },
+      { libName: undefined, outputDir: '/libs', variables: { b: '3' }, features: { e2e: false, ts: true }, git: { author: { name: 'Jane' } } }
+    )).toEqual({
+      libName: 'MyLib',
+      outputDir: '/libs',
+      variables: { a: '1', b: '3' },
+      features: { e2e: false, ts: true },
+      git: { defaultBranch: 'dev', author: { name: 'Jane' } }
+    })
+    expect(answers.mergeAnswers({ git: { defaultBranch: 'dev' } }, { git: false })).toEqual({ git: false })
+    expect(answers.mergeAnswers({ git: false }, { git: { defaultBranch: 'dev' } })).toEqual({ git: { defaultBranch: 'dev' } })
+  })
+
+  test('should load the answers of a lib from a json file', async () => {
+    const file = path.join(folder, 'answers.json')
+    await fs.writeJson(file, { libName: 'MyLib', repoName: 'myorg/myrepo', variables: { endpoint: 'https://example.com' }, features: { e2e: false } })
+
+    await expect(answers.loadAnswers(file)).resolves.toEqual({
+      batch: false,
+      libs: [{ libName: 'MyLib', repoName: 'myorg/myrepo', variables: { endpoint: 'https://example.com' }, features: { e2e: false } }]
+    })
+  })
+
+  test('should load the answers of a lib from a yaml file', async () => {
+    const file = path.join(folder, 'answers.yml')
+    await fs.writeFile(file, 'libName: MyLib\nrepoName: myorg/myrepo\ngit: false\nkeywords:\n  - adobe\n  - io\n')
+
+    await expect(answers.loadAnswers(file)).resolves.toEqual({
+      batch: false,
+      libs: [{ libName: 'MyLib', repoName: 'myorg/myrepo', git: false, keywords: ['adobe', 'io'] }]
+    })
+  })
+
+  test('should load several libs from an array', async () => {
+    const file = path.join(folder, 'libs.json')
+    await fs.writeJson(file, [{ libName: 'LibA', repoName: 'myorg/lib-a' }, { libName: 'LibB', repoName: 'myorg/lib-b' }])
+
+    await expect(answers.loadAnswers(file)).resolves.toEqual({
+      batch: true,
+      libs: [{ libName: 'LibA', repoName: 'myorg/lib-a' }, { libName: 'LibB', repoName: 'myorg/lib-b' }]
+    })
+  })
+
+  test('should load several libs sharing options', async () => {
+    const file = path.join(folder, 'libs.yaml')
+    await fs.writeFile(file, [
+      'outputDir: /libs',
+      'template: myorg',
+      'variables:',
+      '  endpoint: https://example.com',
+      'libs:',
+      '  - libName: LibA',
+      '    repoName: myorg/lib-a',
+      '  - libName: LibB',
+      '    repoName: myorg/lib-b',
+      '    variables:',
+      '      endpoint: https://b.example.com',
+      ''
+    ].join('\n'))
+
+    await expect(answers.loadAnswers(file)).resolves.toEqual({
+      batch: true,
+      libs: [
+        { outputDir: '/libs', template: 'myorg', variables: { endpoint: 'https://example.com' }, libName: 'LibA', repoName: 'myorg/lib-a' },
+        { outputDir: '/libs', template: 'myorg', variables: { endpoint: 'https://b.example.com' }, libName: 'LibB', repoName: 'myorg/lib-b' }
+      ]
+    })
+  })
+
+  test('should fail on unreadable or invalid files', async () => {
+    const file = path.join(folder, 'answers.json')
+    await expect(answers.loadAnswers(file)).rejects.toThrow(`Invalid answers file ${file}: ENOENT`)
+
+    await fs.writeFile(file, '{')
+    await expect(answers.loadAnswers(file)).rejects.toThrow(`Invalid answers file ${file}`)
+
+    const yamlFile = path.join(folder, 'answers.yaml')
+    await fs.writeFile(yamlFile, 'libName: [')
+    await expect(answers.loadAnswers(yamlFile)).rejects.toThrow(`Invalid answers file ${yamlFile}`)
+
+    // only the types of the default schema are loaded
+    await fs.writeFile(yamlFile, 'libName: !!js/undefined ""')
+    await expect(answers.loadAnswers(yamlFile)).rejects.toThrow(`Invalid answers file ${yamlFile}: unknown tag`)
+  })
+
+  test('should fail on invalid options', async () => {
+    const file = path.join(folder, 'answers.json')
+    const rejects = async (json, message) => {
+      await fs.writeJson(file, json)
+      await expect(answers.loadAnswers(file)).rejects.toThrow(message)
+    }
+
+    await rejects('MyLib', `The options of the answers file ${file} must be an object`)
+    await rejects({ libName: 'MyLib', name: 'x', vars: {} }, `Unknown option(s) name, vars in the answers file ${file}, use libName`)
+    await rejects({ variables: ['a=1'] }, `The 'variables' option of the answers file ${file} must be an object, keyed by name`)
+    await rejects({ libs: 'LibA' }, `The 'libs' option of the answers file ${file} must be an array`)
+    await rejects({ libs: [], template: 'myorg' }, `The answers file ${file} lists no lib`)
+    await rejects({ libs: [{ libName: 'LibA' }], nope: true }, `Unknown option(s) nope in the answers file ${file}`)
+    await rejects([{ libName: 'LibA' }, 'LibB'], `The options of lib 2 of the answers file ${file} must be an object`)
+  })
+})
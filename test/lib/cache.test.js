@@ -0,0 +1,142 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const cache = require('../../src/lib/cache')
+const templateSource = require('../../src/lib/template-source')
+
+describe('cache', () => {
+  const gitSource = { type: 'git', url: 'https://github.com/org/repo', ref: 'v2', subdir: undefined }
+  let root
+  let cacheDir
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-cache-'))
+    cacheDir = path.join(root, 'cache')
+    // fetches a template with a .git folder, and a file telling how many times it was fetched
+    let fetches = 0
+    jest.spyOn(templateSource, 'fetchTemplate').mockImplementation(async (source, toFolder) => {
+      fetches++
+      await fs.outputFile(path.join(toFolder, 'fetch.txt'), `${fetches}`)
+      await fs.outputFile(path.join(toFolder, '.git', 'HEAD'), 'ref')
+      return { commit: `commit${fetches}` }
+    })
+  })
+
+  afterEach(async () => {
+    templateSource.fetchTemplate.mockRestore()
+    await fs.remove(root)
+  })
+
+  const fetchInto = async (source, options) => {
+    const toFolder = await fs.mkdtemp(path.join(root, 'out-'))
+    const result = await cache.fetchTemplate(cacheDir, source, toFolder, options)
+    return Object.assign(result, { fetch: await fs.readFile(path.join(toFolder, 'fetch.txt'), 'utf8'), toFolder })
+  }
+
+  test('isCacheable should only accept remote sources', () => {
+    expect(cache.isCacheable(gitSource)).toBe(true)
+    expect(cache.isCacheable({ type: 'npm', spec: 'aio-lib-template' })).toBe(true)
+    expect(cache.isCacheable({ type: 'tarball', url: 'https://example.com/template.tgz' })).toBe(true)
+    expect(cache.isCacheable({ type: 'tarball', path: '/template.tgz' })).toBe(false)
+    expect(cache.isCacheable({ type: 'directory', path: '/template' })).toBe(false)
+  })
+
+  test('cacheKey should depend on the source, ref and subfolder', () => {
+    const keys = new Set([
+      cache.cacheKey(gitSource),
+      cache.cacheKey(Object.assign({}, gitSource, { ref: 'v3' })),
+      cache.cacheKey(Object.assign({}, gitSource, { subdir: 'lib' })),
+      cache.cacheKey({ type: 'npm', spec: 'aio-lib-template' })
+    ])
+    expect(keys.size).toBe(4)
+    expect(cache.cacheKey(Object.assign({}, gitSource))).toBe(cache.cacheKey(gitSource))
+  })
+
+  test('should fetch and cache a remote template, then use the cached copy', async () => {
+    const first = await fetchInto(gitSource, { token: 'abc' })
+    expect(first).toEqual(expect.objectContaining({ cached: false, fetch: '1', resolved: { commit: 'commit1' } }))
+    expect(templateSource.fetchTemplate).toHaveBeenCalledWith(gitSource, expect.any(String), 'abc')
+    await expect(fs.pathExists(path.join(first.toFolder, '.git'))).resolves.toBe(false)
+
+    const second = await fetchInto(gitSource, {})
+    expect(second).toEqual(expect.objectContaining({ cached: true, fetch: '1', fetchedAt: first.fetchedAt, resolved: { commit: 'commit1' } }))
+
+    const offline = await fetchInto(gitSource, { offline: true })
+    expect(offline).toEqual(expect.objectContaining({ cached: true, fetch: '1' }))
+    expect(templateSource.fetchTemplate).toHaveBeenCalledTimes(1)
+  })
+
+  test('should fetch again on refresh', async () => {
+    await fetchInto(gitSource)
+
+    const refreshed = await fetchInto(gitSource, { refresh: true })
+    expect(refreshed).toEqual(expect.objectContaining({ cached: false, fetch: '2' }))
+
+    const cached = await fetchInto(gitSource)
+    expect(cached).toEqual(expect.objectContaining({ cached: true, fetch: '2' }))
+    expect(await cache.listCache(cacheDir)).toHaveLength(1)
+  })
+
+  test('should use cached copies without a resolved version', async () => {
+    const entryFolder = path.join(cacheDir, 'templates', cache.cacheKey(gitSource))
+    await fs.outputFile(path.join(entryFolder, 'template', 'fetch.txt'), '0')
+    await fs.outputJson(path.join(entryFolder, 'meta.json'), { source: 'https://github.com/org/repo#v2', fetchedAt: '2026-01-01T00:00:00.000Z' })
+
+    expect(await fetchInto(gitSource)).toEqual(expect.objectContaining({ cached: true, fetch: '0', resolved: {} }))
+  })
+
+  test('should fail offline without a cached copy', async () => {
+    await expect(cache.fetchTemplate(cacheDir, gitSource, path.join(root, 'out'), { offline: true }))
+      .rejects.toThrow('https://github.com/org/repo#v2 is not cached, run once without --offline to cache it')
+    expect(templateSource.fetchTemplate).not.toHaveBeenCalled()
+  })
+
+  test('should keep the previous cached copy when a refresh fails', async () => {
+    await fetchInto(gitSource)
+    templateSource.fetchTemplate.mockRejectedValueOnce(new Error('network down'))
+
+    await expect(fetchInto(gitSource, { refresh: true })).rejects.toThrow('network down')
+
+    expect(await fetchInto(gitSource)).toEqual(expect.objectContaining({ cached: true, fetch: '1' }))
+    await expect(fs.readdir(path.join(cacheDir, 'templates'))).resolves.toEqual([cache.cacheKey(gitSource)])
+  })
+
+  test('should not cache local sources', async () => {
+    const source = { type: 'directory', path: '/template' }
+
+    const first = await fetchInto(source, { offline: true })
+    const second = await fetchInto(source, { offline: true })
+
+    expect(first).toEqual(expect.objectContaining({ cached: false, fetch: '1', resolved: { commit: 'commit1' } }))
+    expect(second).toEqual(expect.objectContaining({ cached: false, fetch: '2' }))
+    await expect(cache.listCache(cacheDir)).resolves.toEqual([])
+  })
+
+  test('should list and clean the cached templates', async () => {
+    const npmSource = { type: 'npm', spec: '@myorg/aio-lib-template@3' }
+    await fetchInto(gitSource)
+    await new Promise(resolve => setTimeout(resolve, 5))
+    await fetchInto(npmSource)
+    // an interrupted fetch
+    await fs.ensureDir(path.join(cacheDir, 'templates', 'abc-fetch-123'))
+
+    const entries = await cache.listCache(cacheDir)
+    expect(entries.map(entry => entry.source)).toEqual(['https://github.com/org/repo#v2', '@myorg/aio-lib-template@3'])
+    expect(entries[0].key).toBe(cache.cacheKey(gitSource))
+
+    await expect(cache.cleanCache(cacheDir)).resolves.toBe(2)
+    await expect(cache.listCache(cacheDir)).resolves.toEqual([])
+    await expect(cache.cleanCache(cacheDir)).resolves.toBe(0)
+  })
+})
@@ -0,0 +1,49 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const errors = require('../../src/lib/errors')
+
+describe('errors', () => {
+  test('GenerateError should have a category, failed by default', () => {
+    const error = new errors.GenerateError('Destination exists', 'destination')
+    expect(error).toBeInstanceOf(Error)
+    expect(error.message).toBe('Destination exists')
+    expect(error.category).toBe('destination')
+    expect(error.cause).toBeUndefined()
+
+    expect(new errors.GenerateError('Oops').category).toBe('failed')
+  })
+
+  test('categorize should give a category to errors', async () => {
+    const cause = new Error('not found')
+
+    await expect(errors.categorize('template', async () => 'ok')).resolves.toBe('ok')
+
+    const error = await errors.categorize('template', () => { throw cause }).catch(error => error)
+    expect(error).toBeInstanceOf(errors.GenerateError)
+    expect(error.message).toBe('not found')
+    expect(error.category).toBe('template')
+    expect(error.cause).toBe(cause)
+  })
+
+  test('categorize should keep the category of errors', async () => {
+    const error = new errors.GenerateError('Hook failed', 'hook')
+
+    await expect(errors.categorize('template', async () => { throw error })).rejects.toBe(error)
+  })
+
+  test('exitCode should be the code of the category of errors', () => {
+    expect(errors.exitCode(new errors.GenerateError('Invalid name', 'invalid'))).toBe(3)
+    expect(errors.exitCode(new errors.GenerateError('Git failed', 'git'))).toBe(7)
+    expect(errors.exitCode(new errors.GenerateError('Oops', 'unknown'))).toBe(1)
+    expect(errors.exitCode(new Error('Oops'))).toBe(1)
+  })
+})
@@ -0,0 +1,198 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const features = require('../../src/lib/features')
+
+describe('features', () => {
+  describe('resolveFeatures', () => {
+    const definitions = {
+      typescript: { default: true },
+      e2e: { default: false },
+      workflows: {}
+    }
+
+    test('should use the flags, then the defaults', async () => {
+      await expect(features.resolveFeatures(definitions, ['e2e'], ['typescript'])).resolves.toEqual({
+        typescript: false,
+        e2e: true,
+        workflows: false
+      })
+      await expect(features.resolveFeatures(definitions)).resolves.toEqual({
+        typescript: true,
+        e2e: false,
+        workflows: false
+      })
+    })
+
+    test('should ask for the features not set by flags', async () => {
+      const ask = jest.fn().mockResolvedValue(['workflows'])
+
+      await expect(features.resolveFeatures(definitions, ['e2e'], [], ask)).resolves.toEqual({
+        typescript: false,
+        e2e: true,
+        workflows: true
+      })
+      expect(ask).toHaveBeenCalledWith({ typescript: definitions.typescript, workflows: definitions.workflows })
+    })
+
+    test('should not ask when all features are set by flags', async () => {
+      const ask = jest.fn()
+
+      await features.resolveFeatures({ e2e: {} }, [], ['e2e'], ask)
+
+      expect(ask).not.toHaveBeenCalled()
+    })
+
+    test('should reject unknown features', async () => {
+      await expect(features.resolveFeatures(definitions, ['docs']))
+        .rejects.toThrow("Unknown feature 'docs', the template has typescript, e2e, workflows")
+      await expect(features.resolveFeatures({}, [], ['docs']))
+        .rejects.toThrow("Unknown feature 'docs', the template has no features")
+    })
+  })
+
+  describe('renderConditionals', () => {
+    const conditions = { typescript: true, e2e: false, name: 'x' }
+
+    test('should render if, unless and else blocks inline', () => {
+      expect(features.renderConditionals('a{{#if typescript}}b{{/if}}c', conditions)).toBe('abc')
+      expect(features.renderConditionals('a{{#if e2e}}b{{else}}B{{/if}}c', conditions)).toBe('aBc')
+      expect(features.renderConditionals('a{{#unless e2e}}b{{/unless}}c', conditions)).toBe('abc')
+      expect(features.renderConditionals('a{{#unless name}}b{{else}}B{{/unless}}c', conditions)).toBe('aBc')
+    })
+
+    test('should render nested blocks', () => {
+      const text = '{{#if e2e}}1{{#if typescript}}2{{else}}3{{/if}}{{else}}4{{#if typescript}}5{{else}}6{{/if}}{{/if}}'
+
+      expect(features.renderConditionals(text, conditions)).toBe('45')
+    })
+
+    test('should remove marker lines, also in comments', () => {
+      const text = [
+        'const a = 1',
+        '// {{#if e2e}}',
+        'const e2e = true',
+        '// {{else}}',
+        'const e2e = false',
+        '// {{/if}}',
+        '<!-- {{#if typescript}} -->',
+        'typings',
+        '  /* {{/if}} */',
+        '# {{#unless typescript}}',
+        'no typings',
+        '{{/unless}}'
+      ].join('\n')
+
+      expect(features.renderConditionals(text, conditions)).toBe('const a = 1\nconst e2e = false\ntypings\n')
+    })
+
+    test('should keep text without markers unchanged', () => {
+      expect(features.renderConditionals('{{LIB_NAME}} {{#each}}', conditions)).toBe('{{LIB_NAME}} {{#each}}')
+    })
+
+    test.each([
+      ['{{#if nope}}a{{/if}}', "Unknown condition 'nope' in file.js"],
+      ['{{#if constructor}}a{{/if}}', "Unknown condition 'constructor' in file.js"],
+      ['{{#unless toString}}a{{/unless}}', "Unknown condition 'toString' in file.js"],
+      ['a{{else}}b', 'Unexpected {{else}} in file.js'],
+      ['a{{/if}}', 'Unexpected {{/if}} in file.js'],
+      ['{{#if e2e}}a{{/unless}}', 'Unexpected {{/unless}} in file.js'],
+      ['{{#unless e2e}}a', 'Unclosed {{#unless}} in file.js']
+    ])('should reject invalid blocks in %s', (text, message) => {
+      expect(() => features.renderConditionals(text, conditions, 'file.js')).toThrow(message)
+    })
+
+    test('should default the file name in errors', () => {
+      expect(() => features.renderConditionals('{{#if nope}}{{/if}}', conditions)).toThrow("Unknown condition 'nope' in text")
+    })
+  })
+
+  describe('applyFeatures', () => {
+    let root
+
+    beforeEach(async () => {
+      root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-features-'))
+      const contents = {
+        'types.d.ts': 'types',
+        'e2e/nested/e2e.js': 'e2e',
+        'e2e/README.md': 'e2e',
+        '.github/workflows/ci.yml': 'ci',
+        '.github/ISSUE_TEMPLATE.md': 'issue',
+        'src/index.js': 'a\n// {{#if typescript}}\ntypes\n// {{/if}}\nb\n',
+        'src/plain.js': 'plain',
+        'package.json': '{}'
+      }
+      for (const file of Object.keys(contents)) {
+        await fs.outputFile(path.join(root, file), contents[file])
+      }
+    })
+
+    afterEach(async () => {
+      await fs.remove(root)
+    })
+
+    test('should drop the files of disabled features and render conditional files', async () => {
+      const manifest = {
+        features: {
+          typescript: { files: ['types.d.ts'] },
+          e2e: { files: ['e2e/**'] },
+          workflows: { files: ['.github/workflows'] },
+          docs: {}
+        },
+        conditionalFiles: ['src/**', 'missing.js']
+      }
+
+      const report = await features.applyFeatures(root, manifest, { typescript: false, e2e: false, workflows: false, docs: false })
+
+      expect(report.removed.sort()).toEqual(['.github/workflows', 'e2e/README.md', 'e2e/nested/e2e.js', 'types.d.ts'])
+      expect(report.rendered).toEqual(['src/index.js'])
+      await expect(fs.pathExists(path.join(root, 'e2e'))).resolves.toBe(false)
+      await expect(fs.pathExists(path.join(root, '.github/workflows'))).resolves.toBe(false)
+      await expect(fs.pathExists(path.join(root, '.github/ISSUE_TEMPLATE.md'))).resolves.toBe(true)
+      await expect(fs.readFile(path.join(root, 'src/index.js'), 'utf8')).resolves.toBe('a\nb\n')
+    })
+
+    test('should keep the files of enabled features', async () => {
+      const manifest = {
+        features: { typescript: { files: ['types.d.ts', 'missing.d.ts'] }, e2e: { files: ['e2e/**'] } },
+        conditionalFiles: []
+      }
+
+      const report = await features.applyFeatures(root, manifest, { typescript: true, e2e: false })
+
+      expect(report).toEqual({ removed: ['e2e/README.md', 'e2e/nested/e2e.js'], rendered: [] })
+      await expect(fs.pathExists(path.join(root, 'types.d.ts'))).resolves.toBe(true)
+    })
+
+    test('should remove missing declared files without failing', async () => {
+      const manifest = { features: { docs: { files: ['docs/a.md'] } }, conditionalFiles: [] }
+
+      await expect(features.applyFeatures(root, manifest, { docs: false })).resolves.toEqual({ removed: [], rendered: [] })
+    })
+
+    test('should not remove files outside the folder', async () => {
+      const victim = `${root}-victim`
+      await fs.outputFile(path.join(victim, 'a.txt'), 'a')
+      const manifest = { features: { docs: { files: [`../${path.basename(victim)}`] } }, conditionalFiles: [] }
+
+      try {
+        await expect(features.applyFeatures(root, manifest, { docs: false }))
+          .rejects.toThrow(`Path '../${path.basename(victim)}' is not inside ${root}`)
+        await expect(fs.pathExists(path.join(victim, 'a.txt'))).resolves.toBe(true)
+      } finally {
+        await fs.remove(victim)
+      }
+    })
+  })
+})
@@ -0,0 +1,128 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const files = require('../../src/lib/files')
+
+describe('files', () => {
+  let root
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-files-'))
+    for (const file of ['README.md', '.github/workflows/ci.yml', 'src/index.js', 'src/lib/helpers.js',
+      'test/fixtures/data.json', 'node_modules/dep/index.js', '.git/HEAD']) {
+      await fs.outputFile(path.join(root, file), file)
+    }
+  })
+
+  afterEach(async () => {
+    await fs.remove(root)
+  })
+
+  test('isGlob should detect globs and negations', () => {
+    expect(files.isGlob('src/index.js')).toBe(false)
+    expect(files.isGlob('src/*.js')).toBe(true)
+    expect(files.isGlob('src/**')).toBe(true)
+    expect(files.isGlob('src/{a,b}.js')).toBe(true)
+    expect(files.isGlob('!src/index.js')).toBe(true)
+  })
+
+  test('isInside should detect the paths leaving their folder', () => {
+    expect(files.isInside('src/index.js')).toBe(true)
+    expect(files.isInside('src/..lib')).toBe(true)
+    expect(files.isInside('../index.js')).toBe(false)
+    expect(files.isInside('src/../../index.js')).toBe(false)
+    expect(files.isInside('src\\..\\..\\index.js')).toBe(false)
+    expect(files.isInside('/etc/passwd')).toBe(false)
+    expect(files.isInside(1)).toBe(false)
+  })
+
+  test('resolveInside should resolve the paths inside the root folder', () => {
+    expect(files.resolveInside(root, 'src/index.js')).toEqual(path.join(root, 'src/index.js'))
+    expect(files.resolveInside(root, 'src/../README.md')).toEqual(path.join(root, 'README.md'))
+    expect(() => files.resolveInside(root, '../victim')).toThrow(`Path '../victim' is not inside ${root}`)
+    expect(() => files.resolveInside(root, '/etc/passwd')).toThrow(`Path '/etc/passwd' is not inside ${root}`)
+    expect(() => files.resolveInside(root, '.')).toThrow(`Path '.' is not inside ${root}`)
+    expect(() => files.resolveInside(root, `../${path.basename(root)}-other/a`)).toThrow('is not inside')
+  })
+
+  test('isBinary should detect NUL characters', () => {
+    expect(files.isBinary('text')).toBe(false)
+    expect(files.isBinary('bin\u0000ary')).toBe(true)
+    expect(files.isBinary(Buffer.from('text'))).toBe(false)
+    expect(files.isBinary(Buffer.from([0x89, 0x50, 0x00]))).toBe(true)
+  })
+
+  test('listFiles should list all files except .git and node_modules', async () => {
+    await expect(files.listFiles(root)).resolves.toEqual([
+      '.github/workflows/ci.yml',
+      'README.md',
+      'src/index.js',
+      'src/lib/helpers.js',
+      'test/fixtures/data.json'
+    ])
+  })
+
+  test('listFiles should skip ignored paths', async () => {
+    await expect(files.listFiles(root, ['test/fixtures/**', '**/*.md'])).resolves.toEqual([
+      '.github/workflows/ci.yml',
+      'src/index.js',
+      'src/lib/helpers.js'
+    ])
+  })
+
+  test('expandPatterns should match globs and apply negations', async () => {
+    await expect(files.expandPatterns(root, ['src/**/*.js', '!src/lib/**', 'missing.js', 'README.md'])).resolves.toEqual([
+      'src/index.js',
+      'missing.js',
+      'README.md'
+    ])
+  })
+
+  test('expandPatterns should match dot files', async () => {
+    await expect(files.expandPatterns(root, ['**/*.yml'])).resolves.toEqual(['.github/workflows/ci.yml'])
+  })
+
+  test('expandPatterns should not list the files for plain paths', async () => {
+    const list = jest.fn()
+
+    await expect(files.expandPatterns(root, ['a.js', 'a.js', '!b.js'], list)).resolves.toEqual(['a.js'])
+    expect(list).not.toHaveBeenCalled()
+  })
+
+  test.each([
+    ['../x'],
+    ['src/../../x'],
+    ['/etc/x']
+  ])('expandPatterns should reject the plain path %s outside the root folder', async (file) => {
+    await expect(files.expandPatterns(root, ['README.md', file])).rejects.toThrow(`Path '${file}' is not inside ${root}`)
+  })
+
+  test('renamePaths should rename files and folders, parents first', async () => {
+    await fs.outputFile(path.join(root, 'src/{{NAME}}/{{NAME}}.js'), 'x')
+    await fs.outputFile(path.join(root, 'node_modules/{{NAME}}.js'), 'x')
+    await fs.outputFile(path.join(root, '{{NAME}}.md'), 'x')
+
+    const renamed = await files.renamePaths(root, name => name.replace('{{NAME}}', 'MyLib'))
+
+    expect(renamed).toEqual(expect.arrayContaining([
+      { from: '{{NAME}}.md', to: 'MyLib.md' },
+      { from: 'src/{{NAME}}', to: 'src/MyLib' },
+      { from: 'src/MyLib/{{NAME}}.js', to: 'src/MyLib/MyLib.js' }
+    ]))
+    expect(renamed).toHaveLength(3)
+    await expect(fs.pathExists(path.join(root, 'src/MyLib/MyLib.js'))).resolves.toBe(true)
+    await expect(fs.pathExists(path.join(root, 'src/{{NAME}}'))).resolves.toBe(false)
+    await expect(fs.pathExists(path.join(root, 'node_modules/{{NAME}}.js'))).resolves.toBe(true)
+  })
+})
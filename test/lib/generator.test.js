@@ -0,0 +1,956 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const path = require('path')
+
+// Mock dependencies before requiring the generator
+jest.mock('fs-extra', () => ({
+  copy: jest.fn(),
+  mkdtemp: jest.fn(),
+  remove: jest.fn(),
+  move: jest.fn(),
+  pathExists: jest.fn(),
+  readJson: jest.fn(),
+  writeJson: jest.fn(),
+  readFile: jest.fn(),
+  writeFile: jest.fn()
+}))
+
+jest.mock('../../src/lib/staging', () => ({
+  createStagingFolder: jest.fn(),
+  commitStagingFolder: jest.fn()
+}))
+
+const { Config } = require('@oclif/core')
+const { LibGenerator, createLib } = require('../../src/lib/generator')
+const fs = require('fs-extra')
+const files = require('../../src/lib/files')
+const cache = require('../../src/lib/cache')
+const repository = require('../../src/lib/repository')
+const registry = require('../../src/lib/registry')
+const staging = require('../../src/lib/staging')
+const hooks = require('../../src/lib/hooks')
+const lint = require('../../src/lib/lint')
+const workspace = require('../../src/lib/workspace')
+const replace = require('../../src/lib/replace')
+
+describe('LibGenerator', () => {
+  let generator
+
+  beforeEach(() => {
+    generator = new LibGenerator({ configDir: '/config', cacheDir: '/cache' })
+    jest.clearAllMocks()
+  })
+
+  describe('generate', () => {
+    const destination = path.join('/out', 'mylib')
+
+    beforeEach(() => {
+      jest.spyOn(generator, 'copyTemplate').mockResolvedValue({ package: '@adobe/aio-lib-template', version: '2.0.1' })
+      jest.spyOn(generator, 'removeDotGitFolder').mockResolvedValue()
+      jest.spyOn(generator, 'readParametersFile').mockResolvedValue({ '{{REPO}}': ['test.js'] })
+      jest.spyOn(generator, 'updatePackageJson').mockResolvedValue()
+      jest.spyOn(generator, 'replaceText').mockResolvedValue({ files: {}, missing: [], binary: [] })
+      jest.spyOn(generator, 'cleanup').mockResolvedValue({ removed: [], renamed: [] })
+      jest.spyOn(generator, 'renamePaths').mockResolvedValue([])
+      jest.spyOn(generator, 'initGitRepo').mockResolvedValue('abc123')
+      jest.spyOn(lint, 'lintTokens').mockResolvedValue({ leftover: [], unused: [] })
+      jest.spyOn(files, 'listFiles').mockResolvedValue(['package.json'])
+      jest.spyOn(registry, 'loadRegistry').mockResolvedValue({
+        default: 'aio-lib',
+        templates: { 'aio-lib': { source: '@adobe/aio-lib-template', bundled: true } }
+      })
+      fs.pathExists.mockResolvedValue(false)
+      staging.createStagingFolder.mockImplementation(async destination => `${destination}-staging`)
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should generate a lib, emitting its steps', async () => {
+      const steps = []
+      generator.on('step', title => steps.push(title))
+
+      const result = await generator.generate({
+        libName: 'mylib',
+        repoName: 'myorg/myrepo',
+        outputDir: '/out',
+        keywords: ['adobe', 'io'],
+        engines: { node: '>=18' }
+      })
+
+      expect(steps[0]).toBe('Copy template')
+      expect(steps[steps.length - 1]).toBe('Lib Location')
+      expect(generator.updatePackageJson).toHaveBeenCalledWith(`${destination}-staging`, 'myorg/myrepo',
+        expect.objectContaining({ keywords: ['adobe', 'io'], engines: { node: '>=18' } }))
+      expect(generator.initGitRepo).toHaveBeenCalledWith(`${destination}-staging`, 'myorg/myrepo',
+        { hostUrl: 'https://github.com', defaultBranch: 'main', author: {} })
+      expect(staging.commitStagingFolder).toHaveBeenCalledWith(`${destination}-staging`, destination)
+      expect(result).toEqual(expect.objectContaining({
+        destination,
+        destinationExists: false,
+        dryRun: false,
+        files: ['package.json'],
+        packageJson: undefined,
+        hooks: [],
+        git: { defaultBranch: 'main', remoteUrl: 'https://github.com/myorg/myrepo.git', commit: 'abc123' },
+        warnings: []
+      }))
+      expect(result.variables).toEqual(expect.objectContaining({ libName: 'Mylib', keywords: 'adobe,io', engines: 'node=>=18' }))
+      expect(result.record.record.template).toEqual({ bundled: true, package: '@adobe/aio-lib-template', version: '2.0.1' })
+    })
+
+    test('should use the names trimmed', async () => {
+      const result = await generator.generate({ libName: ' mylib ', repoName: ' myorg/myrepo\t', outputDir: '/out', git: false })
+
+      expect(result.destination).toBe(destination)
+      expect(generator.updatePackageJson).toHaveBeenCalledWith(`${destination}-staging`, 'myorg/myrepo', expect.any(Object))
+      expect(generator.replaceText).toHaveBeenCalledWith(`${destination}-staging`, expect.any(Object), 'Mylib', 'myorg/myrepo', expect.any(Object))
+      expect(result.variables).toEqual(expect.objectContaining({ libName: 'Mylib', repoName: 'myorg/myrepo' }))
+    })
+
+    test('should skip the git repository and the move on a dry run', async () => {
+      const steps = []
+      generator.on('step', title => steps.push(title))
+      fs.mkdtemp.mockResolvedValue('/tmp/create-aio-lib-1')
+      fs.readFile.mockResolvedValue('{}')
+
+      const result = await generator.generate({ libName: 'mylib', repoName: 'myorg/myrepo', outputDir: '/out', dryRun: true })
+
+      expect(steps).not.toContain('Initialize git repository')
+      expect(steps).not.toContain('Move lib into place')
+      expect(steps[steps.length - 1]).toBe('Lib Location')
+      expect(generator.initGitRepo).not.toHaveBeenCalled()
+      expect(staging.commitStagingFolder).not.toHaveBeenCalled()
+      expect(result.dryRun).toBe(true)
+    })
+
+    test('should not initialize a git repository when disabled', async () => {
+      const steps = []
+      generator.on('step', title => steps.push(title))
+
+      const result = await generator.generate({ libName: 'mylib', repoName: 'myorg/myrepo', outputDir: '/out', git: false })
+
+      expect(steps).not.toContain('Initialize git repository')
+      expect(generator.initGitRepo).not.toHaveBeenCalled()
+      expect(result.git).toBe(false)
+    })
+
+    test('should tell listr why the steps are skipped', () => {
+      const [gitStep, moveStep] = generator.finishSteps().filter(step => step.skip)
+
+      expect(gitStep.skip({ dryRun: true, git: {} })).toBe('dry run')
+      expect(gitStep.skip({ dryRun: false, git: false })).toBe('disabled')
+      expect(gitStep.skip({ dryRun: false, git: {} })).toBe(false)
+      expect(moveStep.skip({ dryRun: true })).toBe('dry run')
+      expect(moveStep.skip({ dryRun: false })).toBe(false)
+    })
+
+    test('should reject invalid names and existing destinations', async () => {
+      await expect(generator.generate({ libName: 'my-lib', repoName: 'myorg/myrepo' })).rejects.toThrow("'my-lib' is not a valid class name")
+      await expect(generator.generate({ repoName: 'myorg/myrepo' })).rejects.toThrow('The library name is required.')
+      await expect(generator.generate({ libName: '  ', repoName: 'myorg/myrepo' })).rejects.toThrow('The library name is required.')
+
+      fs.pathExists.mockResolvedValue(true)
+      await expect(generator.generate({ libName: 'mylib', repoName: 'myorg/myrepo', outputDir: '/out' }))
+        .rejects.toThrow(`Destination ${destination} exists, use the '--overwrite' flag to overwrite.`)
+      expect(staging.createStagingFolder).not.toHaveBeenCalled()
+    })
+
+    test('should give a category to the errors', async () => {
+      const options = { libName: 'mylib', repoName: 'myorg/myrepo', outputDir: '/out' }
+
+      await expect(generator.generate(Object.assign({}, options, { libName: 'my-lib' }))).rejects.toMatchObject({ category: 'invalid' })
+      await expect(generator.generate(Object.assign({}, options, { packageVersion: '1' }))).rejects.toMatchObject({ category: 'invalid' })
+      await expect(generator.generate(Object.assign({}, options, { template: 'unknown' }))).rejects.toMatchObject({ category: 'template' })
+
+      generator.initGitRepo.mockRejectedValueOnce(new Error('git failed'))
+      await expect(generator.generate(options)).rejects.toMatchObject({ category: 'git', message: 'git failed' })
+
+      staging.commitStagingFolder.mockRejectedValueOnce(new Error('move failed'))
+      await expect(generator.generate(options)).rejects.toMatchObject({ category: 'destination', message: 'move failed' })
+
+      generator.readParametersFile.mockResolvedValue({ manifestVersion: 2, hooks: [{ run: 'exit 1' }] })
+      jest.spyOn(hooks, 'runHook').mockRejectedValue(new Error("Hook 'exit 1' failed"))
+      await expect(generator.generate(options)).rejects.toMatchObject({ category: 'hook' })
+
+      generator.readParametersFile.mockResolvedValue({ manifestVersion: 2, variables: { endpoint: { required: true } } })
+      await expect(generator.generate(options)).rejects.toMatchObject({ category: 'invalid' })
+    })
+
+    test('should warn about the token problems of the generated lib', async () => {
+      const findings = { leftover: [{ token: '{{ENDPOINT}}', file: 'src/index.js', lines: [3] }], unused: ['{{KEBAB}}'] }
+      lint.lintTokens.mockResolvedValue(findings)
+
+      const result = await generator.generate({ libName: 'mylib', repoName: 'myorg/myrepo', outputDir: '/out' })
+
+      expect(lint.lintTokens).toHaveBeenCalledWith(`${destination}-staging`, expect.objectContaining({ manifestVersion: 1 }), expect.any(Object), [])
+      expect(result.lint).toBe(findings)
+      expect(result.warnings).toEqual([
+        "Token '{{ENDPOINT}}' is left in src/index.js (line 3)",
+        "Token '{{KEBAB}}' is declared by the template but never used"
+      ])
+      expect(staging.commitStagingFolder).toHaveBeenCalled()
+    })
+
+    test('should fail on the token problems of the generated lib when strict', async () => {
+      const options = { libName: 'mylib', repoName: 'myorg/myrepo', outputDir: '/out', strict: true }
+
+      await expect(generator.generate(options)).resolves.toEqual(expect.objectContaining({ lint: { leftover: [], unused: [] } }))
+
+      lint.lintTokens.mockResolvedValue({ leftover: [{ token: '{{ENDPOINT}}', file: 'src/index.js', lines: [3] }], unused: [] })
+      staging.commitStagingFolder.mockClear()
+      await expect(generator.generate(options)).rejects.toMatchObject({
+        category: 'template',
+        message: "Found 1 token problem(s) in the generated lib:\n  Token '{{ENDPOINT}}' is left in src/index.js (line 3)"
+      })
+      expect(staging.commitStagingFolder).not.toHaveBeenCalled()
+    })
+
+    describe('in a workspace', () => {
+      const workspaceDestination = path.join('/mono', 'libs', 'mylib')
+      const options = { libName: 'mylib', repoName: 'myorg/myrepo', outputDir: '/out', workspace: true }
+
+      beforeEach(() => {
+        jest.spyOn(workspace, 'findWorkspace').mockResolvedValue({ root: '/mono', patterns: ['libs/*'], packagesFolder: 'libs' })
+        jest.spyOn(workspace, 'registerWorkspace').mockResolvedValue(true)
+        fs.readFile.mockResolvedValue('{"workspaces":["libs/*"]}')
+        jest.spyOn(generator, 'fitWorkspace').mockResolvedValue({ registered: false, skipped: ['.gitignore'], aligned: [] })
+      })
+
+      test('should generate the lib in the packages folder, and register it', async () => {
+        const result = await generator.generate(options)
+
+        expect(workspace.findWorkspace).toHaveBeenCalledWith('/out')
+        expect(generator.fitWorkspace).toHaveBeenCalledWith(`${workspaceDestination}-staging`, '/mono')
+        expect(generator.initGitRepo).not.toHaveBeenCalled()
+        expect(staging.commitStagingFolder).toHaveBeenCalledWith(`${workspaceDestination}-staging`, workspaceDestination)
+        expect(workspace.registerWorkspace).toHaveBeenCalledWith('/mono', workspaceDestination)
+        expect(workspace.registerWorkspace.mock.invocationCallOrder[0]).toBeLessThan(staging.commitStagingFolder.mock.invocationCallOrder[0])
+        expect(result).toEqual(expect.objectContaining({
+          destination: workspaceDestination,
+          git: false,
+          workspace: { root: '/mono', packagesFolder: 'libs', registered: true, skipped: ['.gitignore'], aligned: [] }
+        }))
+      })
+
+      test('should not move the lib when its registration fails', async () => {
+        workspace.registerWorkspace.mockRejectedValue(new Error('EACCES: permission denied'))
+
+        await expect(generator.generate(options)).rejects.toMatchObject({ category: 'destination', message: 'EACCES: permission denied' })
+        expect(staging.commitStagingFolder).not.toHaveBeenCalled()
+        expect(fs.remove).toHaveBeenCalledWith(`${workspaceDestination}-staging`)
+      })
+
+      test('should unregister the lib when its move fails', async () => {
+        staging.commitStagingFolder.mockRejectedValueOnce(new Error('EXDEV'))
+
+        await expect(generator.generate(options)).rejects.toMatchObject({ category: 'destination', message: 'EXDEV' })
+        expect(workspace.registerWorkspace).toHaveBeenCalledWith('/mono', workspaceDestination)
+        expect(fs.writeFile).toHaveBeenCalledWith(path.join('/mono', 'package.json'), '{"workspaces":["libs/*"]}')
+      })
+
+      test('should not register the lib on a dry run', async () => {
+        fs.mkdtemp.mockResolvedValue('/tmp/create-aio-lib-1')
+        fs.readFile.mockResolvedValue('{}')
+
+        const result = await generator.generate(Object.assign({ dryRun: true }, options))
+
+        expect(workspace.registerWorkspace).not.toHaveBeenCalled()
+        expect(result.workspace.registered).toBe(false)
+      })
+
+      test('should give the destination category to the workspace errors', async () => {
+        workspace.findWorkspace.mockRejectedValue(new Error('No package.json declaring workspaces was found in /out or its parents'))
+
+        await expect(generator.generate(options)).rejects.toMatchObject({ category: 'destination' })
+
+        workspace.findWorkspace.mockResolvedValue({ root: '/mono', patterns: ['libs/*'], packagesFolder: 'libs' })
+        fs.readFile.mockRejectedValue(new Error('ENOENT'))
+        await expect(generator.generate(options)).rejects.toMatchObject({ category: 'destination', message: 'ENOENT' })
+      })
+
+      test('should not be set outside a workspace', async () => {
+        const result = await generator.generate({ libName: 'mylib', repoName: 'myorg/myrepo', outputDir: '/out' })
+
+        expect(generator.fitWorkspace).not.toHaveBeenCalled()
+        expect(result.workspace).toBeUndefined()
+      })
+    })
+
+    test('should remove the staging folder on failure', async () => {
+      generator.copyTemplate.mockRejectedValue(new Error('copy failed'))
+
+      await expect(generator.generate({ libName: 'mylib', repoName: 'myorg/myrepo', outputDir: '/out' })).rejects.toThrow('copy failed')
+      expect(fs.remove).toHaveBeenCalledWith(`${destination}-staging`)
+      expect(staging.commitStagingFolder).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('loadConfig', () => {
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should default to the folders of the CLI', async () => {
+      jest.spyOn(Config, 'load').mockResolvedValue({ configDir: '/cli/config', cacheDir: '/cli/cache' })
+
+      const defaults = new LibGenerator()
+      await defaults.loadConfig()
+      expect(defaults.configDir).toBe('/cli/config')
+      expect(defaults.cacheDir).toBe('/cli/cache')
+
+      const given = new LibGenerator({ configDir: '/config' })
+      await given.loadConfig()
+      expect(given.configDir).toBe('/config')
+      expect(given.cacheDir).toBe('/cli/cache')
+    })
+
+    test('should not load the CLI config when the folders are given', async () => {
+      jest.spyOn(Config, 'load')
+
+      await generator.loadConfig()
+      expect(Config.load).not.toHaveBeenCalled()
+    })
+  })
+
+  test('createLib should generate with a new generator', async () => {
+    const result = { destination: '/out/mylib' }
+    const generate = jest.spyOn(LibGenerator.prototype, 'generate').mockResolvedValue(result)
+
+    await expect(createLib({ libName: 'mylib', repoName: 'myorg/myrepo' })).resolves.toBe(result)
+    expect(generate).toHaveBeenCalledWith({ libName: 'mylib', repoName: 'myorg/myrepo' })
+    generate.mockRestore()
+  })
+
+  describe('copyTemplate', () => {
+    test('should copy template to destination folder', async () => {
+      const toFolder = '/test/output'
+      const overwrite = true
+
+      fs.copy.mockResolvedValue()
+
+      const { version } = require('@adobe/aio-lib-template/package.json')
+      await expect(generator.copyTemplate(toFolder, overwrite)).resolves.toEqual({ package: '@adobe/aio-lib-template', version })
+
+      expect(fs.copy).toHaveBeenCalledWith(
+        expect.stringContaining('aio-lib-template'),
+        toFolder,
+        { overwrite: true, errorOnExist: false }
+      )
+    })
+
+    test('should not overwrite if overwrite is false', async () => {
+      const toFolder = '/test/output'
+      const overwrite = false
+
+      fs.copy.mockResolvedValue()
+
+      await generator.copyTemplate(toFolder, overwrite)
+
+      expect(fs.copy).toHaveBeenCalledWith(
+        expect.any(String),
+        toFolder,
+        { overwrite: false, errorOnExist: true }
+      )
+    })
+  })
+
+  describe('fetchTemplate', () => {
+    beforeEach(() => {
+      jest.spyOn(cache, 'fetchTemplate').mockResolvedValue({ cached: false, fetchedAt: '2026-10-19T10:00:00.000Z', resolved: { commit: 'abc123' } })
+      generator.log = jest.fn()
+    })
+
+    afterEach(() => {
+      cache.fetchTemplate.mockRestore()
+      delete process.env.CREATE_AIO_LIB_TEMPLATE_TOKEN
+    })
+
+    test('should clone repository with correct options', async () => {
+      const url = 'https://github.com/test/repo'
+      const toFolder = '/test/folder'
+
+      await expect(generator.fetchTemplate(url, toFolder)).resolves.toEqual({ commit: 'abc123' })
+
+      expect(cache.fetchTemplate).toHaveBeenCalledWith('/cache', { type: 'git', url, ref: undefined, subdir: undefined }, toFolder, { token: undefined })
+      expect(generator.log).toHaveBeenCalledWith(`Fetching ${url}...`)
+    })
+
+    test('should clone a ref and a subfolder with the token of the environment', async () => {
+      process.env.CREATE_AIO_LIB_TEMPLATE_TOKEN = 'abc'
+
+      await generator.fetchTemplate('github:test/repo#v1', '/test/folder', 'v2', 'templates/lib', { offline: false, refresh: true })
+
+      expect(cache.fetchTemplate).toHaveBeenCalledWith('/cache',
+        { type: 'git', url: 'https://github.com/test/repo', ref: 'v2', subdir: 'templates/lib' }, '/test/folder',
+        { token: 'abc', offline: false, refresh: true })
+      expect(generator.log).toHaveBeenCalledWith('Fetching https://github.com/test/repo#v2 (subfolder templates/lib)...')
+    })
+
+    test('should fetch an npm package', async () => {
+      await generator.fetchTemplate('@myorg/aio-lib-template@3', '/test/folder')
+
+      expect(cache.fetchTemplate).toHaveBeenCalledWith('/cache',
+        { type: 'npm', spec: '@myorg/aio-lib-template@3', subdir: undefined }, '/test/folder', { token: undefined })
+      expect(generator.log).toHaveBeenCalledWith('Fetching @myorg/aio-lib-template@3...')
+    })
+
+    test('should tell when a cached copy is used', async () => {
+      cache.fetchTemplate.mockResolvedValue({ cached: true, fetchedAt: '2026-10-19T10:00:00.000Z' })
+
+      await generator.fetchTemplate('github:test/repo', '/test/folder', undefined, undefined, { offline: true })
+
+      expect(generator.log).toHaveBeenCalledWith('Using the cached copy fetched at 2026-10-19T10:00:00.000Z (use --refresh to fetch it again)')
+    })
+  })
+
+  describe('selectHooks', () => {
+    const candidates = [{ run: 'npm install' }, { title: 'Format', script: 'hooks/format.js' }]
+    let confirmHook
+
+    beforeEach(() => {
+      confirmHook = jest.fn()
+      generator.log = jest.fn()
+      generator.warn = jest.fn()
+    })
+
+    test('should select nothing without hooks', async () => {
+      await expect(generator.selectHooks([], { trusted: false, confirm: confirmHook })).resolves.toEqual([])
+      expect(confirmHook).not.toHaveBeenCalled()
+    })
+
+    test('should skip the hooks', async () => {
+      await expect(generator.selectHooks(candidates, { skip: true, trusted: true })).resolves.toEqual([])
+      expect(generator.log).toHaveBeenCalledWith('Skipping 2 template hook(s).')
+    })
+
+    test('should select all the hooks of a trusted template', async () => {
+      await expect(generator.selectHooks(candidates, { trusted: true, confirm: confirmHook })).resolves.toEqual(candidates)
+      expect(confirmHook).not.toHaveBeenCalled()
+    })
+
+    test('should skip the hooks of an untrusted template when not interactive', async () => {
+      await expect(generator.selectHooks(candidates, { trusted: false })).resolves.toEqual([])
+      expect(generator.warn).toHaveBeenCalledWith('Skipping the hooks of an untrusted template (npm install, Format), use --trust-hooks to run them.')
+    })
+
+    test('should confirm each hook of an untrusted template', async () => {
+      confirmHook.mockResolvedValueOnce(false).mockResolvedValueOnce(true)
+
+      await expect(generator.selectHooks(candidates, { trusted: false, confirm: confirmHook })).resolves.toEqual([candidates[1]])
+      expect(confirmHook).toHaveBeenCalledWith(candidates[0])
+      expect(confirmHook).toHaveBeenCalledWith(candidates[1])
+    })
+  })
+
+  describe('initGitRepo', () => {
+    beforeEach(() => {
+      generator.warn = jest.fn()
+      jest.spyOn(repository, 'resolveAuthor').mockResolvedValue({ name: 'Jane', email: 'jane@example.com' })
+      jest.spyOn(repository, 'initRepository').mockResolvedValue('abc123')
+    })
+
+    afterEach(() => {
+      repository.resolveAuthor.mockRestore()
+      repository.initRepository.mockRestore()
+    })
+
+    test('should initialize a repository with an origin and an initial commit', async () => {
+      await expect(generator.initGitRepo('/out/MyLib', 'myorg/myrepo', { defaultBranch: 'main', author: { name: 'Jane' } }))
+        .resolves.toBe('abc123')
+
+      expect(repository.resolveAuthor).toHaveBeenCalledWith({ name: 'Jane' })
+      expect(repository.initRepository).toHaveBeenCalledWith('/out/MyLib', {
+        defaultBranch: 'main',
+        remoteUrl: 'https://github.com/myorg/myrepo.git',
+        author: { name: 'Jane', email: 'jane@example.com' }
+      })
+      expect(generator.warn).not.toHaveBeenCalled()
+    })
+
+    test('should warn when there is no initial commit', async () => {
+      repository.initRepository.mockResolvedValue(undefined)
+
+      await generator.initGitRepo('/out/MyLib', 'myrepo', { defaultBranch: 'main', author: {} })
+
+      expect(repository.initRepository).toHaveBeenCalledWith('/out/MyLib', expect.objectContaining({ remoteUrl: undefined }))
+      expect(generator.warn).toHaveBeenCalledWith(expect.stringContaining('without an initial commit'))
+    })
+  })
+
+  describe('fitWorkspace', () => {
+    beforeEach(() => {
+      jest.spyOn(files, 'listFiles').mockResolvedValue(['.gitignore', '.github/workflows/node.yml', 'package.json'])
+      jest.spyOn(files, 'removeEmptyParents').mockResolvedValue()
+      jest.spyOn(workspace, 'rootProvidedFiles').mockResolvedValue(['.gitignore', '.github/workflows/node.yml'])
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should remove the files the root provides, and align the devDependencies', async () => {
+      fs.readJson.mockImplementation(async file => file === path.join('/mono', 'package.json')
+        ? { devDependencies: { jest: '^29.7.0' } }
+        : { devDependencies: { jest: '^29.0.0', eslint: '^8' } })
+
+      await expect(generator.fitWorkspace('/staging', '/mono')).resolves.toEqual({
+        registered: false,
+        skipped: ['.gitignore', '.github/workflows/node.yml'],
+        aligned: [{ name: 'jest', from: '^29.0.0', to: '^29.7.0' }]
+      })
+
+      expect(workspace.rootProvidedFiles).toHaveBeenCalledWith('/mono', ['.gitignore', '.github/workflows/node.yml', 'package.json'])
+      expect(fs.remove).toHaveBeenCalledWith(path.join('/staging', '.github/workflows/node.yml'))
+      expect(files.removeEmptyParents).toHaveBeenCalledWith('/staging', '.github/workflows/node.yml')
+      expect(fs.writeJson).toHaveBeenCalledWith(path.join('/staging', 'package.json'),
+        { devDependencies: { jest: '^29.7.0', eslint: '^8' } }, { spaces: 2 })
+    })
+
+    test('should not rewrite package.json without devDependencies to align', async () => {
+      workspace.rootProvidedFiles.mockResolvedValue([])
+      fs.readJson.mockResolvedValue({})
+
+      await expect(generator.fitWorkspace('/staging', '/mono')).resolves.toEqual({ registered: false, skipped: [], aligned: [] })
+      expect(fs.writeJson).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('removeDotGitFolder', () => {
+    test('should remove .git folder from repo', async () => {
+      const repoFolder = '/test/repo'
+      const dotGitPath = path.join(repoFolder, '.git')
+
+      fs.remove.mockResolvedValue()
+
+      await generator.removeDotGitFolder(repoFolder)
+
+      expect(fs.remove).toHaveBeenCalledWith(dotGitPath)
+    })
+  })
+
+  describe('readParametersFile', () => {
+    test('should read parameters file successfully when it exists', async () => {
+      const repoFolder = path.join(__dirname, '../fixtures')
+      const realFs = jest.requireActual('fs-extra')
+
+      // Mock pathExists to return true for this specific file
+      fs.pathExists.mockImplementation((filePath) => {
+        if (filePath.includes('template.parameters.json')) {
+          return Promise.resolve(true)
+        }
+        return Promise.resolve(false)
+      })
+      fs.readJson.mockImplementationOnce(file => realFs.readJson(file))
+
+      const result = await generator.readParametersFile(repoFolder)
+
+      expect(result).toBeDefined()
+      expect(result['{{REPO}}']).toEqual(['file1.js', 'file2.js'])
+      expect(result['{{LIB_NAME}}']).toEqual(['file1.js', 'file3.js'])
+    })
+
+    test('should read the parameters file of a relative folder, on every call', async () => {
+      fs.pathExists.mockResolvedValue(true)
+      fs.readJson.mockResolvedValueOnce({ manifestVersion: 2 }).mockResolvedValueOnce({ manifestVersion: 2, remove: [] })
+
+      await expect(generator.readParametersFile('out/my-lib')).resolves.toEqual({ manifestVersion: 2 })
+      await expect(generator.readParametersFile('out/my-lib')).resolves.toEqual({ manifestVersion: 2, remove: [] })
+
+      expect(fs.readJson.mock.calls).toEqual([
+        [path.resolve('out/my-lib', 'template.parameters.json')],
+        [path.resolve('out/my-lib', 'template.parameters.json')]
+      ])
+    })
+
+    test('should throw error if parameters file does not exist', async () => {
+      const repoFolder = '/test/repo'
+
+      fs.pathExists.mockResolvedValue(false)
+
+      await expect(generator.readParametersFile(repoFolder))
+        .rejects.toThrow('template.parameters.json does not exist')
+    })
+  })
+
+  describe('updatePackageJson', () => {
+    const mockPackageJson = {
+      name: 'old-name',
+      version: '1.0.0',
+      repository: 'old-repo',
+      bugs: { url: 'old-bugs' },
+      _somePrivateKey: 'value'
+    }
+
+    beforeEach(() => {
+      generator.log = jest.fn()
+    })
+
+    test('should update package.json with scoped package name', async () => {
+      const repoFolder = '/test/repo'
+      const repoName = 'myorg/myrepo'
+      const packageJsonFile = path.join(repoFolder, 'package.json')
+
+      fs.pathExists.mockResolvedValue(true)
+      fs.readJson.mockResolvedValue(Object.assign({}, mockPackageJson))
+      fs.writeJson.mockResolvedValue()
+
+      await generator.updatePackageJson(repoFolder, repoName)
+
+      expect(fs.writeJson).toHaveBeenCalledWith(
+        packageJsonFile,
+        expect.objectContaining({
+          name: '@myorg/myrepo',
+          version: '0.0.1',
+          repository: { type: 'git', url: 'git+https://github.com/myorg/myrepo.git' },
+          homepage: 'https://github.com/myorg/myrepo#readme',
+          bugs: { url: 'https://github.com/myorg/myrepo/issues' }
+        }),
+        { spaces: 2 }
+      )
+    })
+
+    test('should use the urls of the git host', async () => {
+      fs.pathExists.mockResolvedValue(true)
+      fs.readJson.mockResolvedValue(Object.assign({}, mockPackageJson))
+      fs.writeJson.mockResolvedValue()
+
+      await generator.updatePackageJson('/test/repo', 'myorg/myrepo', { host: { type: 'gitlab', url: 'https://git.example.com' } })
+
+      expect(fs.writeJson.mock.calls[0][1]).toEqual(expect.objectContaining({
+        repository: { type: 'git', url: 'git+https://git.example.com/myorg/myrepo.git' },
+        homepage: 'https://git.example.com/myorg/myrepo#readme',
+        bugs: { url: 'https://git.example.com/myorg/myrepo/-/issues' }
+      }))
+    })
+
+    test('should preserve existing bugs object', async () => {
+      const repoFolder = '/test/repo'
+      const repoName = 'myorg/myrepo'
+      const mockJson = Object.assign({}, mockPackageJson, {
+        bugs: { url: 'https://existing.com', email: 'test@test.com' }
+      })
+
+      fs.pathExists.mockResolvedValue(true)
+      fs.readJson.mockResolvedValue(mockJson)
+      fs.writeJson.mockResolvedValue()
+
+      await generator.updatePackageJson(repoFolder, repoName)
+
+      const writtenJson = fs.writeJson.mock.calls[0][1]
+      expect(writtenJson.bugs.email).toBe('test@test.com')
+    })
+
+    test('should handle package.json without bugs field', async () => {
+      const repoFolder = '/test/repo'
+      const repoName = 'myorg/myrepo'
+      const mockJson = {
+        name: 'old-name',
+        version: '1.0.0'
+      }
+
+      fs.pathExists.mockResolvedValue(true)
+      fs.readJson.mockResolvedValue(mockJson)
+      fs.writeJson.mockResolvedValue()
+
+      await generator.updatePackageJson(repoFolder, repoName)
+
+      const writtenJson = fs.writeJson.mock.calls[0][1]
+      expect(writtenJson.bugs).toBeDefined()
+      expect(writtenJson.bugs.url).toBe('https://github.com/myorg/myrepo/issues')
+    })
+
+    test('should update package.json with non-scoped package name', async () => {
+      const repoFolder = '/test/repo'
+      const repoName = 'myrepo'
+
+      fs.pathExists.mockResolvedValue(true)
+      fs.readJson.mockResolvedValue(Object.assign({}, mockPackageJson))
+      fs.writeJson.mockResolvedValue()
+
+      await generator.updatePackageJson(repoFolder, repoName)
+
+      const writtenJson = fs.writeJson.mock.calls[0][1]
+      expect(writtenJson.name).toBe('myrepo')
+      expect(writtenJson.version).toBe('0.0.1')
+      expect(writtenJson.repository).toBeUndefined()
+      expect(writtenJson.homepage).toBeUndefined()
+      expect(writtenJson.bugs).toBeUndefined()
+    })
+
+    test('should set the description when provided', async () => {
+      fs.pathExists.mockResolvedValue(true)
+      fs.readJson.mockResolvedValue(Object.assign({}, mockPackageJson))
+      fs.writeJson.mockResolvedValue()
+
+      await generator.updatePackageJson('/test/repo', 'myrepo', { description: 'my lib' })
+
+      const writtenJson = fs.writeJson.mock.calls[0][1]
+      expect(writtenJson.description).toBe('my lib')
+    })
+
+    test('should set the package fields when provided', async () => {
+      fs.pathExists.mockResolvedValue(true)
+      fs.readJson.mockResolvedValue(Object.assign({}, mockPackageJson, {
+        license: 'Apache-2.0',
+        engines: { node: '>=18', npm: '>=8' },
+        publishConfig: { registry: 'https://registry.example.com' }
+      }))
+      fs.writeJson.mockResolvedValue()
+
+      await generator.updatePackageJson('/test/repo', 'myrepo', {
+        author: 'Jane Doe <jane@example.com>',
+        license: 'MIT',
+        keywords: ['adobe', 'io'],
+        version: '1.0.0-beta.1',
+        access: 'public',
+        engines: { node: '>=20' }
+      })
+
+      expect(fs.writeJson.mock.calls[0][1]).toEqual(expect.objectContaining({
+        author: 'Jane Doe <jane@example.com>',
+        license: 'MIT',
+        keywords: ['adobe', 'io'],
+        version: '1.0.0-beta.1',
+        publishConfig: { registry: 'https://registry.example.com', access: 'public' },
+        engines: { node: '>=20', npm: '>=8' }
+      }))
+    })
+
+    test('should remove keys starting with underscore', async () => {
+      const repoFolder = '/test/repo'
+      const repoName = 'myrepo'
+
+      fs.pathExists.mockResolvedValue(true)
+      fs.readJson.mockResolvedValue(Object.assign({}, mockPackageJson))
+      fs.writeJson.mockResolvedValue()
+
+      await generator.updatePackageJson(repoFolder, repoName)
+
+      const writtenJson = fs.writeJson.mock.calls[0][1]
+      expect(writtenJson._somePrivateKey).toBeUndefined()
+    })
+
+    test('should throw error if package.json does not exist', async () => {
+      const repoFolder = '/test/repo'
+      const repoName = 'myrepo'
+
+      fs.pathExists.mockResolvedValue(false)
+
+      await expect(generator.updatePackageJson(repoFolder, repoName))
+        .rejects.toThrow('package.json does not exist')
+    })
+  })
+
+  describe('cleanup', () => {
+    test('should remove specified files', async () => {
+      const repoFolder = '/test/repo'
+
+      fs.remove.mockResolvedValue()
+      fs.move.mockResolvedValue()
+
+      await generator.cleanup(repoFolder)
+
+      expect(fs.remove).toHaveBeenCalledWith(
+        path.join(repoFolder, 'types.d.ts')
+      )
+      expect(fs.remove).toHaveBeenCalledWith(
+        path.join(repoFolder, 'template.parameters.json')
+      )
+    })
+
+    test('should rename template files', async () => {
+      const repoFolder = '/test/repo'
+
+      fs.remove.mockResolvedValue()
+      fs.move.mockResolvedValue()
+
+      await generator.cleanup(repoFolder)
+
+      expect(fs.move).toHaveBeenCalledWith(
+        path.join(repoFolder, 'gitignore.template'),
+        path.join(repoFolder, '.gitignore'),
+        { overwrite: true }
+      )
+      expect(fs.move).toHaveBeenCalledWith(
+        path.join(repoFolder, 'npmrc.template'),
+        path.join(repoFolder, '.npmrc'),
+        { overwrite: true }
+      )
+    })
+
+    test('should rename the files of a declared rename map', async () => {
+      const repoFolder = '/test/repo'
+
+      fs.remove.mockResolvedValue()
+      fs.move.mockResolvedValue()
+
+      await generator.cleanup(repoFolder, { 'src/template.js': 'src/MyLib.js' })
+
+      expect(fs.move).toHaveBeenCalledTimes(1)
+      expect(fs.move).toHaveBeenCalledWith(
+        path.join(repoFolder, 'src/template.js'),
+        path.join(repoFolder, 'src/MyLib.js'),
+        { overwrite: true }
+      )
+    })
+
+    test('should remove the declared files', async () => {
+      fs.remove.mockResolvedValue()
+      fs.move.mockResolvedValue()
+
+      await generator.cleanup('/test/repo', {}, ['docs/internal.md'])
+
+      expect(fs.remove.mock.calls).toEqual([
+        [path.join('/test/repo', 'docs/internal.md')],
+        [path.join('/test/repo', 'template.parameters.json')]
+      ])
+    })
+
+    test('should not remove files outside the lib folder', async () => {
+      fs.remove.mockResolvedValue()
+
+      await expect(generator.cleanup('/test/repo', {}, ['docs/a.md', '../../victim']))
+        .rejects.toThrow("Path '../../victim' is not inside /test/repo")
+      expect(fs.remove.mock.calls).toEqual([[path.join('/test/repo', 'docs/a.md')]])
+    })
+
+    test('should not move files from or to outside the lib folder', async () => {
+      fs.remove.mockResolvedValue()
+      fs.move.mockResolvedValue()
+
+      await expect(generator.cleanup('/test/repo', { 'package.json': '../../stolen.json' }, []))
+        .rejects.toThrow("Path '../../stolen.json' is not inside /test/repo")
+      await expect(generator.cleanup('/test/repo', { '/etc/passwd': 'passwd' }, []))
+        .rejects.toThrow("Path '/etc/passwd' is not inside /test/repo")
+      expect(fs.move).not.toHaveBeenCalled()
+    })
+
+    test('should report the removed and renamed files', async () => {
+      fs.pathExists.mockImplementation(async file => file.endsWith('template.parameters.json'))
+      fs.remove.mockResolvedValue()
+      fs.move.mockRejectedValueOnce(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }))
+        .mockResolvedValueOnce()
+
+      await expect(generator.cleanup('/test/repo')).resolves.toEqual({
+        removed: ['template.parameters.json'],
+        renamed: [{ from: 'npmrc.template', to: '.npmrc' }]
+      })
+    })
+
+    test('should skip renames of missing files', async () => {
+      fs.remove.mockResolvedValue()
+      fs.move.mockRejectedValueOnce(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }))
+        .mockResolvedValueOnce()
+
+      await generator.cleanup('/test/repo')
+
+      expect(fs.move).toHaveBeenCalledTimes(2)
+    })
+
+    test('should rethrow other rename errors', async () => {
+      fs.remove.mockResolvedValue()
+      fs.move.mockRejectedValue(Object.assign(new Error('EACCES'), { code: 'EACCES' }))
+
+      await expect(generator.cleanup('/test/repo')).rejects.toThrow('EACCES')
+    })
+  })
+
+  describe('renamePaths', () => {
+    test('should expand the tokens in file and folder names', async () => {
+      const renamePaths = jest.spyOn(files, 'renamePaths').mockImplementation(async (root, rename) => {
+        expect(rename('{{LIB_NAME}}.js')).toBe('MyLib.js')
+        expect(rename('index.js')).toBe('index.js')
+        return [{ from: 'src/{{LIB_NAME}}.js', to: 'src/MyLib.js' }]
+      })
+
+      const renamed = await generator.renamePaths('/test/repo', { '{{LIB_NAME}}': 'MyLib' })
+
+      expect(renamePaths).toHaveBeenCalledWith('/test/repo', expect.any(Function))
+      expect(renamed).toEqual([{ from: 'src/{{LIB_NAME}}.js', to: 'src/MyLib.js' }])
+      renamePaths.mockRestore()
+    })
+  })
+
+  describe('replaceText', () => {
+    const report = { files: {}, missing: [], binary: [] }
+    let replaceFiles
+
+    beforeEach(() => {
+      replaceFiles = jest.spyOn(replace, 'replaceFiles').mockResolvedValue(report)
+      generator.warn = jest.fn()
+    })
+
+    afterEach(() => {
+      replaceFiles.mockRestore()
+    })
+
+    test('should replace the default tokens in the files', async () => {
+      await expect(generator.replaceText('/test/repo', {
+        '{{REPO}}': ['file1.js'],
+        '{{LIB_NAME}}': ['file1.js', 'file2.js']
+      }, 'MyLib', 'myorg/myrepo')).resolves.toBe(report)
+
+      expect(replaceFiles).toHaveBeenCalledWith('/test/repo', new Map([
+        ['file1.js', ['{{REPO}}', '{{LIB_NAME}}']],
+        ['file2.js', ['{{LIB_NAME}}']]
+      ]), { '{{REPO}}': 'myorg/myrepo', '{{LIB_NAME}}': 'MyLib' })
+      expect(generator.warn).not.toHaveBeenCalled()
+    })
+
+    test('should replace tokens with the passed mapping', async () => {
+      await generator.replaceText('/test/repo', { '{{AUTHOR}}': ['file1.js'], '{{LIB_NAME}}': ['file1.js'] }, 'MyLib', 'myrepo', { '{{AUTHOR}}': 'Jane' })
+
+      expect(replaceFiles.mock.calls[0][2]).toEqual({ '{{AUTHOR}}': 'Jane', '{{LIB_NAME}}': 'MyLib' })
+    })
+
+    test('should expand glob patterns against the template files', async () => {
+      const listFiles = jest.spyOn(files, 'listFiles').mockResolvedValue(['src/a.js', 'src/b.js', 'src/lib/c.js', 'test/d.js'])
+
+      await generator.replaceText('/test/repo', {
+        '{{REPO}}': ['src/**/*.js', '!src/b.js'],
+        '{{LIB_NAME}}': ['test/*.js', 'README.md']
+      }, 'MyLib', 'myrepo')
+
+      expect(listFiles).toHaveBeenCalledTimes(1)
+      expect([...replaceFiles.mock.calls[0][1].keys()]).toEqual(['src/a.js', 'src/lib/c.js', 'test/d.js', 'README.md'])
+      listFiles.mockRestore()
+    })
+
+    test('should not replace tokens in files outside the lib folder', async () => {
+      await expect(generator.replaceText('/test/repo', { '{{LIB_NAME}}': ['README.md', '../../etc/hosts'] }, 'MyLib', 'myrepo'))
+        .rejects.toThrow("Path '../../etc/hosts' is not inside /test/repo")
+      expect(replaceFiles).not.toHaveBeenCalled()
+    })
+
+    test('should warn once about each unmapped token, and leave it as is', async () => {
+      await generator.replaceText('/test/repo', {
+        '{{UNKNOWN}}': ['file1.js', 'file2.js'],
+        '{{EMPTY}}': ['file1.js']
+      }, 'MyLib', 'myrepo', { '{{EMPTY}}': '' })
+
+      expect(generator.warn.mock.calls).toEqual([
+        ['No mapping found, skipping replace of {{UNKNOWN}}'],
+        ['No mapping found, skipping replace of {{EMPTY}}']
+      ])
+      expect(replaceFiles.mock.calls[0][2]).toEqual({})
+    })
+
+    test('should pass on the replacement errors', async () => {
+      replaceFiles.mockRejectedValue(new AggregateError([], 'Failed to replace the tokens of 1 file(s)'))
+
+      await expect(generator.replaceText('/test/repo', { '{{REPO}}': ['file1.js'] }, 'MyLib', 'myrepo'))
+        .rejects.toThrow('Failed to replace the tokens of 1 file(s)')
+    })
+  })
+})
@@ -0,0 +1,262 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { execFileSync, spawn } = require('child_process')
+const gitSource = require('../../src/lib/git-source')
+
+/**
+ * Starts a local git HTTP server, bridging requests to `git http-backend`.
+ *
+ * @param {string} projectRoot the folder holding the bare repositories
+ * @param {string} [authorization] the Authorization header to require
+ * @returns {Promise<http.Server>} the listening server
+ */
+function startGitServer (projectRoot, authorization) {
+  const server = http.createServer((req, res) => {
+    if (authorization && req.headers.authorization !== authorization) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="git"' })
+      return res.end()
+    }
+    const url = new URL(req.url, 'http://localhost')
+    const child = spawn('git', ['http-backend'], {
+      env: Object.assign({}, process.env, {
+        GIT_PROJECT_ROOT: projectRoot,
+        GIT_HTTP_EXPORT_ALL: '1',
+        PATH_INFO: url.pathname,
+        REQUEST_METHOD: req.method,
+        QUERY_STRING: url.search.slice(1),
+        CONTENT_TYPE: req.headers['content-type'] || ''
+      })
+    })
+    req.pipe(child.stdin)
+    const chunks = []
+    child.stdout.on('data', chunk => chunks.push(chunk))
+    child.on('close', () => {
+      const output = Buffer.concat(chunks)
+      const separator = output.indexOf('\r\n\r\n')
+      const headers = {}
+      let status = 200
+      output.slice(0, separator).toString().split('\r\n').forEach(line => {
+        const [name, value] = line.split(/: (.*)/)
+        if (name.toLowerCase() === 'status') {
+          status = parseInt(value)
+        } else {
+          headers[name] = value
+        }
+      })
+      res.writeHead(status, headers)
+      res.end(output.slice(separator + 4))
+    })
+  })
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+const runGit = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8', env: process.env }).trim()
+
+describe('parseGitSource', () => {
+  test('should keep a url as is', () => {
+    expect(gitSource.parseGitSource('https://github.com/org/repo'))
+      .toEqual({ url: 'https://github.com/org/repo', ref: undefined, subdir: undefined })
+  })
+
+  test('should parse the ref of a url', () => {
+    expect(gitSource.parseGitSource('https://git.corp.example.com/org/repo.git#v2'))
+      .toEqual({ url: 'https://git.corp.example.com/org/repo.git', ref: 'v2', subdir: undefined })
+    expect(gitSource.parseGitSource('https://github.com/org/repo#').ref).toBeUndefined()
+  })
+
+  test('should expand shorthands', () => {
+    expect(gitSource.parseGitSource('github:org/repo#v2'))
+      .toEqual({ url: 'https://github.com/org/repo', ref: 'v2', subdir: undefined })
+    expect(gitSource.parseGitSource('gitlab:org/repo/templates/lib/'))
+      .toEqual({ url: 'https://gitlab.com/org/repo', ref: undefined, subdir: 'templates/lib' })
+    expect(gitSource.parseGitSource('bitbucket:org/repo').url).toBe('https://bitbucket.org/org/repo')
+  })
+
+  test('should let the overrides win', () => {
+    expect(gitSource.parseGitSource('github:org/repo/one#v1', { ref: 'v2', subdir: 'two' }))
+      .toEqual({ url: 'https://github.com/org/repo', ref: 'v2', subdir: 'two' })
+  })
+
+  test('should reject a subfolder outside of the repository', () => {
+    expect(() => gitSource.parseGitSource('github:org/repo', { subdir: '../other' }))
+      .toThrow("Invalid template subfolder '../other', it must be inside the template")
+  })
+})
+
+describe('createAuth', () => {
+  test('should send a token with the username of the host', async () => {
+    await expect(gitSource.createAuth('https://github.com/org/repo', 'abc').onAuth())
+      .resolves.toEqual({ username: 'abc', password: 'x-oauth-basic' })
+    await expect(gitSource.createAuth('https://gitlab.com/org/repo', 'abc').onAuth())
+      .resolves.toEqual({ username: 'oauth2', password: 'abc' })
+    await expect(gitSource.createAuth('https://bitbucket.org/org/repo', 'abc').onAuth())
+      .resolves.toEqual({ username: 'x-token-auth', password: 'abc' })
+  })
+
+  test('should cancel on failure', () => {
+    expect(gitSource.createAuth('https://github.com/org/repo').onAuthFailure()).toEqual({ cancel: true })
+  })
+})
+
+describe('cloneGitSource', () => {
+  const env = process.env
+  let root
+  let server
+  let url
+  let first
+  let second
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-git-'))
+    const gitConfig = path.join(root, 'gitconfig')
+    await fs.writeFile(gitConfig, '[user]\n  name = test\n  email = test@example.com\n')
+    // isolate git from the configuration and the credential helpers of the machine
+    process.env = Object.assign({}, env, { GIT_CONFIG_GLOBAL: gitConfig, GIT_CONFIG_NOSYSTEM: '1' })
+    delete process.env.GIT_ASKPASS
+    delete process.env.SSH_ASKPASS
+
+    const work = path.join(root, 'work')
+    await fs.outputFile(path.join(work, 'version.txt'), 'one')
+    await fs.outputFile(path.join(work, 'templates', 'lib', 'template.parameters.json'), '{}')
+    runGit(work, 'init', '-q', '-b', 'main')
+    runGit(work, 'add', '-A')
+    runGit(work, 'commit', '-q', '-m', 'one')
+    runGit(work, 'tag', 'v1')
+    first = runGit(work, 'rev-parse', 'HEAD')
+    await fs.outputFile(path.join(work, 'version.txt'), 'two')
+    runGit(work, 'commit', '-q', '-am', 'two')
+    second = runGit(work, 'rev-parse', 'HEAD')
+    runGit(root, 'clone', '-q', '--bare', work, path.join(root, 'repos', 'repo.git'))
+
+    server = await startGitServer(path.join(root, 'repos'))
+    url = `http://127.0.0.1:${server.address().port}/repo.git`
+  })
+
+  afterAll(async () => {
+    process.env = env
+    await new Promise(resolve => server.close(resolve))
+    await fs.remove(root)
+  })
+
+  let toFolder
+  beforeEach(async () => {
+    toFolder = await fs.mkdtemp(path.join(root, 'out-'))
+  })
+
+  test('should clone the default branch', async () => {
+    await expect(gitSource.cloneGitSource({ url }, toFolder)).resolves.toBe(second)
+
+    await expect(fs.readFile(path.join(toFolder, 'version.txt'), 'utf8')).resolves.toBe('two')
+    await expect(fs.pathExists(path.join(toFolder, '.git'))).resolves.toBe(true)
+  })
+
+  test('should clone a tag', async () => {
+    await expect(gitSource.cloneGitSource({ url, ref: 'v1' }, toFolder)).resolves.toBe(first)
+
+    await expect(fs.readFile(path.join(toFolder, 'version.txt'), 'utf8')).resolves.toBe('one')
+  })
+
+  test('should check out a commit', async () => {
+    await expect(gitSource.cloneGitSource({ url, ref: first.slice(0, 7) }, toFolder)).resolves.toBe(first)
+    await expect(fs.readFile(path.join(toFolder, 'version.txt'), 'utf8')).resolves.toBe('one')
+
+    const otherFolder = await fs.mkdtemp(path.join(root, 'out-'))
+    await gitSource.cloneGitSource({ url, ref: second }, otherFolder)
+    await expect(fs.readFile(path.join(otherFolder, 'version.txt'), 'utf8')).resolves.toBe('two')
+  })
+
+  test('should copy only the subfolder', async () => {
+    await expect(gitSource.cloneGitSource({ url, ref: 'v1', subdir: 'templates/lib' }, toFolder)).resolves.toBe(first)
+
+    await expect(fs.readdir(toFolder)).resolves.toEqual(['template.parameters.json'])
+  })
+
+  test('should fail on a missing ref, commit or subfolder', async () => {
+    await expect(gitSource.cloneGitSource({ url, ref: 'v9' }, toFolder))
+      .rejects.toThrow(`Ref 'v9' not found in ${url}`)
+    await expect(gitSource.cloneGitSource({ url, ref: 'abcdef0' }, await fs.mkdtemp(path.join(root, 'out-'))))
+      .rejects.toThrow(`Commit 'abcdef0' not found in ${url}`)
+    await expect(gitSource.cloneGitSource({ url, subdir: 'missing' }, await fs.mkdtemp(path.join(root, 'out-'))))
+      .rejects.toThrow(`Template subfolder 'missing' does not exist in ${url}`)
+  })
+
+  test('should fail on a missing repository', async () => {
+    await expect(gitSource.cloneGitSource({ url: url.replace('repo', 'missing') }, toFolder))
+      .rejects.toThrow('404')
+  })
+
+  describe('with a private repository', () => {
+    let privateServer
+    let privateUrl
+
+    beforeAll(async () => {
+      const authorization = `Basic ${Buffer.from('helper:secret').toString('base64')}`
+      privateServer = await startGitServer(path.join(root, 'repos'), authorization)
+      privateUrl = `http://127.0.0.1:${privateServer.address().port}/repo.git`
+    })
+
+    afterAll(async () => {
+      await new Promise(resolve => privateServer.close(resolve))
+    })
+
+    test('should authenticate with a token', async () => {
+      const tokenServer = await startGitServer(path.join(root, 'repos'),
+        `Basic ${Buffer.from('abc:x-oauth-basic').toString('base64')}`)
+      const tokenUrl = `http://127.0.0.1:${tokenServer.address().port}/repo.git`
+      try {
+        await gitSource.cloneGitSource({ url: tokenUrl }, toFolder, 'abc')
+      } finally {
+        await new Promise(resolve => tokenServer.close(resolve))
+      }
+
+      await expect(fs.readFile(path.join(toFolder, 'version.txt'), 'utf8')).resolves.toBe('two')
+    })
+
+    test('should authenticate with a git credential helper', async () => {
+      const helperConfig = path.join(root, 'helperconfig')
+      await fs.writeFile(helperConfig,
+        '[credential]\n  helper = "!f() { echo username=helper; echo password=secret; }; f"\n')
+      process.env.GIT_CONFIG_GLOBAL = helperConfig
+      try {
+        await gitSource.cloneGitSource({ url: privateUrl }, toFolder)
+      } finally {
+        process.env.GIT_CONFIG_GLOBAL = path.join(root, 'gitconfig')
+      }
+
+      await expect(fs.readFile(path.join(toFolder, 'version.txt'), 'utf8')).resolves.toBe('two')
+    })
+
+    test('should fail without credentials', async () => {
+      await expect(gitSource.cloneGitSource({ url: privateUrl }, toFolder))
+        .rejects.toThrow(`Authentication failed for ${privateUrl}, set CREATE_AIO_LIB_TEMPLATE_TOKEN or configure a git credential helper`)
+    })
+
+    test('should fail with wrong credentials', async () => {
+      await expect(gitSource.cloneGitSource({ url: privateUrl }, toFolder, 'wrong'))
+        .rejects.toThrow(`Authentication failed for ${privateUrl}`)
+    })
+
+    test('should fail without git', async () => {
+      process.env.PATH = ''
+      try {
+        await expect(gitSource.cloneGitSource({ url: privateUrl }, toFolder))
+          .rejects.toThrow(`Authentication failed for ${privateUrl}`)
+      } finally {
+        process.env.PATH = env.PATH
+      }
+    })
+  })
+})
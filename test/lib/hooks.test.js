@@ -0,0 +1,139 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const hooks = require('../../src/lib/hooks')
+const { EXIT_CODES, GenerateError, categorize, exitCode } = require('../../src/lib/errors')
+
+describe('hooks', () => {
+  let folder
+  const context = {
+    variables: { libName: 'MyLib' },
+    features: { typescript: true },
+    tokenMapping: { '{{LIB_NAME}}': 'MyLib' }
+  }
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-hooks-'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(folder)
+  })
+
+  test('describeHook should use the title, else the command or script', () => {
+    expect(hooks.describeHook({ title: 'Install', run: 'npm install' })).toBe('Install')
+    expect(hooks.describeHook({ run: 'npm install' })).toBe('npm install')
+    expect(hooks.describeHook({ script: 'hooks/format.js' })).toBe('node hooks/format.js')
+  })
+
+  test('activeHooks should keep the hooks without a condition or with a truthy one', () => {
+    const definitions = [
+      { run: 'a' },
+      { run: 'b', when: 'typescript' },
+      { run: 'c', when: 'docs' },
+      { run: 'd', when: 'libName' }
+    ]
+    expect(hooks.activeHooks(definitions, { typescript: true, docs: false, libName: 'MyLib' }))
+      .toEqual([definitions[0], definitions[1], definitions[3]])
+  })
+
+  test('runHook should run a command in the folder with its tokens replaced', async () => {
+    const output = await hooks.runHook({ run: 'node -e "console.log(process.cwd(), process.argv[1])" {{LIB_NAME}}' }, folder, context)
+
+    expect(output).toBe(`${await fs.realpath(folder)} MyLib\n`)
+  })
+
+  test('runHook should fail with the output of a failing command', async () => {
+    const hook = { title: 'Fail', run: 'node -e "console.error(\'boom\'); process.exit(3)"' }
+
+    await expect(hooks.runHook(hook, folder, context)).rejects.toThrow("Hook 'Fail' failed: exited with code 3\nboom")
+  })
+
+  test('runHook should fail without output for a silent failing command', async () => {
+    await expect(hooks.runHook({ run: 'node -e "process.exit(1)"' }, folder, context))
+      .rejects.toThrow(/^Hook 'node -e "process.exit\(1\)"' failed: exited with code 1$/)
+  })
+
+  test('runHook should fail as a hook when the command can not be started', async () => {
+    const missing = path.join(folder, 'missing')
+
+    const error = await categorize('hook', () => hooks.runHook({ title: 'Install', run: 'npm install' }, missing, context)).catch(error => error)
+
+    expect(error).toBeInstanceOf(GenerateError)
+    expect(error.message).toMatch(/^Hook 'Install' failed: spawn .* ENOENT$/)
+    expect(exitCode(error)).toBe(EXIT_CODES.hook)
+  })
+
+  test('runHook should call a script with the generation context', async () => {
+    await fs.outputFile(path.join(folder, 'hooks', 'write.js'), `
+      const fs = require('fs')
+      const path = require('path')
+      module.exports = async ({ folder, variables, features, log }) => {
+        fs.writeFileSync(path.join(folder, 'out.json'), JSON.stringify({ variables, features }))
+        log('wrote', 'out.json')
+      }`)
+
+    const output = await hooks.runHook({ script: 'hooks/write.js' }, folder, context)
+
+    expect(output).toBe('wrote out.json\n')
+    await expect(fs.readJson(path.join(folder, 'out.json'))).resolves.toEqual({
+      variables: context.variables,
+      features: context.features
+    })
+  })
+
+  test('runHook should load a script of a relative folder from the current working folder', async () => {
+    await fs.outputFile(path.join(folder, 'hooks', 'log.js'), 'module.exports = ({ log }) => log(\'relative\')')
+
+    await expect(hooks.runHook({ script: 'hooks/log.js' }, path.relative(process.cwd(), folder), context)).resolves.toBe('relative\n')
+  })
+
+  test('runHook should fail if a script does not export a function', async () => {
+    await fs.outputFile(path.join(folder, 'hooks', 'object.js'), 'module.exports = {}')
+
+    await expect(hooks.runHook({ script: 'hooks/object.js' }, folder, context))
+      .rejects.toThrow("Hook 'node hooks/object.js' failed: hooks/object.js must export a function")
+  })
+
+  test('runHook should fail with the logs of a throwing script', async () => {
+    await fs.outputFile(path.join(folder, 'hooks', 'throw.js'), `
+      module.exports = ({ log }) => {
+        log('starting')
+        throw new Error('bad things')
+      }`)
+
+    await expect(hooks.runHook({ title: 'Throw', script: 'hooks/throw.js' }, folder, context))
+      .rejects.toThrow("Hook 'Throw' failed: bad things\nstarting")
+  })
+
+  test('removeHookScripts should remove the scripts and their empty folders', async () => {
+    await fs.outputFile(path.join(folder, 'hooks', 'a.js'), '')
+    await fs.outputFile(path.join(folder, 'hooks', 'b.js'), '')
+    await fs.outputFile(path.join(folder, 'scripts', 'c.js'), '')
+    await fs.outputFile(path.join(folder, 'scripts', 'keep.js'), '')
+
+    const removed = await hooks.removeHookScripts([
+      { script: 'hooks/a.js' },
+      { script: 'hooks/b.js' },
+      { script: 'hooks/a.js' },
+      { script: 'scripts/c.js' },
+      { script: 'missing.js' },
+      { run: 'npm install' }
+    ], folder)
+
+    expect(removed).toEqual(['hooks/a.js', 'hooks/b.js', 'scripts/c.js'])
+    await expect(fs.readdir(folder)).resolves.toEqual(['scripts'])
+    await expect(fs.readdir(path.join(folder, 'scripts'))).resolves.toEqual(['keep.js'])
+  })
+})
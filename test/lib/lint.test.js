@@ -0,0 +1,107 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const lint = require('../../src/lib/lint')
+const { loadManifest } = require('../../src/lib/manifest')
+
+describe('lint', () => {
+  let folder
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-lint-'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(folder)
+  })
+
+  test('findLeftoverTokens should find placeholders and declared tokens, by file and line', async () => {
+    await fs.outputFile(path.join(folder, 'src', 'index.js'), "const name = '{{LIB_NAME}}'\nclass LibNameCoreAPI {}\n// {{ other }}, {{LIB_NAME}}\n")
+    await fs.outputFile(path.join(folder, 'README.md'), '# MyLib\n')
+
+    await expect(lint.findLeftoverTokens(folder, ['LibNameCoreAPI'])).resolves.toEqual([
+      { token: '{{LIB_NAME}}', file: 'src/index.js', lines: [1, 3] },
+      { token: 'LibNameCoreAPI', file: 'src/index.js', lines: [2] },
+      { token: '{{ other }}', file: 'src/index.js', lines: [3] }
+    ])
+  })
+
+  test('findLeftoverTokens should find tokens in file names', async () => {
+    await fs.outputFile(path.join(folder, 'src', '{{LIB_NAME}}.js'), 'module.exports = {}\n')
+
+    await expect(lint.findLeftoverTokens(folder, [])).resolves.toEqual([
+      { token: '{{LIB_NAME}}', file: 'src/{{LIB_NAME}}.js', lines: [] }
+    ])
+  })
+
+  test('findLeftoverTokens should skip GitHub Actions expressions, binary and ignored files', async () => {
+    await fs.outputFile(path.join(folder, '.github', 'workflows', 'ci.yml'), 'node-version: $' + '{{ matrix.node }}\n')
+    await fs.outputFile(path.join(folder, 'logo.png'), Buffer.from([0x89, 0x00, 0x7b, 0x7b, 0x41, 0x7d, 0x7d]))
+    await fs.outputFile(path.join(folder, 'views', 'page.hbs'), '<h1>{{title}}</h1>\n')
+
+    await expect(lint.findLeftoverTokens(folder, [], ['views/**'])).resolves.toEqual([])
+  })
+
+  test('findUnusedTokens should find the tokens never replaced, in files nor file names', () => {
+    const manifest = loadManifest({
+      manifestVersion: 2,
+      variables: { endpoint: {} },
+      tokens: {
+        '{{REPO}}': { variable: 'repoName', files: ['src/index.js'] },
+        '{{LIB_NAME}}': { variable: 'libName', files: [] },
+        '{{ENDPOINT}}': { variable: 'endpoint', files: ['src/config.js'] },
+        '{{LIB_FILE}}': { variable: 'libNameKebabCase', files: [] },
+        '{{KEBAB}}': { variable: 'libNameKebabCase', files: [] }
+      },
+      rename: { 'src/template.js': 'src/{{LIB_NAME}}.js' },
+      hooks: [{ run: 'echo {{KEBAB}}' }, { script: 'hooks/setup.js' }]
+    })
+    const substitutions = { files: { 'src/index.js': { '{{REPO}}': 2 }, 'src/config.js': {} }, missing: [], binary: [] }
+
+    expect(lint.findUnusedTokens(manifest, substitutions, [{ from: 'lib/{{LIB_FILE}}.js', to: 'lib/my-lib.js' }]))
+      .toEqual(['{{ENDPOINT}}'])
+  })
+
+  test('lintTokens should find the leftover and unused tokens', async () => {
+    await fs.outputFile(path.join(folder, 'src', 'index.js'), "const endpoint = '{{ENDPOINT}}'\n")
+    await fs.outputFile(path.join(folder, 'docs', 'template.md'), '{{ENDPOINT}}\n')
+    const manifest = loadManifest({
+      manifestVersion: 2,
+      variables: { endpoint: {} },
+      tokens: { '{{ENDPOINT}}': { variable: 'endpoint', files: ['src/index.js'] } },
+      ignore: ['docs/**']
+    })
+
+    await expect(lint.lintTokens(folder, manifest, { files: { 'src/index.js': {} } }, [])).resolves.toEqual({
+      leftover: [{ token: '{{ENDPOINT}}', file: 'src/index.js', lines: [1] }],
+      unused: ['{{ENDPOINT}}']
+    })
+  })
+
+  test('formatFindings should describe each finding', () => {
+    expect(lint.formatFindings({
+      leftover: [
+        { token: '{{ENDPOINT}}', file: 'src/index.js', lines: [1] },
+        { token: '{{ENDPOINT}}', file: 'README.md', lines: [3, 7] },
+        { token: '{{LIB_NAME}}', file: 'src/{{LIB_NAME}}.js', lines: [] }
+      ],
+      unused: ['{{KEBAB}}']
+    })).toEqual([
+      "Token '{{ENDPOINT}}' is left in src/index.js (line 1)",
+      "Token '{{ENDPOINT}}' is left in README.md (lines 3, 7)",
+      "Token '{{LIB_NAME}}' is left in the file name src/{{LIB_NAME}}.js",
+      "Token '{{KEBAB}}' is declared by the template but never used"
+    ])
+  })
+})
@@ -0,0 +1,374 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const manifest = require('../../src/lib/manifest')
+
+describe('manifest', () => {
+  const defaults = {
+    variables: {},
+    tokens: {},
+    scanAllFiles: false,
+    ignore: [],
+    rename: manifest.DEFAULT_RENAMES,
+    remove: manifest.DEFAULT_REMOVALS,
+    features: {},
+    conditionalFiles: [],
+    hooks: []
+  }
+
+  describe('loadManifest', () => {
+    test('should normalize the legacy flat format', () => {
+      const result = manifest.loadManifest({
+        '{{REPO}}': ['a.js'],
+        '{{LIB_NAME}}': ['a.js', 'b.js'],
+        LibNameCoreAPI: ['a.js'],
+        '{{OTHER}}': ['c.js']
+      })
+
+      expect(result).toEqual({
+        ...defaults,
+        manifestVersion: 1,
+        tokens: {
+          '{{REPO}}': { variable: 'repoName', files: ['a.js'] },
+          '{{LIB_NAME}}': { variable: 'libName', files: ['a.js', 'b.js'] },
+          LibNameCoreAPI: { variable: 'libName', files: ['a.js'] },
+          '{{OTHER}}': { variable: undefined, files: ['c.js'] }
+        }
+      })
+    })
+
+    test('should load a v2 manifest', () => {
+      const json = {
+        manifestVersion: 2,
+        variables: {
+          endpoint: { type: 'string', pattern: '^https://' },
+          kebab: { derive: { from: 'libName', transform: 'kebab-case' } }
+        },
+        tokens: {
+          '{{ENDPOINT}}': { variable: 'endpoint', files: ['src/index.js'] },
+          '{{REPO}}': { variable: 'repoName', files: ['README.md'] }
+        }
+      }
+
+      expect(manifest.loadManifest(json)).toEqual({ ...defaults, ...json })
+    })
+
+    test('should default the v2 variables and tokens', () => {
+      expect(manifest.loadManifest({ manifestVersion: 2 }))
+        .toEqual({ ...defaults, manifestVersion: 2 })
+    })
+
+    test('should allow tokens without files when scanning all files', () => {
+      const json = {
+        manifestVersion: 2,
+        scanAllFiles: true,
+        ignore: ['test/fixtures/**'],
+        tokens: { '{{LIB_NAME}}': { variable: 'libName' } }
+      }
+
+      expect(manifest.loadManifest(json)).toEqual({ ...defaults, ...json })
+    })
+
+    test('should use a declared rename map instead of the default one', () => {
+      const rename = { 'src/template.js': 'src/{{LIB_NAME}}.js' }
+
+      expect(manifest.loadManifest({ manifestVersion: 2, rename }).rename).toEqual(rename)
+    })
+
+    test('should reject invalid renames', () => {
+      expect(() => manifest.loadManifest({ manifestVersion: 2, rename: { a: '' } }))
+        .toThrow("Rename of 'a' must be a non-empty file path")
+      expect(() => manifest.loadManifest({ manifestVersion: 2, rename: { a: 1 } }))
+        .toThrow("Rename of 'a' must be a non-empty file path")
+    })
+
+    test.each([
+      [{ 'package.json': '../../stolen.json' }, "Rename of 'package.json' to '../../stolen.json' must be between paths inside the template"],
+      [{ 'package.json': '/tmp/stolen.json' }, "Rename of 'package.json' to '/tmp/stolen.json' must be between paths inside the template"],
+      [{ '../secret.json': 'secret.json' }, "Rename of '../secret.json' to 'secret.json' must be between paths inside the template"]
+    ])('should reject a rename outside the template %j', (rename, message) => {
+      expect(() => manifest.loadManifest({ manifestVersion: 2, rename })).toThrow(message)
+    })
+
+    test('should reject an ignore that is not an array', () => {
+      expect(() => manifest.loadManifest({ manifestVersion: 2, ignore: 'docs/**' }))
+        .toThrow("'ignore' must be an array of file paths or glob patterns")
+      expect(() => manifest.loadManifest({ manifestVersion: 2, remove: 'types.d.ts' }))
+        .toThrow("'remove' must be an array of file paths or glob patterns")
+      expect(() => manifest.loadManifest({ manifestVersion: 2, conditionalFiles: {} }))
+        .toThrow("'conditionalFiles' must be an array of file paths or glob patterns")
+    })
+
+    test.each([
+      ['../../victim'],
+      ['docs/../../victim'],
+      ['/tmp/victim'],
+      [1]
+    ])('should reject a removal outside the template %j', (file) => {
+      expect(() => manifest.loadManifest({ manifestVersion: 2, remove: ['types.d.ts', file] }))
+        .toThrow(`Removal of '${file}' must be a path inside the template`)
+    })
+
+    test('should load features, removals and conditional files', () => {
+      const json = {
+        manifestVersion: 2,
+        features: {
+          typescript: { description: 'TypeScript typings', default: true, files: ['types.d.ts', '!docs/types.md'] },
+          e2e: {}
+        },
+        remove: [],
+        conditionalFiles: ['package.json', 'src/**']
+      }
+
+      expect(manifest.loadManifest(json)).toEqual({ ...defaults, ...json })
+    })
+
+    test.each([
+      [{ libName: {} }, "Feature 'libName' has the same name as a variable"],
+      [{ e2e: true }, "Feature 'e2e' must be an object"],
+      [{ e2e: null }, "Feature 'e2e' must be an object"],
+      [{ e2e: { files: 'e2e/**' } }, "Feature 'e2e' must list its files in a 'files' array"],
+      [{ e2e: { files: ['e2e/**', '../e2e/**'] } }, "Feature 'e2e' must list files inside the template, not '../e2e/**'"],
+      [{ e2e: { files: ['!/etc/**'] } }, "Feature 'e2e' must list files inside the template, not '!/etc/**'"],
+      [{ e2e: { files: [1] } }, "Feature 'e2e' must list files inside the template, not '1'"]
+    ])('should reject invalid features %j', (features, message) => {
+      expect(() => manifest.loadManifest({ manifestVersion: 2, features })).toThrow(message)
+    })
+
+    test('should load hooks', () => {
+      const json = {
+        manifestVersion: 2,
+        variables: { install: { type: 'boolean', default: true } },
+        features: { e2e: {} },
+        hooks: [
+          { title: 'Install dependencies', run: 'npm install', when: 'install' },
+          { script: 'hooks/e2e.js', when: 'e2e' },
+          { run: 'npm pkg set name=@{{REPO}}' }
+        ]
+      }
+
+      expect(manifest.loadManifest(json)).toEqual({ ...defaults, ...json })
+    })
+
+    test.each([
+      ['npm install', "'hooks' must be an array of hook definitions"],
+      [[null], 'Hook 1 must be an object'],
+      [[{ title: 'nothing' }], "Hook 1 must have either a 'run' command or a 'script' path"],
+      [[{ run: 'a' }, { run: 'npm install', script: 'hooks/a.js' }], "Hook 2 must have either a 'run' command or a 'script' path"],
+      [[{ run: '' }], "Hook 1 must have either a 'run' command or a 'script' path"],
+      [[{ script: 1 }], "Hook 1 must have either a 'run' command or a 'script' path"],
+      [[{ script: '../hooks/a.js' }], 'Hook 1 must have a script path inside the template'],
+      [[{ script: '/hooks/a.js' }], 'Hook 1 must have a script path inside the template'],
+      [[{ run: 'npm install', when: 'e2e' }], "Hook 1 depends on an unknown feature or variable 'e2e'"]
+    ])('should reject invalid hooks %j', (hooks, message) => {
+      expect(() => manifest.loadManifest({ manifestVersion: 2, hooks })).toThrow(message)
+    })
+
+    test('should reject an unsupported version', () => {
+      expect(() => manifest.loadManifest({ manifestVersion: 3 })).toThrow("Unsupported manifestVersion '3'")
+    })
+
+    test.each([
+      [{ a: null }, "Variable 'a' must be an object"],
+      [{ a: 'string' }, "Variable 'a' must be an object"],
+      [{ a: { type: 'date' } }, "Variable 'a' has an unknown type 'date'"],
+      [{ a: { pattern: '(' } }, "Variable 'a' has an invalid pattern"],
+      [{ a: { derive: { from: 'nope', transform: 'kebab-case' } } }, "Variable 'a' is derived from an unknown variable 'nope'"],
+      [{ a: { derive: { from: 'libName', transform: 'nope' } } }, "Variable 'a' has an unknown transform 'nope'"]
+    ])('should reject invalid variable %j', (variables, message) => {
+      expect(() => manifest.loadManifest({ manifestVersion: 2, variables })).toThrow(message)
+    })
+
+    test('should reject tokens referring to unknown variables', () => {
+      expect(() => manifest.loadManifest({ manifestVersion: 2, tokens: { X: { variable: 'nope', files: [] } } }))
+        .toThrow("Token 'X' refers to an unknown variable 'nope'")
+    })
+
+    test('should reject tokens without a files array', () => {
+      expect(() => manifest.loadManifest({ manifestVersion: 2, tokens: { X: { variable: 'libName' } } }))
+        .toThrow("Token 'X' must list its files in a 'files' array")
+    })
+  })
+
+  describe('parseVariableArgs', () => {
+    test('should parse key=value pairs', () => {
+      expect(manifest.parseVariableArgs(['a=1', 'b=x=y', 'c='])).toEqual({ a: '1', b: 'x=y', c: '' })
+    })
+
+    test('should default to no values', () => {
+      expect(manifest.parseVariableArgs()).toEqual({})
+    })
+
+    test('should reject invalid pairs', () => {
+      expect(() => manifest.parseVariableArgs(['a'])).toThrow("Invalid variable 'a'")
+      expect(() => manifest.parseVariableArgs(['=a'])).toThrow("Invalid variable '=a'")
+    })
+  })
+
+  describe('coerceValue', () => {
+    test('should convert numbers', () => {
+      expect(manifest.coerceValue('n', { type: 'number' }, '42')).toBe(42)
+      expect(manifest.coerceValue('n', { type: 'number' }, 1.5)).toBe(1.5)
+      expect(() => manifest.coerceValue('n', { type: 'number' }, 'x')).toThrow("Variable 'n' must be a number")
+      expect(() => manifest.coerceValue('n', { type: 'number' }, '')).toThrow("Variable 'n' must be a number")
+    })
+
+    test('should convert booleans', () => {
+      expect(manifest.coerceValue('b', { type: 'boolean' }, true)).toBe(true)
+      expect(manifest.coerceValue('b', { type: 'boolean' }, 'Yes')).toBe(true)
+      expect(manifest.coerceValue('b', { type: 'boolean' }, '1')).toBe(true)
+      expect(manifest.coerceValue('b', { type: 'boolean' }, 'false')).toBe(false)
+      expect(manifest.coerceValue('b', { type: 'boolean' }, 'no')).toBe(false)
+      expect(() => manifest.coerceValue('b', { type: 'boolean' }, 'maybe')).toThrow("Variable 'b' must be a boolean")
+    })
+
+    test('should convert and validate strings', () => {
+      expect(manifest.coerceValue('s', {}, 3)).toBe('3')
+      expect(manifest.coerceValue('s', { type: 'string', pattern: '^v\\d$' }, 'v1')).toBe('v1')
+      expect(() => manifest.coerceValue('s', { pattern: '^v\\d$' }, 'x')).toThrow("Variable 's' must match")
+    })
+  })
+
+  describe('resolveVariables', () => {
+    const templateManifest = {
+      manifestVersion: 2,
+      variables: {
+        endpoint: { default: 'https://example.com' },
+        apiVersion: { type: 'number', default: '1' },
+        author: { prompt: false },
+        license: { default: 'Apache-2.0' },
+        kebab: { derive: { from: 'libName', transform: 'kebab-case' } }
+      },
+      tokens: {}
+    }
+    const builtins = { libName: 'MyLib', repoName: 'myorg/myrepo' }
+
+    test('should use supplied values, then defaults', async () => {
+      const values = await manifest.resolveVariables(templateManifest, builtins, { endpoint: 'https://other.com' })
+
+      expect(values).toEqual({
+        libName: 'MyLib',
+        repoName: 'myorg/myrepo',
+        endpoint: 'https://other.com',
+        apiVersion: 1,
+        license: 'Apache-2.0',
+        kebab: 'my-lib'
+      })
+    })
+
+    test('should ask for values that were not supplied', async () => {
+      const ask = jest.fn().mockResolvedValue({ apiVersion: '2', license: 'MIT' })
+
+      const values = await manifest.resolveVariables(templateManifest, builtins, { endpoint: 'https://other.com' }, ask)
+
+      expect(ask).toHaveBeenCalledWith({
+        apiVersion: templateManifest.variables.apiVersion,
+        license: templateManifest.variables.license
+      })
+      expect(values.apiVersion).toBe(2)
+      expect(values.license).toBe('MIT')
+      expect(values.author).toBeUndefined()
+    })
+
+    test('should not ask when everything is supplied', async () => {
+      const ask = jest.fn()
+      const simple = { manifestVersion: 2, variables: { a: {} }, tokens: {} }
+
+      await manifest.resolveVariables(simple, builtins, { a: 'x' }, ask)
+
+      expect(ask).not.toHaveBeenCalled()
+    })
+
+    test('should let supplied values override derived ones', async () => {
+      const values = await manifest.resolveVariables(templateManifest, builtins, { kebab: 'custom' })
+
+      expect(values.kebab).toBe('custom')
+    })
+
+    test('should not derive from an unset variable', async () => {
+      const derived = {
+        manifestVersion: 2,
+        variables: {
+          author: { prompt: false },
+          authorSlug: { derive: { from: 'author', transform: 'kebab-case' } },
+          authorUpper: { derive: { from: 'author', transform: 'upper-case' }, default: 'NOBODY' }
+        },
+        tokens: {}
+      }
+
+      const values = await manifest.resolveVariables(derived, builtins, {})
+
+      expect(values).not.toHaveProperty('authorSlug')
+      expect(values.authorUpper).toBe('NOBODY')
+      await expect(manifest.resolveVariables(derived, builtins, { author: 'Jane Doe' }))
+        .resolves.toEqual(expect.objectContaining({ authorSlug: 'jane-doe', authorUpper: 'JANE DOE' }))
+    })
+
+    test('should reject missing required values', async () => {
+      const required = { manifestVersion: 2, variables: { token: { required: true } }, tokens: {} }
+
+      await expect(manifest.resolveVariables(required, builtins, {}))
+        .rejects.toThrow("Variable 'token' is required")
+      await expect(manifest.resolveVariables(required, builtins, { token: '' }))
+        .rejects.toThrow("Variable 'token' is required")
+      await expect(manifest.resolveVariables(required, builtins, { token: 'x' }))
+        .resolves.toEqual(expect.objectContaining({ token: 'x' }))
+    })
+  })
+
+  describe('tokenFiles and tokenValues', () => {
+    const templateManifest = manifest.loadManifest({
+      '{{REPO}}': ['a.js'],
+      '{{LIB_NAME}}': ['b.js'],
+      '{{OTHER}}': ['c.js']
+    })
+
+    test('tokenFiles should return the flat token to files mapping', () => {
+      expect(manifest.tokenFiles(templateManifest)).toEqual({
+        '{{REPO}}': ['a.js'],
+        '{{LIB_NAME}}': ['b.js'],
+        '{{OTHER}}': ['c.js']
+      })
+    })
+
+    test('tokenFiles should scan all files and add the ignore patterns', () => {
+      const scanManifest = manifest.loadManifest({
+        manifestVersion: 2,
+        scanAllFiles: true,
+        ignore: ['test/fixtures/**'],
+        tokens: { '{{LIB_NAME}}': { variable: 'libName' } }
+      })
+      const globManifest = manifest.loadManifest({
+        manifestVersion: 2,
+        ignore: ['**/*.md'],
+        tokens: { '{{LIB_NAME}}': { variable: 'libName', files: ['src/**'] } }
+      })
+
+      expect(manifest.tokenFiles(scanManifest)).toEqual({ '{{LIB_NAME}}': ['**', '!test/fixtures/**'] })
+      expect(manifest.tokenFiles(globManifest)).toEqual({ '{{LIB_NAME}}': ['src/**', '!**/*.md'] })
+    })
+
+    test('defaultTokenValues should map the legacy tokens', () => {
+      expect(manifest.defaultTokenValues({ libName: 'MyLib', repoName: 'myrepo' })).toEqual({
+        '{{REPO}}': 'myrepo',
+        '{{LIB_NAME}}': 'MyLib',
+        LibNameCoreAPI: 'MyLib'
+      })
+    })
+
+    test('tokenValues should map tokens to their variable values', () => {
+      expect(manifest.tokenValues(templateManifest, { libName: 'MyLib', repoName: 'myrepo' })).toEqual({
+        '{{REPO}}': 'myrepo',
+        '{{LIB_NAME}}': 'MyLib'
+      })
+    })
+  })
+})
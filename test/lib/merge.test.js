@@ -0,0 +1,177 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const merge = require('../../src/lib/merge')
+
+describe('mergeText', () => {
+  const base = 'one\ntwo\nthree\nfour\nfive\n'
+
+  test('should keep the changes of either side', () => {
+    expect(merge.mergeText(base, 'one\ntwo\nthree\nfour\nfive\n', 'one\n2\nthree\nfour\nfive\n'))
+      .toEqual({ text: 'one\n2\nthree\nfour\nfive\n', conflicts: 0 })
+    expect(merge.mergeText(base, 'one\ntwo\nthree\n4\nfive\nsix\n', base))
+      .toEqual({ text: 'one\ntwo\nthree\n4\nfive\nsix\n', conflicts: 0 })
+    expect(merge.mergeText(base, 'zero\none\ntwo\nthree\nfour\nfive\n', 'one\ntwo\nfour\nfive\n'))
+      .toEqual({ text: 'zero\none\ntwo\nfour\nfive\n', conflicts: 0 })
+  })
+
+  test('should merge the changes of both sides to different lines', () => {
+    expect(merge.mergeText(base, 'one\n2\nthree\nfour\nfive\n', 'one\ntwo\nthree\nfour\n5\n'))
+      .toEqual({ text: 'one\n2\nthree\nfour\n5\n', conflicts: 0 })
+  })
+
+  test('should keep the same change made on both sides', () => {
+    expect(merge.mergeText(base, 'one\n2\nthree\nfour\nfive\n', 'one\n2\nthree\nfour\nfive\n'))
+      .toEqual({ text: 'one\n2\nthree\nfour\nfive\n', conflicts: 0 })
+  })
+
+  test('should mark the conflicting changes', () => {
+    expect(merge.mergeText(base, 'one\nTWO\nthree\nfour\n5\n', 'one\n2\nthree\nfour\nFIVE\n')).toEqual({
+      text: 'one\n<<<<<<< lib\nTWO\n=======\n2\n>>>>>>> template\nthree\nfour\n<<<<<<< lib\n5\n=======\nFIVE\n>>>>>>> template\n',
+      conflicts: 2
+    })
+  })
+
+  test('should end the conflicting lines before the markers', () => {
+    expect(merge.mergeText('a\nb', 'a\nB', 'a\n')).toEqual({
+      text: 'a\n<<<<<<< lib\nB\n=======\n>>>>>>> template\n',
+      conflicts: 1
+    })
+    expect(merge.mergeText('', 'lib', 'template')).toEqual({
+      text: '<<<<<<< lib\nlib\n=======\ntemplate\n>>>>>>> template\n',
+      conflicts: 1
+    })
+  })
+})
+
+describe('mergeFolders', () => {
+  let root
+  let baseFolder
+  let templateFolder
+  let libFolder
+
+  const write = (folder, contents) => Promise.all(Object.keys(contents).map(file => fs.outputFile(path.join(folder, file), contents[file])))
+  const read = file => fs.readFile(path.join(libFolder, file), 'utf8')
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-merge-'))
+    baseFolder = path.join(root, 'base')
+    templateFolder = path.join(root, 'template')
+    libFolder = path.join(root, 'lib')
+    await write(baseFolder, {
+      'same.js': 'same\n',
+      'lib-changed.js': 'old\n',
+      'template-changed.js': 'old\n',
+      'both-changed.js': 'one\ntwo\nthree\n',
+      'conflict.js': 'one\n',
+      'template-removed.js': 'removed\n',
+      'lib-removed.js': 'old\n',
+      'removed-changed.js': 'old\n',
+      'changed-removed/file.js': 'old\n',
+      'old/gone.js': 'gone\n',
+      'image.png': Buffer.from([0, 1, 2])
+    })
+    await write(templateFolder, {
+      'same.js': 'same\n',
+      'lib-changed.js': 'old\n',
+      'template-changed.js': 'new\n',
+      'both-changed.js': 'one\ntwo\n3\n',
+      'conflict.js': 'template\n',
+      'lib-removed.js': 'old\n',
+      'removed-changed.js': 'new\n',
+      'added.js': 'added\n',
+      'added-both.js': 'template\n',
+      'image.png': Buffer.from([0, 1, 3])
+    })
+    await write(libFolder, {
+      'same.js': 'same\n',
+      'lib-changed.js': 'mine\n',
+      'template-changed.js': 'old\n',
+      'both-changed.js': '1\ntwo\nthree\n',
+      'conflict.js': 'lib\n',
+      'template-removed.js': 'removed\n',
+      'changed-removed/file.js': 'mine\n',
+      'old/gone.js': 'gone\n',
+      'added-both.js': 'lib\n',
+      'mine.js': 'mine\n',
+      'image.png': Buffer.from([0, 1, 4]),
+      '.git/HEAD': 'ref'
+    })
+  })
+
+  afterEach(async () => {
+    await fs.remove(root)
+  })
+
+  test('should merge the template changes into the lib', async () => {
+    const report = await merge.mergeFolders(baseFolder, templateFolder, libFolder)
+
+    expect(report).toEqual({
+      added: ['added.js'],
+      updated: ['template-changed.js'],
+      removed: ['old/gone.js', 'template-removed.js'],
+      merged: ['both-changed.js'],
+      conflicts: [
+        { file: 'added-both.js', reason: 'added in both the lib and the template, with different contents' },
+        { file: 'changed-removed/file.js', reason: 'changed in the lib, removed from the template' },
+        { file: 'conflict.js', reason: '1 conflicting change(s), marked in the file' },
+        { file: 'image.png', reason: 'binary file changed in both the lib and the template' },
+        { file: 'removed-changed.js', reason: 'removed from the lib, changed in the template' }
+      ]
+    })
+    await expect(read('added.js')).resolves.toBe('added\n')
+    await expect(read('template-changed.js')).resolves.toBe('new\n')
+    await expect(read('lib-changed.js')).resolves.toBe('mine\n')
+    await expect(read('both-changed.js')).resolves.toBe('1\ntwo\n3\n')
+    await expect(read('conflict.js')).resolves.toBe('<<<<<<< lib\nlib\n=======\ntemplate\n>>>>>>> template\n')
+    await expect(read('added-both.js')).resolves.toBe('lib\n')
+    await expect(read('mine.js')).resolves.toBe('mine\n')
+    await expect(fs.pathExists(path.join(libFolder, 'template-removed.js'))).resolves.toBe(false)
+    await expect(fs.pathExists(path.join(libFolder, 'old'))).resolves.toBe(false)
+    await expect(fs.pathExists(path.join(libFolder, 'lib-removed.js'))).resolves.toBe(false)
+    await expect(fs.pathExists(path.join(libFolder, 'removed-changed.js'))).resolves.toBe(false)
+  })
+
+  test('should only report the changes on a dry run', async () => {
+    const report = await merge.mergeFolders(baseFolder, templateFolder, libFolder, { dryRun: true })
+
+    expect(report.added).toEqual(['added.js'])
+    expect(report.removed).toEqual(['old/gone.js', 'template-removed.js'])
+    expect(report.conflicts).toHaveLength(5)
+    await expect(fs.pathExists(path.join(libFolder, 'added.js'))).resolves.toBe(false)
+    await expect(read('template-changed.js')).resolves.toBe('old\n')
+    await expect(read('both-changed.js')).resolves.toBe('1\ntwo\nthree\n')
+    await expect(read('old/gone.js')).resolves.toBe('gone\n')
+  })
+
+  test('should report every differing template file as a conflict without the original version', async () => {
+    const report = await merge.mergeFolders(undefined, templateFolder, libFolder)
+
+    expect(report.added).toEqual(['added.js', 'lib-removed.js', 'removed-changed.js'])
+    expect(report.updated).toEqual([])
+    expect(report.removed).toEqual([])
+    expect(report.conflicts.map(conflict => conflict.file)).toEqual([
+      'added-both.js', 'both-changed.js', 'conflict.js', 'image.png', 'lib-changed.js', 'template-changed.js'
+    ])
+    expect(report.conflicts[0].reason).toBe('changed in both the lib and the template')
+    await expect(read('template-changed.js')).resolves.toBe('old\n')
+  })
+
+  test('should fail on unreadable files', async () => {
+    await fs.ensureDir(path.join(baseFolder, 'folder.js'))
+    await fs.outputFile(path.join(templateFolder, 'folder.js'), 'file')
+
+    await expect(merge.mergeFolders(baseFolder, templateFolder, libFolder)).rejects.toThrow('EISDIR')
+  })
+})
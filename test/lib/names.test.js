@@ -0,0 +1,99 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { splitWords, transforms, validateLibName, validateRepoName, packageName, libNameVariants } = require('../../src/lib/names')
+
+describe('names', () => {
+  test('splitWords should split on separators and case boundaries', () => {
+    expect(splitWords('MyLib')).toEqual(['my', 'lib'])
+    expect(splitWords('my-lib_name x')).toEqual(['my', 'lib', 'name', 'x'])
+    expect(splitWords('AIOLibV2')).toEqual(['aio', 'lib', 'v2'])
+    expect(splitWords('')).toEqual([])
+  })
+
+  test('transforms should convert names', () => {
+    expect(transforms['kebab-case']('MyLib')).toBe('my-lib')
+    expect(transforms['snake-case']('MyLib')).toBe('my_lib')
+    expect(transforms['constant-case']('MyLib')).toBe('MY_LIB')
+    expect(transforms['camel-case']('my-lib')).toBe('myLib')
+    expect(transforms['pascal-case']('my-lib')).toBe('MyLib')
+    expect(transforms['lower-case']('MyLib')).toBe('mylib')
+    expect(transforms['upper-case']('MyLib')).toBe('MYLIB')
+  })
+
+  describe('validateLibName', () => {
+    test('should accept class names, capitalized or not', () => {
+      expect(validateLibName('MyLib')).toBeUndefined()
+      expect(validateLibName(' _my$Lib2 ')).toBeUndefined()
+      expect(validateLibName('myLib')).toBeUndefined()
+    })
+
+    test('should require a name', () => {
+      expect(validateLibName('')).toBe('The library name is required.')
+      expect(validateLibName(' ')).toBe('The library name is required.')
+      expect(validateLibName(undefined)).toBe('The library name is required.')
+    })
+
+    test('should reject invalid class names with a suggestion', () => {
+      expect(validateLibName('my-lib')).toBe("'my-lib' is not a valid class name, use letters, digits, '_' or '$' and do not start with a digit, e.g. 'MyLib'.")
+      expect(validateLibName('aio lib')).toContain("e.g. 'AioLib'.")
+      expect(validateLibName('2lib')).toBe("'2lib' is not a valid class name, use letters, digits, '_' or '$' and do not start with a digit.")
+    })
+
+    test('should reject the names of JavaScript globals', () => {
+      expect(validateLibName('promise')).toBe("'Promise' is a JavaScript global, the lib class would hide it, e.g. 'PromiseLib'.")
+      expect(validateLibName('Buffer')).toContain("e.g. 'BufferLib'.")
+    })
+  })
+
+  describe('validateRepoName', () => {
+    test('should accept repo names making valid package names', () => {
+      expect(validateRepoName('myorg/myrepo')).toBeUndefined()
+      expect(validateRepoName('@myorg/my-repo.js')).toBeUndefined()
+      expect(validateRepoName('my_repo~2')).toBeUndefined()
+    })
+
+    test('should require a name of the form org/repo', () => {
+      expect(validateRepoName('')).toBe('The repo name is required.')
+      expect(validateRepoName(undefined)).toBe('The repo name is required.')
+      expect(validateRepoName('my org/repo')).toBe("'my org/repo' is not a valid repo name, use the form 'myorg/myrepo'.")
+      expect(validateRepoName('a/b/c')).toContain('not a valid repo name')
+    })
+
+    test('should reject invalid package names with a suggestion', () => {
+      expect(validateRepoName('myOrg/myRepo'))
+        .toBe("'myOrg/myRepo' does not make a valid npm package name '@myOrg/myRepo', it must be lower case, e.g. 'myorg/myrepo'.")
+      expect(validateRepoName('_myorg/.myrepo'))
+        .toBe("'_myorg/.myrepo' does not make a valid npm package name '@_myorg/.myrepo', its scope and name must not start with '.' or '_', e.g. 'myorg/myrepo'.")
+      expect(validateRepoName('myorg/_')).toBe("'myorg/_' does not make a valid npm package name '@myorg/_', its scope and name must not start with '.' or '_'.")
+    })
+
+    test('should reject too long names and core module names', () => {
+      expect(validateRepoName(`myorg/${'a'.repeat(207)}`)).toBeUndefined()
+      expect(validateRepoName(`myorg/${'a'.repeat(208)}`)).toContain('it must be at most 214 characters long.')
+      expect(validateRepoName('fs')).toBe("'fs' does not make a valid npm package name 'fs', it is the name of a Node.js core module.")
+      expect(validateRepoName('myorg/fs')).toBeUndefined()
+    })
+  })
+
+  test('packageName should scope the package by the org of the repo', () => {
+    expect(packageName('myorg/myrepo')).toBe('@myorg/myrepo')
+    expect(packageName('myrepo')).toBe('myrepo')
+  })
+
+  test('libNameVariants should compute the variants of the lib name', () => {
+    expect(libNameVariants('MyAwesomeLib')).toEqual({
+      libNamePascalCase: 'MyAwesomeLib',
+      libNameCamelCase: 'myAwesomeLib',
+      libNameKebabCase: 'my-awesome-lib'
+    })
+  })
+})
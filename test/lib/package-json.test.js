@@ -0,0 +1,103 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const packageJson = require('../../src/lib/package-json')
+
+describe('parseHost', () => {
+  test('should default to GitHub', () => {
+    expect(packageJson.parseHost()).toEqual({ type: 'github', url: 'https://github.com' })
+  })
+
+  test('should understand the public hosts', () => {
+    expect(packageJson.parseHost('gitlab')).toEqual({ type: 'gitlab', url: 'https://gitlab.com' })
+    expect(packageJson.parseHost('bitbucket')).toEqual({ type: 'bitbucket', url: 'https://bitbucket.org' })
+  })
+
+  test('should guess the kind of a self-hosted server from its host name', () => {
+    expect(packageJson.parseHost('https://gitlab.example.com/')).toEqual({ type: 'gitlab', url: 'https://gitlab.example.com' })
+    expect(packageJson.parseHost('https://bitbucket.example.com/scm')).toEqual({ type: 'bitbucket', url: 'https://bitbucket.example.com/scm' })
+    expect(packageJson.parseHost('https://git.example.com')).toEqual({ type: 'github', url: 'https://git.example.com' })
+  })
+
+  test('should use the kind given as prefix', () => {
+    expect(packageJson.parseHost('gitlab+https://git.example.com')).toEqual({ type: 'gitlab', url: 'https://git.example.com' })
+  })
+
+  test('should fail on invalid hosts', () => {
+    expect(() => packageJson.parseHost('sourceforge')).toThrow("Invalid git host 'sourceforge', use one of github, gitlab, bitbucket")
+    expect(() => packageJson.parseHost('gitea+https://git.example.com')).toThrow("Invalid git host 'gitea+https://git.example.com'")
+  })
+})
+
+describe('repositoryFields', () => {
+  test('should return the urls of the repo on its host', () => {
+    expect(packageJson.repositoryFields('myorg/myrepo', packageJson.parseHost('gitlab'))).toEqual({
+      repository: { type: 'git', url: 'git+https://gitlab.com/myorg/myrepo.git' },
+      homepage: 'https://gitlab.com/myorg/myrepo#readme',
+      bugs: { url: 'https://gitlab.com/myorg/myrepo/-/issues' }
+    })
+    expect(packageJson.repositoryFields('myorg/myrepo', packageJson.parseHost('bitbucket')).bugs)
+      .toEqual({ url: 'https://bitbucket.org/myorg/myrepo/issues' })
+  })
+})
+
+describe('parseEngines', () => {
+  test('should parse the engine ranges', () => {
+    expect(packageJson.parseEngines('node=>=18, npm=^9 || ^10,')).toEqual({ node: '>=18', npm: '^9 || ^10' })
+  })
+
+  test('should fail on invalid engines', () => {
+    expect(() => packageJson.parseEngines('node')).toThrow("Invalid engine 'node', use the form name=range")
+    expect(() => packageJson.parseEngines('node=')).toThrow("Invalid engine 'node='")
+  })
+})
+
+describe('packageFields', () => {
+  test('should default the version and the host', () => {
+    expect(packageJson.packageFields({ libName: 'MyLib', description: '' })).toEqual({
+      description: undefined,
+      author: undefined,
+      license: undefined,
+      keywords: undefined,
+      version: '0.0.1',
+      access: undefined,
+      engines: undefined,
+      host: { type: 'github', url: 'https://github.com' }
+    })
+  })
+
+  test('should read the fields from the variables', () => {
+    expect(packageJson.packageFields({
+      description: 'my lib',
+      author: 'Jane',
+      license: 'MIT',
+      keywords: 'adobe, io,',
+      packageVersion: '2.0.0',
+      access: 'public',
+      engines: 'node=>=20',
+      gitHost: 'bitbucket'
+    })).toEqual({
+      description: 'my lib',
+      author: 'Jane',
+      license: 'MIT',
+      keywords: ['adobe', 'io'],
+      version: '2.0.0',
+      access: 'public',
+      engines: { node: '>=20' },
+      host: { type: 'bitbucket', url: 'https://bitbucket.org' }
+    })
+  })
+
+  test('should fail on invalid values', () => {
+    expect(() => packageJson.packageFields({ packageVersion: 'v1' })).toThrow("Invalid package version 'v1', use a semantic version")
+    expect(() => packageJson.packageFields({ access: 'private' })).toThrow("Invalid access 'private', use one of public, restricted")
+  })
+})
@@ -0,0 +1,196 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+jest.mock('inquirer', () => ({
+  prompt: jest.fn()
+}))
+
+const inquirer = require('inquirer')
+const prompts = require('../../src/lib/prompts')
+
+describe('prompts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('validateLibName', () => {
+    test('should accept a valid class name', () => {
+      expect(prompts.validateLibName('MyLib')).toBe(true)
+      expect(prompts.validateLibName(' _my$Lib2 ')).toBe(true)
+    })
+
+    test('should reject an empty answer', () => {
+      expect(prompts.validateLibName('')).toContain('required')
+      expect(prompts.validateLibName('  ')).toContain('required')
+      expect(prompts.validateLibName(undefined)).toContain('required')
+    })
+
+    test('should reject an invalid class name', () => {
+      expect(prompts.validateLibName('my-lib')).toContain("not a valid class name, use letters, digits, '_' or '$' and do not start with a digit, e.g. 'MyLib'.")
+      expect(prompts.validateLibName('2Lib')).toContain('not a valid class name')
+    })
+  })
+
+  describe('validateRepoName', () => {
+    test('should accept org/repo and repo names', () => {
+      expect(prompts.validateRepoName('myorg/myrepo')).toBe(true)
+      expect(prompts.validateRepoName('@myorg/my-repo.js')).toBe(true)
+      expect(prompts.validateRepoName('myrepo')).toBe(true)
+    })
+
+    test('should reject an empty answer', () => {
+      expect(prompts.validateRepoName('')).toContain('required')
+      expect(prompts.validateRepoName(undefined)).toContain('required')
+    })
+
+    test('should reject an invalid repo name', () => {
+      expect(prompts.validateRepoName('my org/repo')).toContain('not a valid repo name')
+      expect(prompts.validateRepoName('a/b/c')).toContain('not a valid repo name')
+      expect(prompts.validateRepoName('myOrg/myRepo')).toContain("it must be lower case, e.g. 'myorg/myrepo'.")
+    })
+  })
+
+  describe('promptForOptions', () => {
+    test('should only ask for missing options', async () => {
+      inquirer.prompt.mockResolvedValue({ repoName: 'myorg/myrepo', outputDir: '/out', templateUrl: '', description: '' })
+
+      const options = await prompts.promptForOptions({ libName: 'MyLib' })
+
+      const questions = inquirer.prompt.mock.calls[0][0]
+      const when = Object.fromEntries(questions.map(q => [q.name, q.when]))
+      expect(when).toEqual({
+        libName: false,
+        repoName: true,
+        outputDir: true,
+        templateUrl: true,
+        description: true
+      })
+      expect(options).toEqual({ libName: 'MyLib', repoName: 'myorg/myrepo', outputDir: '/out' })
+    })
+
+    test('should not ask for a template url when a registered template is given', async () => {
+      inquirer.prompt.mockResolvedValue({})
+
+      const options = await prompts.promptForOptions({ template: 'myorg' })
+
+      const templateQuestion = inquirer.prompt.mock.calls[0][0].find(q => q.name === 'templateUrl')
+      expect(templateQuestion.when).toBe(false)
+      expect(prompts.formatSummary(Object.assign({ libName: 'MyLib', repoName: 'myrepo' }, options))).toContain('myorg')
+    })
+
+    test('should trim the name answers', async () => {
+      inquirer.prompt.mockResolvedValue({})
+
+      await prompts.promptForOptions({})
+
+      const questions = inquirer.prompt.mock.calls[0][0]
+      expect(questions[0].filter(' MyLib ')).toBe('MyLib')
+      expect(questions[1].filter(' myorg/myrepo ')).toBe('myorg/myrepo')
+      expect(questions[0].validate).toBe(prompts.validateLibName)
+      expect(questions[1].validate).toBe(prompts.validateRepoName)
+    })
+  })
+
+  describe('promptForVariables', () => {
+    test('should ask one question per variable', async () => {
+      inquirer.prompt.mockResolvedValue({ endpoint: 'https://example.com', useTypes: true })
+
+      const answers = await prompts.promptForVariables({
+        endpoint: { description: 'Service endpoint', pattern: '^https://', default: 'https://' },
+        useTypes: { type: 'boolean', default: true },
+        apiVersion: { type: 'number' }
+      })
+
+      expect(answers).toEqual({ endpoint: 'https://example.com', useTypes: true })
+      const [endpoint, useTypes, apiVersion] = inquirer.prompt.mock.calls[0][0]
+      expect(endpoint).toEqual(expect.objectContaining({ name: 'endpoint', message: 'Service endpoint', default: 'https://' }))
+      expect(endpoint.validate('https://example.com')).toBe(true)
+      expect(endpoint.validate('http://example.com')).toContain('must match')
+      expect(useTypes).toEqual(expect.objectContaining({ name: 'useTypes', message: 'useTypes', type: 'confirm' }))
+      expect(useTypes.validate).toBeUndefined()
+      expect(apiVersion.validate('x')).toContain('must be a number')
+    })
+  })
+
+  describe('promptForFeatures', () => {
+    test('should ask with a checkbox of the features', async () => {
+      inquirer.prompt.mockResolvedValue({ selected: ['e2e'] })
+
+      const selected = await prompts.promptForFeatures({
+        typescript: { description: 'TypeScript typings', default: true },
+        e2e: {}
+      })
+
+      expect(selected).toEqual(['e2e'])
+      expect(inquirer.prompt.mock.calls[0][0][0].choices).toEqual([
+        { name: 'typescript - TypeScript typings', value: 'typescript', checked: true },
+        { name: 'e2e', value: 'e2e', checked: false }
+      ])
+    })
+  })
+
+  describe('formatSummary', () => {
+    test('should list all options', () => {
+      const summary = prompts.formatSummary({
+        libName: 'MyLib',
+        repoName: 'myorg/myrepo',
+        outputDir: '/out',
+        templateUrl: 'https://github.com/myorg/template',
+        description: 'my lib'
+      })
+
+      expect(summary).toContain('MyLib')
+      expect(summary).toContain('myorg/myrepo')
+      expect(summary).toContain('/out')
+      expect(summary).toContain('https://github.com/myorg/template')
+      expect(summary).toContain('my lib')
+    })
+
+    test('should show defaults for omitted options', () => {
+      const summary = prompts.formatSummary({ libName: 'MyLib', repoName: 'myrepo' })
+
+      expect(summary).toContain(process.cwd())
+      expect(summary).toContain('(default template)')
+      expect(summary).toContain('(none)')
+    })
+  })
+
+  describe('confirmOptions', () => {
+    test('should return the confirmation answer', async () => {
+      inquirer.prompt.mockResolvedValue({ confirmed: false })
+
+      await expect(prompts.confirmOptions()).resolves.toBe(false)
+      expect(inquirer.prompt).toHaveBeenCalledWith([expect.objectContaining({ type: 'confirm' })])
+    })
+  })
+
+  describe('confirmHook', () => {
+    test('should show the command of the hook, and default to no', async () => {
+      inquirer.prompt.mockResolvedValue({ confirmed: true })
+
+      await expect(prompts.confirmHook({ title: 'Install dependencies', run: 'npm install' })).resolves.toBe(true)
+      expect(inquirer.prompt).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'confirm',
+        message: "The template wants to run the command 'npm install' (Install dependencies), run it?",
+        default: false
+      })])
+    })
+
+    test('should show the script of the hook', async () => {
+      inquirer.prompt.mockResolvedValue({ confirmed: false })
+
+      await expect(prompts.confirmHook({ script: 'hooks/format.js' })).resolves.toBe(false)
+      expect(inquirer.prompt).toHaveBeenCalledWith([expect.objectContaining({
+        message: "The template wants to run the script 'hooks/format.js', run it?"
+      })])
+    })
+  })
+})
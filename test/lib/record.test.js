@@ -0,0 +1,114 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const record = require('../../src/lib/record')
+
+describe('record', () => {
+  const variables = { libName: 'MyLib', repoName: 'myorg/myrepo', endpoint: 'https://example.com' }
+  const features = { typescript: true, e2e: false }
+
+  test('createRecord should record a git template with its commit', () => {
+    expect(record.createRecord({ url: 'github:myorg/templates', ref: 'v2', subdir: 'lib' }, { commit: 'abc123' }, variables, features)).toEqual({
+      createAioLibVersion: require('../../package.json').version,
+      generatedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      template: { source: 'github:myorg/templates', ref: 'v2', subdir: 'lib', commit: 'abc123' },
+      variables,
+      features
+    })
+  })
+
+  test('createRecord should record local templates with an absolute path', () => {
+    const { template } = record.createRecord({ url: './templates/lib' }, {}, variables, features)
+
+    expect(template.source).toBe(path.resolve('templates/lib'))
+  })
+
+  test('createRecord should record the bundled template with its version', () => {
+    expect(record.createRecord({}, { package: '@adobe/aio-lib-template', version: '2.0.1' }, variables, features).template)
+      .toEqual({ bundled: true, package: '@adobe/aio-lib-template', version: '2.0.1' })
+  })
+
+  describe('files', () => {
+    let folder
+
+    beforeEach(async () => {
+      folder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-record-'))
+    })
+
+    afterEach(async () => {
+      await fs.remove(folder)
+    })
+
+    test('should write and read a record', async () => {
+      const generation = record.createRecord({ url: 'github:myorg/templates' }, { commit: 'abc123' }, variables, features)
+
+      await record.writeRecord(folder, generation)
+
+      await expect(fs.readdir(folder)).resolves.toEqual(['.create-aio-lib.json'])
+      await expect(record.readRecord(folder)).resolves.toEqual({ record: JSON.parse(JSON.stringify(generation)), location: 'file' })
+    })
+
+    test('should write and read a record in package.json', async () => {
+      const generation = record.createRecord({}, { package: '@adobe/aio-lib-template', version: '2.0.1' }, variables, features)
+      await fs.writeJson(path.join(folder, 'package.json'), { name: '@myorg/myrepo' })
+
+      await record.writeRecord(folder, generation, 'package.json')
+
+      await expect(fs.readdir(folder)).resolves.toEqual(['package.json'])
+      await expect(fs.readJson(path.join(folder, 'package.json'))).resolves.toEqual({ name: '@myorg/myrepo', 'create-aio-lib': generation })
+      await expect(record.readRecord(folder)).resolves.toEqual({ record: generation, location: 'package.json' })
+    })
+
+    test('readRecord should fail without a record', async () => {
+      const message = `${folder} has no .create-aio-lib.json file nor 'create-aio-lib' package.json field, it was not generated by create-aio-lib`
+      await expect(record.readRecord(folder)).rejects.toThrow(message)
+
+      await fs.writeJson(path.join(folder, 'package.json'), { name: '@myorg/myrepo' })
+      await expect(record.readRecord(folder)).rejects.toThrow(message)
+    })
+
+    test('readRecord should fail on an invalid record', async () => {
+      await fs.writeFile(path.join(folder, 'package.json'), '{')
+      await expect(record.readRecord(folder))
+        .rejects.toThrow(`Invalid generation record ${path.join(folder, 'package.json')}`)
+
+      await fs.writeFile(path.join(folder, '.create-aio-lib.json'), '{')
+      await expect(record.readRecord(folder))
+        .rejects.toThrow(`Invalid generation record ${path.join(folder, '.create-aio-lib.json')}`)
+    })
+  })
+
+  test('latestTemplate should use the recorded source, or another ref', () => {
+    const generation = { template: { source: 'github:myorg/templates', ref: 'v2', subdir: 'lib', commit: 'abc123' } }
+
+    expect(record.latestTemplate(generation)).toEqual({ url: 'github:myorg/templates', ref: 'v2', subdir: 'lib' })
+    expect(record.latestTemplate(generation, 'v3')).toEqual({ url: 'github:myorg/templates', ref: 'v3', subdir: 'lib' })
+    expect(record.latestTemplate({ template: { bundled: true, version: '2.0.1' } })).toEqual({})
+  })
+
+  test('pinnedTemplate should use the recorded commit or package version', () => {
+    expect(record.pinnedTemplate({ template: { source: 'github:myorg/templates', ref: 'v2', subdir: 'lib', commit: 'abc123' } }))
+      .toEqual({ url: 'github:myorg/templates', ref: 'abc123', subdir: 'lib' })
+    expect(record.pinnedTemplate({ template: { source: 'my-template@^1', subdir: 'lib', package: 'my-template', version: '1.2.0' } }))
+      .toEqual({ url: 'my-template@1.2.0', subdir: 'lib' })
+    expect(record.pinnedTemplate({ template: { source: '/templates/lib' } })).toBeUndefined()
+  })
+
+  test('pinnedTemplate should use the installed bundled template when it is the recorded version', () => {
+    const generation = { template: { bundled: true, package: '@adobe/aio-lib-template', version: '2.0.1' } }
+
+    expect(record.pinnedTemplate(generation, '2.0.1')).toEqual({})
+    expect(record.pinnedTemplate(generation, '2.1.0')).toEqual({ url: '@adobe/aio-lib-template@2.0.1', subdir: undefined })
+  })
+})
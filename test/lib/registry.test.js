@@ -0,0 +1,137 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const registry = require('../../src/lib/registry')
+
+describe('registry', () => {
+  let configDir
+  let file
+
+  beforeEach(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-registry-'))
+    file = registry.registryFile(configDir)
+  })
+
+  afterEach(async () => {
+    await fs.remove(configDir)
+  })
+
+  test('registryFile should be in the config folder', () => {
+    expect(registry.registryFile('/config')).toBe(path.join('/config', 'templates.json'))
+  })
+
+  describe('loadRegistry', () => {
+    test('should only have the bundled template without a registry file', async () => {
+      const loaded = await registry.loadRegistry(file)
+
+      expect(loaded.default).toBe('aio-lib')
+      expect(Object.keys(loaded.templates)).toEqual(['aio-lib'])
+      expect(loaded.templates['aio-lib']).toEqual(expect.objectContaining({ source: '@adobe/aio-lib-template', bundled: true }))
+    })
+
+    test('should fall back to the bundled template for an unknown default', async () => {
+      await fs.outputJson(file, { default: 'gone', templates: { other: { source: './other' } } })
+
+      const loaded = await registry.loadRegistry(file)
+
+      expect(loaded.default).toBe('aio-lib')
+      expect(Object.keys(loaded.templates).sort()).toEqual(['aio-lib', 'other'])
+    })
+
+    test('should error on an invalid registry file', async () => {
+      await fs.outputFile(file, '{ nope')
+
+      await expect(registry.loadRegistry(file)).rejects.toThrow(`Invalid templates file ${file}`)
+    })
+  })
+
+  describe('addTemplate', () => {
+    test('should register a template', async () => {
+      await expect(registry.addTemplate(file, 'myorg', { source: 'github:myorg/templates', description: "My org's libs", ref: 'v2' }))
+        .resolves.toBe(false)
+
+      const loaded = await registry.loadRegistry(file)
+      expect(loaded.default).toBe('aio-lib')
+      expect(loaded.templates.myorg).toEqual({ source: 'github:myorg/templates', description: "My org's libs", ref: 'v2' })
+      expect((await fs.readJson(file)).templates).toEqual({ myorg: loaded.templates.myorg })
+    })
+
+    test('should replace a template and make it the default', async () => {
+      await registry.addTemplate(file, 'local', { source: 'aio-lib-template' })
+
+      await expect(registry.addTemplate(file, 'local', { source: './template', subdir: 'lib' }, true)).resolves.toBe(true)
+
+      const loaded = await registry.loadRegistry(file)
+      expect(loaded.default).toBe('local')
+      expect(loaded.templates.local).toEqual({ source: path.resolve('template'), description: '', subdir: 'lib' })
+    })
+
+    test('should reject invalid templates', async () => {
+      await expect(registry.addTemplate(file, 'my org', { source: './template' }))
+        .rejects.toThrow("Invalid template name 'my org', use letters, digits, '.', '_' and '-'")
+      await expect(registry.addTemplate(file, 'aio-lib', { source: './template' }))
+        .rejects.toThrow("'aio-lib' is the name of the bundled template, use another name")
+      await expect(registry.addTemplate(file, 'local', { source: './template', ref: 'v2' }))
+        .rejects.toThrow("A ref can only be used with a git template source, not './template'")
+      await expect(fs.pathExists(file)).resolves.toBe(false)
+    })
+  })
+
+  describe('removeTemplate', () => {
+    test('should unregister a template', async () => {
+      await registry.addTemplate(file, 'one', { source: './one' })
+      await registry.addTemplate(file, 'two', { source: './two' })
+
+      await registry.removeTemplate(file, 'one')
+
+      expect(Object.keys((await registry.loadRegistry(file)).templates).sort()).toEqual(['aio-lib', 'two'])
+    })
+
+    test('should make the bundled template the default again', async () => {
+      await registry.addTemplate(file, 'one', { source: './one' }, true)
+
+      await registry.removeTemplate(file, 'one')
+
+      expect((await registry.loadRegistry(file)).default).toBe('aio-lib')
+    })
+
+    test('should reject unknown and bundled templates', async () => {
+      await expect(registry.removeTemplate(file, 'one'))
+        .rejects.toThrow("Unknown template 'one', the registered templates are aio-lib")
+      await expect(registry.removeTemplate(file, 'aio-lib'))
+        .rejects.toThrow("The bundled template 'aio-lib' can't be removed")
+    })
+  })
+
+  describe('getTemplate', () => {
+    test('should get the default or a named template', async () => {
+      await registry.addTemplate(file, 'one', { source: './one' })
+      const loaded = await registry.loadRegistry(file)
+
+      expect(registry.getTemplate(loaded).bundled).toBe(true)
+      expect(registry.getTemplate(loaded, 'one').source).toBe(path.resolve('one'))
+    })
+
+    test('should not find the properties every object has', async () => {
+      await fs.outputJson(file, { default: 'constructor', templates: {} })
+      const loaded = await registry.loadRegistry(file)
+
+      expect(loaded.default).toBe('aio-lib')
+      for (const name of ['constructor', 'toString', 'hasOwnProperty']) {
+        expect(() => registry.getTemplate(loaded, name)).toThrow(`Unknown template '${name}', the registered templates are aio-lib`)
+      }
+      await expect(registry.addTemplate(file, 'toString', { source: './one' })).resolves.toBe(false)
+    })
+  })
+})
@@ -0,0 +1,242 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const replace = require('../../src/lib/replace')
+
+const mapping = { '{{REPO}}': 'myorg/my-lib', '{{LIB_NAME}}': 'MyLib' }
+
+describe('replace', () => {
+  let folder
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-replace-'))
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await fs.remove(folder)
+  })
+
+  test('mapLimit should map items in order, running at most the limit at the same time', async () => {
+    let running = 0
+    let maxRunning = 0
+    const results = await replace.mapLimit([30, 10, 20, 0, 5], 2, async (delay, index) => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await new Promise(resolve => setTimeout(resolve, delay))
+      running--
+      return `${index}:${delay}`
+    })
+
+    expect(results).toEqual(['0:30', '1:10', '2:20', '3:0', '4:5'])
+    expect(maxRunning).toBe(2)
+    await expect(replace.mapLimit([], 2, async () => 'never')).resolves.toEqual([])
+  })
+
+  test('createReplacer should match the longest token first', () => {
+    const { pattern, maxLength } = replace.createReplacer(['{{LIB}}', '{{LIB}}_NAME', '$(x).'])
+
+    expect(maxLength).toBe(12)
+    expect('{{LIB}}_NAME {{LIB}} $(x). $(x)y'.match(pattern)).toEqual(['{{LIB}}_NAME', '{{LIB}}', '$(x).'])
+  })
+
+  test('detectEncoding should read the byte order mark', () => {
+    expect(replace.detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61]))).toEqual({ encoding: 'utf8', bom: Buffer.from([0xef, 0xbb, 0xbf]) })
+    expect(replace.detectEncoding(Buffer.from([0xff, 0xfe, 0x61, 0]))).toEqual({ encoding: 'utf16le', bom: Buffer.from([0xff, 0xfe]) })
+    expect(replace.detectEncoding(Buffer.from([0xfe, 0xff, 0, 0x61]))).toEqual({ encoding: 'utf16be', bom: Buffer.from([0xfe, 0xff]) })
+    expect(replace.detectEncoding(Buffer.from('a'))).toEqual({ encoding: 'utf8', bom: Buffer.alloc(0) })
+  })
+
+  describe('replaceChunk', () => {
+    const replacer = replace.createReplacer(['{{REPO}}', '{{LIB_NAME}}'])
+
+    test('should keep the end of a chunk that could hold a cut token', () => {
+      const counts = {}
+
+      expect(replace.replaceChunk('a {{REPO}} b {{LIB_', replacer, mapping, counts, false))
+        .toEqual({ output: 'a myorg/my-lib', rest: ' b {{LIB_' })
+      expect(replace.replaceChunk(' b {{LIB_NAME}}', replacer, mapping, counts, true)).toEqual({ output: ' b MyLib', rest: '' })
+      expect(counts).toEqual({ '{{REPO}}': 1, '{{LIB_NAME}}': 1 })
+    })
+
+    test('should keep a chunk shorter than a token', () => {
+      expect(replace.replaceChunk('{{', replacer, mapping, {}, false)).toEqual({ output: '', rest: '{{' })
+    })
+
+    test('should not split a surrogate pair', () => {
+      expect(replace.replaceChunk('ab😀cdefghijkl', replacer, mapping, {}, false)).toEqual({ output: 'ab', rest: '😀cdefghijkl' })
+      expect(replace.replaceChunk('abc😀defghijkl', replacer, mapping, {}, false)).toEqual({ output: 'abc', rest: '😀defghijkl' })
+    })
+  })
+
+  describe('replaceFiles', () => {
+    const replaceFiles = (fileTokens, options) => replace.replaceFiles(folder, new Map(Object.entries(fileTokens)), mapping, options)
+
+    test('should replace all the tokens of each file in a single pass, and report the substitutions', async () => {
+      await fs.outputFile(path.join(folder, 'src/index.js'), '{{REPO}} {{REPO}} {{LIB_NAME}} {{UNKNOWN}}')
+      await fs.outputFile(path.join(folder, 'README.md'), '# {{LIB_NAME}}')
+      await fs.outputFile(path.join(folder, 'CHANGELOG.md'), 'nothing')
+
+      await expect(replaceFiles({
+        'src/index.js': ['{{REPO}}', '{{LIB_NAME}}', '{{UNKNOWN}}'],
+        'README.md': ['{{LIB_NAME}}'],
+        'CHANGELOG.md': ['{{REPO}}']
+      })).resolves.toEqual({
+        files: {
+          'src/index.js': { '{{REPO}}': 2, '{{LIB_NAME}}': 1 },
+          'README.md': { '{{LIB_NAME}}': 1 },
+          'CHANGELOG.md': {}
+        },
+        missing: [],
+        binary: []
+      })
+      await expect(fs.readFile(path.join(folder, 'src/index.js'), 'utf8')).resolves.toBe('myorg/my-lib myorg/my-lib MyLib {{UNKNOWN}}')
+      await expect(fs.readFile(path.join(folder, 'README.md'), 'utf8')).resolves.toBe('# MyLib')
+    })
+
+    test('should not write the files without substitution', async () => {
+      await fs.outputFile(path.join(folder, 'a.js'), '{{UNKNOWN}}')
+      await fs.outputFile(path.join(folder, 'b.js'), 'nothing')
+      const writeFile = jest.spyOn(fs, 'writeFile')
+
+      const report = await replaceFiles({ 'a.js': ['{{UNKNOWN}}'], 'b.js': ['{{REPO}}'] })
+
+      expect(report.files).toEqual({ 'a.js': {}, 'b.js': {} })
+      expect(writeFile).not.toHaveBeenCalled()
+    })
+
+    test('should insert the values as is', async () => {
+      await fs.outputFile(path.join(folder, 'a.js'), 'a $(NAME). b $(NAME)x')
+
+      await replace.replaceFiles(folder, new Map([['a.js', ['$(NAME).']]]), { '$(NAME).': '$&' })
+
+      await expect(fs.readFile(path.join(folder, 'a.js'), 'utf8')).resolves.toBe('a $& b $(NAME)x')
+    })
+
+    test('should skip and report the missing and binary files', async () => {
+      await fs.outputFile(path.join(folder, 'logo.png'), Buffer.from('PNG\u0000{{REPO}}'))
+
+      await expect(replaceFiles({ 'missing.js': ['{{REPO}}'], 'logo.png': ['{{REPO}}'] }))
+        .resolves.toEqual({ files: {}, missing: ['missing.js'], binary: ['logo.png'] })
+      await expect(fs.readFile(path.join(folder, 'logo.png'), 'utf8')).resolves.toBe('PNG\u0000{{REPO}}')
+    })
+
+    test('should keep the encoding and byte order mark of the files', async () => {
+      const utf8 = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('é {{LIB_NAME}}')])
+      const utf16le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('é {{LIB_NAME}}', 'utf16le')])
+      const utf16be = Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from('é {{LIB_NAME}}', 'utf16le').swap16()])
+      await fs.writeFile(path.join(folder, 'utf8.txt'), utf8)
+      await fs.writeFile(path.join(folder, 'utf16le.txt'), utf16le)
+      await fs.writeFile(path.join(folder, 'utf16be.txt'), utf16be)
+
+      const report = await replaceFiles({ 'utf8.txt': ['{{LIB_NAME}}'], 'utf16le.txt': ['{{LIB_NAME}}'], 'utf16be.txt': ['{{LIB_NAME}}'] })
+
+      expect(report.binary).toEqual([])
+      await expect(fs.readFile(path.join(folder, 'utf8.txt'))).resolves.toEqual(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('é MyLib')]))
+      await expect(fs.readFile(path.join(folder, 'utf16le.txt'))).resolves.toEqual(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('é MyLib', 'utf16le')]))
+      await expect(fs.readFile(path.join(folder, 'utf16be.txt'))).resolves.toEqual(Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from('é MyLib', 'utf16le').swap16()]))
+    })
+
+    test('should stream the large files, with tokens and characters cut by the chunks', async () => {
+      const text = 'é{{REPO}}😀{{LIB_NAME}}\n'.repeat(50)
+      await fs.writeFile(path.join(folder, 'large.txt'), Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text)]))
+      await fs.writeFile(path.join(folder, 'large.sh'), text, { mode: 0o755 })
+      await fs.writeFile(path.join(folder, 'unchanged.txt'), 'x'.repeat(200))
+      await fs.writeFile(path.join(folder, 'large.png'), Buffer.concat([Buffer.from('PNG\u0000'), Buffer.alloc(200)]))
+      const readFile = jest.spyOn(fs, 'readFile')
+
+      const report = await replaceFiles({
+        'large.txt': ['{{REPO}}', '{{LIB_NAME}}'],
+        'large.sh': ['{{REPO}}', '{{LIB_NAME}}'],
+        'unchanged.txt': ['{{REPO}}'],
+        'large.png': ['{{REPO}}']
+      }, { streamThreshold: 100, chunkSize: 7 })
+
+      const expected = 'émyorg/my-lib😀MyLib\n'.repeat(50)
+      expect(report).toEqual({
+        files: {
+          'large.txt': { '{{REPO}}': 50, '{{LIB_NAME}}': 50 },
+          'large.sh': { '{{REPO}}': 50, '{{LIB_NAME}}': 50 },
+          'unchanged.txt': {}
+        },
+        missing: [],
+        binary: ['large.png']
+      })
+      expect(readFile).not.toHaveBeenCalled()
+      await expect(fs.readFile(path.join(folder, 'large.txt'))).resolves.toEqual(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(expected)]))
+      await expect(fs.readFile(path.join(folder, 'large.sh'), 'utf8')).resolves.toBe(expected)
+      expect((await fs.stat(path.join(folder, 'large.sh'))).mode & 0o777).toBe(0o755)
+      await expect(fs.readdir(folder)).resolves.toEqual(['large.png', 'large.sh', 'large.txt', 'unchanged.txt'])
+    })
+
+    test('should stream an empty file', async () => {
+      await fs.writeFile(path.join(folder, 'empty.txt'), '')
+
+      await expect(replaceFiles({ 'empty.txt': ['{{REPO}}'] }, { streamThreshold: -1 })).resolves.toEqual({ files: { 'empty.txt': {} }, missing: [], binary: [] })
+    })
+
+    test('should read the large utf16 files whole', async () => {
+      await fs.writeFile(path.join(folder, 'large.txt'), Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('{{REPO}} '.repeat(20), 'utf16le')]))
+
+      const report = await replaceFiles({ 'large.txt': ['{{REPO}}'] }, { streamThreshold: 100 })
+
+      expect(report.files).toEqual({ 'large.txt': { '{{REPO}}': 20 } })
+      await expect(fs.readFile(path.join(folder, 'large.txt'))).resolves.toEqual(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('myorg/my-lib '.repeat(20), 'utf16le')]))
+    })
+
+    test('should remove the temporary file of a failed stream', async () => {
+      await fs.writeFile(path.join(folder, 'large.txt'), '{{REPO}}'.repeat(20))
+      jest.spyOn(fs, 'rename').mockRejectedValue(new Error('EXDEV'))
+
+      await expect(replaceFiles({ 'large.txt': ['{{REPO}}'] }, { streamThreshold: 100 })).rejects.toThrow('large.txt: EXDEV')
+      await expect(fs.readdir(folder)).resolves.toEqual(['large.txt'])
+    })
+
+    test('should replace the other files, and report all the failed ones together', async () => {
+      await fs.outputFile(path.join(folder, 'a.js'), '{{REPO}}')
+      await fs.outputFile(path.join(folder, 'b.js'), '{{REPO}}')
+      await fs.outputFile(path.join(folder, 'c.js'), '{{REPO}}')
+      const writeFile = fs.writeFile
+      jest.spyOn(fs, 'writeFile').mockImplementation(async (file, ...args) => {
+        if (!file.endsWith('b.js')) {
+          throw Object.assign(new Error(`EACCES: permission denied, open '${file}'`), { code: 'EACCES' })
+        }
+        return writeFile(file, ...args)
+      })
+
+      const error = await replaceFiles({ 'a.js': ['{{REPO}}'], 'b.js': ['{{REPO}}'], 'c.js': ['{{REPO}}'] }).catch(error => error)
+
+      expect(error).toBeInstanceOf(AggregateError)
+      expect(error.message).toBe(`Failed to replace the tokens of 2 file(s):
+  a.js: EACCES: permission denied, open '${path.join(folder, 'a.js')}'
+  c.js: EACCES: permission denied, open '${path.join(folder, 'c.js')}'`)
+      expect(error.errors.map(({ code }) => code)).toEqual(['EACCES', 'EACCES'])
+      await expect(fs.readFile(path.join(folder, 'b.js'), 'utf8')).resolves.toBe('myorg/my-lib')
+    })
+
+    test('should replace the tokens of many files', async () => {
+      const fileTokens = {}
+      for (let i = 0; i < 2000; i++) {
+        const file = `src/module${i % 20}/file${i}.js`
+        await fs.outputFile(path.join(folder, file), `// {{LIB_NAME}} ${i} from {{REPO}}\n`)
+        fileTokens[file] = ['{{REPO}}', '{{LIB_NAME}}']
+      }
+
+      const report = await replaceFiles(fileTokens, { concurrency: 8 })
+
+      expect(Object.keys(report.files)).toEqual(Object.keys(fileTokens))
+      expect(Object.values(report.files).every(counts => counts['{{REPO}}'] === 1 && counts['{{LIB_NAME}}'] === 1)).toBe(true)
+      await expect(fs.readFile(path.join(folder, 'src/module7/file1987.js'), 'utf8')).resolves.toBe('// MyLib 1987 from myorg/my-lib\n')
+    })
+  })
+})
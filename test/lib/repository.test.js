@@ -0,0 +1,99 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const git = require('isomorphic-git')
+const repository = require('../../src/lib/repository')
+
+describe('repository', () => {
+  const env = process.env
+  let root
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-repository-'))
+    // isolate git from the configuration of the machine
+    process.env = Object.assign({}, env, { GIT_CONFIG_GLOBAL: path.join(root, 'gitconfig'), GIT_CONFIG_NOSYSTEM: '1' })
+    delete process.env.GIT_AUTHOR_NAME
+    delete process.env.GIT_AUTHOR_EMAIL
+  })
+
+  afterEach(async () => {
+    process.env = env
+    await fs.remove(root)
+  })
+
+  test('originUrl should be the url of the repo on its host, GitHub by default', () => {
+    expect(repository.originUrl('myorg/myrepo')).toBe('https://github.com/myorg/myrepo.git')
+    expect(repository.originUrl('myorg/myrepo', 'https://gitlab.com')).toBe('https://gitlab.com/myorg/myrepo.git')
+    expect(repository.originUrl('myrepo')).toBeUndefined()
+  })
+
+  describe('resolveAuthor', () => {
+    test('should use the given author first', async () => {
+      process.env.GIT_AUTHOR_NAME = 'Env'
+      await expect(repository.resolveAuthor({ name: 'Jane', email: 'jane@example.com' }))
+        .resolves.toEqual({ name: 'Jane', email: 'jane@example.com' })
+    })
+
+    test('should use the environment', async () => {
+      process.env.GIT_AUTHOR_NAME = 'Env'
+      process.env.GIT_AUTHOR_EMAIL = 'env@example.com'
+      await expect(repository.resolveAuthor()).resolves.toEqual({ name: 'Env', email: 'env@example.com' })
+    })
+
+    test('should use the global git config', async () => {
+      await fs.writeFile(path.join(root, 'gitconfig'), '[user]\n  name = Config\n  email = config@example.com\n')
+      await expect(repository.resolveAuthor({})).resolves.toEqual({ name: 'Config', email: 'config@example.com' })
+    })
+
+    test('should have no name without any configuration', async () => {
+      await expect(repository.resolveAuthor({})).resolves.toEqual({ name: undefined, email: '' })
+    })
+  })
+
+  describe('initRepository', () => {
+    let dir
+
+    beforeEach(async () => {
+      dir = path.join(root, 'MyLib')
+      await fs.outputFile(path.join(dir, 'src', 'index.js'), 'index')
+      await fs.outputFile(path.join(dir, '.gitignore'), 'node_modules\n')
+      await fs.outputFile(path.join(dir, 'node_modules', 'dep', 'index.js'), 'dep')
+    })
+
+    test('should commit all the files that are not ignored', async () => {
+      const oid = await repository.initRepository(dir, {
+        defaultBranch: 'main',
+        remoteUrl: 'https://github.com/myorg/myrepo.git',
+        author: { name: 'Jane', email: 'jane@example.com' }
+      })
+
+      await expect(git.currentBranch({ fs, dir })).resolves.toBe('main')
+      await expect(git.listRemotes({ fs, dir })).resolves.toEqual([{ remote: 'origin', url: 'https://github.com/myorg/myrepo.git' }])
+      const [commit] = await git.log({ fs, dir })
+      expect(commit.oid).toBe(oid)
+      expect(commit.commit.message).toBe('Initial commit\n')
+      expect(commit.commit.author).toEqual(expect.objectContaining({ name: 'Jane', email: 'jane@example.com' }))
+      await expect(git.listFiles({ fs, dir })).resolves.toEqual(['.gitignore', 'src/index.js'])
+    })
+
+    test('should not commit without an author', async () => {
+      await expect(repository.initRepository(dir, { defaultBranch: 'trunk', author: { email: '' } })).resolves.toBeUndefined()
+
+      await expect(git.currentBranch({ fs, dir })).resolves.toBe('trunk')
+      await expect(git.listRemotes({ fs, dir })).resolves.toEqual([])
+      await expect(git.log({ fs, dir })).rejects.toThrow()
+      await expect(repository.initRepository(path.join(root, 'other'), { defaultBranch: 'main' })).resolves.toBeUndefined()
+    })
+  })
+})
@@ -0,0 +1,221 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const files = require('../../src/lib/files')
+const { LibGenerator } = require('../../src/lib/generator')
+const snapshot = require('../../src/lib/snapshot')
+
+describe('snapshot', () => {
+  let folder
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-snapshot-test-'))
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await fs.remove(folder)
+  })
+
+  test('readTree should read the files of a folder, but the generation record', async () => {
+    await fs.outputFile(path.join(folder, 'src/index.js'), 'index')
+    await fs.outputFile(path.join(folder, '.create-aio-lib.json'), '{}')
+    await fs.outputFile(path.join(folder, 'node_modules/dep/index.js'), '')
+
+    await expect(snapshot.readTree(folder)).resolves.toEqual(new Map([['src/index.js', Buffer.from('index')]]))
+  })
+
+  test('readTree should read a missing folder as empty', async () => {
+    await expect(snapshot.readTree(path.join(folder, 'missing'))).resolves.toEqual(new Map())
+  })
+
+  test('compareTrees should describe the missing, unexpected and changed files', () => {
+    const expected = new Map([
+      ['README.md', Buffer.from('# MyLib\n')],
+      ['logo.png', Buffer.from([0, 1])],
+      ['removed.js', Buffer.from('')],
+      ['same.js', Buffer.from('same')]
+    ])
+    const actual = new Map([
+      ['README.md', Buffer.from('# MyLib\n\nA lib\n')],
+      ['added.js', Buffer.from('')],
+      ['logo.png', Buffer.from([0, 2])],
+      ['same.js', Buffer.from('same')]
+    ])
+
+    const differences = snapshot.compareTrees(expected, actual)
+
+    expect(differences).toEqual([
+      { file: 'README.md', kind: 'changed', diff: expect.stringContaining('--- snapshot/README.md\n+++ output/README.md\n') },
+      { file: 'added.js', kind: 'unexpected', diff: 'added.js was generated, but is not in the snapshot' },
+      { file: 'logo.png', kind: 'changed', diff: 'Binary file logo.png differs' },
+      { file: 'removed.js', kind: 'missing', diff: 'removed.js is in the snapshot, but was not generated' }
+    ])
+    expect(differences[0].diff).toContain(' # MyLib\n+\n+A lib\n')
+  })
+
+  describe('testTemplate', () => {
+    let snapshotFolder
+
+    beforeEach(() => {
+      snapshotFolder = path.join(folder, '__snapshots__', 'basic')
+      // renders a lib with a README naming it
+      jest.spyOn(LibGenerator.prototype, 'generate').mockImplementation(async options => {
+        const destination = path.join(options.outputDir, options.libName)
+        await fs.outputFile(path.join(destination, 'README.md'), `# ${options.libName}\n`)
+        await fs.outputFile(path.join(destination, '.create-aio-lib.json'), '{}')
+        return { destination, warnings: ['a warning'] }
+      })
+    })
+
+    test('should write a missing snapshot', async () => {
+      await expect(snapshot.testTemplate({ template: './template', snapshot: snapshotFolder, updateSnapshot: true })).resolves.toEqual({
+        status: 'written',
+        snapshot: snapshotFolder,
+        differences: [expect.objectContaining({ file: 'README.md', kind: 'unexpected' })],
+        warnings: ['a warning']
+      })
+
+      expect(LibGenerator.prototype.generate).toHaveBeenCalledWith({
+        libName: 'MyLib',
+        repoName: 'myorg/my-lib',
+        git: false,
+        skipHooks: true,
+        templateUrl: './template',
+        outputDir: expect.any(String),
+        overwrite: false,
+        dryRun: false,
+        record: 'file'
+      })
+      await expect(fs.readdir(snapshotFolder)).resolves.toEqual(['README.md'])
+      await expect(fs.pathExists(LibGenerator.prototype.generate.mock.calls[0][0].outputDir)).resolves.toBe(false)
+    })
+
+    test('should pass when the output matches the snapshot', async () => {
+      await fs.outputFile(path.join(snapshotFolder, 'README.md'), '# CoreLib\n')
+
+      await expect(snapshot.testTemplate({ template: './template', fixture: { libName: 'CoreLib' }, snapshot: snapshotFolder }))
+        .resolves.toEqual({ status: 'passed', snapshot: snapshotFolder, differences: [], warnings: ['a warning'] })
+    })
+
+    test('should fail when the output differs from the snapshot', async () => {
+      await fs.outputFile(path.join(snapshotFolder, 'README.md'), '# OldLib\n')
+      await fs.outputFile(path.join(snapshotFolder, 'old.js'), '')
+
+      const result = await snapshot.testTemplate({ template: './template', snapshot: snapshotFolder })
+
+      expect(result.status).toBe('failed')
+      expect(result.differences.map(({ file, kind }) => `${kind} ${file}`)).toEqual(['changed README.md', 'missing old.js'])
+    })
+
+    test('should update a snapshot', async () => {
+      await fs.outputFile(path.join(snapshotFolder, 'old.js'), '')
+      const generator = new LibGenerator()
+
+      const result = await snapshot.testTemplate({ template: './template', snapshot: snapshotFolder, updateSnapshot: true, generator })
+
+      expect(result.status).toBe('updated')
+      expect(LibGenerator.prototype.generate.mock.contexts[0]).toBe(generator)
+      await expect(fs.readdir(snapshotFolder)).resolves.toEqual(['README.md'])
+    })
+
+    test('should render the template with a fixture file', async () => {
+      const fixture = path.join(folder, 'basic.yaml')
+      await fs.writeFile(fixture, 'libName: CoreLib\nfeatures:\n  e2e: false\n')
+
+      await snapshot.testTemplate({ template: './template', fixture, snapshot: snapshotFolder, updateSnapshot: true })
+
+      expect(LibGenerator.prototype.generate).toHaveBeenCalledWith(expect.objectContaining({ libName: 'CoreLib', features: { e2e: false } }))
+      await expect(fs.readFile(path.join(snapshotFolder, 'README.md'), 'utf8')).resolves.toBe('# CoreLib\n')
+    })
+
+    test('should error on a fixture file listing several libs', async () => {
+      const fixture = path.join(folder, 'batch.json')
+      await fs.writeJson(fixture, [{ libName: 'A' }, { libName: 'B' }])
+
+      await expect(snapshot.testTemplate({ template: './template', fixture, snapshot: snapshotFolder }))
+        .rejects.toThrow(`The fixture ${fixture} must hold the options of a single lib`)
+    })
+
+    test('should error on a missing snapshot', async () => {
+      await expect(snapshot.testTemplate({ template: './template', snapshot: snapshotFolder }))
+        .rejects.toThrow(`Snapshot ${snapshotFolder} does not exist, write it with --update-snapshots`)
+      expect(LibGenerator.prototype.generate).not.toHaveBeenCalled()
+    })
+
+    describe('with a template holding its snapshots', () => {
+      let template, templateFiles
+
+      beforeEach(async () => {
+        template = path.join(folder, 'template')
+        for (const file of ['package.json', '__snapshots__/basic/README.md', '__snapshots__/other/README.md',
+          'test/__snapshots__/index.test.js.snap', 'golden/README.md', 'node_modules/dep/index.js']) {
+          await fs.outputFile(path.join(template, file), file)
+        }
+        LibGenerator.prototype.generate.mockImplementation(async options => {
+          templateFiles = (await fs.pathExists(options.templateUrl)) ? await files.listFiles(options.templateUrl) : []
+          const destination = path.join(options.outputDir, options.libName)
+          await fs.outputFile(path.join(destination, 'README.md'), `# ${options.libName}\n`)
+          return { destination, warnings: [] }
+        })
+      })
+
+      test('should render a copy of the template without its __snapshots__ folder', async () => {
+        const result = await snapshot.testTemplate({ template, snapshot: path.join(template, '__snapshots__', 'basic'), updateSnapshot: true })
+
+        expect(result.status).toBe('updated')
+        expect(LibGenerator.prototype.generate.mock.calls[0][0].templateUrl).not.toBe(template)
+        expect(templateFiles).toEqual(['golden/README.md', 'package.json', 'test/__snapshots__/index.test.js.snap'])
+        await expect(fs.readFile(path.join(template, '__snapshots__/basic/README.md'), 'utf8')).resolves.toBe('# MyLib\n')
+        await expect(fs.pathExists(path.join(template, '__snapshots__/other/README.md'))).resolves.toBe(true)
+        await expect(fs.pathExists(LibGenerator.prototype.generate.mock.calls[0][0].templateUrl)).resolves.toBe(false)
+      })
+
+      test('should render a copy of the template without its snapshot folder', async () => {
+        await snapshot.testTemplate({ template, snapshot: path.join(template, 'golden'), updateSnapshot: true })
+
+        expect(templateFiles).toEqual(['__snapshots__/basic/README.md', '__snapshots__/other/README.md', 'package.json',
+          'test/__snapshots__/index.test.js.snap'])
+      })
+
+      test('should render the template itself when it does not hold the snapshot', async () => {
+        await snapshot.testTemplate({ template, snapshot: snapshotFolder, updateSnapshot: true })
+
+        expect(LibGenerator.prototype.generate.mock.calls[0][0].templateUrl).toBe(template)
+      })
+
+      test('should render the template itself when it is the snapshot, or not a local folder', async () => {
+        await expect(snapshot.testTemplate({ template, snapshot: template })).resolves.toMatchObject({ status: 'failed' })
+        const missing = path.join(folder, 'missing')
+        await expect(snapshot.testTemplate({ template: missing, snapshot: path.join(missing, '__snapshots__', 'basic'), updateSnapshot: true }))
+          .resolves.toMatchObject({ status: 'written' })
+
+        expect(LibGenerator.prototype.generate.mock.calls.map(([options]) => options.templateUrl)).toEqual([template, missing])
+      })
+    })
+
+    test('should remove the output when the generation fails', async () => {
+      let outputDir
+      LibGenerator.prototype.generate.mockImplementation(async options => {
+        outputDir = options.outputDir
+        throw new Error('template.parameters.json does not exist')
+      })
+
+      await expect(snapshot.testTemplate({ template: './template', snapshot: snapshotFolder, updateSnapshot: true }))
+        .rejects.toThrow('template.parameters.json does not exist')
+      await expect(fs.pathExists(outputDir)).resolves.toBe(false)
+      await expect(fs.pathExists(snapshotFolder)).resolves.toBe(false)
+    })
+  })
+})
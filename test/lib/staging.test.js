@@ -0,0 +1,73 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const staging = require('../../src/lib/staging')
+
+describe('staging', () => {
+  let root
+  let destination
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-staging-'))
+    destination = path.join(root, 'out', 'MyLib')
+  })
+
+  afterEach(async () => {
+    await fs.remove(root)
+  })
+
+  test('createStagingFolder should create an empty sibling of the destination', async () => {
+    const stagingFolder = await staging.createStagingFolder(destination)
+
+    expect(path.dirname(stagingFolder)).toBe(path.dirname(destination))
+    expect(path.basename(stagingFolder)).toMatch(/^\.MyLib-staging-/)
+    await expect(fs.readdir(stagingFolder)).resolves.toEqual([])
+  })
+
+  test('commitStagingFolder should move the staging folder into place', async () => {
+    const stagingFolder = await staging.createStagingFolder(destination)
+    await fs.outputFile(path.join(stagingFolder, 'new.js'), 'new')
+
+    await staging.commitStagingFolder(stagingFolder, destination)
+
+    await expect(fs.readdir(destination)).resolves.toEqual(['new.js'])
+    await expect(fs.pathExists(stagingFolder)).resolves.toBe(false)
+  })
+
+  test('commitStagingFolder should replace an existing destination', async () => {
+    await fs.outputFile(path.join(destination, 'old.js'), 'old')
+    const stagingFolder = await staging.createStagingFolder(destination)
+    await fs.outputFile(path.join(stagingFolder, 'new.js'), 'new')
+
+    await staging.commitStagingFolder(stagingFolder, destination)
+
+    await expect(fs.readdir(destination)).resolves.toEqual(['new.js'])
+    await expect(fs.readdir(path.dirname(destination))).resolves.toEqual(['MyLib'])
+  })
+
+  test('commitStagingFolder should restore the existing destination on failure', async () => {
+    await fs.outputFile(path.join(destination, 'old.js'), 'old')
+    const stagingFolder = path.join(root, 'out', 'missing-staging')
+
+    await expect(staging.commitStagingFolder(stagingFolder, destination)).rejects.toThrow()
+
+    await expect(fs.readdir(destination)).resolves.toEqual(['old.js'])
+    await expect(fs.readdir(path.dirname(destination))).resolves.toEqual(['MyLib'])
+  })
+
+  test('commitStagingFolder should fail without a destination to restore', async () => {
+    await expect(staging.commitStagingFolder(path.join(root, 'missing'), destination)).rejects.toThrow()
+    await expect(fs.pathExists(destination)).resolves.toBe(false)
+  })
+})
@@ -0,0 +1,51 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const { STARTER_FILES, initTemplate } = require('../../src/lib/starter')
+const { validateTemplate } = require('../../src/lib/template-validation')
+
+describe('initTemplate', () => {
+  let folder
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-starter-'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(folder)
+  })
+
+  test('should scaffold a valid template in a new folder', async () => {
+    const template = path.join(folder, 'my-template')
+
+    await expect(initTemplate(template)).resolves.toEqual(Object.keys(STARTER_FILES))
+
+    await expect(fs.readJson(path.join(template, 'template.parameters.json'))).resolves.toMatchObject({ manifestVersion: 2 })
+    await expect(fs.readFile(path.join(template, 'src/index.js'), 'utf8')).resolves.toBe(STARTER_FILES['src/index.js'])
+    await expect(validateTemplate(template)).resolves.toEqual({ errors: [], warnings: [] })
+  })
+
+  test('should scaffold a template in an empty folder', async () => {
+    await initTemplate(folder)
+
+    await expect(fs.pathExists(path.join(folder, 'package.json'))).resolves.toBe(true)
+  })
+
+  test('should error if the folder is not empty', async () => {
+    await fs.outputFile(path.join(folder, 'README.md'), '')
+
+    await expect(initTemplate(folder)).rejects.toThrow(`Folder ${folder} is not empty`)
+    await expect(fs.pathExists(path.join(folder, 'package.json'))).resolves.toBe(false)
+  })
+})
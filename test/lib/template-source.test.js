@@ -0,0 +1,223 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const tar = require('tar')
+const templateSource = require('../../src/lib/template-source')
+const gitSource = require('../../src/lib/git-source')
+
+describe('parseTemplateSource', () => {
+  test('should parse git sources', () => {
+    expect(templateSource.parseTemplateSource('github:org/repo#v2'))
+      .toEqual({ type: 'git', url: 'https://github.com/org/repo', ref: 'v2', subdir: undefined })
+    expect(templateSource.parseTemplateSource('git+https://git.corp.example.com/org/repo.git', { ref: 'main', subdir: 'lib' }))
+      .toEqual({ type: 'git', url: 'https://git.corp.example.com/org/repo.git', ref: 'main', subdir: 'lib' })
+    expect(templateSource.parseTemplateSource('https://github.com/org/repo').type).toBe('git')
+  })
+
+  test('should parse tarball urls', () => {
+    expect(templateSource.parseTemplateSource('https://example.com/template.tgz?token=1', { subdir: 'lib' }))
+      .toEqual({ type: 'tarball', url: 'https://example.com/template.tgz?token=1', subdir: 'lib' })
+    expect(templateSource.parseTemplateSource('http://example.com/template.tar.gz').type).toBe('tarball')
+  })
+
+  test('should parse local paths', () => {
+    const cwd = path.resolve('/work')
+    expect(templateSource.parseTemplateSource('./template', {}, cwd))
+      .toEqual({ type: 'directory', path: path.join(cwd, 'template'), subdir: undefined })
+    expect(templateSource.parseTemplateSource('..', {}, cwd).path).toBe(path.resolve(cwd, '..'))
+    expect(templateSource.parseTemplateSource('file:../template.tgz', {}, cwd))
+      .toEqual({ type: 'tarball', path: path.resolve(cwd, '../template.tgz'), subdir: undefined })
+    expect(templateSource.parseTemplateSource('template.tgz', {}, cwd).path).toBe(path.join(cwd, 'template.tgz'))
+    expect(templateSource.parseTemplateSource('~/template').path).toBe(path.join(os.homedir(), 'template'))
+    expect(templateSource.parseTemplateSource(path.resolve('/templates/lib')).type).toBe('directory')
+    expect(templateSource.parseTemplateSource('./template').path).toBe(path.resolve('template'))
+  })
+
+  test('should parse npm package specs', () => {
+    expect(templateSource.parseTemplateSource('@myorg/aio-lib-template@3'))
+      .toEqual({ type: 'npm', spec: '@myorg/aio-lib-template@3', subdir: undefined })
+    expect(templateSource.parseTemplateSource('aio-lib-template').type).toBe('npm')
+  })
+
+  test('should parse a bare name as a local folder when it exists', async () => {
+    const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-bare-'))
+    try {
+      await fs.ensureDir(path.join(cwd, 'my-template'))
+      await fs.outputFile(path.join(cwd, 'aio-lib-template'), '')
+
+      expect(templateSource.parseTemplateSource('my-template', {}, cwd))
+        .toEqual({ type: 'directory', path: path.join(cwd, 'my-template'), subdir: undefined })
+      expect(templateSource.parseTemplateSource('aio-lib-template', {}, cwd).type).toBe('npm')
+      expect(templateSource.parseTemplateSource('other-template', {}, cwd).type).toBe('npm')
+    } finally {
+      await fs.remove(cwd)
+    }
+  })
+
+  test('should reject a ref for other sources', () => {
+    expect(() => templateSource.parseTemplateSource('./template', { ref: 'v2' }))
+      .toThrow("A ref can only be used with a git template source, not './template'")
+  })
+
+  test('should reject a subfolder outside of the template', () => {
+    expect(() => templateSource.parseTemplateSource('./template', { subdir: '../other' }))
+      .toThrow("Invalid template subfolder '../other', it must be inside the template")
+  })
+})
+
+describe('describeSource', () => {
+  test('should describe a source', () => {
+    expect(templateSource.describeSource({ type: 'git', url: 'https://github.com/org/repo', ref: 'v2', subdir: 'lib' }))
+      .toBe('https://github.com/org/repo#v2 (subfolder lib)')
+    expect(templateSource.describeSource({ type: 'directory', path: '/templates/lib' })).toBe('/templates/lib')
+    expect(templateSource.describeSource({ type: 'npm', spec: 'aio-lib-template' })).toBe('aio-lib-template')
+  })
+})
+
+describe('fetchTemplate', () => {
+  let root
+  let toFolder
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-source-test-'))
+    const template = path.join(root, 'template', 'package')
+    await fs.outputFile(path.join(template, 'template.parameters.json'), '{}')
+    await fs.outputFile(path.join(template, 'lib', 'index.js'), 'index')
+    await fs.outputFile(path.join(template, 'node_modules', 'dep', 'index.js'), 'dep')
+    await fs.outputJson(path.join(template, 'package.json'), { name: '@myorg/aio-lib-template', version: '3.1.0' })
+    await tar.c({ gzip: true, file: path.join(root, 'template.tgz'), cwd: path.join(root, 'template') }, ['package'])
+    await tar.c({ gzip: true, file: path.join(root, 'flat.tgz'), cwd: path.join(root, 'template', 'package') }, ['template.parameters.json', 'lib'])
+  })
+
+  afterAll(async () => {
+    await fs.remove(root)
+  })
+
+  beforeEach(async () => {
+    toFolder = await fs.mkdtemp(path.join(root, 'out-'))
+  })
+
+  test('should clone git sources', async () => {
+    jest.spyOn(gitSource, 'cloneGitSource').mockResolvedValue('0123abc')
+    const source = { type: 'git', url: 'https://github.com/org/repo' }
+
+    await expect(templateSource.fetchTemplate(source, toFolder, 'abc')).resolves.toEqual({ commit: '0123abc' })
+
+    expect(gitSource.cloneGitSource).toHaveBeenCalledWith(source, toFolder, 'abc')
+    gitSource.cloneGitSource.mockRestore()
+  })
+
+  test('should copy a local folder without its node_modules', async () => {
+    await expect(templateSource.fetchTemplate({ type: 'directory', path: path.join(root, 'template', 'package') }, toFolder))
+      .resolves.toEqual({})
+
+    expect((await fs.readdir(toFolder)).sort()).toEqual(['lib', 'package.json', 'template.parameters.json'])
+  })
+
+  test('should copy the subfolder of a local folder', async () => {
+    await templateSource.fetchTemplate({ type: 'directory', path: path.join(root, 'template'), subdir: 'package/lib' }, toFolder)
+
+    await expect(fs.readdir(toFolder)).resolves.toEqual(['index.js'])
+  })
+
+  test('should fail on a missing folder or subfolder', async () => {
+    const missing = path.join(root, 'missing')
+    await expect(templateSource.fetchTemplate({ type: 'directory', path: missing }, toFolder))
+      .rejects.toThrow(`Template folder ${missing} does not exist`)
+    await expect(templateSource.fetchTemplate({ type: 'tarball', path: path.join(root, 'template.tgz'), subdir: 'missing' }, toFolder))
+      .rejects.toThrow(/Template folder .*missing does not exist/)
+  })
+
+  test('should extract a local tarball', async () => {
+    await templateSource.fetchTemplate({ type: 'tarball', path: path.join(root, 'template.tgz') }, toFolder)
+
+    expect((await fs.readdir(toFolder)).sort()).toEqual(['lib', 'package.json', 'template.parameters.json'])
+  })
+
+  test('should extract a tarball without a root folder', async () => {
+    await templateSource.fetchTemplate({ type: 'tarball', path: path.join(root, 'flat.tgz') }, toFolder)
+
+    expect((await fs.readdir(toFolder)).sort()).toEqual(['lib', 'template.parameters.json'])
+  })
+
+  test('should fail on a missing tarball', async () => {
+    const missing = path.join(root, 'missing.tgz')
+    await expect(templateSource.fetchTemplate({ type: 'tarball', path: missing }, toFolder))
+      .rejects.toThrow(`Template tarball ${missing} does not exist`)
+  })
+
+  describe('from a registry', () => {
+    const env = process.env
+    let server
+    let registry
+
+    beforeAll(async () => {
+      // a local stand-in for the npm registry, also serving plain tarballs
+      server = http.createServer((req, res) => {
+        if (req.url === '/@myorg%2faio-lib-template') {
+          res.writeHead(200, { 'Content-Type': 'application/json' })
+          return res.end(JSON.stringify({
+            name: '@myorg/aio-lib-template',
+            'dist-tags': { latest: '3.1.0' },
+            versions: {
+              '3.1.0': { name: '@myorg/aio-lib-template', version: '3.1.0', dist: { tarball: `${registry}template.tgz` } }
+            }
+          }))
+        }
+        if (req.url === '/template.tgz') {
+          res.writeHead(200, { 'Content-Type': 'application/octet-stream' })
+          return fs.createReadStream(path.join(root, 'template.tgz')).pipe(res)
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' })
+        res.end('{"error":"Not found"}')
+      })
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+      registry = `http://127.0.0.1:${server.address().port}/`
+      process.env = Object.assign({}, env, {
+        npm_config_registry: registry,
+        npm_config_cache: path.join(root, 'npm-cache'),
+        npm_config_userconfig: path.join(root, 'npmrc')
+      })
+    })
+
+    afterAll(async () => {
+      process.env = env
+      await new Promise(resolve => server.close(resolve))
+    })
+
+    test('should download and extract a tarball', async () => {
+      await templateSource.fetchTemplate({ type: 'tarball', url: `${registry}template.tgz` }, toFolder)
+
+      expect((await fs.readdir(toFolder)).sort()).toEqual(['lib', 'package.json', 'template.parameters.json'])
+    })
+
+    test('should fail on a missing tarball url', async () => {
+      await expect(templateSource.fetchTemplate({ type: 'tarball', url: `${registry}missing.tgz` }, toFolder))
+        .rejects.toThrow(`Could not download ${registry}missing.tgz: 404 Not Found`)
+    })
+
+    test('should fetch an npm package', async () => {
+      await expect(templateSource.fetchTemplate({ type: 'npm', spec: '@myorg/aio-lib-template@3' }, toFolder))
+        .resolves.toEqual({ package: '@myorg/aio-lib-template', version: '3.1.0' })
+
+      expect((await fs.readdir(toFolder)).sort()).toEqual(['lib', 'package.json', 'template.parameters.json'])
+    }, 30000)
+
+    test('should fail on a missing npm package', async () => {
+      await expect(templateSource.fetchTemplate({ type: 'npm', spec: 'missing-template' }, toFolder))
+        .rejects.toThrow(`Could not fetch the npm package 'missing-template': Not Found - GET ${registry}missing-template`)
+    }, 30000)
+  })
+})
@@ -0,0 +1,210 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const { validateTemplate } = require('../../src/lib/template-validation')
+
+describe('validateTemplate', () => {
+  let folder
+
+  const writeTemplate = async (manifest, templateFiles = {}) => {
+    await fs.outputFile(path.join(folder, 'package.json'), '{ "name": "my-lib" }')
+    if (manifest) {
+      await fs.outputFile(path.join(folder, 'template.parameters.json'), typeof manifest === 'string' ? manifest : JSON.stringify(manifest))
+    }
+    for (const file of Object.keys(templateFiles)) {
+      await fs.outputFile(path.join(folder, file), templateFiles[file])
+    }
+  }
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-validation-'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(folder)
+  })
+
+  test('should accept a valid template', async () => {
+    await writeTemplate({
+      manifestVersion: 2,
+      tokens: { '{{LIB_NAME}}': { variable: 'libName', files: ['src/index.js', 'docs/*.md', '!docs/skip.md'] } },
+      features: { e2e: { files: ['e2e/**', '!e2e/keep.js'] }, docs: {} },
+      conditionalFiles: ['README.md'],
+      rename: { 'gitignore.template': '.gitignore', lib: '{{LIB_NAME}}' },
+      remove: ['types.d.ts'],
+      hooks: [{ script: 'hooks/setup.js' }, { run: 'npm install' }]
+    }, {
+      'src/index.js': 'class {{LIB_NAME}} {}',
+      'docs/api.md': '# {{LIB_NAME}}',
+      'e2e/lib.e2e.js': '',
+      'README.md': '',
+      'gitignore.template': '',
+      'lib/index.js': '',
+      'types.d.ts': '',
+      'hooks/setup.js': ''
+    })
+
+    await expect(validateTemplate(folder)).resolves.toEqual({ errors: [], warnings: [] })
+  })
+
+  test('should error if the folder does not exist', async () => {
+    await expect(validateTemplate(path.join(folder, 'missing'))).rejects.toThrow(`Template folder ${path.join(folder, 'missing')} does not exist`)
+  })
+
+  test('should error if the folder is a file', async () => {
+    await fs.outputFile(path.join(folder, 'file'), '')
+
+    await expect(validateTemplate(path.join(folder, 'file'))).rejects.toThrow('does not exist')
+  })
+
+  test('should report a missing package.json and manifest', async () => {
+    await expect(validateTemplate(folder)).resolves.toEqual({
+      errors: ['package.json does not exist', 'template.parameters.json does not exist'],
+      warnings: []
+    })
+  })
+
+  test('should report an invalid package.json', async () => {
+    await writeTemplate({}, { 'package.json': '{' })
+
+    const { errors } = await validateTemplate(folder)
+
+    expect(errors).toEqual([expect.stringMatching(/^package.json is invalid: /)])
+  })
+
+  test('should report a manifest which is not json', async () => {
+    await writeTemplate('{')
+
+    const { errors } = await validateTemplate(folder)
+
+    expect(errors).toEqual([expect.stringMatching(/^template.parameters.json is invalid: /)])
+  })
+
+  test('should report an invalid manifest', async () => {
+    await writeTemplate({ manifestVersion: 2, tokens: { '{{X}}': { variable: 'unknown', files: [] } } })
+
+    await expect(validateTemplate(folder)).resolves.toEqual({
+      errors: ["template.parameters.json is invalid: Token '{{X}}' refers to an unknown variable 'unknown'"],
+      warnings: []
+    })
+  })
+
+  test('should check the files of legacy tokens', async () => {
+    await writeTemplate({
+      '{{REPO}}': ['file1.js', 'file2.js', 'missing.js'],
+      '{{LIB_NAME}}': 'file1.js'
+    }, { 'file1.js': '{{REPO}}', 'file2.js': 'no token' })
+
+    await expect(validateTemplate(folder)).resolves.toEqual({
+      errors: [
+        "Token '{{REPO}}' does not occur in the file file2.js",
+        "Token '{{REPO}}' lists the file missing.js, which does not exist",
+        "Token '{{LIB_NAME}}' must list its files in an array"
+      ],
+      warnings: []
+    })
+  })
+
+  test('should warn about glob patterns of tokens matching no file, or no file with the token', async () => {
+    await writeTemplate({
+      manifestVersion: 2,
+      tokens: {
+        '{{LIB_NAME}}': { variable: 'libName', files: ['docs/*.md', 'src/**/*.ts', 'assets/*'] }
+      }
+    }, { 'docs/api.md': 'no token', 'assets/logo.png': Buffer.from([0, 1, 2]) })
+
+    await expect(validateTemplate(folder)).resolves.toEqual({
+      errors: [],
+      warnings: [
+        "Token '{{LIB_NAME}}' does not occur in the files matching docs/*.md",
+        "Token '{{LIB_NAME}}' lists the pattern src/**/*.ts, which matches no file",
+        "Token '{{LIB_NAME}}' does not occur in the files matching assets/*"
+      ]
+    })
+  })
+
+  test('should warn about tokens occurring in no file with scanAllFiles', async () => {
+    await writeTemplate({
+      manifestVersion: 2,
+      scanAllFiles: true,
+      tokens: {
+        '{{LIB_NAME}}': { variable: 'libName' },
+        '{{REPO}}': { variable: 'repoName' }
+      }
+    }, { 'src/index.js': '{{LIB_NAME}}' })
+
+    await expect(validateTemplate(folder)).resolves.toEqual({
+      errors: [],
+      warnings: ["Token '{{REPO}}' does not occur in the files matching **"]
+    })
+  })
+
+  test('should check the renamed and removed files', async () => {
+    await writeTemplate({
+      manifestVersion: 2,
+      rename: {
+        'a.template': 'a',
+        'b.template': 'a',
+        'missing.template': 'missing'
+      },
+      remove: ['a.template', 'missing.txt']
+    }, { 'a.template': '', 'b.template': '', 'c.template': '' })
+
+    await expect(validateTemplate(folder)).resolves.toEqual({
+      errors: [
+        "Rename of 'b.template' and 'a.template' have the same target 'a'",
+        "Rename of 'missing.template' refers to a file that does not exist"
+      ],
+      warnings: ["Removal of 'missing.txt' refers to a file that does not exist"]
+    })
+  })
+
+  test.each([
+    [{ remove: ['../outside.txt'] }, "Removal of '../outside.txt' must be a path inside the template"],
+    [{ rename: { 'c.template': '/etc/c' } }, "Rename of 'c.template' to '/etc/c' must be between paths inside the template"]
+  ])('should report the renames and removals outside the template %j', async (json, message) => {
+    await writeTemplate({ manifestVersion: 2, ...json }, { 'c.template': '' })
+
+    await expect(validateTemplate(folder)).resolves.toEqual({
+      errors: [`template.parameters.json is invalid: ${message}`],
+      warnings: []
+    })
+  })
+
+  test('should not check the default renames and removals', async () => {
+    await writeTemplate({ manifestVersion: 2 })
+
+    await expect(validateTemplate(folder)).resolves.toEqual({ errors: [], warnings: [] })
+  })
+
+  test('should check the feature files, conditional files and hook scripts', async () => {
+    await writeTemplate({
+      manifestVersion: 2,
+      features: { e2e: { files: ['e2e/jest.config.js', 'e2e/**/*.e2e.js', 'e2e/missing.js', 'test/e2e/**'] } },
+      conditionalFiles: ['README.md', '!docs/**', 'docs/*.md'],
+      hooks: [{ run: 'npm install' }, { script: 'hooks/missing.js' }]
+    }, { 'e2e/jest.config.js': '', 'e2e/lib.e2e.js': '', 'README.md': '' })
+
+    await expect(validateTemplate(folder)).resolves.toEqual({
+      errors: [
+        "Feature 'e2e' lists e2e/missing.js, which matches no file",
+        'Hook 2 runs the script hooks/missing.js, which does not exist'
+      ],
+      warnings: [
+        "Feature 'e2e' lists test/e2e/**, which matches no file",
+        'Conditional files docs/*.md match no file'
+      ]
+    })
+  })
+})
@@ -0,0 +1,111 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const workspace = require('../../src/lib/workspace')
+
+describe('workspace', () => {
+  let folder
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-aio-lib-workspace-'))
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await fs.remove(folder)
+  })
+
+  test('workspacePatterns should read the workspaces of a package.json', () => {
+    expect(workspace.workspacePatterns({ workspaces: ['packages/*'] })).toEqual(['packages/*'])
+    expect(workspace.workspacePatterns({ workspaces: { packages: ['libs/*'], nohoist: ['**/jest'] } })).toEqual(['libs/*'])
+    expect(workspace.workspacePatterns({ workspaces: {} })).toBeUndefined()
+    expect(workspace.workspacePatterns({ name: 'my-lib' })).toBeUndefined()
+  })
+
+  describe('findWorkspace', () => {
+    test('should find the nearest root declaring workspaces', async () => {
+      await fs.writeJson(path.join(folder, 'package.json'), { workspaces: ['tools', 'libs/*'] })
+      await fs.outputJson(path.join(folder, 'libs', 'other', 'package.json'), { name: 'other' })
+
+      await expect(workspace.findWorkspace(path.join(folder, 'libs', 'other'))).resolves.toEqual({
+        root: folder,
+        patterns: ['tools', 'libs/*'],
+        packagesFolder: 'libs'
+      })
+    })
+
+    test('should default the packages folder', async () => {
+      await fs.writeJson(path.join(folder, 'package.json'), { workspaces: { packages: ['tools', 'libs/**'] } })
+
+      await expect(workspace.findWorkspace(folder)).resolves.toEqual(expect.objectContaining({ packagesFolder: 'packages' }))
+    })
+
+    test('should error outside a workspace', async () => {
+      const outside = path.join(folder, 'outside')
+      jest.spyOn(fs, 'pathExists').mockImplementation(async file => file === path.join(outside, 'package.json'))
+      jest.spyOn(fs, 'readJson').mockResolvedValue({ name: 'my-lib' })
+
+      await expect(workspace.findWorkspace(outside)).rejects.toThrow(`No package.json declaring workspaces was found in ${outside} or its parents`)
+    })
+  })
+
+  describe('rootProvidedFiles', () => {
+    const libFiles = ['.gitignore', '.npmrc', '.github/workflows/node.yml', '.github/CODEOWNERS', '.eslintrc.json', 'src/index.js']
+
+    test('should find the lib files the root provides', async () => {
+      await fs.outputFile(path.join(folder, '.gitignore'), '')
+      await fs.outputFile(path.join(folder, '.github', 'workflows', 'ci.yml'), '')
+      await fs.outputFile(path.join(folder, 'eslint.config.js'), '')
+
+      await expect(workspace.rootProvidedFiles(folder, libFiles)).resolves.toEqual(['.gitignore', '.github/workflows/node.yml', '.eslintrc.json'])
+    })
+
+    test('should keep the files a root without workflows provides', async () => {
+      await fs.outputFile(path.join(folder, '.npmrc'), '')
+
+      await expect(workspace.rootProvidedFiles(folder, libFiles)).resolves.toEqual(['.npmrc'])
+    })
+  })
+
+  test('alignDevDependencies should align the shared devDependencies on the root', () => {
+    const libJson = { devDependencies: { jest: '^29.0.0', eslint: '^8.57.1', typescript: '^5' } }
+
+    expect(workspace.alignDevDependencies(libJson, { dependencies: { eslint: '^8.57.1' }, devDependencies: { jest: '^29.7.0' } }))
+      .toEqual([{ name: 'jest', from: '^29.0.0', to: '^29.7.0' }])
+    expect(libJson.devDependencies).toEqual({ jest: '^29.7.0', eslint: '^8.57.1', typescript: '^5' })
+    expect(workspace.alignDevDependencies({}, { devDependencies: { jest: '^29.7.0' } })).toEqual([])
+  })
+
+  describe('registerWorkspace', () => {
+    test('should add the lib to the workspaces', async () => {
+      await fs.writeJson(path.join(folder, 'package.json'), { name: 'mono', workspaces: ['tools'] })
+
+      await expect(workspace.registerWorkspace(folder, path.join(folder, 'packages', 'MyLib'))).resolves.toBe(true)
+      await expect(fs.readJson(path.join(folder, 'package.json'))).resolves.toEqual({ name: 'mono', workspaces: ['tools', 'packages/MyLib'] })
+    })
+
+    test('should add the lib to the workspace packages', async () => {
+      await fs.writeJson(path.join(folder, 'package.json'), { workspaces: { packages: ['libs/*', '!libs/MyLib'] } })
+
+      await expect(workspace.registerWorkspace(folder, path.join(folder, 'libs', 'MyLib'))).resolves.toBe(true)
+      await expect(fs.readJson(path.join(folder, 'package.json'))).resolves.toEqual({ workspaces: { packages: ['libs/*', '!libs/MyLib', 'libs/MyLib'] } })
+    })
+
+    test('should not add a lib a pattern matches', async () => {
+      await fs.writeJson(path.join(folder, 'package.json'), { workspaces: ['libs/*'] })
+
+      await expect(workspace.registerWorkspace(folder, path.join(folder, 'libs', 'MyLib'))).resolves.toBe(false)
+    })
+  })
+})